@@ -1,5 +1,6 @@
 const { Pool } = require('pg')
 const path = require('path')
+const { QueryMetrics, normalizeStatement } = require('../utils/queryMetrics')
 
 // Load environment-specific configuration
 const nodeEnv = process.env.NODE_ENV || 'development'
@@ -16,10 +17,104 @@ try {
   console.log('🔧 Loaded default environment configuration from .env')
 }
 
+/**
+ * Parse DB_REPLICAS, a comma-separated list of `host[:port]` read replicas
+ * Replicas use the primary's database name, user and password
+ */
+function parseReplicas(value = '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [host, port] = entry.split(':')
+      return port ? { host, port: Number(port) } : { host }
+    })
+}
+
+/**
+ * SQLSTATEs for statements that were rolled back and succeed when re-run:
+ * serialization_failure and deadlock_detected
+ */
+const TRANSIENT_ERROR_CODES = ['40001', '40P01']
+
+// Backoff between query retries, doubled per attempt
+const RETRY_BASE_DELAY_MS = 50
+
+// Backoff between reconnect attempts, doubled per attempt up to DB_RECONNECT_MAX_DELAY_MS
+const RECONNECT_BASE_DELAY_MS = 500
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Errors that mean the server could not be reached or dropped the connection,
+ * as opposed to errors in the statement itself: no SQLSTATE (socket errors),
+ * connection exceptions (class 08) and server shutdowns (57P01-57P03)
+ */
+function isConnectionError(error) {
+  return !error.code ||
+    /^[A-Z]+$/.test(error.code) ||
+    error.code.startsWith('08') ||
+    ['57P01', '57P02', '57P03'].includes(error.code)
+}
+
 class DatabaseConfig {
-  constructor() {
+  /**
+   * `replicas` lists read replica connection settings ({ host, port, and
+   * optionally database, user, password }); unset fields use the primary's
+   */
+  constructor({ replicas = [] } = {}) {
     this.pool = null
     this.isConnected = false
+    this.replicaSettings = replicas
+    this.replicas = []
+    this.nextReplica = 0
+    this.replicaHealthTimer = null
+
+    this.maxRetries = Number.isInteger(parseInt(process.env.DB_QUERY_RETRIES))
+      ? parseInt(process.env.DB_QUERY_RETRIES)
+      : 2
+    this.reconnectMaxDelay = parseInt(process.env.DB_RECONNECT_MAX_DELAY_MS) || 30000
+    this.reconnecting = false
+    this.reconnectTimer = null
+    this.reconnectAttempts = 0
+    this.connectionEvents = {
+      disconnects: 0,
+      reconnects: 0,
+      lastDisconnectedAt: null,
+      lastReconnectedAt: null,
+      lastConnectionError: null,
+      retries: { query: 0, transaction: 0 },
+      lastRetry: null
+    }
+
+    const slowQueryMs = parseFloat(process.env.DB_SLOW_QUERY_MS)
+    const sampleRate = parseFloat(process.env.DB_SLOW_QUERY_SAMPLE_RATE)
+    this.metrics = new QueryMetrics({
+      slowQueryMs: Number.isFinite(slowQueryMs) ? slowQueryMs : 500,
+      sampleRate: Number.isFinite(sampleRate) ? Math.min(Math.max(sampleRate, 0), 1) : 1,
+      logParams: process.env.DB_LOG_QUERY_PARAMS === 'true',
+      maxStatements: parseInt(process.env.DB_QUERY_METRICS_MAX_STATEMENTS) || 500
+    })
+  }
+
+  /**
+   * Pool settings for the primary, with `overrides` applied for a replica
+   */
+  poolSettings(overrides = {}) {
+    return {
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 5432,
+      database: process.env.DB_NAME || 'red_vs_blue',
+      user: process.env.DB_USER || 'postgres',
+      password: process.env.DB_PASSWORD || 'password',
+      max: 20, // Maximum number of clients in pool
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 2000,
+      // SSL configuration for production
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+      ...overrides
+    }
   }
 
   /**
@@ -27,18 +122,7 @@ class DatabaseConfig {
    */
   async connect() {
     try {
-      this.pool = new Pool({
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 5432,
-        database: process.env.DB_NAME || 'red_vs_blue',
-        user: process.env.DB_USER || 'postgres',
-        password: process.env.DB_PASSWORD || 'password',
-        max: 20, // Maximum number of clients in pool
-        idleTimeoutMillis: 30000,
-        connectionTimeoutMillis: 2000,
-        // SSL configuration for production
-        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-      })
+      this.pool = new Pool(this.poolSettings())
 
       // Test the connection
       const client = await this.pool.connect()
@@ -48,12 +132,14 @@ class DatabaseConfig {
       this.isConnected = true
       console.log('✅ Database connected successfully')
       
-      // Handle pool errors
+      // An idle client failing usually means the server went away
       this.pool.on('error', (err) => {
         console.error('❌ Unexpected error on idle client', err)
-        this.isConnected = false
+        this.handleConnectionLoss(err)
       })
 
+      await this.connectReplicas()
+
       return this.pool
     } catch (error) {
       console.error('❌ Database connection failed:', error.message)
@@ -62,6 +148,173 @@ class DatabaseConfig {
     }
   }
 
+  /**
+   * Check the primary after a connection error, reconnecting if it is down
+   * Queries keep running until a probe fails; from then on they fail fast
+   * with "Database not connected" until a probe succeeds again
+   */
+  handleConnectionLoss(error) {
+    if (this.reconnecting || !this.pool) {
+      return
+    }
+
+    this.reconnecting = true
+    this.reconnectAttempts = 0
+    this.connectionEvents.lastConnectionError = error.message
+
+    console.warn('⚠️  Database connection error, checking the connection:', error.message)
+    this.scheduleReconnect(0)
+  }
+
+  /**
+   * Probe the primary after `delay` ms, backing off exponentially (with
+   * jitter) until it answers
+   */
+  scheduleReconnect(delay) {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null
+      if (!this.pool) return
+
+      this.reconnectAttempts += 1
+      try {
+        await this.pool.query('SELECT 1')
+
+        if (!this.isConnected) {
+          this.connectionEvents.reconnects += 1
+          this.connectionEvents.lastReconnectedAt = new Date()
+          console.log(`✅ Database reconnected after ${this.reconnectAttempts} attempt(s)`)
+        }
+        this.isConnected = true
+        this.reconnecting = false
+      } catch (error) {
+        if (!this.pool) return
+
+        if (this.isConnected) {
+          this.isConnected = false
+          this.connectionEvents.disconnects += 1
+          this.connectionEvents.lastDisconnectedAt = new Date()
+          console.error('❌ Lost the database connection:', error.message)
+        }
+
+        this.connectionEvents.lastConnectionError = error.message
+        const backoff = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (this.reconnectAttempts - 1), this.reconnectMaxDelay)
+        const next = Math.round(backoff / 2 + Math.random() * backoff / 2)
+        console.error(`❌ Reconnect attempt ${this.reconnectAttempts} failed (${error.message}); next attempt in ${next}ms`)
+        this.scheduleReconnect(next)
+      }
+    }, delay)
+    this.reconnectTimer.unref()
+  }
+
+  /**
+   * Run `operation`, re-running it up to DB_QUERY_RETRIES times with
+   * exponential backoff while `shouldRetry` accepts the error
+   * `kind` ('query' or 'transaction') labels the retry in logs and health output
+   */
+  async withRetry(operation, shouldRetry, kind) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation()
+      } catch (error) {
+        if (attempt >= this.maxRetries || !shouldRetry(error)) {
+          throw error
+        }
+
+        this.connectionEvents.retries[kind] += 1
+        this.connectionEvents.lastRetry = { kind, error: error.code || error.message, at: new Date() }
+        console.warn(`🔁 Retrying ${kind} after transient error (${error.code || error.message}), attempt ${attempt + 2} of ${this.maxRetries + 1}`)
+
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * RETRY_BASE_DELAY_MS)
+      }
+    }
+  }
+
+  /**
+   * Whether a failed statement can safely run again
+   * Serialization failures and deadlocks rolled the statement back. A lost
+   * connection is only safe when the statement was never sent or only read:
+   * a write may have committed before the connection dropped.
+   */
+  isRetryable(error, { readOnly = false } = {}) {
+    return TRANSIENT_ERROR_CODES.includes(error.code) ||
+      (isConnectionError(error) && (error.notSent || readOnly))
+  }
+
+  /**
+   * Create a pool per read replica and start checking their health
+   * An unreachable replica does not stop startup; it is left out of the
+   * rotation until a health check succeeds
+   */
+  async connectReplicas() {
+    this.replicas = this.replicaSettings.map(settings => {
+      const pool = new Pool(this.poolSettings(settings))
+      const replica = {
+        name: `${pool.options.host}:${pool.options.port}`,
+        pool,
+        healthy: false,
+        lastError: null,
+        lastCheckedAt: null
+      }
+
+      pool.on('error', (err) => {
+        console.error(`❌ Unexpected error on idle replica client (${replica.name}):`, err.message)
+        replica.healthy = false
+      })
+
+      return replica
+    })
+
+    if (this.replicas.length === 0) {
+      return
+    }
+
+    await this.checkReplicas()
+    const healthy = this.replicas.filter(replica => replica.healthy).length
+    console.log(`✅ ${healthy} of ${this.replicas.length} read replica(s) available`)
+
+    const interval = parseInt(process.env.DB_REPLICA_HEALTH_CHECK_INTERVAL_MS) || 10000
+    this.replicaHealthTimer = setInterval(() => this.checkReplicas(), interval)
+    this.replicaHealthTimer.unref()
+  }
+
+  /**
+   * Probe every replica, taking failed ones out of the rotation and putting
+   * recovered ones back
+   */
+  async checkReplicas() {
+    await Promise.all(this.replicas.map(async (replica) => {
+      try {
+        await replica.pool.query('SELECT 1')
+        if (!replica.healthy && replica.lastCheckedAt) {
+          console.log(`✅ Read replica ${replica.name} is back in rotation`)
+        }
+        replica.healthy = true
+        replica.lastError = null
+      } catch (error) {
+        if (replica.healthy || !replica.lastCheckedAt) {
+          console.error(`❌ Read replica ${replica.name} failed its health check:`, error.message)
+        }
+        replica.healthy = false
+        replica.lastError = error.message
+      }
+      replica.lastCheckedAt = new Date()
+    }))
+  }
+
+  /**
+   * Next healthy replica in round-robin order, or null when there is none
+   */
+  pickReplica() {
+    for (let i = 0; i < this.replicas.length; i++) {
+      const replica = this.replicas[this.nextReplica % this.replicas.length]
+      this.nextReplica = (this.nextReplica + 1) % this.replicas.length
+      if (replica.healthy) {
+        return replica
+      }
+    }
+    return null
+  }
+
   /**
    * Get database pool instance
    */
@@ -74,37 +327,204 @@ class DatabaseConfig {
 
   /**
    * Execute a query with error handling
+   * Transient errors are retried (see isRetryable); `readOnly` also allows
+   * retrying a read whose connection dropped mid-query
    */
-  async query(text, params = []) {
+  async query(text, params = [], { readOnly = false } = {}) {
     if (!this.isConnected) {
       throw new Error('Database not connected')
     }
 
-    const start = Date.now()
     try {
-      const result = await this.pool.query(text, params)
-      const duration = Date.now() - start
-      
+      return await this.withRetry(
+        () => this.runQuery(this.pool, text, params),
+        (error) => this.isRetryable(error, { readOnly }),
+        'query'
+      )
+    } catch (error) {
+      this.logQueryError(error, text, params)
+      if (isConnectionError(error)) {
+        this.handleConnectionLoss(error)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Log a failed query with its normalized statement and redacted parameters
+   */
+  logQueryError(error, text, params) {
+    console.error('❌ Query error:', error.message)
+    console.error('Query:', normalizeStatement(text))
+    console.error('Params:', this.metrics.redact(params))
+  }
+
+  /**
+   * Execute a read-only query on a read replica
+   * Uses the primary when no replica is healthy, and falls back to it when
+   * the replica fails (e.g. a query cancelled by replication conflicts); a
+   * replica that cannot be reached leaves the rotation
+   * until its next successful health check. Replicas may lag the primary, so
+   * reads that a write depends on belong on query().
+   */
+  async readQuery(text, params = []) {
+    const replica = this.pickReplica()
+    if (!replica) {
+      return this.query(text, params, { readOnly: true })
+    }
+
+    try {
+      return await this.runQuery(replica.pool, text, params, replica.name)
+    } catch (error) {
+      // Data and syntax errors (classes 22 and 42) are the statement's fault;
+      // the primary would reject it too
+      if (/^(22|42)/.test(error.code || '')) {
+        this.logQueryError(error, text, params)
+        throw error
+      }
+
+      console.warn(`⚠️  Read replica ${replica.name} failed, using the primary:`, error.message)
+      if (isConnectionError(error)) {
+        replica.healthy = false
+        replica.lastError = error.message
+      }
+      return this.query(text, params, { readOnly: true })
+    }
+  }
+
+  /**
+   * Run a query on a pool, logging its duration in development
+   * Errors raised before the statement reached the server are flagged
+   * `notSent`, and broken connections are discarded instead of reused
+   */
+  async runQuery(pool, text, params, replicaName = null) {
+    const client = await this.acquire(pool)
+    const target = replicaName ? `replica ${replicaName}` : 'primary'
+
+    let result
+    try {
+      result = await this.timedQuery(client, text, params, target)
+      client.release()
+    } catch (error) {
+      client.release(isConnectionError(error) ? error : undefined)
+      throw error
+    }
+
+    return result
+  }
+
+  /**
+   * Run a statement on a client and record its latency in `metrics`
+   */
+  async timedQuery(client, text, params, target = 'primary') {
+    const start = process.hrtime.bigint()
+    let error = null
+
+    try {
+      return await client.query(text, params)
+    } catch (queryError) {
+      error = queryError
+      throw queryError
+    } finally {
+      const duration = Number(process.hrtime.bigint() - start) / 1e6
+      this.metrics.record(text, params, duration, { error, target })
+
       if (process.env.NODE_ENV === 'development') {
-        console.log(`🔍 Query executed in ${duration}ms:`, text.substring(0, 100))
+        const on = target === 'primary' ? '' : ` on ${target}`
+        console.log(`🔍 Query executed in ${Math.round(duration)}ms${on}:`, text.substring(0, 100))
       }
-      
-      return result
+    }
+  }
+
+  /**
+   * Wrap a transaction's client so its statements are recorded in `metrics`
+   */
+  instrument(client) {
+    return {
+      query: (text, params) => this.timedQuery(client, text, params)
+    }
+  }
+
+  /**
+   * Check a client out of a pool, flagging failures as `notSent`
+   */
+  async acquire(pool) {
+    try {
+      return await pool.connect()
+    } catch (error) {
+      error.notSent = true
+      throw error
+    }
+  }
+
+  /**
+   * Check out a client and start a transaction on it
+   */
+  async openTransaction() {
+    const client = await this.acquire(this.pool)
+    try {
+      await client.query('BEGIN')
+      return client
     } catch (error) {
-      console.error('❌ Query error:', error.message)
-      console.error('Query:', text)
-      console.error('Params:', params)
+      client.release(error)
+      error.notSent = true
       throw error
     }
   }
 
   /**
    * Begin transaction
+   * Getting a connection is retried, since nothing has run yet
    */
   async beginTransaction() {
-    const client = await this.pool.connect()
-    await client.query('BEGIN')
-    return client
+    return this.withRetry(
+      () => this.openTransaction(),
+      (error) => this.isRetryable(error),
+      'transaction'
+    )
+  }
+
+  /**
+   * Run `fn(client)` in a transaction and commit it
+   * The whole transaction is re-run on serialization failures, deadlocks and
+   * connections lost before COMMIT, so `fn` must only touch the database. A
+   * connection lost during COMMIT is not retried: the commit may have landed.
+   */
+  async withTransaction(fn) {
+    try {
+      return await this.withRetry(async () => {
+        const client = await this.openTransaction()
+        let committing = false
+
+        try {
+          const result = await fn(this.instrument(client))
+          committing = true
+          await client.query('COMMIT')
+          client.release()
+          return result
+        } catch (error) {
+          if (committing && isConnectionError(error)) {
+            error.commitOutcomeUnknown = true
+          }
+          try {
+            await client.query('ROLLBACK')
+            client.release()
+          } catch (rollbackError) {
+            // Only a dead connection fails ROLLBACK; errors thrown by `fn`
+            // itself never get here
+            error.connectionLost = isConnectionError(error)
+            client.release(rollbackError)
+          }
+          throw error
+        }
+      }, (error) => !error.commitOutcomeUnknown &&
+        (TRANSIENT_ERROR_CODES.includes(error.code) || error.notSent || error.connectionLost), 'transaction')
+    } catch (error) {
+      if (error.notSent || error.connectionLost || error.commitOutcomeUnknown) {
+        this.handleConnectionLoss(error)
+      }
+      throw error
+    }
   }
 
   /**
@@ -133,9 +553,20 @@ class DatabaseConfig {
    * Close database connection
    */
   async close() {
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+    this.reconnecting = false
+
+    clearInterval(this.replicaHealthTimer)
+    this.replicaHealthTimer = null
+    await Promise.all(this.replicas.map(replica => replica.pool.end()))
+    this.replicas = []
+
     if (this.pool) {
-      await this.pool.end()
+      const pool = this.pool
+      this.pool = null
       this.isConnected = false
+      await pool.end()
       console.log('🔌 Database connection closed')
     }
   }
@@ -146,14 +577,66 @@ class DatabaseConfig {
   async healthCheck() {
     try {
       await this.query('SELECT 1')
-      return { status: 'healthy', connected: this.isConnected }
+      return { status: 'healthy', connected: this.isConnected, connection: this.connectionStatus() }
     } catch (error) {
-      return { status: 'unhealthy', error: error.message, connected: false }
+      return { status: 'unhealthy', error: error.message, connected: false, connection: this.connectionStatus() }
+    }
+  }
+
+  /**
+   * Reconnect and retry activity, for health output
+   */
+  connectionStatus() {
+    const events = this.connectionEvents
+    const iso = (date) => date ? date.toISOString() : null
+
+    return {
+      connected: this.isConnected,
+      reconnecting: this.reconnecting,
+      reconnectAttempts: this.reconnecting ? this.reconnectAttempts : 0,
+      disconnects: events.disconnects,
+      reconnects: events.reconnects,
+      lastDisconnectedAt: iso(events.lastDisconnectedAt),
+      lastReconnectedAt: iso(events.lastReconnectedAt),
+      lastConnectionError: events.lastConnectionError,
+      retries: {
+        query: events.retries.query,
+        transaction: events.retries.transaction,
+        last: events.lastRetry ? { ...events.lastRetry, at: iso(events.lastRetry.at) } : null
+      }
+    }
+  }
+
+  /**
+   * Primary pool usage: open clients, idle ones and callers waiting for one
+   */
+  poolStatus() {
+    if (!this.pool) {
+      return null
+    }
+
+    return {
+      total: this.pool.totalCount,
+      idle: this.pool.idleCount,
+      waiting: this.pool.waitingCount,
+      max: this.pool.options.max
     }
   }
+
+  /**
+   * State of each read replica as of its last health check
+   */
+  replicaStatus() {
+    return this.replicas.map(replica => ({
+      name: replica.name,
+      healthy: replica.healthy,
+      lastError: replica.lastError,
+      lastCheckedAt: replica.lastCheckedAt ? replica.lastCheckedAt.toISOString() : null
+    }))
+  }
 }
 
 // Singleton instance
-const dbConfig = new DatabaseConfig()
+const dbConfig = new DatabaseConfig({ replicas: parseReplicas(process.env.DB_REPLICAS) })
 
 module.exports = dbConfig
@@ -0,0 +1,167 @@
+const fs = require('fs')
+const path = require('path')
+const Database = require('better-sqlite3')
+
+/**
+ * Default database file, relative to the backend directory
+ */
+const DEFAULT_SQLITE_PATH = path.join('data', 'red_vs_blue.sqlite')
+
+/**
+ * Convert a parameter the way node-postgres would serialize it
+ * Dates become ISO 8601 text in UTC, the format every timestamp column uses,
+ * so comparing the text compares the times
+ */
+const toSqliteValue = (value) => {
+  if (value === undefined) return null
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value)
+  return value
+}
+
+class SqliteConfig {
+  constructor() {
+    this.db = null
+    this.isConnected = false
+    this.statements = new Map()
+  }
+
+  /**
+   * Path of the database file, from SQLITE_PATH
+   */
+  get filename() {
+    return path.resolve(__dirname, '..', process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH)
+  }
+
+  /**
+   * Open the database file, creating it and its directory when missing
+   */
+  async connect() {
+    try {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true })
+
+      this.db = new Database(this.filename)
+      // WAL lets readers (e.g. the CLI scripts) work alongside the server
+      this.db.pragma('journal_mode = WAL')
+      this.db.pragma('foreign_keys = ON')
+      this.db.pragma('busy_timeout = 5000')
+
+      this.isConnected = true
+      console.log(`✅ SQLite database opened at ${this.filename}`)
+
+      return this.db
+    } catch (error) {
+      console.error('❌ SQLite database failed to open:', error.message)
+      this.isConnected = false
+      throw error
+    }
+  }
+
+  /**
+   * Get a prepared statement, reusing it for repeated queries
+   */
+  prepare(text) {
+    let statement = this.statements.get(text)
+    if (!statement) {
+      statement = this.db.prepare(text)
+      this.statements.set(text, statement)
+    }
+    return statement
+  }
+
+  /**
+   * Execute a query with error handling
+   * Returns `{ rows, rowCount }` like node-postgres. Parameters are an array
+   * for `?` placeholders or an object for `@name` ones. better-sqlite3 is
+   * synchronous, so this can be called inside transaction().
+   */
+  query(text, params = []) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected')
+    }
+
+    const start = Date.now()
+    try {
+      const statement = this.prepare(text)
+      const bindings = Array.isArray(params)
+        ? params.map(toSqliteValue)
+        : [Object.fromEntries(Object.entries(params).map(([name, value]) => [name, toSqliteValue(value)]))]
+
+      let result
+      if (statement.reader) {
+        const rows = statement.all(...bindings)
+        result = { rows, rowCount: rows.length }
+      } else {
+        const info = statement.run(...bindings)
+        result = { rows: [], rowCount: info.changes }
+      }
+
+      const duration = Date.now() - start
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`🔍 Query executed in ${duration}ms:`, text.substring(0, 100))
+      }
+
+      return result
+    } catch (error) {
+      console.error('❌ Query error:', error.message)
+      console.error('Query:', text)
+      console.error('Params:', params)
+      throw error
+    }
+  }
+
+  /**
+   * Run one or more statements without parameters, e.g. a migration
+   */
+  exec(text) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected')
+    }
+
+    this.db.exec(text)
+  }
+
+  /**
+   * Run `fn` in a transaction, committing when it returns and rolling back
+   * when it throws. `fn` must be synchronous: nothing else can run on the
+   * connection while it holds the write lock.
+   */
+  transaction(fn) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected')
+    }
+
+    return this.db.transaction(fn).immediate()
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+      this.statements.clear()
+      this.isConnected = false
+      console.log('🔌 SQLite database closed')
+    }
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      this.query('SELECT 1')
+      return { status: 'healthy', connected: this.isConnected }
+    } catch (error) {
+      return { status: 'unhealthy', error: error.message, connected: false }
+    }
+  }
+}
+
+// Singleton instance
+const sqliteConfig = new SqliteConfig()
+
+module.exports = sqliteConfig
@@ -0,0 +1,136 @@
+const dbConfig = require('./database')
+const sqliteConfig = require('./sqlite')
+const MigrationManager = require('../database/migrations')
+const SqliteMigrationManager = require('../database/sqliteMigrations')
+const memoryStore = require('../repositories/memory/MemoryStore')
+
+/**
+ * Storage backends
+ * `postgres` keeps everything in PostgreSQL; `sqlite` keeps it in a single
+ * local file (SQLITE_PATH); `memory` keeps it in process memory, so the API
+ * runs without a database and starts empty on every boot
+ */
+const STORAGE_DRIVERS = ['postgres', 'sqlite', 'memory']
+
+const DESCRIPTIONS = {
+  postgres: 'PostgreSQL',
+  sqlite: 'SQLite',
+  memory: 'in-memory'
+}
+
+class StorageConfig {
+  constructor() {
+    // Read after config/database has loaded the environment files
+    this.driver = (process.env.STORAGE || 'postgres').trim().toLowerCase()
+
+    if (!STORAGE_DRIVERS.includes(this.driver)) {
+      throw new Error(`Unknown STORAGE '${process.env.STORAGE}'; use one of: ${STORAGE_DRIVERS.join(', ')}`)
+    }
+
+    // Set once connect() has finished, migrations included
+    this.ready = false
+  }
+
+  /**
+   * Human-readable name of the selected backend, for startup logs
+   */
+  get description() {
+    return DESCRIPTIONS[this.driver]
+  }
+
+  /**
+   * Prepare the selected backend
+   * PostgreSQL and SQLite are connected and migrated; the in-memory store is
+   * seeded with the same teams and default battle the migrations create
+   */
+  async connect() {
+    if (this.driver === 'memory') {
+      memoryStore.reset()
+      console.log('✅ In-memory storage ready (data is lost on restart)')
+      this.ready = true
+      return
+    }
+
+    if (this.driver === 'sqlite') {
+      sqliteConfig.connect()
+
+      console.log('🔄 Running database migrations...')
+      const migrationManager = new SqliteMigrationManager()
+      await migrationManager.migrate()
+      this.ready = true
+      return
+    }
+
+    await dbConfig.connect()
+
+    console.log('🔄 Running database migrations...')
+    const migrationManager = new MigrationManager()
+    await migrationManager.migrate()
+    this.ready = true
+  }
+
+  /**
+   * Release the selected backend
+   */
+  async close() {
+    this.ready = false
+
+    if (this.driver === 'postgres') {
+      await dbConfig.close()
+    } else if (this.driver === 'sqlite') {
+      sqliteConfig.close()
+    }
+  }
+
+  /**
+   * Check that the selected backend answers queries
+   */
+  async healthCheck() {
+    if (this.driver === 'memory') {
+      return { status: 'healthy' }
+    }
+
+    return this.driver === 'sqlite' ? sqliteConfig.healthCheck() : dbConfig.healthCheck()
+  }
+
+  /**
+   * Connection pool usage; only PostgreSQL has a pool
+   */
+  poolStatus() {
+    return this.driver === 'postgres' ? dbConfig.poolStatus() : null
+  }
+
+  /**
+   * Latest applied migration version and how many migrations are applied and
+   * pending; null for the in-memory store, which has no migrations
+   */
+  async migrationStatus() {
+    if (this.driver === 'memory') {
+      return null
+    }
+
+    let migrations
+    if (this.driver === 'sqlite') {
+      const manager = new SqliteMigrationManager()
+      const applied = manager.getAppliedMigrations()
+      migrations = manager.migrations.map(migration => ({
+        version: migration.version,
+        state: applied.includes(migration.version) ? 'applied' : 'pending'
+      }))
+    } else {
+      migrations = await new MigrationManager().getStatus()
+    }
+
+    const applied = migrations.filter(migration => migration.state !== 'pending')
+    return {
+      version: applied.length > 0 ? applied[applied.length - 1].version : null,
+      applied: applied.length,
+      pending: migrations.length - applied.length
+    }
+  }
+}
+
+// Singleton instance
+const storage = new StorageConfig()
+
+module.exports = storage
@@ -26,6 +26,12 @@ const swaggerOptions = {
         ## WebSocket
         Connect to \`ws://localhost:3000\` for real-time counter updates.
         
+        ## Request IDs
+        Send an \`X-Request-Id\` header (up to 128 letters, digits, \`.\`, \`_\`, \`:\` or \`-\`)
+        and/or a W3C \`traceparent\` header to trace a request; either is generated when
+        missing or invalid. Both are returned on every response, error bodies include
+        \`requestId\`, and votes store the request and trace ids in their history entry.
+        
         ## Rate Limits
         - General endpoints: 100 requests per 15 minutes
         - Counter increments: 30 requests per minute
@@ -59,10 +65,26 @@ const swaggerOptions = {
         name: 'Counters',
         description: 'Counter operations and management'
       },
+      {
+        name: 'Teams',
+        description: 'Team management and team voting'
+      },
+      {
+        name: 'Battles',
+        description: 'Independent battles, each with its own counters and audience'
+      },
+      {
+        name: 'Rounds',
+        description: 'Timed voting rounds and their results'
+      },
       {
         name: 'Analytics',
         description: 'Statistics and historical data'
       },
+      {
+        name: 'Leaderboard',
+        description: 'Top contributing voter sessions and their nicknames'
+      },
       {
         name: 'Admin',
         description: 'Administrative operations (restricted)'
@@ -79,8 +101,8 @@ const swaggerOptions = {
           properties: {
             color: {
               type: 'string',
-              enum: ['red', 'blue'],
-              description: 'The counter color'
+              example: 'red',
+              description: 'Id of the team the counter belongs to'
             },
             count: {
               type: 'integer',
@@ -97,9 +119,14 @@ const swaggerOptions = {
         CounterUpdate: {
           type: 'object',
           properties: {
+            battleId: {
+              type: 'string',
+              example: 'default'
+            },
             color: {
               type: 'string',
-              enum: ['red', 'blue']
+              example: 'red',
+              description: 'Team id'
             },
             previousCount: {
               type: 'integer',
@@ -132,7 +159,250 @@ const swaggerOptions = {
             },
             sessionId: {
               type: 'string',
-              description: 'Optional session identifier'
+              maxLength: 255,
+              description: 'Optional session identifier, recorded with the vote in counter_history. Falls back to the X-Session-Id header.'
+            }
+          }
+        },
+        Team: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'green',
+              description: 'Team id, used in URLs and as the counter key'
+            },
+            name: {
+              type: 'string',
+              example: 'Green Giants',
+              description: 'Display name'
+            },
+            color: {
+              type: 'string',
+              example: '#2ecc71',
+              description: 'Display color (hex)'
+            },
+            is_active: {
+              type: 'boolean',
+              description: 'False once the team has been retired'
+            },
+            retired_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Battle: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'stream-42'
+            },
+            name: {
+              type: 'string',
+              example: 'Friday night stream'
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'archived']
+            },
+            teams: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['blue', 'red']
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        CreateBattleRequest: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: {
+              type: 'string',
+              pattern: '^[a-z0-9][a-z0-9_-]{0,49}$'
+            },
+            name: {
+              type: 'string',
+              maxLength: 100
+            },
+            teams: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Team ids taking part (defaults to every active team)'
+            }
+          }
+        },
+        Round: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer'
+            },
+            battle_id: {
+              type: 'string',
+              example: 'default'
+            },
+            name: {
+              type: 'string',
+              example: 'Round 1'
+            },
+            starts_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            ends_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            status: {
+              type: 'string',
+              enum: ['scheduled', 'open', 'closed']
+            },
+            opened_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            closed_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            winner: {
+              type: 'string',
+              nullable: true,
+              description: 'Winning team id; null for ties and rounds still running'
+            },
+            is_tie: {
+              type: 'boolean',
+              nullable: true
+            },
+            final_tallies: {
+              type: 'object',
+              nullable: true,
+              additionalProperties: {
+                type: 'integer'
+              },
+              example: { red: 120, blue: 98 }
+            }
+          }
+        },
+        RoundResult: {
+          type: 'object',
+          properties: {
+            roundId: {
+              type: 'integer'
+            },
+            battleId: {
+              type: 'string'
+            },
+            name: {
+              type: 'string'
+            },
+            startsAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endsAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            closedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            tallies: {
+              type: 'object',
+              additionalProperties: {
+                type: 'integer'
+              },
+              example: { red: 120, blue: 98 }
+            },
+            winner: {
+              type: 'string',
+              nullable: true,
+              example: 'red'
+            },
+            isTie: {
+              type: 'boolean'
+            },
+            tiedTeams: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            }
+          }
+        },
+        ScheduleRoundRequest: {
+          type: 'object',
+          required: ['startsAt', 'endsAt'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100,
+              description: "Defaults to 'Round N'"
+            },
+            startsAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endsAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        CreateTeamRequest: {
+          type: 'object',
+          required: ['id', 'name', 'color'],
+          properties: {
+            id: {
+              type: 'string',
+              pattern: '^[a-z0-9][a-z0-9_-]{0,49}$'
+            },
+            name: {
+              type: 'string',
+              maxLength: 100
+            },
+            color: {
+              type: 'string',
+              pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$'
+            }
+          }
+        },
+        UpdateTeamRequest: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 100
+            },
+            color: {
+              type: 'string',
+              pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$'
             }
           }
         },
@@ -148,18 +418,136 @@ const swaggerOptions = {
                 properties: {
                   color: {
                     type: 'string',
-                    enum: ['red', 'blue']
+                    example: 'red',
+                    description: 'Team id'
                   },
                   incrementBy: {
                     type: 'integer',
                     minimum: 1,
                     maximum: 100,
                     default: 1
+                  },
+                  sessionId: {
+                    type: 'string',
+                    maxLength: 255
                   }
                 }
               },
               minItems: 1,
               maxItems: 10
+            },
+            atomic: {
+              type: 'boolean',
+              default: false,
+              description: 'Apply every increment in one transaction, or none of them. Invalid items reject the whole batch with a 400 instead of a 207.'
+            }
+          }
+        },
+        CounterSeries: {
+          type: 'object',
+          properties: {
+            battleId: {
+              type: 'string',
+              example: 'default'
+            },
+            bucket: {
+              type: 'string',
+              enum: ['minute', 'hour', 'day']
+            },
+            from: {
+              type: 'string',
+              format: 'date-time'
+            },
+            to: {
+              type: 'string',
+              format: 'date-time'
+            },
+            series: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  color: {
+                    type: 'string',
+                    example: 'red'
+                  },
+                  total: {
+                    type: 'integer',
+                    description: 'Votes in the whole range'
+                  },
+                  points: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        bucket: {
+                          type: 'string',
+                          format: 'date-time',
+                          description: 'Start of the bucket'
+                        },
+                        increments: {
+                          type: 'integer',
+                          description: 'Votes in this bucket'
+                        },
+                        cumulative: {
+                          type: 'integer',
+                          description: "The team's count at the end of this bucket, as /counters?at= reports it"
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        HistoryEntry: {
+          type: 'object',
+          description: 'One counter_history ledger row',
+          properties: {
+            id: { type: 'integer' },
+            battle_id: { type: 'string', example: 'default' },
+            color: { type: 'string', example: 'red' },
+            previous_count: { type: 'integer' },
+            new_count: { type: 'integer' },
+            increment_amount: {
+              type: 'integer',
+              description: 'Change to the counter. A rollup carries the sum of the votes it replaced.'
+            },
+            type: {
+              type: 'string',
+              enum: ['vote', 'rollup', 'action'],
+              description: "'vote' for a single vote, 'rollup' for an hour of votes compacted by history retention, 'action' for a reset or round start"
+            },
+            count: {
+              type: 'integer',
+              description: 'Number of votes the row stands for: 1 for a vote, rollup_count for a rollup, 0 for an action'
+            },
+            rollup_count: { type: 'integer', nullable: true },
+            client_info: { type: 'object', nullable: true },
+            session_id: { type: 'string', nullable: true },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the vote was cast; the start of the hour for a rollup'
+            }
+          }
+        },
+        CounterHistory: {
+          type: 'object',
+          properties: {
+            history: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/HistoryEntry' }
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                limit: { type: 'integer' },
+                offset: { type: 'integer' },
+                totalCount: { type: 'integer' },
+                hasMore: { type: 'boolean' }
+              }
             }
           }
         },
@@ -200,12 +588,116 @@ const swaggerOptions = {
             }
           }
         },
+        Readiness: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['ready', 'not_ready']
+            },
+            checks: {
+              type: 'object',
+              description: 'One entry per check: migrations, database, websocket and shutdown',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  ready: { type: 'boolean' },
+                  error: { type: 'string' }
+                }
+              },
+              example: {
+                migrations: { ready: true },
+                database: { ready: true },
+                websocket: { ready: true },
+                shutdown: { ready: true }
+              }
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        DependencyHealth: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['healthy', 'unhealthy']
+            },
+            database: {
+              type: 'object',
+              properties: {
+                storage: { type: 'string', example: 'postgres' },
+                status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+                pool: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'PostgreSQL only',
+                  properties: {
+                    total: { type: 'integer', example: 4 },
+                    idle: { type: 'integer', example: 3 },
+                    waiting: { type: 'integer', example: 0 },
+                    max: { type: 'integer', example: 20 }
+                  }
+                }
+              }
+            },
+            migrations: {
+              type: 'object',
+              properties: {
+                version: { type: 'string', nullable: true, example: '011' },
+                applied: { type: 'integer', example: 10 },
+                pending: { type: 'integer', example: 0 }
+              }
+            },
+            websocket: {
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: ['up', 'closing', 'down'] },
+                clients: {
+                  type: 'object',
+                  properties: {
+                    total: { type: 'integer', example: 5 },
+                    subscribed: { type: 'integer', example: 5 },
+                    byBattle: {
+                      type: 'object',
+                      additionalProperties: { type: 'integer' },
+                      example: { default: 5 }
+                    }
+                  }
+                }
+              }
+            },
+            process: {
+              type: 'object',
+              properties: {
+                uptime: { type: 'number' },
+                memoryMb: { type: 'integer' },
+                shuttingDown: { type: 'boolean' }
+              }
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         Statistics: {
           type: 'object',
           properties: {
             timeRange: {
               type: 'string',
-              description: 'Time range for statistics'
+              nullable: true,
+              description: 'Requested duration, or null when only startDate/endDate were given'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endDate: {
+              type: 'string',
+              format: 'date-time'
             },
             stats: {
               type: 'array',
@@ -214,7 +706,13 @@ const swaggerOptions = {
                 properties: {
                   color: {
                     type: 'string',
-                    enum: ['red', 'blue']
+                    example: 'red',
+                    description: 'Team id'
+                  },
+                  name: {
+                    type: 'string',
+                    example: 'Red',
+                    description: 'Team display name'
                   },
                   current_count: {
                     type: 'integer'
@@ -250,7 +748,8 @@ const swaggerOptions = {
                 },
                 leader: {
                   type: 'string',
-                  enum: ['red', 'blue', 'tie']
+                  example: 'red',
+                  description: "Leading team id, or 'tie'"
                 },
                 leaderCount: {
                   type: 'integer'
@@ -260,6 +759,9 @@ const swaggerOptions = {
                 }
               }
             },
+            momentum: {
+              $ref: '#/components/schemas/Momentum'
+            },
             insights: {
               type: 'array',
               items: {
@@ -268,6 +770,254 @@ const swaggerOptions = {
             }
           }
         },
+        Momentum: {
+          type: 'object',
+          description: 'Momentum analytics from replaying the ledger over the requested range',
+          properties: {
+            windows: {
+              type: 'array',
+              description: 'Votes per minute over sliding windows ending at endDate (1, 5 and 15 minutes)',
+              items: {
+                type: 'object',
+                properties: {
+                  minutes: {
+                    type: 'integer',
+                    example: 5
+                  },
+                  from: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  votesPerMinute: {
+                    type: 'object',
+                    additionalProperties: { type: 'number' },
+                    example: { red: 4.2, blue: 3.8 }
+                  },
+                  leader: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Fastest team in the window, or null on a tie'
+                  }
+                }
+              }
+            },
+            currentLeader: {
+              type: 'string',
+              nullable: true,
+              description: 'Leading team at endDate, or null on a tie'
+            },
+            leadChanges: {
+              type: 'object',
+              properties: {
+                count: {
+                  type: 'integer'
+                },
+                recent: {
+                  type: 'array',
+                  description: 'The 10 most recent lead changes',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      timestamp: { type: 'string', format: 'date-time' },
+                      from: { type: 'string', example: 'blue' },
+                      to: { type: 'string', example: 'red' }
+                    }
+                  }
+                }
+              }
+            },
+            longestStreak: {
+              $ref: '#/components/schemas/VoteStreak'
+            },
+            currentStreak: {
+              $ref: '#/components/schemas/VoteStreak'
+            },
+            comebacks: {
+              type: 'array',
+              description: 'Teams that took the lead after trailing by at least 5',
+              items: {
+                type: 'object',
+                properties: {
+                  team: { type: 'string', example: 'blue' },
+                  deficit: { type: 'integer', example: 12 },
+                  trailedAt: { type: 'string', format: 'date-time' },
+                  tookLeadAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            votesAnalyzed: {
+              type: 'integer'
+            },
+            truncated: {
+              type: 'boolean',
+              description: 'True when only the most recent 50000 ledger entries were analyzed'
+            }
+          }
+        },
+        VoteStreak: {
+          type: 'object',
+          nullable: true,
+          description: 'Consecutive votes for one team',
+          properties: {
+            team: { type: 'string', example: 'red' },
+            length: { type: 'integer', example: 7 },
+            startedAt: { type: 'string', format: 'date-time' },
+            endedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        LeaderboardEntry: {
+          type: 'object',
+          properties: {
+            rank: {
+              type: 'integer',
+              example: 1
+            },
+            sessionTag: {
+              type: 'string',
+              example: '3f2a9c01b7de',
+              description: 'Short hash of the session id; the session id itself is never shown'
+            },
+            nickname: {
+              type: 'string',
+              nullable: true,
+              example: 'RedRocket'
+            },
+            votes: {
+              type: 'integer',
+              description: 'Sum of the increments the session contributed'
+            },
+            increments: {
+              type: 'integer',
+              description: 'Number of votes cast'
+            },
+            lastVoteAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Leaderboard: {
+          type: 'object',
+          properties: {
+            battleId: {
+              type: 'string',
+              example: 'default'
+            },
+            timeRange: {
+              type: 'string',
+              nullable: true
+            },
+            startDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            overall: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/LeaderboardEntry'
+              }
+            },
+            byTeam: {
+              type: 'object',
+              description: 'Rankings keyed by team id, counting only votes for that team',
+              additionalProperties: {
+                type: 'array',
+                items: {
+                  $ref: '#/components/schemas/LeaderboardEntry'
+                }
+              }
+            },
+            generatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        NicknameRequest: {
+          type: 'object',
+          required: ['nickname'],
+          properties: {
+            nickname: {
+              type: 'string',
+              maxLength: 32,
+              example: 'RedRocket'
+            },
+            sessionId: {
+              type: 'string',
+              maxLength: 255,
+              description: 'Session to name. Falls back to the X-Session-Id header.'
+            }
+          }
+        },
+        QueryStatementMetrics: {
+          type: 'object',
+          properties: {
+            statement: {
+              type: 'string',
+              description: 'Statement with literals replaced by ?',
+              example: 'SELECT color, count FROM counters WHERE battle_id = $1'
+            },
+            count: { type: 'integer', example: 1520 },
+            errors: { type: 'integer', example: 0 },
+            slow: { type: 'integer', description: 'Executions at or above the slow-query threshold', example: 2 },
+            totalMs: { type: 'number', example: 3040.5 },
+            meanMs: { type: 'number', example: 2 },
+            maxMs: { type: 'number', example: 612.3 },
+            p50Ms: { type: 'number', example: 1 },
+            p95Ms: { type: 'number', example: 5 },
+            p99Ms: { type: 'number', example: 10 },
+            lastSeenAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        SlowQueries: {
+          type: 'object',
+          properties: {
+            storage: {
+              type: 'string',
+              example: 'postgres'
+            },
+            enabled: {
+              type: 'boolean',
+              description: 'False when the storage backend is not PostgreSQL'
+            },
+            sort: {
+              type: 'string',
+              enum: ['mean', 'max', 'p95', 'total', 'count']
+            },
+            since: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When collection started'
+            },
+            slowQueryMs: {
+              type: 'number',
+              example: 500
+            },
+            sampleRate: {
+              type: 'number',
+              example: 1
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                statements: { type: 'integer' },
+                queries: { type: 'integer' },
+                errors: { type: 'integer' },
+                slow: { type: 'integer' }
+              }
+            },
+            statements: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/QueryStatementMetrics'
+              }
+            }
+          }
+        },
         ApiResponse: {
           type: 'object',
           properties: {
@@ -301,6 +1051,11 @@ const swaggerOptions = {
               type: 'string',
               description: 'Error code'
             },
+            requestId: {
+              type: 'string',
+              description: 'Id of the failed request, also sent in the X-Request-Id header and logged with every line it wrote',
+              example: '5f0c6a3e-2d1b-4c8e-9a7f-1e2d3c4b5a69'
+            },
             timestamp: {
               type: 'string',
               format: 'date-time'
@@ -319,6 +1074,16 @@ const swaggerOptions = {
             }
           }
         },
+        Conflict: {
+          description: 'Conflict with the current state of the resource',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              }
+            }
+          }
+        },
         NotFound: {
           description: 'Resource not found',
           content: {
@@ -349,6 +1114,19 @@ const swaggerOptions = {
             }
           }
         }
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255
+          },
+          description: 'Makes retries safe: a repeated request with the same key returns the original successful response (with an `Idempotent-Replayed: true` header) instead of voting again. Failed requests are not stored, so retrying one runs it again. Reusing a key with a different body returns 409. Keys expire after `IDEMPOTENCY_KEY_TTL_SECONDS`.',
+          example: '3f1c2a9e-5b7d-4e0a-9c1f-2b6d8e4a7c10'
+        }
       }
     }
   },
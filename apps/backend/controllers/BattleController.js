@@ -0,0 +1,86 @@
+const BattleService = require('../services/BattleService')
+const { asyncHandler, statusForResult } = require('../middleware/errorHandler')
+
+/**
+ * Battle Controller
+ * Handles HTTP requests for battle management
+ */
+class BattleController {
+  constructor() {
+    this.battleService = new BattleService()
+  }
+
+  /**
+   * List battles
+   * GET /api/battles
+   */
+  getBattles = asyncHandler(async (req, res) => {
+    const includeArchived = req.query.includeArchived === 'true'
+    const result = await this.battleService.listBattles({ includeArchived })
+
+    if (!result.success) {
+      return res.status(500).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Get a single battle
+   * GET /api/battles/:battleId
+   */
+  getBattle = asyncHandler(async (req, res) => {
+    const result = await this.battleService.getBattle(req.params.battleId)
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Create a battle (admin only)
+   * POST /api/battles
+   */
+  createBattle = asyncHandler(async (req, res) => {
+    const { id, name, teams } = req.body || {}
+    const result = await this.battleService.createBattle({ id, name, teams })
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.status(201).json(result)
+  })
+
+  /**
+   * Archive a battle (admin only)
+   * POST /api/battles/:battleId/archive
+   */
+  archiveBattle = asyncHandler(async (req, res) => {
+    const result = await this.battleService.archiveBattle(req.params.battleId)
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    console.log('🗄️ Admin archived battle:', {
+      battle: result.data.id,
+      ipAddress: req.ip,
+      timestamp: new Date().toISOString()
+    })
+
+    if (req.wsManager) {
+      req.wsManager.broadcastToBattle(result.data.id, {
+        type: 'battle_archived',
+        data: result.data,
+        timestamp: new Date().toISOString()
+      })
+    }
+
+    res.json(result)
+  })
+}
+
+module.exports = BattleController
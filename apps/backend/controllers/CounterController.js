@@ -1,5 +1,9 @@
+const { Readable } = require('stream')
+const { pipeline } = require('stream/promises')
 const CounterService = require('../services/CounterService')
-const { asyncHandler } = require('../middleware/errorHandler')
+const { BattleRepository } = require('../repositories')
+const { asyncHandler, statusForResult } = require('../middleware/errorHandler')
+const { getSessionId } = require('../utils/session')
 
 /**
  * Counter Controller
@@ -11,19 +15,43 @@ class CounterController {
   }
 
   /**
-   * Get current counter values
+   * Get current counter values, or their values at `?at=<ISO timestamp>`
    * GET /api/counters
+   * GET /api/battles/:battleId/counters
    */
   getCounters = asyncHandler(async (req, res) => {
-    const result = await this.counterService.getCurrentCounters()
+    const battleId = this.getBattleId(req)
+    
+    // ?at=<ISO timestamp> rebuilds the values from the history ledger
+    if (req.query.at !== undefined) {
+      const result = await this.counterService.getCountersAt(req.query.at, battleId)
+      
+      if (!result.success) {
+        return res.status(statusForResult(result, 500)).json(result)
+      }
+      
+      return res.json({
+        success: true,
+        data: {
+          battleId,
+          counters: result.data.counters,
+          at: result.data.at,
+          snapshotTakenAt: result.data.snapshotTakenAt,
+          timestamp: result.timestamp
+        }
+      })
+    }
+    
+    const result = await this.counterService.getCurrentCounters(battleId)
     
     if (!result.success) {
-      return res.status(500).json(result)
+      return res.status(statusForResult(result, 500)).json(result)
     }
     
     res.json({
       success: true,
       data: {
+        battleId,
         counters: result.data.counters,
         lastUpdated: result.data.lastUpdated,
         timestamp: result.timestamp
@@ -36,29 +64,7 @@ class CounterController {
    * POST /api/red
    */
   incrementRed = asyncHandler(async (req, res) => {
-    const clientInfo = this.extractClientInfo(req)
-    const options = {
-      incrementBy: req.body?.incrementBy || 1,
-      clientInfo,
-      sessionId: req.body?.sessionId || req.sessionID
-    }
-    
-    const result = await this.counterService.incrementCounter('red', options)
-    
-    if (!result.success) {
-      return res.status(400).json(result)
-    }
-    
-    // Broadcast WebSocket update to all connected clients
-    if (req.wsManager) {
-      await req.wsManager.broadcastCounterUpdate()
-    }
-    
-    res.json({
-      success: true,
-      message: `Red activated ${result.data.newCount} times`,
-      data: result.data
-    })
+    await this.incrementAndRespond('red', req, res)
   })
 
   /**
@@ -66,37 +72,26 @@ class CounterController {
    * POST /api/blue
    */
   incrementBlue = asyncHandler(async (req, res) => {
-    const clientInfo = this.extractClientInfo(req)
-    const options = {
-      incrementBy: req.body?.incrementBy || 1,
-      clientInfo,
-      sessionId: req.body?.sessionId || req.sessionID
-    }
-    
-    const result = await this.counterService.incrementCounter('blue', options)
-    
-    if (!result.success) {
-      return res.status(400).json(result)
-    }
-    
-    // Broadcast WebSocket update to all connected clients
-    if (req.wsManager) {
-      await req.wsManager.broadcastCounterUpdate()
-    }
-    
-    res.json({
-      success: true,
-      message: `Blue activated ${result.data.newCount} times`,
-      data: result.data
-    })
+    await this.incrementAndRespond('blue', req, res)
+  })
+
+  /**
+   * Increment any team's counter
+   * POST /api/teams/:teamId/increment
+   * POST /api/battles/:battleId/teams/:teamId/increment
+   */
+  incrementTeam = asyncHandler(async (req, res) => {
+    await this.incrementAndRespond(req.params.teamId, req, res)
   })
 
   /**
    * Batch increment multiple counters
    * POST /api/counters/batch
+   * POST /api/battles/:battleId/counters/batch
    */
   batchIncrement = asyncHandler(async (req, res) => {
-    const { increments } = req.body
+    const battleId = this.getBattleId(req)
+    const { increments, atomic = false } = req.body
     
     if (!Array.isArray(increments) || increments.length === 0) {
       return res.status(400).json({
@@ -105,17 +100,33 @@ class CounterController {
       })
     }
     
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'atomic must be a boolean'
+      })
+    }
+    
     // Add client info to each increment
     const enrichedIncrements = increments.map(inc => ({
       ...inc,
-      clientInfo: this.extractClientInfo(req)
+      clientInfo: this.extractClientInfo(req),
+      sessionId: getSessionId(req, inc?.sessionId)
     }))
     
-    const result = await this.counterService.batchIncrementCounters(enrichedIncrements)
+    const result = await this.counterService.batchIncrementCounters(enrichedIncrements, { battleId, atomic })
     
-    // Broadcast WebSocket update to all connected clients if any increments succeeded
-    if (result.success && req.wsManager) {
-      await req.wsManager.broadcastCounterUpdate()
+    // An atomic batch either fully applies or fails as a whole
+    if (result.code || (atomic && !result.success)) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+    
+    // Broadcast once, after the increments are committed, if any succeeded
+    if (result.data.summary.successful > 0 && req.wsManager) {
+      await req.wsManager.broadcastCounterUpdate(battleId)
+      if (enrichedIncrements.some(inc => inc.sessionId)) {
+        req.wsManager.scheduleLeaderboardUpdate(battleId)
+      }
     }
     
     res.status(result.success ? 200 : 207).json(result)
@@ -124,23 +135,89 @@ class CounterController {
   /**
    * Reset all counters (admin only)
    * POST /api/counters/reset
+   * POST /api/battles/:battleId/counters/reset
    */
   resetCounters = asyncHandler(async (req, res) => {
+    const battleId = this.getBattleId(req)
     const adminInfo = {
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
       timestamp: new Date().toISOString()
     }
     
-    const result = await this.counterService.resetAllCounters(adminInfo)
+    const result = await this.counterService.resetAllCounters(adminInfo, battleId)
     
     if (!result.success) {
-      return res.status(500).json(result)
+      return res.status(statusForResult(result, 500)).json(result)
     }
     
-    // Broadcast WebSocket update to all connected clients
+    // Broadcast WebSocket update to the battle's clients
     if (req.wsManager) {
-      await req.wsManager.broadcastCounterUpdate()
+      await req.wsManager.broadcastCounterUpdate(battleId)
+    }
+    
+    res.json(result)
+  })
+
+  /**
+   * Rebuild counters by replaying the counter_history ledger (admin only)
+   * POST /api/counters/rebuild
+   * POST /api/battles/:battleId/counters/rebuild
+   */
+  rebuildCounters = asyncHandler(async (req, res) => {
+    const battleId = this.getBattleId(req)
+    const adminInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }
+    
+    const result = await this.counterService.rebuildCounters(adminInfo, battleId)
+    
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+    
+    // Broadcast WebSocket update to the battle's clients if anything changed
+    if (result.data.corrected > 0 && req.wsManager) {
+      await req.wsManager.broadcastCounterUpdate(battleId)
+    }
+    
+    res.json(result)
+  })
+
+  /**
+   * Import counter history from a CSV or NDJSON export (admin only)
+   * POST /api/counters/history/import
+   * The file is the raw request body, read as a stream
+   */
+  importHistory = asyncHandler(async (req, res) => {
+    // JSON and form bodies are consumed by the body parsers before this runs
+    if (req.is(['json', 'urlencoded'])) {
+      return res.status(400).json({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        error: 'Send the file as text/csv or application/x-ndjson'
+      })
+    }
+    
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'ndjson')
+    const adminInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    }
+    
+    const result = await this.counterService.importCounterHistory(req, { format, adminInfo })
+    
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+    
+    if (req.wsManager) {
+      for (const battleId of result.data.battles) {
+        await req.wsManager.broadcastCounterUpdate(battleId)
+      }
     }
     
     res.json(result)
@@ -149,13 +226,17 @@ class CounterController {
   /**
    * Get counter statistics
    * GET /api/counters/stats
+   * GET /api/battles/:battleId/counters/stats
    */
   getStatistics = asyncHandler(async (req, res) => {
-    const timeRange = req.query.timeRange || '24 hours'
-    const result = await this.counterService.getCounterStatistics(timeRange)
+    const { timeRange, startDate, endDate } = req.query
+    const result = await this.counterService.getCounterStatistics(
+      { timeRange, startDate, endDate },
+      this.getBattleId(req)
+    )
     
     if (!result.success) {
-      return res.status(500).json(result)
+      return res.status(statusForResult(result, 500)).json(result)
     }
     
     res.json(result)
@@ -164,9 +245,11 @@ class CounterController {
   /**
    * Get counter history
    * GET /api/counters/history
+   * GET /api/battles/:battleId/counters/history
    */
   getHistory = asyncHandler(async (req, res) => {
     const filters = {
+      battleId: this.getBattleId(req),
       color: req.query.color,
       limit: parseInt(req.query.limit) || 50,
       offset: parseInt(req.query.offset) || 0,
@@ -177,7 +260,61 @@ class CounterController {
     const result = await this.counterService.getCounterHistory(filters)
     
     if (!result.success) {
-      return res.status(400).json(result)
+      return res.status(statusForResult(result)).json(result)
+    }
+    
+    res.json(result)
+  })
+
+  /**
+   * Stream counter history as CSV or NDJSON
+   * GET /api/counters/history/export
+   * GET /api/battles/:battleId/counters/history/export
+   */
+  exportHistory = asyncHandler(async (req, res) => {
+    const result = await this.counterService.exportCounterHistory({
+      battleId: this.getBattleId(req),
+      format: req.query.format || 'ndjson',
+      color: req.query.color,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    })
+    
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+    
+    res.set({
+      'Content-Type': result.data.contentType,
+      'Content-Disposition': `attachment; filename="${result.data.filename}"`
+    })
+    
+    // pipeline applies backpressure and closes the cursor if the client goes away
+    try {
+      await pipeline(Readable.from(result.data.chunks), res)
+    } catch (error) {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('❌ Counter history export failed:', error.message)
+      }
+    }
+  })
+
+  /**
+   * Get a time series of votes per team
+   * GET /api/counters/series
+   * GET /api/battles/:battleId/counters/series
+   */
+  getSeries = asyncHandler(async (req, res) => {
+    const result = await this.counterService.getCounterSeries({
+      battleId: this.getBattleId(req),
+      bucket: req.query.bucket,
+      from: req.query.from,
+      to: req.query.to,
+      color: req.query.color
+    })
+    
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
     }
     
     res.json(result)
@@ -220,6 +357,48 @@ class CounterController {
     })
   })
 
+  /**
+   * Shared increment flow for the team routes and the red/blue aliases
+   */
+  async incrementAndRespond(teamId, req, res) {
+    const battleId = this.getBattleId(req)
+    const clientInfo = this.extractClientInfo(req)
+    const options = {
+      battleId,
+      incrementBy: req.body?.incrementBy || 1,
+      clientInfo,
+      sessionId: getSessionId(req, req.body?.sessionId)
+    }
+    
+    const result = await this.counterService.incrementCounter(teamId, options)
+    
+    if (!result.success) {
+      return res.status(statusForResult(result)).json(result)
+    }
+    
+    // Broadcast WebSocket update to the battle's clients
+    if (req.wsManager) {
+      await req.wsManager.broadcastCounterUpdate(battleId)
+      if (options.sessionId) {
+        req.wsManager.scheduleLeaderboardUpdate(battleId)
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: `${result.team.name} activated ${result.data.newCount} times`,
+      data: result.data
+    })
+  }
+
+  /**
+   * Resolve the battle a request targets
+   * Legacy routes have no :battleId and use the default battle
+   */
+  getBattleId(req) {
+    return req.params.battleId?.trim().toLowerCase() || BattleRepository.DEFAULT_BATTLE_ID
+  }
+
   /**
    * Extract client information from request
    */
@@ -0,0 +1,50 @@
+const HealthService = require('../services/HealthService')
+const { asyncHandler } = require('../middleware/errorHandler')
+
+/**
+ * Health Controller
+ * Handles liveness, readiness and dependency health checks
+ */
+class HealthController {
+  constructor() {
+    this.healthService = new HealthService()
+  }
+
+  /**
+   * Liveness probe
+   * GET /api/health/live
+   */
+  getLiveness = asyncHandler(async (req, res) => {
+    res.json(this.healthService.getLiveness())
+  })
+
+  /**
+   * Readiness probe
+   * GET /api/health/ready
+   */
+  getReadiness = asyncHandler(async (req, res) => {
+    const readiness = await this.healthService.getReadiness(this.getAppState(req))
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness)
+  })
+
+  /**
+   * Detailed dependency report
+   * GET /api/health/dependencies
+   */
+  getDependencies = asyncHandler(async (req, res) => {
+    const report = await this.healthService.getDependencies(this.getAppState(req))
+    res.status(report.status === 'healthy' ? 200 : 503).json(report)
+  })
+
+  /**
+   * The server state health checks depend on, as set up in index.js
+   */
+  getAppState(req) {
+    return {
+      wsManager: req.wsManager || null,
+      shuttingDown: Boolean(req.app.get('shuttingDown'))
+    }
+  }
+}
+
+module.exports = HealthController
@@ -0,0 +1,85 @@
+const LeaderboardService = require('../services/LeaderboardService')
+const { BattleRepository } = require('../repositories')
+const { asyncHandler, statusForResult } = require('../middleware/errorHandler')
+const { getSessionId } = require('../utils/session')
+
+/**
+ * Leaderboard Controller
+ * Handles HTTP requests for the contributor leaderboard and session nicknames
+ */
+class LeaderboardController {
+  constructor() {
+    this.leaderboardService = new LeaderboardService()
+  }
+
+  /**
+   * Get the top contributing sessions, overall and per team
+   * GET /api/leaderboard
+   * GET /api/battles/:battleId/leaderboard
+   */
+  getLeaderboard = asyncHandler(async (req, res) => {
+    const { timeRange, startDate, endDate, limit } = req.query
+
+    const result = await this.leaderboardService.getLeaderboard(
+      { timeRange, startDate, endDate },
+      { battleId: this.getBattleId(req), limit }
+    )
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Set the caller's nickname
+   * PUT /api/session/nickname
+   */
+  setNickname = asyncHandler(async (req, res) => {
+    const sessionId = getSessionId(req, req.body?.sessionId)
+    const result = await this.leaderboardService.setNickname(sessionId, req.body?.nickname)
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    this.broadcastNicknameChange(req)
+    res.json(result)
+  })
+
+  /**
+   * Remove the caller's nickname
+   * DELETE /api/session/nickname
+   */
+  clearNickname = asyncHandler(async (req, res) => {
+    const sessionId = getSessionId(req, req.body?.sessionId)
+    const result = await this.leaderboardService.clearNickname(sessionId)
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    this.broadcastNicknameChange(req)
+    res.json(result)
+  })
+
+  /**
+   * A nickname can appear on any battle's leaderboard
+   */
+  broadcastNicknameChange(req) {
+    if (req.wsManager) {
+      req.wsManager.scheduleLeaderboardUpdatesToAllBattles()
+    }
+  }
+
+  /**
+   * Resolve the battle a request targets
+   * Legacy routes have no :battleId and use the default battle
+   */
+  getBattleId(req) {
+    return req.params.battleId?.trim().toLowerCase() || BattleRepository.DEFAULT_BATTLE_ID
+  }
+}
+
+module.exports = LeaderboardController
@@ -0,0 +1,40 @@
+const MetricsService = require('../services/MetricsService')
+const { asyncHandler, statusForResult } = require('../middleware/errorHandler')
+const { CONTENT_TYPE } = require('../utils/prometheus')
+
+/**
+ * Metrics Controller
+ * Handles HTTP requests for operational metrics
+ */
+class MetricsController {
+  constructor() {
+    this.metricsService = new MetricsService()
+  }
+
+  /**
+   * Serve metrics for Prometheus to scrape
+   * GET /metrics
+   */
+  getPrometheusMetrics = asyncHandler(async (req, res) => {
+    const metrics = await this.metricsService.getPrometheusMetrics({ wsManager: req.wsManager })
+
+    res.set('Content-Type', CONTENT_TYPE).send(metrics)
+  })
+
+  /**
+   * Get the slowest database statements
+   * GET /api/admin/queries
+   */
+  getSlowQueries = asyncHandler(async (req, res) => {
+    const { limit, sort } = req.query
+    const result = this.metricsService.getSlowQueries({ limit, sort })
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+}
+
+module.exports = MetricsController
@@ -0,0 +1,113 @@
+const RoundService = require('../services/RoundService')
+const { BattleRepository } = require('../repositories')
+const { asyncHandler, statusForResult } = require('../middleware/errorHandler')
+
+/**
+ * Round Controller
+ * Handles HTTP requests for timed rounds and their results
+ */
+class RoundController {
+  constructor() {
+    this.roundService = new RoundService()
+  }
+
+  /**
+   * List a battle's rounds
+   * GET /api/rounds
+   * GET /api/battles/:battleId/rounds
+   */
+  getRounds = asyncHandler(async (req, res) => {
+    const result = await this.roundService.listRounds(this.getBattleId(req), {
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    })
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Get results of past rounds
+   * GET /api/rounds/results
+   * GET /api/battles/:battleId/rounds/results
+   */
+  getResults = asyncHandler(async (req, res) => {
+    const result = await this.roundService.getResults(this.getBattleId(req), {
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    })
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Get a single round
+   * GET /api/battles/:battleId/rounds/:roundId
+   */
+  getRound = asyncHandler(async (req, res) => {
+    const result = await this.roundService.getRound(
+      this.getBattleId(req),
+      req.params.roundId
+    )
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Schedule a round (admin only)
+   * POST /api/battles/:battleId/rounds
+   */
+  scheduleRound = asyncHandler(async (req, res) => {
+    const { name, startsAt, endsAt } = req.body || {}
+    const result = await this.roundService.scheduleRound(this.getBattleId(req), {
+      name,
+      startsAt,
+      endsAt
+    })
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.status(201).json(result)
+  })
+
+  /**
+   * Close a running round before its scheduled end (admin only)
+   * POST /api/battles/:battleId/rounds/:roundId/close
+   */
+  closeRound = asyncHandler(async (req, res) => {
+    const result = await this.roundService.closeRoundEarly(
+      this.getBattleId(req),
+      req.params.roundId
+    )
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Resolve the battle a request targets
+   * Legacy routes have no :battleId and use the default battle
+   */
+  getBattleId(req) {
+    return req.params.battleId?.trim().toLowerCase() || BattleRepository.DEFAULT_BATTLE_ID
+  }
+}
+
+module.exports = RoundController
@@ -0,0 +1,109 @@
+const TeamService = require('../services/TeamService')
+const { asyncHandler, statusForResult } = require('../middleware/errorHandler')
+
+/**
+ * Team Controller
+ * Handles HTTP requests for team management
+ */
+class TeamController {
+  constructor() {
+    this.teamService = new TeamService()
+  }
+
+  /**
+   * List teams
+   * GET /api/teams
+   */
+  getTeams = asyncHandler(async (req, res) => {
+    const includeRetired = req.query.includeRetired === 'true'
+    const result = await this.teamService.listTeams({ includeRetired })
+
+    if (!result.success) {
+      return res.status(500).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Get a single team
+   * GET /api/teams/:teamId
+   */
+  getTeam = asyncHandler(async (req, res) => {
+    const result = await this.teamService.getTeam(req.params.teamId)
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    res.json(result)
+  })
+
+  /**
+   * Create a team (admin only)
+   * POST /api/teams
+   */
+  createTeam = asyncHandler(async (req, res) => {
+    const { id, name, color } = req.body || {}
+    const result = await this.teamService.createTeam({ id, name, color })
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    await this.broadcastTeamChange(req, 'created', result.data)
+
+    res.status(201).json(result)
+  })
+
+  /**
+   * Rename a team or change its color (admin only)
+   * PATCH /api/teams/:teamId
+   */
+  updateTeam = asyncHandler(async (req, res) => {
+    const { name, color } = req.body || {}
+    const result = await this.teamService.updateTeam(req.params.teamId, { name, color })
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    await this.broadcastTeamChange(req, 'updated', result.data)
+
+    res.json(result)
+  })
+
+  /**
+   * Retire a team (admin only)
+   * POST /api/teams/:teamId/retire
+   */
+  retireTeam = asyncHandler(async (req, res) => {
+    const result = await this.teamService.retireTeam(req.params.teamId)
+
+    if (!result.success) {
+      return res.status(statusForResult(result, 500)).json(result)
+    }
+
+    console.log('🏁 Admin retired team:', {
+      team: result.data.id,
+      ipAddress: req.ip,
+      timestamp: new Date().toISOString()
+    })
+
+    await this.broadcastTeamChange(req, 'retired', result.data)
+
+    res.json(result)
+  })
+
+  /**
+   * Notify WebSocket clients that the team lineup changed
+   */
+  async broadcastTeamChange(req, action, team) {
+    if (req.wsManager) {
+      req.wsManager.broadcastTeamUpdate(action, team)
+      await req.wsManager.broadcastCounterUpdatesToAllBattles()
+    }
+  }
+}
+
+module.exports = TeamController
@@ -1,51 +1,111 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
 const dbConfig = require('../config/database')
 
+/**
+ * Directory holding the numbered migration files
+ * Each migration is a pair of files, `<version>_<name>.up.sql` and
+ * `<version>_<name>.down.sql`, e.g. 011_add_team_icons.up.sql
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations')
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/
+
+/**
+ * Key of the advisory lock held while migrations run
+ * Any constant works as long as nothing else in the database uses it
+ */
+const MIGRATION_LOCK_ID = 7213304
+
+/**
+ * Checksum of a migration's SQL
+ * Line endings are normalized so a checkout with CRLF endings matches
+ */
+const checksum = (sql) => crypto
+  .createHash('sha256')
+  .update(sql.replace(/\r\n/g, '\n'))
+  .digest('hex')
+
 /**
  * Database Migration Manager
- * Handles database schema migrations and initialization
+ * Applies the SQL files in database/migrations in version order. Every
+ * migration runs in its own transaction together with its bookkeeping row, and
+ * the whole run holds an advisory lock so instances starting at the same time
+ * take turns instead of applying the same migration twice.
  */
 class MigrationManager {
-  constructor() {
-    this.migrations = [
-      {
-        version: '001',
-        name: 'create_counters_table',
-        up: this.createCountersTable,
-        down: this.dropCountersTable
-      },
-      {
-        version: '002',
-        name: 'create_counter_history_table',
-        up: this.createCounterHistoryTable,
-        down: this.dropCounterHistoryTable
+  constructor(directory = MIGRATIONS_DIR) {
+    this.directory = directory
+    this.migrations = this.loadMigrations()
+  }
+
+  /**
+   * Read the migration files, ordered by version
+   */
+  loadMigrations() {
+    const migrations = new Map()
+
+    fs.readdirSync(this.directory).forEach(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN)
+      if (!match) return
+
+      const [, version, name, direction] = match
+      const number = Number(version)
+      const migration = migrations.get(number) || { version, number, name }
+
+      if (migration.version !== version || migration.name !== name) {
+        throw new Error(`Migration files ${migration.version}_${migration.name} and ${version}_${name} share version ${number}`)
       }
-    ]
+
+      migration[direction] = fs.readFileSync(path.join(this.directory, file), 'utf8')
+      migrations.set(number, migration)
+    })
+
+    return [...migrations.values()]
+      .map(migration => {
+        if (migration.up === undefined) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`)
+        }
+        return { ...migration, checksum: checksum(migration.up) }
+      })
+      .sort((a, b) => a.number - b.number)
   }
 
   /**
-   * Run all pending migrations
+   * Run pending migrations, up to and including version `to` when given
+   * With `dryRun`, nothing is locked or executed; the migrations that would
+   * run are returned so their SQL can be printed
    */
-  async migrate() {
+  async migrate({ to = null, dryRun = false } = {}) {
     try {
+      if (dryRun) {
+        const applied = await this.getAppliedMigrations()
+        await this.verifyChecksums(applied)
+        return this.pendingMigrations(applied, to)
+      }
+
       console.log('🚀 Starting database migrations...')
-      
-      // Create migrations table if it doesn't exist
-      await this.createMigrationsTable()
-      
-      // Get applied migrations
-      const appliedMigrations = await this.getAppliedMigrations()
-      
-      // Run pending migrations
-      for (const migration of this.migrations) {
-        if (!appliedMigrations.includes(migration.version)) {
+
+      const pending = await this.withLock(async (client) => {
+        const applied = await this.getAppliedMigrations(client)
+        await this.verifyChecksums(applied, client)
+
+        const migrations = this.pendingMigrations(applied, to)
+        for (const migration of migrations) {
           console.log(`📦 Running migration ${migration.version}: ${migration.name}`)
-          await migration.up.call(this)
-          await this.recordMigration(migration.version, migration.name)
+          await this.runInTransaction(client, migration.up, {
+            text: 'INSERT INTO migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            values: [migration.version, migration.name, migration.checksum]
+          })
           console.log(`✅ Migration ${migration.version} completed`)
         }
-      }
-      
+
+        return migrations
+      })
+
       console.log('🎉 All migrations completed successfully')
+      return pending
     } catch (error) {
       console.error('❌ Migration failed:', error.message)
       throw error
@@ -53,142 +113,243 @@ class MigrationManager {
   }
 
   /**
-   * Create migrations tracking table
+   * Rollback to a specific migration version
+   * Every applied migration above `targetVersion` is undone, newest first.
+   * `dryRun` works as in migrate().
    */
-  async createMigrationsTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS migrations (
-        id SERIAL PRIMARY KEY,
-        version VARCHAR(10) NOT NULL UNIQUE,
-        name VARCHAR(255) NOT NULL,
-        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `
-    await dbConfig.query(query)
+  async rollback(targetVersion, { dryRun = false } = {}) {
+    try {
+      if (dryRun) {
+        const applied = await this.getAppliedMigrations()
+        await this.verifyChecksums(applied)
+        return this.rollbackMigrations(applied, targetVersion)
+      }
+
+      console.log(`🔄 Rolling back to migration version ${targetVersion}`)
+
+      const rolledBack = await this.withLock(async (client) => {
+        const applied = await this.getAppliedMigrations(client)
+        await this.verifyChecksums(applied, client)
+
+        const migrations = this.rollbackMigrations(applied, targetVersion)
+        for (const migration of migrations) {
+          console.log(`🔄 Rolling back migration ${migration.version}`)
+          await this.runInTransaction(client, migration.down, {
+            text: 'DELETE FROM migrations WHERE version = $1',
+            values: [migration.version]
+          })
+          console.log(`✅ Rollback ${migration.version} completed`)
+        }
+
+        return migrations
+      })
+
+      console.log('🎉 Rollback completed successfully')
+      return rolledBack
+    } catch (error) {
+      console.error('❌ Rollback failed:', error.message)
+      throw error
+    }
   }
 
   /**
-   * Get list of applied migrations
+   * Migrations not yet applied, oldest first
    */
-  async getAppliedMigrations() {
-    const result = await dbConfig.query('SELECT version FROM migrations ORDER BY applied_at')
-    return result.rows.map(row => row.version)
+  pendingMigrations(applied, to = null) {
+    return this.migrations.filter(migration =>
+      !applied.has(migration.version) && (to === null || migration.number <= Number(to))
+    )
   }
 
   /**
-   * Record a completed migration
+   * Applied migrations above `targetVersion`, newest first
+   * Fails before anything runs when one of them has no .down.sql file
    */
-  async recordMigration(version, name) {
-    await dbConfig.query(
-      'INSERT INTO migrations (version, name) VALUES ($1, $2)',
-      [version, name]
-    )
+  rollbackMigrations(applied, targetVersion) {
+    const migrations = [...this.migrations]
+      .reverse()
+      .filter(migration => applied.has(migration.version) && migration.number > Number(targetVersion))
+
+    const irreversible = migrations.find(migration => migration.down === undefined)
+    if (irreversible) {
+      throw new Error(`Migration ${irreversible.version}_${irreversible.name} has no .down.sql file`)
+    }
+
+    return migrations
   }
 
   /**
-   * Migration 001: Create counters table
+   * List every migration with its state: `applied`, `pending`, `changed`
+   * (applied, but the file was edited since) or `missing` (applied, but there
+   * is no file for it)
    */
-  async createCountersTable() {
-    const query = `
-      CREATE TABLE IF NOT EXISTS counters (
-        id SERIAL PRIMARY KEY,
-        color VARCHAR(10) NOT NULL UNIQUE CHECK (color IN ('red', 'blue')),
-        count INTEGER NOT NULL DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
+  async getStatus() {
+    const applied = await this.getAppliedMigrations()
 
-      -- Insert initial values
-      INSERT INTO counters (color, count) VALUES 
-        ('red', 0), 
-        ('blue', 0) 
-      ON CONFLICT (color) DO NOTHING;
-
-      -- Create trigger for updated_at
-      CREATE OR REPLACE FUNCTION update_updated_at_column()
-      RETURNS TRIGGER AS $$
-      BEGIN
-        NEW.updated_at = CURRENT_TIMESTAMP;
-        RETURN NEW;
-      END;
-      $$ language 'plpgsql';
-
-      DROP TRIGGER IF EXISTS update_counters_updated_at ON counters;
-      CREATE TRIGGER update_counters_updated_at 
-        BEFORE UPDATE ON counters 
-        FOR EACH ROW 
-        EXECUTE FUNCTION update_updated_at_column();
-    `
-    await dbConfig.query(query)
+    const migrations = this.migrations.map(migration => {
+      const row = applied.get(migration.version)
+      let state = 'pending'
+      if (row) {
+        state = row.checksum && row.checksum !== migration.checksum ? 'changed' : 'applied'
+      }
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        appliedAt: row ? row.applied_at : null
+      }
+    })
+
+    const known = new Set(this.migrations.map(migration => migration.version))
+    applied.forEach(row => {
+      if (!known.has(row.version)) {
+        migrations.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at })
+      }
+    })
+
+    return migrations.sort((a, b) => Number(a.version) - Number(b.version))
+  }
+
+  /**
+   * Scaffold the .up.sql and .down.sql files for a new migration
+   * The version is one above the highest existing one. With `dryRun`, the
+   * files are returned but not written.
+   */
+  createMigration(name, { dryRun = false } = {}) {
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+    if (!slug) {
+      throw new Error('Migration name must contain letters or digits')
+    }
+
+    const last = this.migrations[this.migrations.length - 1]
+    const version = String((last ? last.number : 0) + 1).padStart(3, '0')
+    const title = name.trim()
+
+    const files = [
+      {
+        path: path.join(this.directory, `${version}_${slug}.up.sql`),
+        contents: `-- Migration ${version}: ${title}\n\n`
+      },
+      {
+        path: path.join(this.directory, `${version}_${slug}.down.sql`),
+        contents: `-- Rollback migration ${version}\n\n`
+      }
+    ]
+
+    if (!dryRun) {
+      // 'wx' refuses to overwrite a file that already exists
+      files.forEach(file => fs.writeFileSync(file.path, file.contents, { flag: 'wx' }))
+    }
+
+    return { version, name: slug, files }
+  }
+
+  /**
+   * Run `fn` with a dedicated connection that holds the migration lock
+   * The migrations table is created first so every caller sees it
+   */
+  async withLock(fn) {
+    const client = await dbConfig.getPool().connect()
+
+    try {
+      const attempt = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_ID])
+      if (!attempt.rows[0].locked) {
+        console.log('⏳ Waiting for another instance to finish migrating...')
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID])
+      }
+
+      try {
+        await this.createMigrationsTable(client)
+        return await fn(client)
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID])
+      }
+    } finally {
+      client.release()
+    }
   }
 
   /**
-   * Migration 002: Create counter history table for analytics
+   * Run a migration's SQL and its bookkeeping statement in one transaction
    */
-  async createCounterHistoryTable() {
+  async runInTransaction(client, sql, bookkeeping) {
+    await client.query('BEGIN')
+    try {
+      await client.query(sql)
+      await client.query(bookkeeping.text, bookkeeping.values)
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    }
+  }
+
+  /**
+   * Create migrations tracking table
+   * `checksum` was added after the first migrations shipped, so it is nullable
+   */
+  async createMigrationsTable(client) {
     const query = `
-      CREATE TABLE IF NOT EXISTS counter_history (
+      CREATE TABLE IF NOT EXISTS migrations (
         id SERIAL PRIMARY KEY,
-        color VARCHAR(10) NOT NULL CHECK (color IN ('red', 'blue')),
-        previous_count INTEGER NOT NULL,
-        new_count INTEGER NOT NULL,
-        increment_amount INTEGER NOT NULL DEFAULT 1,
-        client_info JSONB,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        session_id VARCHAR(255)
+        version VARCHAR(10) NOT NULL UNIQUE,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
-      -- Create indexes for better query performance
-      CREATE INDEX IF NOT EXISTS idx_counter_history_color ON counter_history(color);
-      CREATE INDEX IF NOT EXISTS idx_counter_history_timestamp ON counter_history(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_counter_history_session ON counter_history(session_id);
+      ALTER TABLE migrations ADD COLUMN IF NOT EXISTS checksum CHAR(64);
     `
-    await dbConfig.query(query)
+    await client.query(query)
   }
 
   /**
-   * Rollback migration 001
+   * Get applied migrations, keyed by version
+   * Read-only: a database that was never migrated has none, and rows from
+   * before the checksum column existed have a null checksum
    */
-  async dropCountersTable() {
-    await dbConfig.query('DROP TABLE IF EXISTS counters CASCADE')
-    await dbConfig.query('DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE')
-  }
+  async getAppliedMigrations(client = dbConfig) {
+    const table = await client.query("SELECT to_regclass('migrations') IS NOT NULL AS present")
+    if (!table.rows[0].present) {
+      return new Map()
+    }
 
-  /**
-   * Rollback migration 002
-   */
-  async dropCounterHistoryTable() {
-    await dbConfig.query('DROP TABLE IF EXISTS counter_history CASCADE')
+    const result = await client.query('SELECT * FROM migrations ORDER BY applied_at, id')
+    return new Map(result.rows.map(row => [row.version, { ...row, checksum: row.checksum || null }]))
   }
 
   /**
-   * Rollback to a specific migration version
+   * Refuse to continue when an applied migration's file has changed
+   * When a client is given, rows recorded before checksums existed are filled
+   * in from the current files
    */
-  async rollback(targetVersion) {
-    try {
-      console.log(`🔄 Rolling back to migration version ${targetVersion}`)
-      
-      const appliedMigrations = await this.getAppliedMigrations()
-      const reverseMigrations = [...this.migrations].reverse()
-      
-      for (const migration of reverseMigrations) {
-        if (appliedMigrations.includes(migration.version) && 
-            migration.version > targetVersion) {
-          console.log(`🔄 Rolling back migration ${migration.version}`)
-          await migration.down.call(this)
-          await dbConfig.query(
-            'DELETE FROM migrations WHERE version = $1',
-            [migration.version]
-          )
-          console.log(`✅ Rollback ${migration.version} completed`)
-        }
+  async verifyChecksums(applied, client = null) {
+    for (const migration of this.migrations) {
+      const row = applied.get(migration.version)
+      if (!row) continue
+
+      if (row.checksum === null) {
+        if (!client) continue
+
+        await client.query(
+          'UPDATE migrations SET checksum = $1 WHERE version = $2',
+          [migration.checksum, migration.version]
+        )
+        row.checksum = migration.checksum
+      } else if (row.checksum !== migration.checksum) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} was changed after it was applied; ` +
+          'add a new migration instead of editing an applied one'
+        )
       }
-      
-      console.log('🎉 Rollback completed successfully')
-    } catch (error) {
-      console.error('❌ Rollback failed:', error.message)
-      throw error
     }
+
+    const known = new Set(this.migrations.map(migration => migration.version))
+    applied.forEach(row => {
+      if (!known.has(row.version)) {
+        console.warn(`⚠️  Migration ${row.version}_${row.name} is applied but has no file in ${this.directory}`)
+      }
+    })
   }
 }
 
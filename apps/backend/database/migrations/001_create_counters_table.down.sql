@@ -0,0 +1,4 @@
+-- Rollback migration 001
+
+DROP TABLE IF EXISTS counters CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
@@ -0,0 +1,30 @@
+-- Migration 001: Create counters table
+
+CREATE TABLE IF NOT EXISTS counters (
+  id SERIAL PRIMARY KEY,
+  color VARCHAR(10) NOT NULL UNIQUE CHECK (color IN ('red', 'blue')),
+  count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Insert initial values
+INSERT INTO counters (color, count) VALUES
+  ('red', 0),
+  ('blue', 0)
+ON CONFLICT (color) DO NOTHING;
+
+-- Create trigger for updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_counters_updated_at ON counters;
+CREATE TRIGGER update_counters_updated_at
+  BEFORE UPDATE ON counters
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- Rollback migration 002
+
+DROP TABLE IF EXISTS counter_history CASCADE;
@@ -0,0 +1,17 @@
+-- Migration 002: Create counter history table for analytics
+
+CREATE TABLE IF NOT EXISTS counter_history (
+  id SERIAL PRIMARY KEY,
+  color VARCHAR(10) NOT NULL CHECK (color IN ('red', 'blue')),
+  previous_count INTEGER NOT NULL,
+  new_count INTEGER NOT NULL,
+  increment_amount INTEGER NOT NULL DEFAULT 1,
+  client_info JSONB,
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  session_id VARCHAR(255)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_counter_history_color ON counter_history(color);
+CREATE INDEX IF NOT EXISTS idx_counter_history_timestamp ON counter_history(timestamp);
+CREATE INDEX IF NOT EXISTS idx_counter_history_session ON counter_history(session_id);
@@ -0,0 +1,13 @@
+-- Rollback migration 003
+-- Restores the red/blue checks, so counters for other teams are removed first
+
+ALTER TABLE counters DROP CONSTRAINT IF EXISTS counters_color_team_fkey;
+DELETE FROM counters WHERE color NOT IN ('red', 'blue');
+DELETE FROM counter_history WHERE color NOT IN ('red', 'blue');
+ALTER TABLE counters ALTER COLUMN color TYPE VARCHAR(10);
+ALTER TABLE counter_history ALTER COLUMN color TYPE VARCHAR(10);
+ALTER TABLE counters
+  ADD CONSTRAINT counters_color_check CHECK (color IN ('red', 'blue'));
+ALTER TABLE counter_history
+  ADD CONSTRAINT counter_history_color_check CHECK (color IN ('red', 'blue'));
+DROP TABLE IF EXISTS teams CASCADE;
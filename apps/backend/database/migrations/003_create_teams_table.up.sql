@@ -0,0 +1,36 @@
+-- Migration 003: Create teams table and lift the red/blue restriction
+-- Counter rows keep their `color` column, which now references a team id
+
+CREATE TABLE IF NOT EXISTS teams (
+  id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  color VARCHAR(20) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  retired_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seed the original teams so /api/red and /api/blue keep working
+INSERT INTO teams (id, name, color) VALUES
+  ('red', 'Red', '#ff6b6b'),
+  ('blue', 'Blue', '#4ecdc4')
+ON CONFLICT (id) DO NOTHING;
+
+-- Drop the hard-coded color checks and widen the columns to fit team ids
+ALTER TABLE counters DROP CONSTRAINT IF EXISTS counters_color_check;
+ALTER TABLE counter_history DROP CONSTRAINT IF EXISTS counter_history_color_check;
+ALTER TABLE counters ALTER COLUMN color TYPE VARCHAR(50);
+ALTER TABLE counter_history ALTER COLUMN color TYPE VARCHAR(50);
+
+ALTER TABLE counters
+  ADD CONSTRAINT counters_color_team_fkey
+  FOREIGN KEY (color) REFERENCES teams(id);
+
+CREATE INDEX IF NOT EXISTS idx_teams_active ON teams(is_active);
+
+DROP TRIGGER IF EXISTS update_teams_updated_at ON teams;
+CREATE TRIGGER update_teams_updated_at
+  BEFORE UPDATE ON teams
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
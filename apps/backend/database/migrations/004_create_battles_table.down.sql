@@ -0,0 +1,11 @@
+-- Rollback migration 004
+-- Only the default battle's counters and history survive
+
+DELETE FROM counters WHERE battle_id <> 'default';
+DELETE FROM counter_history WHERE battle_id <> 'default';
+ALTER TABLE counters DROP CONSTRAINT IF EXISTS counters_battle_color_key;
+ALTER TABLE counters DROP COLUMN IF EXISTS battle_id;
+ALTER TABLE counters ADD CONSTRAINT counters_color_key UNIQUE (color);
+DROP INDEX IF EXISTS idx_counter_history_battle_timestamp;
+ALTER TABLE counter_history DROP COLUMN IF EXISTS battle_id;
+DROP TABLE IF EXISTS battles CASCADE;
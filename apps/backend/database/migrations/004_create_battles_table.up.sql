@@ -0,0 +1,32 @@
+-- Migration 004: Create battles table and scope counters and history to a battle
+-- Existing rows move into the 'default' battle used by the legacy routes
+
+CREATE TABLE IF NOT EXISTS battles (
+  id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO battles (id, name) VALUES ('default', 'Default Battle')
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE counters
+  ADD COLUMN IF NOT EXISTS battle_id VARCHAR(50) NOT NULL DEFAULT 'default'
+  REFERENCES battles(id);
+ALTER TABLE counters DROP CONSTRAINT IF EXISTS counters_color_key;
+ALTER TABLE counters
+  ADD CONSTRAINT counters_battle_color_key UNIQUE (battle_id, color);
+
+ALTER TABLE counter_history
+  ADD COLUMN IF NOT EXISTS battle_id VARCHAR(50) NOT NULL DEFAULT 'default'
+  REFERENCES battles(id);
+CREATE INDEX IF NOT EXISTS idx_counter_history_battle_timestamp
+  ON counter_history(battle_id, timestamp);
+
+DROP TRIGGER IF EXISTS update_battles_updated_at ON battles;
+CREATE TRIGGER update_battles_updated_at
+  BEFORE UPDATE ON battles
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- Rollback migration 005
+
+DROP TABLE IF EXISTS rounds CASCADE;
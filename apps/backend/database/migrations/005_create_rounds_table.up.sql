@@ -0,0 +1,30 @@
+-- Migration 005: Create rounds table for timed voting windows
+-- Times are TIMESTAMPTZ so comparisons with NOW() hold whatever the time zone of
+-- the server or the app
+
+CREATE TABLE IF NOT EXISTS rounds (
+  id SERIAL PRIMARY KEY,
+  battle_id VARCHAR(50) NOT NULL REFERENCES battles(id),
+  name VARCHAR(100) NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'open', 'closed')),
+  opened_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  winner VARCHAR(50),
+  is_tie BOOLEAN,
+  final_tallies JSONB,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rounds_battle_starts ON rounds(battle_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_rounds_status ON rounds(status);
+
+DROP TRIGGER IF EXISTS update_rounds_updated_at ON rounds;
+CREATE TRIGGER update_rounds_updated_at
+  BEFORE UPDATE ON rounds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,6 @@
+-- Rollback migration 006
+
+DROP TRIGGER IF EXISTS counter_history_append_only ON counter_history;
+DROP FUNCTION IF EXISTS prevent_counter_history_update();
+DROP INDEX IF EXISTS idx_counter_history_battle_color;
+DELETE FROM counter_history WHERE client_info->>'action' = 'opening_balance';
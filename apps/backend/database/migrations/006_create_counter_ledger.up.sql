@@ -0,0 +1,37 @@
+-- Migration 006: Turn counter_history into an append-only ledger
+-- Increments were not recorded before this migration, so each counter gets an
+-- opening balance row that makes the ledger sum match its current count
+
+INSERT INTO counter_history
+  (battle_id, color, previous_count, new_count, increment_amount, client_info)
+SELECT
+  c.battle_id,
+  c.color,
+  COALESCE(h.total, 0),
+  c.count,
+  c.count - COALESCE(h.total, 0),
+  '{"action": "opening_balance"}'::jsonb
+FROM counters c
+LEFT JOIN (
+  SELECT battle_id, color, SUM(increment_amount) AS total
+  FROM counter_history
+  GROUP BY battle_id, color
+) h ON h.battle_id = c.battle_id AND h.color = c.color
+WHERE c.count <> COALESCE(h.total, 0);
+
+CREATE INDEX IF NOT EXISTS idx_counter_history_battle_color
+  ON counter_history(battle_id, color);
+
+-- Ledger rows are immutable
+CREATE OR REPLACE FUNCTION prevent_counter_history_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'counter_history is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS counter_history_append_only ON counter_history;
+CREATE TRIGGER counter_history_append_only
+  BEFORE UPDATE ON counter_history
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_counter_history_update();
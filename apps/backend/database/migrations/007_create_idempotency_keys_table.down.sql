@@ -0,0 +1,3 @@
+-- Rollback migration 007
+
+DROP TABLE IF EXISTS idempotency_keys CASCADE;
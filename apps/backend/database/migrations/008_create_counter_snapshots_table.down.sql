@@ -0,0 +1,4 @@
+-- Rollback migration 008
+
+DROP INDEX IF EXISTS idx_counter_history_battle_color_id;
+DROP TABLE IF EXISTS counter_snapshots CASCADE;
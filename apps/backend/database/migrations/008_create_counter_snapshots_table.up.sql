@@ -0,0 +1,17 @@
+-- Migration 008: Create counter snapshots for point-in-time queries
+-- A snapshot holds each counter's ledger sum up to `last_history_id`, so a
+-- query for time T only replays the ledger rows after the latest snapshot
+
+CREATE TABLE IF NOT EXISTS counter_snapshots (
+  id SERIAL PRIMARY KEY,
+  battle_id VARCHAR(50) NOT NULL REFERENCES battles(id),
+  color VARCHAR(50) NOT NULL,
+  count INTEGER NOT NULL,
+  last_history_id INTEGER NOT NULL,
+  taken_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_counter_snapshots_battle_taken
+  ON counter_snapshots(battle_id, taken_at);
+CREATE INDEX IF NOT EXISTS idx_counter_history_battle_color_id
+  ON counter_history(battle_id, color, id);
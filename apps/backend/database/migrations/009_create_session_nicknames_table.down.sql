@@ -0,0 +1,4 @@
+-- Rollback migration 009
+
+DROP INDEX IF EXISTS idx_counter_history_battle_session;
+DROP TABLE IF EXISTS session_nicknames CASCADE;
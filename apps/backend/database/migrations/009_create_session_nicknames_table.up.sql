@@ -0,0 +1,18 @@
+-- Migration 009: Create session nicknames for the contributor leaderboard
+
+CREATE TABLE IF NOT EXISTS session_nicknames (
+  session_id VARCHAR(255) PRIMARY KEY,
+  nickname VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_session_nicknames_updated_at ON session_nicknames;
+CREATE TRIGGER update_session_nicknames_updated_at
+  BEFORE UPDATE ON session_nicknames
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_counter_history_battle_session
+  ON counter_history(battle_id, session_id, timestamp)
+  WHERE session_id IS NOT NULL;
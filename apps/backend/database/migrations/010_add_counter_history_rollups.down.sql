@@ -0,0 +1,5 @@
+-- Rollback migration 010
+-- Rollup rows stay in the ledger, so counter totals are preserved, but each
+-- one counts as a single vote again
+
+ALTER TABLE counter_history DROP COLUMN IF EXISTS rollup_count;
@@ -0,0 +1,6 @@
+-- Migration 010: Let ledger rows stand for an hour of compacted votes
+-- A rollup row keeps the summed amount of the votes it replaced, so ledger
+-- sums are unchanged; rollup_count records how many votes that was
+
+ALTER TABLE counter_history
+  ADD COLUMN IF NOT EXISTS rollup_count INTEGER CHECK (rollup_count > 0);
@@ -0,0 +1,3 @@
+-- Rollback migration 011
+
+ALTER TABLE counter_history ALTER COLUMN timestamp TYPE TIMESTAMP;
@@ -0,0 +1,7 @@
+-- Migration 011: Store ledger times with their time zone
+-- Ranges are bound from JS Dates, whose offset a naive TIMESTAMP column drops,
+-- so on a host outside UTC every time-window query missed its rows. Existing
+-- values were written by CURRENT_TIMESTAMP and are read in the session time
+-- zone, the same one they were written in.
+
+ALTER TABLE counter_history ALTER COLUMN timestamp TYPE TIMESTAMPTZ;
@@ -0,0 +1,3 @@
+-- Rollback migration 012
+
+ALTER TABLE counters DROP COLUMN IF EXISTS voting_closed;
@@ -0,0 +1,9 @@
+-- Migration 012: Mark the counters of a battle whose round has closed
+-- Votes check the round window without locking the round. closeRound sets
+-- voting_closed on the counter rows it locks and openRound clears it; a vote's
+-- UPDATE requires it to be unset, and PostgreSQL re-checks that on the latest
+-- row version when the vote waited for the lock, so a vote that raced the
+-- close is rejected instead of landing after the final tallies
+
+ALTER TABLE counters
+  ADD COLUMN IF NOT EXISTS voting_closed BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,646 @@
+const sqliteConfig = require('../config/sqlite')
+
+/**
+ * Default for timestamp columns: ISO 8601 in UTC with milliseconds, the same
+ * text the repositories write for Date parameters
+ */
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"
+
+/**
+ * SQLite has no BEFORE UPDATE assignment to NEW, so updated_at is set by a
+ * second update, skipped when the statement already changed it
+ */
+const updatedAtTrigger = (table) => `
+  DROP TRIGGER IF EXISTS update_${table}_updated_at;
+  CREATE TRIGGER update_${table}_updated_at
+    AFTER UPDATE ON ${table}
+    FOR EACH ROW
+    WHEN NEW.updated_at IS OLD.updated_at
+  BEGIN
+    UPDATE ${table} SET updated_at = ${NOW} WHERE rowid = NEW.rowid;
+  END;
+`
+
+/**
+ * SQLite cannot add or drop constraints in place, so a table is rebuilt
+ * under its new definition, keeping `columns` and its AUTOINCREMENT position.
+ * Indexes and triggers go with the old table and must be created again.
+ */
+const rebuildTable = (table, definition, columns) => `
+  CREATE TABLE ${table}_rebuilt (${definition});
+  INSERT INTO ${table}_rebuilt (${columns}) SELECT ${columns} FROM ${table};
+  DELETE FROM sqlite_sequence WHERE name = '${table}_rebuilt';
+  INSERT INTO sqlite_sequence (name, seq)
+    SELECT '${table}_rebuilt', seq FROM sqlite_sequence WHERE name = '${table}';
+  DROP TABLE ${table};
+  ALTER TABLE ${table}_rebuilt RENAME TO ${table};
+`
+
+const COUNTER_COLUMNS = 'id, color, count, created_at, updated_at'
+const HISTORY_COLUMNS = 'id, color, previous_count, new_count, increment_amount, client_info, timestamp, session_id'
+
+/**
+ * counter_history as created by migration 002, before teams lifted the
+ * red/blue restriction
+ */
+const ORIGINAL_HISTORY_DEFINITION = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  color TEXT NOT NULL CHECK (color IN ('red', 'blue')),
+  previous_count INTEGER NOT NULL,
+  new_count INTEGER NOT NULL,
+  increment_amount INTEGER NOT NULL DEFAULT 1,
+  client_info TEXT,
+  timestamp TEXT DEFAULT ${NOW},
+  session_id TEXT
+`
+
+const ORIGINAL_HISTORY_INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_counter_history_color ON counter_history(color);
+  CREATE INDEX IF NOT EXISTS idx_counter_history_timestamp ON counter_history(timestamp);
+  CREATE INDEX IF NOT EXISTS idx_counter_history_session ON counter_history(session_id);
+`
+
+/**
+ * SQLite Migration Manager
+ * The migrations in database/migrations, ported to SQLite with the same
+ * versions and names. Timestamps are ISO 8601 text, booleans are 0/1 and
+ * JSON is text; the SQLite repositories convert them back.
+ */
+class SqliteMigrationManager {
+  constructor() {
+    this.migrations = [
+      {
+        version: '001',
+        name: 'create_counters_table',
+        up: this.createCountersTable,
+        down: this.dropCountersTable
+      },
+      {
+        version: '002',
+        name: 'create_counter_history_table',
+        up: this.createCounterHistoryTable,
+        down: this.dropCounterHistoryTable
+      },
+      {
+        version: '003',
+        name: 'create_teams_table',
+        up: this.createTeamsTable,
+        down: this.dropTeamsTable
+      },
+      {
+        version: '004',
+        name: 'create_battles_table',
+        up: this.createBattlesTable,
+        down: this.dropBattlesTable
+      },
+      {
+        version: '005',
+        name: 'create_rounds_table',
+        up: this.createRoundsTable,
+        down: this.dropRoundsTable
+      },
+      {
+        version: '006',
+        name: 'create_counter_ledger',
+        up: this.createCounterLedger,
+        down: this.dropCounterLedger
+      },
+      {
+        version: '007',
+        name: 'create_idempotency_keys_table',
+        up: this.createIdempotencyKeysTable,
+        down: this.dropIdempotencyKeysTable
+      },
+      {
+        version: '008',
+        name: 'create_counter_snapshots_table',
+        up: this.createCounterSnapshotsTable,
+        down: this.dropCounterSnapshotsTable
+      },
+      {
+        version: '009',
+        name: 'create_session_nicknames_table',
+        up: this.createSessionNicknamesTable,
+        down: this.dropSessionNicknamesTable
+      },
+      {
+        version: '010',
+        name: 'add_counter_history_rollups',
+        up: this.addCounterHistoryRollups,
+        down: this.dropCounterHistoryRollups
+      },
+      {
+        version: '011',
+        name: 'use_timestamptz_for_counter_history',
+        up: this.keepUtcTimestamps,
+        down: this.keepUtcTimestamps
+      }
+    ]
+  }
+
+  /**
+   * Run all pending migrations
+   * Each migration runs in its own transaction. Foreign keys are only
+   * checked once it has finished, since table rebuilds briefly break them.
+   */
+  async migrate() {
+    try {
+      console.log('🚀 Starting database migrations...')
+
+      // Create migrations table if it doesn't exist
+      this.createMigrationsTable()
+
+      // Get applied migrations
+      const appliedMigrations = this.getAppliedMigrations()
+
+      // Run pending migrations
+      for (const migration of this.migrations) {
+        if (!appliedMigrations.includes(migration.version)) {
+          console.log(`📦 Running migration ${migration.version}: ${migration.name}`)
+          this.runInTransaction(() => {
+            migration.up.call(this)
+            this.recordMigration(migration.version, migration.name)
+          })
+          console.log(`✅ Migration ${migration.version} completed`)
+        }
+      }
+
+      console.log('🎉 All migrations completed successfully')
+    } catch (error) {
+      console.error('❌ Migration failed:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Run a schema change in a transaction with foreign key enforcement off,
+   * failing it if any foreign key is broken at the end
+   */
+  runInTransaction(fn) {
+    // The pragma has no effect inside a transaction, so it is set around it
+    sqliteConfig.exec('PRAGMA foreign_keys = OFF')
+
+    try {
+      sqliteConfig.transaction(() => {
+        fn()
+
+        const violations = sqliteConfig.query('PRAGMA foreign_key_check').rows
+        if (violations.length > 0) {
+          const { table, parent } = violations[0]
+          throw new Error(`${violations.length} row(s) in ${table} reference a missing ${parent} row`)
+        }
+      })
+    } finally {
+      sqliteConfig.exec('PRAGMA foreign_keys = ON')
+    }
+  }
+
+  /**
+   * Create migrations tracking table
+   */
+  createMigrationsTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS migrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT ${NOW}
+      )
+    `)
+  }
+
+  /**
+   * Get list of applied migrations
+   */
+  getAppliedMigrations() {
+    const result = sqliteConfig.query('SELECT version FROM migrations ORDER BY applied_at, id')
+    return result.rows.map(row => row.version)
+  }
+
+  /**
+   * Record a completed migration
+   */
+  recordMigration(version, name) {
+    sqliteConfig.query('INSERT INTO migrations (version, name) VALUES (?, ?)', [version, name])
+  }
+
+  /**
+   * Migration 001: Create counters table
+   */
+  createCountersTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS counters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        color TEXT NOT NULL UNIQUE CHECK (color IN ('red', 'blue')),
+        count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      -- Insert initial values
+      INSERT INTO counters (color, count) VALUES
+        ('red', 0),
+        ('blue', 0)
+      ON CONFLICT (color) DO NOTHING;
+
+      ${updatedAtTrigger('counters')}
+    `)
+  }
+
+  /**
+   * Migration 002: Create counter history table for analytics
+   */
+  createCounterHistoryTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS counter_history (${ORIGINAL_HISTORY_DEFINITION});
+
+      -- Create indexes for better query performance
+      ${ORIGINAL_HISTORY_INDEXES}
+    `)
+  }
+
+  /**
+   * Migration 003: Create teams table and lift the red/blue restriction
+   * Counter rows keep their `color` column, which now references a team id
+   */
+  createTeamsTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS teams (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        color TEXT NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        retired_at TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      -- Seed the original teams so /api/red and /api/blue keep working
+      INSERT INTO teams (id, name, color) VALUES
+        ('red', 'Red', '#ff6b6b'),
+        ('blue', 'Blue', '#4ecdc4')
+      ON CONFLICT (id) DO NOTHING;
+
+      -- Drop the hard-coded color checks and reference teams instead
+      ${rebuildTable('counters', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        color TEXT NOT NULL UNIQUE REFERENCES teams(id),
+        count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      `, COUNTER_COLUMNS)}
+      ${updatedAtTrigger('counters')}
+
+      ${rebuildTable('counter_history', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        color TEXT NOT NULL,
+        previous_count INTEGER NOT NULL,
+        new_count INTEGER NOT NULL,
+        increment_amount INTEGER NOT NULL DEFAULT 1,
+        client_info TEXT,
+        timestamp TEXT DEFAULT ${NOW},
+        session_id TEXT
+      `, HISTORY_COLUMNS)}
+      ${ORIGINAL_HISTORY_INDEXES}
+
+      CREATE INDEX IF NOT EXISTS idx_teams_active ON teams(is_active);
+
+      ${updatedAtTrigger('teams')}
+    `)
+  }
+
+  /**
+   * Migration 004: Create battles table and scope counters and history to a battle
+   * Existing rows move into the 'default' battle used by the legacy routes
+   */
+  createBattlesTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS battles (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      INSERT INTO battles (id, name) VALUES ('default', 'Default Battle')
+      ON CONFLICT (id) DO NOTHING;
+
+      ${rebuildTable('counters', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        battle_id TEXT NOT NULL DEFAULT 'default' REFERENCES battles(id),
+        color TEXT NOT NULL REFERENCES teams(id),
+        count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW},
+        CONSTRAINT counters_battle_color_key UNIQUE (battle_id, color)
+      `, COUNTER_COLUMNS)}
+      ${updatedAtTrigger('counters')}
+
+      ALTER TABLE counter_history
+        ADD COLUMN battle_id TEXT NOT NULL DEFAULT 'default'
+        REFERENCES battles(id);
+      CREATE INDEX IF NOT EXISTS idx_counter_history_battle_timestamp
+        ON counter_history(battle_id, timestamp);
+
+      ${updatedAtTrigger('battles')}
+    `)
+  }
+
+  /**
+   * Migration 005: Create rounds table for timed voting windows
+   */
+  createRoundsTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS rounds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        battle_id TEXT NOT NULL REFERENCES battles(id),
+        name TEXT NOT NULL,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'scheduled'
+          CHECK (status IN ('scheduled', 'open', 'closed')),
+        opened_at TEXT,
+        closed_at TEXT,
+        winner TEXT,
+        is_tie BOOLEAN,
+        final_tallies TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW},
+        CHECK (ends_at > starts_at)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rounds_battle_starts ON rounds(battle_id, starts_at);
+      CREATE INDEX IF NOT EXISTS idx_rounds_status ON rounds(status);
+
+      ${updatedAtTrigger('rounds')}
+    `)
+  }
+
+  /**
+   * Migration 006: Turn counter_history into an append-only ledger
+   * Increments were not recorded before this migration, so each counter gets an
+   * opening balance row that makes the ledger sum match its current count
+   */
+  createCounterLedger() {
+    sqliteConfig.exec(`
+      INSERT INTO counter_history
+        (battle_id, color, previous_count, new_count, increment_amount, client_info)
+      SELECT
+        c.battle_id,
+        c.color,
+        COALESCE(h.total, 0),
+        c.count,
+        c.count - COALESCE(h.total, 0),
+        '{"action":"opening_balance"}'
+      FROM counters c
+      LEFT JOIN (
+        SELECT battle_id, color, SUM(increment_amount) AS total
+        FROM counter_history
+        GROUP BY battle_id, color
+      ) h ON h.battle_id = c.battle_id AND h.color = c.color
+      WHERE c.count <> COALESCE(h.total, 0);
+
+      CREATE INDEX IF NOT EXISTS idx_counter_history_battle_color
+        ON counter_history(battle_id, color);
+
+      -- Ledger rows are immutable
+      DROP TRIGGER IF EXISTS counter_history_append_only;
+      CREATE TRIGGER counter_history_append_only
+        BEFORE UPDATE ON counter_history
+      BEGIN
+        SELECT RAISE(ABORT, 'counter_history is append-only');
+      END;
+    `)
+  }
+
+  /**
+   * Migration 007: Create idempotency keys table for safely retried votes
+   */
+  createIdempotencyKeysTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        key TEXT PRIMARY KEY,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'in_progress'
+          CHECK (status IN ('in_progress', 'completed')),
+        response_status INTEGER,
+        response_body TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        expires_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+    `)
+  }
+
+  /**
+   * Migration 008: Create counter snapshots for point-in-time queries
+   * A snapshot holds each counter's ledger sum up to `last_history_id`, so a
+   * query for time T only replays the ledger rows after the latest snapshot
+   */
+  createCounterSnapshotsTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS counter_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        battle_id TEXT NOT NULL REFERENCES battles(id),
+        color TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        last_history_id INTEGER NOT NULL,
+        taken_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_counter_snapshots_battle_taken
+        ON counter_snapshots(battle_id, taken_at);
+      CREATE INDEX IF NOT EXISTS idx_counter_history_battle_color_id
+        ON counter_history(battle_id, color, id);
+    `)
+  }
+
+  /**
+   * Migration 009: Create session nicknames for the contributor leaderboard
+   */
+  createSessionNicknamesTable() {
+    sqliteConfig.exec(`
+      CREATE TABLE IF NOT EXISTS session_nicknames (
+        session_id TEXT PRIMARY KEY,
+        nickname TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      );
+
+      ${updatedAtTrigger('session_nicknames')}
+
+      CREATE INDEX IF NOT EXISTS idx_counter_history_battle_session
+        ON counter_history(battle_id, session_id, timestamp)
+        WHERE session_id IS NOT NULL;
+    `)
+  }
+
+  /**
+   * Migration 010: Let ledger rows stand for an hour of compacted votes
+   * A rollup row keeps the summed amount of the votes it replaced, so ledger
+   * sums are unchanged; rollup_count records how many votes that was
+   */
+  addCounterHistoryRollups() {
+    sqliteConfig.exec(`
+      ALTER TABLE counter_history
+        ADD COLUMN rollup_count INTEGER CHECK (rollup_count > 0);
+    `)
+  }
+
+  /**
+   * Migration 011: Store ledger times with their time zone
+   * Nothing to change: SQLite timestamps are already UTC ISO 8601 text. The
+   * version is kept so both backends report the same migrations.
+   */
+  keepUtcTimestamps() {}
+
+  /**
+   * Rollback migration 001
+   */
+  dropCountersTable() {
+    sqliteConfig.exec('DROP TABLE IF EXISTS counters')
+  }
+
+  /**
+   * Rollback migration 002
+   */
+  dropCounterHistoryTable() {
+    sqliteConfig.exec('DROP TABLE IF EXISTS counter_history')
+  }
+
+  /**
+   * Rollback migration 003
+   * Restores the red/blue checks, so counters for other teams are removed first
+   */
+  dropTeamsTable() {
+    sqliteConfig.exec(`
+      DELETE FROM counters WHERE color NOT IN ('red', 'blue');
+      DELETE FROM counter_history WHERE color NOT IN ('red', 'blue');
+
+      ${rebuildTable('counters', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        color TEXT NOT NULL UNIQUE CHECK (color IN ('red', 'blue')),
+        count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      `, COUNTER_COLUMNS)}
+      ${updatedAtTrigger('counters')}
+
+      ${rebuildTable('counter_history', ORIGINAL_HISTORY_DEFINITION, HISTORY_COLUMNS)}
+      ${ORIGINAL_HISTORY_INDEXES}
+
+      DROP TABLE IF EXISTS teams;
+    `)
+  }
+
+  /**
+   * Rollback migration 004
+   * Only the default battle's counters and history survive
+   */
+  dropBattlesTable() {
+    sqliteConfig.exec(`
+      DELETE FROM counters WHERE battle_id <> 'default';
+      DELETE FROM counter_history WHERE battle_id <> 'default';
+
+      ${rebuildTable('counters', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        color TEXT NOT NULL UNIQUE REFERENCES teams(id),
+        count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+      `, COUNTER_COLUMNS)}
+      ${updatedAtTrigger('counters')}
+
+      DROP INDEX IF EXISTS idx_counter_history_battle_timestamp;
+      ALTER TABLE counter_history DROP COLUMN battle_id;
+      DROP TABLE IF EXISTS battles;
+    `)
+  }
+
+  /**
+   * Rollback migration 005
+   */
+  dropRoundsTable() {
+    sqliteConfig.exec('DROP TABLE IF EXISTS rounds')
+  }
+
+  /**
+   * Rollback migration 006
+   */
+  dropCounterLedger() {
+    sqliteConfig.exec(`
+      DROP TRIGGER IF EXISTS counter_history_append_only;
+      DROP INDEX IF EXISTS idx_counter_history_battle_color;
+      DELETE FROM counter_history WHERE client_info->>'action' = 'opening_balance';
+    `)
+  }
+
+  /**
+   * Rollback migration 007
+   */
+  dropIdempotencyKeysTable() {
+    sqliteConfig.exec('DROP TABLE IF EXISTS idempotency_keys')
+  }
+
+  /**
+   * Rollback migration 008
+   */
+  dropCounterSnapshotsTable() {
+    sqliteConfig.exec(`
+      DROP INDEX IF EXISTS idx_counter_history_battle_color_id;
+      DROP TABLE IF EXISTS counter_snapshots;
+    `)
+  }
+
+  /**
+   * Rollback migration 009
+   */
+  dropSessionNicknamesTable() {
+    sqliteConfig.exec(`
+      DROP INDEX IF EXISTS idx_counter_history_battle_session;
+      DROP TABLE IF EXISTS session_nicknames;
+    `)
+  }
+
+  /**
+   * Rollback migration 010
+   * Rollup rows stay in the ledger, so counter totals are preserved, but each
+   * one counts as a single vote again
+   */
+  dropCounterHistoryRollups() {
+    sqliteConfig.exec('ALTER TABLE counter_history DROP COLUMN rollup_count')
+  }
+
+  /**
+   * Rollback to a specific migration version
+   */
+  async rollback(targetVersion) {
+    try {
+      console.log(`🔄 Rolling back to migration version ${targetVersion}`)
+
+      const appliedMigrations = this.getAppliedMigrations()
+      const reverseMigrations = [...this.migrations].reverse()
+
+      for (const migration of reverseMigrations) {
+        if (appliedMigrations.includes(migration.version) &&
+            migration.version > targetVersion) {
+          console.log(`🔄 Rolling back migration ${migration.version}`)
+          this.runInTransaction(() => {
+            migration.down.call(this)
+            sqliteConfig.query('DELETE FROM migrations WHERE version = ?', [migration.version])
+          })
+          console.log(`✅ Rollback ${migration.version} completed`)
+        }
+      }
+
+      console.log('🎉 Rollback completed successfully')
+    } catch (error) {
+      console.error('❌ Rollback failed:', error.message)
+      throw error
+    }
+  }
+}
+
+module.exports = SqliteMigrationManager
@@ -11,10 +11,18 @@
  *             - connection_confirmed
  *             - counter_update
  *             - statistics_update
+ *             - team_update
+ *             - battle_joined
+ *             - battle_archived
+ *             - round_started
+ *             - round_ended
+ *             - leaderboard_update
+ *             - join_battle
  *             - error
  *             - subscribe_updates
  *             - get_counters
  *             - get_stats
+ *             - get_leaderboard
  *         data:
  *           type: object
  *           description: Message payload (varies by type)
@@ -28,6 +36,9 @@
  *         type:
  *           type: string
  *           example: counter_update
+ *         battleId:
+ *           type: string
+ *           example: default
  *         data:
  *           type: object
  *           properties:
@@ -42,6 +53,39 @@
  *           format: date-time
  *           example: "2025-08-06T01:37:31.015Z"
  * 
+ *     WebSocketTeamUpdate:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: team_update
+ *         data:
+ *           type: object
+ *           properties:
+ *             action:
+ *               type: string
+ *               enum: [created, updated, retired]
+ *             team:
+ *               $ref: '#/components/schemas/Team'
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ * 
+ *     WebSocketRoundEnded:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: round_ended
+ *         battleId:
+ *           type: string
+ *           example: default
+ *         data:
+ *           $ref: '#/components/schemas/RoundResult'
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ * 
  *     WebSocketConnectionConfirmed:
  *       type: object
  *       properties:
@@ -54,6 +98,9 @@
  *             clientId:
  *               type: string
  *               example: "client_1754444250993_oo3ssqwnt"
+ *             battleId:
+ *               type: string
+ *               example: "default"
  *             connectedAt:
  *               type: string
  *               format: date-time
@@ -67,17 +114,28 @@
  *       
  *       **Connection URL:** `ws://localhost:3000` (development) or `wss://your-domain.com` (production)
  *       
+ *       Each client watches one battle. Append `?battle=<battleId>` to the URL to pick one;
+ *       otherwise the `default` battle is used.
+ *       
  *       ## Supported Message Types
  *       
  *       ### Client to Server:
  *       - `get_counters` - Request current counter values
  *       - `subscribe_updates` - Subscribe to real-time counter updates
- *       - `get_stats` - Request statistics with optional timeRange
+ *       - `get_stats` - Request statistics with optional `timeRange` (ISO-8601 duration such as `PT90M`), `startDate` and `endDate`; invalid values get an `error` reply
+ *       - `get_leaderboard` - Request the contributor leaderboard with optional `timeRange`, `startDate`, `endDate` and `limit`
+ *       - `join_battle` - Switch to another battle (`{ "type": "join_battle", "battleId": "stream-42" }`)
  *       
  *       ### Server to Client:
  *       - `connection_confirmed` - Sent when client connects successfully
  *       - `counter_update` - Sent when counters are updated (real-time)
- *       - `statistics_update` - Sent with statistics data
+ *       - `statistics_update` - Sent with statistics data, including `momentum` analytics (see the Statistics schema)
+ *       - `team_update` - Sent when a team is created, renamed or retired
+ *       - `battle_joined` - Sent after a successful `join_battle`
+ *       - `battle_archived` - Sent to a battle's clients when it is archived
+ *       - `round_started` - Sent to a battle's clients when a timed round opens
+ *       - `round_ended` - Sent to a battle's clients when a round closes, with frozen tallies and the winner
+ *       - `leaderboard_update` - Sent with the top contributing sessions after votes carrying a session id, at most once per `LEADERBOARD_UPDATE_INTERVAL_MS`, and in reply to `get_leaderboard`
  *       - `error` - Sent when an error occurs
  *       
  *       ## Example Usage
@@ -15,30 +15,41 @@ try {
   console.log('🔧 Loaded default environment configuration from .env')
 }
 
+const { installConsoleContext } = require('./utils/requestContext')
+
+// Prefix log lines written while handling a request with its id
+installConsoleContext()
+
 const express = require('express')
 const http = require('http')
-const dbConfig = require('./config/database')
-const MigrationManager = require('./database/migrations')
+const storage = require('./config/storage')
 const WebSocketManager = require('./websocket/WebSocketManager')
+const RoundScheduler = require('./services/RoundScheduler')
+const SnapshotScheduler = require('./services/SnapshotScheduler')
+const RetentionScheduler = require('./services/RetentionScheduler')
 const { setupSwagger } = require('./config/swagger')
 const apiRoutes = require('./routes/api')
+const metricsRoutes = require('./routes/metrics')
 const { 
   errorHandler, 
   notFound, 
   requestLogger 
 } = require('./middleware/errorHandler')
+const { requestContext } = require('./middleware/requestContext')
 
 const app = express()
 const port = process.env.PORT || 3000
 
 // Global middleware
+app.use(requestContext)
 app.use(requestLogger)
 
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*')
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization')
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key, X-Session-Id, X-Request-Id, traceparent')
+  res.header('Access-Control-Expose-Headers', 'Idempotent-Replayed, X-Request-Id, traceparent')
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200)
@@ -59,6 +70,19 @@ const server = http.createServer(app)
 // Initialize WebSocket manager
 let wsManager
 
+// Opens and closes timed rounds
+const roundScheduler = new RoundScheduler()
+
+// Snapshots counters for point-in-time queries
+const snapshotScheduler = new SnapshotScheduler()
+
+// Compacts old votes into hourly rollups
+const retentionScheduler = new RetentionScheduler()
+
+// How long readiness fails before the server stops accepting connections
+const parsedDrainMs = parseInt(process.env.SHUTDOWN_DRAIN_MS)
+const shutdownDrainMs = Number.isFinite(parsedDrainMs) ? Math.max(parsedDrainMs, 0) : 5000
+
 // Welcome route
 app.get('/', (req, res) => {
   res.json({
@@ -68,8 +92,16 @@ app.get('/', (req, res) => {
       counters: '/api/counters',
       red: '/api/red',
       blue: '/api/blue',
+      teams: '/api/teams',
+      battles: '/api/battles',
+      rounds: '/api/rounds',
+      results: '/api/rounds/results',
       stats: '/api/counters/stats',
+      leaderboard: '/api/leaderboard',
       health: '/api/health',
+      liveness: '/api/health/live',
+      readiness: '/api/health/ready',
+      metrics: '/metrics',
       docs: '/api-docs'
     },
     websocket: `ws://localhost:${port}`,
@@ -91,6 +123,9 @@ app.use((req, res, next) => {
 // API routes
 app.use('/api', apiRoutes)
 
+// Prometheus scrape endpoint
+app.use('/metrics', metricsRoutes)
+
 // Error handling middleware
 app.use(notFound)
 app.use(errorHandler)
@@ -102,26 +137,30 @@ async function initializeApp() {
   try {
     console.log('🚀 Starting Red vs Blue API server...')
     
-    // Connect to database
-    console.log('📦 Connecting to database...')
-    await dbConfig.connect()
-    
-    // Run database migrations
-    console.log('🔄 Running database migrations...')
-    const migrationManager = new MigrationManager()
-    await migrationManager.migrate()
+    // Connect to storage: PostgreSQL is migrated, memory is seeded
+    console.log(`📦 Connecting to ${storage.description} storage...`)
+    await storage.connect()
     
     // Initialize WebSocket manager
     console.log('🔌 Initializing WebSocket server...')
     wsManager = new WebSocketManager(server)
     
+    // Start opening and closing timed rounds
+    roundScheduler.start()
+    
+    // Start snapshotting counters
+    snapshotScheduler.start()
+    
+    // Start compacting old counter history
+    retentionScheduler.start()
+    
     // Start server
     server.listen(port, () => {
       console.log('✅ Server initialization completed!')
       console.log(`🌐 HTTP Server running at http://localhost:${port}`)
       console.log(`🔌 WebSocket server running at ws://localhost:${port}`)
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`)
-      console.log(`💾 Database: Connected to PostgreSQL`)
+      console.log(`💾 Storage: ${storage.description}`)
     })
     
   } catch (error) {
@@ -132,23 +171,50 @@ async function initializeApp() {
 
 /**
  * Handle graceful shutdown
+ * Readiness fails first, and the server keeps serving for SHUTDOWN_DRAIN_MS
+ * so load balancers stop routing to it before it stops accepting
+ * connections. Storage is closed only once in-flight requests have finished.
  */
 async function gracefulShutdown(signal) {
+  if (app.get('shuttingDown')) {
+    return
+  }
+
   console.log(`\n🔄 Received ${signal}. Starting graceful shutdown...`)
   
+  // Readiness checks fail from now on, so traffic drains away
+  app.set('shuttingDown', true)
+  
   try {
-    // Stop accepting new connections
-    server.close(() => {
-      console.log('✅ HTTP server closed')
+    if (shutdownDrainMs > 0) {
+      console.log(`⏳ Draining traffic for ${shutdownDrainMs}ms...`)
+      await new Promise(resolve => setTimeout(resolve, shutdownDrainMs))
+    }
+    
+    // Stop accepting new connections; requests already running carry on
+    const serverClosed = new Promise(resolve => {
+      server.close(() => {
+        console.log('✅ HTTP server closed')
+        resolve()
+      })
     })
+    server.closeIdleConnections()
+    
+    // Stop the schedulers before closing their dependencies
+    roundScheduler.stop()
+    snapshotScheduler.stop()
+    retentionScheduler.stop()
     
     // Close WebSocket connections
     if (wsManager) {
       await wsManager.shutdown()
     }
     
-    // Close database connection
-    await dbConfig.close()
+    // Wait for in-flight requests before closing the storage they use
+    await serverClosed
+    
+    // Close storage connection
+    await storage.close()
     
     console.log('✅ Graceful shutdown completed')
     process.exit(0)
@@ -3,6 +3,8 @@
  * Provides consistent error responses and logging
  */
 
+const { httpRequests, httpRequestDuration, rateLimitRejections, routeLabel } = require('../utils/metrics')
+
 class AppError extends Error {
   constructor(message, statusCode = 500, isOperational = true) {
     super(message)
@@ -14,6 +16,33 @@ class AppError extends Error {
   }
 }
 
+/**
+ * HTTP status codes for the `code` field of failed service results
+ */
+const errorStatusCodes = {
+  VALIDATION_ERROR: 400,
+  TEAM_NOT_FOUND: 404,
+  TEAM_EXISTS: 409,
+  TEAM_LIMIT_REACHED: 409,
+  TEAM_RETIRED: 409,
+  TEAM_NOT_IN_BATTLE: 404,
+  BATTLE_NOT_FOUND: 404,
+  BATTLE_EXISTS: 409,
+  BATTLE_CLOSED: 409,
+  ROUND_NOT_FOUND: 404,
+  ROUND_NOT_OPEN: 409,
+  ROUND_OVERLAP: 409,
+  IDEMPOTENCY_KEY_REUSED: 409,
+  IDEMPOTENCY_KEY_IN_PROGRESS: 409
+}
+
+/**
+ * Resolve the HTTP status for a failed service result
+ */
+const statusForResult = (result, defaultStatus = 400) => {
+  return errorStatusCodes[result.code] || defaultStatus
+}
+
 /**
  * Global error handler middleware
  */
@@ -93,6 +122,7 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 /**
  * Request logging middleware
+ * Also records each request's count and latency for GET /metrics
  */
 const requestLogger = (req, res, next) => {
   const start = Date.now()
@@ -102,6 +132,10 @@ const requestLogger = (req, res, next) => {
     const logLevel = res.statusCode >= 400 ? '❌' : '✅'
     
     console.log(`${logLevel} ${req.method} ${req.url} - ${res.statusCode} - ${duration}ms`)
+
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode }
+    httpRequests.inc(labels)
+    httpRequestDuration.observe(labels, duration / 1000)
   })
   
   next()
@@ -138,6 +172,7 @@ const createRateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
     }
     
     if (clientRequests.count >= max) {
+      rateLimitRejections.inc({ route: routeLabel(req) })
       return res.status(429).json({
         success: false,
         error: {
@@ -158,5 +193,7 @@ module.exports = {
   notFound,
   asyncHandler,
   requestLogger,
-  createRateLimit
+  createRateLimit,
+  errorStatusCodes,
+  statusForResult
 }
@@ -0,0 +1,69 @@
+/**
+ * Idempotency middleware
+ * Replays the stored response for a repeated Idempotency-Key header
+ */
+
+const IdempotencyService = require('../services/IdempotencyService')
+const { asyncHandler, statusForResult } = require('./errorHandler')
+
+const idempotencyService = new IdempotencyService()
+
+/**
+ * Requests without the header are handled normally. The first request with a
+ * key runs the handler and a successful JSON response is stored as soon as
+ * the handler sends it, even if the client has disconnected; repeats of the
+ * same request get it back with an `Idempotent-Replayed` header. An error
+ * status (including a handler that threw) or a non-JSON response releases
+ * the key so the client can retry.
+ */
+const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key')
+
+  if (key === undefined) {
+    return next()
+  }
+
+  const result = await idempotencyService.beginRequest(key, {
+    method: req.method,
+    path: req.baseUrl + req.path,
+    body: req.body
+  })
+
+  if (!result.success) {
+    return res.status(statusForResult(result)).json(result)
+  }
+
+  if (result.replay) {
+    res.set('Idempotent-Replayed', 'true')
+    return res.status(result.replay.status).json(result.replay.body)
+  }
+
+  // The handler's result is what a retry must get back, whether or not this
+  // client stays connected to receive it
+  let recorded = false
+  const record = (status, body) => {
+    recorded = true
+    return idempotencyService.completeRequest(key, status, body)
+      .catch(error => console.error('❌ Failed to store idempotent response:', error.message))
+  }
+
+  // Store the response before sending it, so a retry never misses it
+  const sendJson = res.json.bind(res)
+  res.json = (body) => {
+    record(res.statusCode, body).finally(() => sendJson(body))
+    return res
+  }
+
+  // A response that did not go through res.json has nothing to replay
+  const end = res.end.bind(res)
+  res.end = (...args) => {
+    if (!recorded) {
+      record(null)
+    }
+    return end(...args)
+  }
+
+  next()
+})
+
+module.exports = { idempotent }
@@ -0,0 +1,35 @@
+/**
+ * Request context middleware
+ * Gives every request an id and a W3C trace context
+ */
+
+const { createRequestContext, formatTraceparent, runWithContext } = require('../utils/requestContext')
+
+/**
+ * Uses the caller's X-Request-Id and traceparent headers when they are valid
+ * and generates them otherwise. Both are sent back on the response, the rest
+ * of the request runs inside the context, and failed JSON responses
+ * (`success: false`) get a `requestId` field.
+ */
+const requestContext = (req, res, next) => {
+  const context = createRequestContext({
+    requestId: req.get('X-Request-Id'),
+    traceparent: req.get('traceparent')
+  })
+
+  req.requestId = context.requestId
+  res.set('X-Request-Id', context.requestId)
+  res.set('traceparent', formatTraceparent(context))
+
+  const sendJson = res.json.bind(res)
+  res.json = (body) => {
+    if (body && body.success === false && body.requestId === undefined) {
+      return sendJson({ ...body, requestId: context.requestId })
+    }
+    return sendJson(body)
+  }
+
+  runWithContext(context, next)
+}
+
+module.exports = { requestContext }
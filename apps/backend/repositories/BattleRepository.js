@@ -0,0 +1,113 @@
+const dbConfig = require('../config/database')
+
+/**
+ * Battle Repository
+ * Handles all database operations related to battles (independent rooms)
+ */
+class BattleRepository {
+  /**
+   * Battle used by the legacy, un-namespaced routes
+   */
+  static DEFAULT_BATTLE_ID = 'default'
+
+  /**
+   * Get all battles with the ids of the teams taking part
+   */
+  async getBattles({ includeArchived = false } = {}) {
+    try {
+      const result = await dbConfig.readQuery(`
+        SELECT
+          b.id, b.name, b.status, b.created_at, b.updated_at,
+          COALESCE(
+            array_agg(c.color ORDER BY c.color) FILTER (WHERE c.color IS NOT NULL),
+            '{}'
+          ) AS teams
+        FROM battles b
+        LEFT JOIN counters c ON c.battle_id = b.id
+        ${includeArchived ? '' : "WHERE b.status = 'active'"}
+        GROUP BY b.id
+        ORDER BY b.created_at, b.id
+      `)
+
+      return result.rows
+    } catch (error) {
+      console.error('❌ Error fetching battles:', error.message)
+      throw new Error('Failed to fetch battles')
+    }
+  }
+
+  /**
+   * Get a single battle with the ids of the teams taking part
+   * Returns null when the battle does not exist
+   */
+  async getBattleById(battleId) {
+    try {
+      const result = await dbConfig.query(`
+        SELECT
+          b.id, b.name, b.status, b.created_at, b.updated_at,
+          COALESCE(
+            array_agg(c.color ORDER BY c.color) FILTER (WHERE c.color IS NOT NULL),
+            '{}'
+          ) AS teams
+        FROM battles b
+        LEFT JOIN counters c ON c.battle_id = b.id
+        WHERE b.id = $1
+        GROUP BY b.id
+      `, [battleId])
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error(`❌ Error fetching battle ${battleId}:`, error.message)
+      throw new Error('Failed to fetch battle')
+    }
+  }
+
+  /**
+   * Create a battle with a zeroed counter for each team
+   */
+  async createBattle({ id, name, teams }) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO battles (id, name)
+          VALUES ($1, $2)
+          RETURNING id, name, status, created_at, updated_at
+        `, [id, name])
+
+        for (const teamId of teams) {
+          await client.query(`
+            INSERT INTO counters (battle_id, color, count)
+            VALUES ($1, $2, 0)
+          `, [id, teamId])
+        }
+
+        return { ...result.rows[0], teams: [...teams].sort() }
+      })
+    } catch (error) {
+      console.error(`❌ Error creating battle ${id}:`, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Archive a battle so it no longer accepts votes
+   * Returns null when the battle does not exist or is already archived
+   */
+  async archiveBattle(battleId) {
+    try {
+      const result = await dbConfig.query(`
+        UPDATE battles
+        SET status = 'archived'
+        WHERE id = $1 AND status = 'active'
+        RETURNING id, name, status, created_at, updated_at
+      `, [battleId])
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error(`❌ Error archiving battle ${battleId}:`, error.message)
+      throw new Error('Failed to archive battle')
+    }
+  }
+}
+
+module.exports = BattleRepository
@@ -1,21 +1,50 @@
 const dbConfig = require('../config/database')
+const BattleRepository = require('./BattleRepository')
 
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+/**
+ * SQL condition that holds while battle $1 accepts votes: it has no rounds, or
+ * its current round is open. It takes no lock; closeRound serializes with
+ * votes on the counter rows instead (see the voting_closed column).
+ */
+const VOTING_OPEN = `(
+  NOT EXISTS (SELECT 1 FROM rounds WHERE battle_id = $1)
+  OR EXISTS (
+    SELECT 1 FROM rounds
+    WHERE battle_id = $1
+      AND status = 'open'
+      AND starts_at <= NOW()
+      AND ends_at > NOW()
+  )
+)`
 /**
  * Counter Repository
  * Handles all database operations related to counters
  * Implements Repository Pattern for clean separation of concerns
+ *
+ * Reporting reads go through dbConfig.readQuery and are served by read
+ * replicas when DB_REPLICAS is set; writes, transactions and reads that a
+ * write depends on stay on the primary
  */
 class CounterRepository {
   /**
-   * Get current counter values for both colors
+   * Get current counter values for every active team in a battle
+   * With `primary` the values are read from the primary, for callers that
+   * must see a write that just committed; a replica may not have it yet
    */
-  async getCounters() {
+  async getCounters(battleId = DEFAULT_BATTLE_ID, { primary = false } = {}) {
     try {
-      const result = await dbConfig.query(`
-        SELECT color, count, updated_at 
-        FROM counters 
-        ORDER BY color
-      `)
+      const query = `
+        SELECT c.color, c.count, c.updated_at 
+        FROM counters c
+        JOIN teams t ON t.id = c.color
+        WHERE c.battle_id = $1 AND t.is_active = TRUE
+        ORDER BY c.color
+      `
+      const result = primary
+        ? await dbConfig.query(query, [battleId])
+        : await dbConfig.readQuery(query, [battleId])
       
       // Transform to object format for compatibility
       const counters = {}
@@ -35,16 +64,131 @@ class CounterRepository {
     }
   }
 
+  /**
+   * Get counter values for a battle as they were at a point in time
+   * Starts from the latest snapshot taken at or before `at` and replays the
+   * ledger rows recorded after it
+   */
+  async getCountersAt(at, battleId = DEFAULT_BATTLE_ID, { includeRetired = false } = {}) {
+    try {
+      const result = await dbConfig.readQuery(`
+        WITH snapshots AS (
+          SELECT DISTINCT ON (color) color, count, last_history_id, taken_at
+          FROM counter_snapshots
+          WHERE battle_id = $1 AND taken_at <= $2
+          ORDER BY color, taken_at DESC
+        )
+        SELECT 
+          c.color,
+          s.taken_at AS snapshot_taken_at,
+          (COALESCE(s.count, 0) + COALESCE((
+            SELECT SUM(h.increment_amount)
+            FROM counter_history h
+            WHERE h.battle_id = $1 
+              AND h.color = c.color 
+              AND h.id > COALESCE(s.last_history_id, 0)
+              AND h.timestamp <= $2
+          ), 0))::int AS count
+        FROM counters c
+        JOIN teams t ON t.id = c.color
+        LEFT JOIN snapshots s ON s.color = c.color
+        WHERE c.battle_id = $1 ${includeRetired ? '' : 'AND t.is_active = TRUE'}
+        ORDER BY c.color
+      `, [battleId, at])
+      
+      const counters = {}
+      result.rows.forEach(row => {
+        counters[row.color] = row.count
+      })
+      
+      const snapshotTimes = result.rows
+        .filter(row => row.snapshot_taken_at)
+        .map(row => new Date(row.snapshot_taken_at).getTime())
+      
+      return {
+        counters,
+        at: at.toISOString(),
+        snapshotTakenAt: snapshotTimes.length > 0 
+          ? new Date(Math.min(...snapshotTimes)).toISOString() 
+          : null
+      }
+    } catch (error) {
+      console.error('❌ Error fetching counters at point in time:', error.message)
+      throw new Error('Failed to fetch counter values at point in time')
+    }
+  }
+
+  /**
+   * Snapshot every counter's ledger sum
+   * Counters are locked so no increment is in flight while the ledger position
+   * is read. Each snapshot builds on the previous one, so only new ledger rows
+   * are summed. Returns null when nothing changed since the last snapshot.
+   */
+  async createSnapshots() {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        await client.query('SELECT battle_id, color FROM counters ORDER BY battle_id, color FOR UPDATE')
+        
+        const positionResult = await client.query(`
+          SELECT 
+            clock_timestamp()::text AS taken_at, -- text keeps microsecond precision
+            COALESCE((SELECT MAX(id) FROM counter_history), 0) AS last_history_id,
+            COALESCE((SELECT MAX(last_history_id) FROM counter_snapshots), 0) AS previous_history_id
+        `)
+        const { taken_at: takenAt, last_history_id: lastHistoryId, previous_history_id: previousHistoryId } = positionResult.rows[0]
+        
+        if (lastHistoryId === previousHistoryId) {
+          return null
+        }
+        
+        const insertResult = await client.query(`
+          INSERT INTO counter_snapshots (battle_id, color, count, last_history_id, taken_at)
+          SELECT 
+            c.battle_id,
+            c.color,
+            COALESCE(s.count, 0) + COALESCE((
+              SELECT SUM(h.increment_amount)
+              FROM counter_history h
+              WHERE h.battle_id = c.battle_id 
+                AND h.color = c.color 
+                AND h.id > COALESCE(s.last_history_id, 0)
+                AND h.id <= $1
+            ), 0),
+            $1,
+            $2
+          FROM counters c
+          LEFT JOIN LATERAL (
+            SELECT count, last_history_id
+            FROM counter_snapshots cs
+            WHERE cs.battle_id = c.battle_id AND cs.color = c.color
+            ORDER BY cs.taken_at DESC
+            LIMIT 1
+          ) s ON TRUE
+        `, [lastHistoryId, takenAt])
+        
+        return {
+          takenAt,
+          lastHistoryId,
+          counters: insertResult.rowCount
+        }
+      })
+      
+    } catch (error) {
+      console.error('❌ Error creating counter snapshots:', error.message)
+      throw new Error('Failed to create counter snapshots')
+    }
+  }
+
   /**
    * Get counter value for a specific color
    */
-  async getCounterByColor(color) {
+  async getCounterByColor(color, battleId = DEFAULT_BATTLE_ID) {
     try {
-      const result = await dbConfig.query(`
+      const result = await dbConfig.readQuery(`
         SELECT color, count, updated_at 
         FROM counters 
-        WHERE color = $1
-      `, [color])
+        WHERE battle_id = $1 AND color = $2
+      `, [battleId, color])
       
       if (result.rows.length === 0) {
         throw new Error(`Counter for color '${color}' not found`)
@@ -58,108 +202,507 @@ class CounterRepository {
   }
 
   /**
-   * Increment counter for a specific color
-   * Uses database transaction for consistency
+   * Increment counter for a specific color if the vote is accepted
+   * One statement checks that the battle is active, the team is active and in
+   * the battle, and that voting is open, then applies the vote and its ledger
+   * entry. Returns the increment with the team's name and color, or null when
+   * a check failed and nothing was applied; the caller works out which.
    */
-  async incrementCounter(color, incrementBy = 1, clientInfo = null) {
-    const client = await dbConfig.beginTransaction()
-    
+  async incrementCounter(color, incrementBy = 1, clientInfo = null, battleId = DEFAULT_BATTLE_ID, sessionId = null) {
     try {
-      // Get current value
-      const currentResult = await client.query(`
-        SELECT count FROM counters WHERE color = $1 FOR UPDATE
-      `, [color])
-      
-      if (currentResult.rows.length === 0) {
-        throw new Error(`Counter for color '${color}' not found`)
+      const result = await dbConfig.query(`
+        WITH voting AS (
+          SELECT t.name, t.color
+          FROM battles b
+          JOIN teams t ON t.id = $2 AND t.is_active = TRUE
+          WHERE b.id = $1
+            AND b.status = 'active'
+            AND ${VOTING_OPEN}
+        ),
+        updated AS (
+          UPDATE counters 
+          SET count = count + $3 
+          WHERE battle_id = $1
+            AND color = $2
+            AND NOT voting_closed
+            AND EXISTS (SELECT 1 FROM voting)
+          RETURNING count - $3 AS previous_count, count AS new_count
+        ),
+        ledger AS (
+          INSERT INTO counter_history 
+            (battle_id, color, previous_count, new_count, increment_amount, client_info, session_id) 
+          SELECT $1, $2, previous_count, new_count, $3, $4, $5 
+          FROM updated
+        )
+        SELECT u.previous_count, u.new_count, v.name, v.color
+        FROM updated u
+        CROSS JOIN voting v
+      `, [battleId, color, incrementBy, clientInfo, sessionId])
+
+      if (result.rows.length === 0) {
+        return null
       }
-      
-      const previousCount = currentResult.rows[0].count
-      const newCount = previousCount + incrementBy
-      
-      // Update counter
-      await client.query(`
-        UPDATE counters 
-        SET count = $1 
-        WHERE color = $2
-      `, [newCount, color])
 
-      await dbConfig.commitTransaction(client)
-      
+      const { previous_count: previousCount, new_count: newCount, name, color: teamColor } = result.rows[0]
+
       return {
+        battleId,
         color,
         previousCount,
         newCount,
         incrementBy,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        team: { id: color, name, color: teamColor }
       }
       
     } catch (error) {
-      await dbConfig.rollbackTransaction(client)
       console.error(`❌ Error incrementing ${color} counter:`, error.message)
       throw new Error(`Failed to increment ${color} counter`)
     }
   }
 
   /**
-   * Reset all counters to zero
+   * Apply several increments in one transaction: all of them or none
+   * Returns null, applying nothing, when the battle is not accepting votes
+   */
+  async incrementCountersAtomically(increments, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        const voting = await client.query(`SELECT ${VOTING_OPEN} AS open`, [battleId])
+        if (!voting.rows[0].open) {
+          return null
+        }
+
+        // Lock every affected counter up front, in a fixed order, so concurrent
+        // batches cannot deadlock on each other. A round that closed since the
+        // check above has marked the locked rows.
+        const colors = [...new Set(increments.map(increment => increment.color))].sort()
+        const locked = await client.query(`
+          SELECT color, voting_closed FROM counters 
+          WHERE battle_id = $1 AND color = ANY($2) 
+          ORDER BY color 
+          FOR UPDATE
+        `, [battleId, colors])
+
+        if (locked.rows.some(row => row.voting_closed)) {
+          return null
+        }
+        
+        const results = []
+        for (const increment of increments) {
+          results.push(await this.incrementCounterWithClient(client, increment, battleId))
+        }
+        
+        return results
+      })
+      
+    } catch (error) {
+      console.error('❌ Error applying atomic batch increment:', error.message)
+      throw new Error('Failed to apply batch increment')
+    }
+  }
+
+  /**
+   * Increment a counter and record it in the ledger
+   * `client` is a caller-owned transaction, or dbConfig to run on its own. The
+   * UPDATE takes the row lock and returns the new count, so concurrent votes
+   * still get consecutive previous and new counts.
+   */
+  async incrementCounterWithClient(client, { color, incrementBy = 1, clientInfo = null, sessionId = null }, battleId) {
+    const result = await client.query(`
+      WITH updated AS (
+        UPDATE counters 
+        SET count = count + $3 
+        WHERE battle_id = $1 AND color = $2
+        RETURNING count - $3 AS previous_count, count AS new_count
+      ),
+      ledger AS (
+        INSERT INTO counter_history 
+          (battle_id, color, previous_count, new_count, increment_amount, client_info, session_id) 
+        SELECT $1, $2, previous_count, new_count, $3, $4, $5 
+        FROM updated
+      )
+      SELECT previous_count, new_count FROM updated
+    `, [battleId, color, incrementBy, clientInfo, sessionId])
+    
+    if (result.rows.length === 0) {
+      throw new Error(`Counter for color '${color}' not found`)
+    }
+    
+    const { previous_count: previousCount, new_count: newCount } = result.rows[0]
+
+    return {
+      battleId,
+      color,
+      previousCount,
+      newCount,
+      incrementBy,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Reset all counters in a battle to zero
+   */
+  async resetCounters(battleId = DEFAULT_BATTLE_ID) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        await this.resetCountersWithClient(client, battleId)
+        
+        return { battleId, message: 'All counters reset to zero', timestamp: new Date().toISOString() }
+      })
+      
+    } catch (error) {
+      console.error('❌ Error resetting counters:', error.message)
+      throw new Error('Failed to reset counters')
+    }
+  }
+
+  /**
+   * Reset a battle's counters inside a caller-owned transaction
+   * Returns the counts from before the reset
+   */
+  async resetCountersWithClient(client, battleId, clientInfo = { action: 'reset' }) {
+    // Get current values for history
+    const currentResult = await client.query(
+      'SELECT color, count FROM counters WHERE battle_id = $1 FOR UPDATE',
+      [battleId]
+    )
+    
+    // Reset counters
+    await client.query('UPDATE counters SET count = 0 WHERE battle_id = $1', [battleId])
+    
+    // Record reset in history
+    for (const row of currentResult.rows) {
+      await client.query(`
+        INSERT INTO counter_history 
+        (battle_id, color, previous_count, new_count, increment_amount, client_info) 
+        VALUES ($1, $2, $3, 0, $4, $5)
+      `, [battleId, row.color, row.count, -row.count, clientInfo])
+    }
+
+    return currentResult.rows
+  }
+
+  /**
+   * Rebuild counters by replaying the counter_history ledger
+   * Every change to a counter is a ledger row, so a counter's value is the sum
+   * of its increment amounts. Rebuilds one battle, or every battle when null.
+   */
+  async rebuildCountersFromLedger(battleId = null) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        const counters = await this.rebuildCountersWithClient(client, battleId)
+        
+        return {
+          battleId,
+          counters,
+          corrected: counters.filter(counter => counter.corrected).length,
+          timestamp: new Date().toISOString()
+        }
+      })
+      
+    } catch (error) {
+      console.error('❌ Error rebuilding counters from ledger:', error.message)
+      throw new Error('Failed to rebuild counters')
+    }
+  }
+
+  /**
+   * Rebuild counters from the ledger inside an existing transaction
+   * Returns each counter's previous and rebuilt value
    */
-  async resetCounters() {
+  async rebuildCountersWithClient(client, battleId = null) {
+    // Lock counters so no increment lands between the replay and the update
+    const currentResult = await client.query(`
+      SELECT battle_id, color, count 
+      FROM counters 
+      WHERE $1::varchar IS NULL OR battle_id = $1
+      ORDER BY battle_id, color
+      FOR UPDATE
+    `, [battleId])
+    
+    const ledgerResult = await client.query(`
+      SELECT battle_id, color, COALESCE(SUM(increment_amount), 0)::int AS total
+      FROM counter_history
+      WHERE $1::varchar IS NULL OR battle_id = $1
+      GROUP BY battle_id, color
+    `, [battleId])
+    
+    const totals = new Map(
+      ledgerResult.rows.map(row => [`${row.battle_id}:${row.color}`, row.total])
+    )
+    
+    const counters = []
+    for (const row of currentResult.rows) {
+      const rebuiltCount = totals.get(`${row.battle_id}:${row.color}`) || 0
+      
+      if (rebuiltCount !== row.count) {
+        await client.query(
+          'UPDATE counters SET count = $1 WHERE battle_id = $2 AND color = $3',
+          [rebuiltCount, row.battle_id, row.color]
+        )
+      }
+      
+      counters.push({
+        battleId: row.battle_id,
+        color: row.color,
+        previousCount: row.count,
+        rebuiltCount,
+        corrected: rebuiltCount !== row.count
+      })
+    }
+    
+    return counters
+  }
+
+  /**
+   * Import ledger rows, keeping their ids, then rebuild the affected counters
+   * `batches` is an async iterable of arrays of validated records. Rows whose
+   * id already exists are skipped as duplicates, as are raw votes for an hour
+   * that has already been compacted into rollups. Everything runs in one
+   * transaction, so a failure leaves the database untouched.
+   */
+  async importHistory(batches) {
     const client = await dbConfig.beginTransaction()
     
     try {
-      // Get current values for history
-      const currentResult = await client.query('SELECT color, count FROM counters')
+      let inserted = 0
+      let duplicates = 0
+      const battleIds = new Set()
       
-      // Reset counters
-      await client.query('UPDATE counters SET count = 0')
+      for await (const records of batches) {
+        if (records.length === 0) continue
+        
+        const result = await client.query(`
+          INSERT INTO counter_history 
+            (id, battle_id, color, previous_count, new_count, increment_amount, timestamp, 
+             session_id, client_info, rollup_count)
+          SELECT * FROM unnest(
+            $1::int[], $2::varchar[], $3::varchar[], $4::int[], $5::int[], $6::int[], 
+            $7::timestamptz[], $8::varchar[], $9::jsonb[], $10::int[]
+          ) AS i(id, battle_id, color, previous_count, new_count, increment_amount, timestamp, 
+                 session_id, client_info, rollup_count)
+          WHERE i.rollup_count IS NOT NULL
+            OR i.client_info->>'action' IS NOT NULL
+            OR NOT EXISTS (
+              SELECT 1 FROM counter_history r
+              WHERE r.battle_id = i.battle_id
+                AND r.color = i.color
+                AND r.rollup_count IS NOT NULL
+                AND r.timestamp = date_trunc('hour', i.timestamp, 'UTC')
+            )
+          ON CONFLICT (id) DO NOTHING
+          RETURNING battle_id
+        `, [
+          records.map(record => record.id),
+          records.map(record => record.battleId),
+          records.map(record => record.color),
+          records.map(record => record.previousCount),
+          records.map(record => record.newCount),
+          records.map(record => record.incrementAmount),
+          records.map(record => record.timestamp),
+          records.map(record => record.sessionId),
+          records.map(record => record.clientInfo === null ? null : JSON.stringify(record.clientInfo)),
+          records.map(record => record.rollupCount)
+        ])
+        
+        inserted += result.rowCount
+        duplicates += records.length - result.rowCount
+        result.rows.forEach(row => battleIds.add(row.battle_id))
+      }
       
-      // Record reset in history
-      for (const row of currentResult.rows) {
+      const counters = []
+      if (inserted > 0) {
+        // Imported ids were chosen elsewhere; move the sequence past them
         await client.query(`
-          INSERT INTO counter_history 
-          (color, previous_count, new_count, increment_amount, client_info) 
-          VALUES ($1, $2, 0, $3, $4)
-        `, [row.color, row.count, -row.count, { action: 'reset' }])
+          SELECT setval(
+            pg_get_serial_sequence('counter_history', 'id'), 
+            GREATEST((SELECT MAX(id) FROM counter_history), 1)
+          )
+        `)
+        
+        // Snapshots assume no rows appear below their ledger position
+        await client.query(
+          'DELETE FROM counter_snapshots WHERE battle_id = ANY($1)',
+          [[...battleIds]]
+        )
+        
+        for (const battleId of [...battleIds].sort()) {
+          counters.push(...await this.rebuildCountersWithClient(client, battleId))
+        }
       }
       
       await dbConfig.commitTransaction(client)
       
-      return { message: 'All counters reset to zero', timestamp: new Date().toISOString() }
+      return {
+        inserted,
+        duplicates,
+        battles: [...battleIds].sort(),
+        counters
+      }
       
     } catch (error) {
       await dbConfig.rollbackTransaction(client)
-      console.error('❌ Error resetting counters:', error.message)
-      throw new Error('Failed to reset counters')
+      console.error('❌ Error importing counter history:', error.message)
+      throw new Error('Failed to import counter history')
     }
   }
 
   /**
-   * Get counter statistics and analytics
+   * Compact the oldest hour of raw votes recorded before `before` into rollups
+   * Votes are grouped by battle, team and session; each group is replaced by
+   * one row that reuses the group's highest id and carries its summed amount,
+   * so ledger sums and snapshot positions are unchanged. Resets and other
+   * action rows are kept as they are. Returns null when nothing is left to
+   * compact.
    */
-  async getCounterStats(timeRange = '24 hours') {
+  async compactHistoryHour(before) {
     try {
-      const timeQuery = this.getTimeRangeQuery(timeRange)
+      return await dbConfig.withTransaction(async (client) => {
+        const oldest = await client.query(`
+          SELECT date_trunc('hour', MIN(timestamp), 'UTC') AS hour
+          FROM counter_history
+          WHERE rollup_count IS NULL 
+            AND client_info->>'action' IS NULL
+            AND timestamp < $1
+        `, [before])
+        
+        const { hour } = oldest.rows[0]
+        if (!hour) {
+          return null
+        }
+        
+        await client.query(`
+          CREATE TEMP TABLE history_rollup ON COMMIT DROP AS
+          SELECT 
+            battle_id,
+            color,
+            session_id,
+            MIN(id) AS first_id,
+            MAX(id) AS id,
+            COUNT(*)::int AS votes,
+            SUM(increment_amount)::int AS amount,
+            (ARRAY_AGG(new_count ORDER BY id DESC))[1] AS new_count,
+            MIN(timestamp) AS first_vote_at,
+            MAX(timestamp) AS last_vote_at
+          FROM counter_history
+          WHERE rollup_count IS NULL 
+            AND client_info->>'action' IS NULL
+            AND timestamp >= $1 
+            AND timestamp < $1::timestamptz + INTERVAL '1 hour'
+            AND timestamp < $2
+          GROUP BY battle_id, color, session_id
+        `, [hour, before])
+        
+        const removed = await client.query(`
+          DELETE FROM counter_history
+          WHERE rollup_count IS NULL 
+            AND client_info->>'action' IS NULL
+            AND timestamp >= $1 
+            AND timestamp < $1::timestamptz + INTERVAL '1 hour'
+            AND timestamp < $2
+        `, [hour, before])
+        
+        const inserted = await client.query(`
+          INSERT INTO counter_history 
+            (id, battle_id, color, previous_count, new_count, increment_amount, timestamp, 
+             session_id, rollup_count, client_info)
+          SELECT 
+            id, battle_id, color, new_count - amount, new_count, amount, $1,
+            session_id, votes, 
+            jsonb_build_object('rollup', jsonb_build_object(
+              'period', 'hour',
+              'firstVoteAt', first_vote_at,
+              'lastVoteAt', last_vote_at
+            ))
+          FROM history_rollup
+        `, [hour])
+        
+        // A snapshot taken part way through a group would count the votes before
+        // it twice: once in the snapshot and again in the rollup row after it
+        await client.query(`
+          DELETE FROM counter_snapshots s
+          USING history_rollup r
+          WHERE s.battle_id = r.battle_id
+            AND s.color = r.color
+            AND s.last_history_id >= r.first_id
+            AND s.last_history_id < r.id
+        `)
+        
+        return {
+          hour,
+          compactedRows: removed.rowCount,
+          rollupRows: inserted.rowCount
+        }
+      })
       
-      const result = await dbConfig.query(`
+    } catch (error) {
+      console.error('❌ Error compacting counter history:', error.message)
+      throw new Error('Failed to compact counter history')
+    }
+  }
+
+  /**
+   * Get ledger entries for a battle within a time range, in ledger order
+   * Keeps the most recent `limit` entries when there are more
+   */
+  async getLedgerEntries({ start, end, limit }, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = await dbConfig.readQuery(`
+        SELECT id, color, increment_amount, timestamp, action, rollup_count
+        FROM (
+          SELECT id, color, increment_amount, timestamp, client_info->>'action' AS action, rollup_count
+          FROM counter_history
+          WHERE battle_id = $1
+            AND timestamp >= $2
+            AND timestamp <= $3
+          ORDER BY timestamp DESC, id DESC
+          LIMIT $4
+        ) latest
+        ORDER BY timestamp, id
+      `, [battleId, start, end, limit])
+
+      return result.rows
+    } catch (error) {
+      console.error('❌ Error fetching ledger entries:', error.message)
+      throw new Error('Failed to fetch ledger entries')
+    }
+  }
+
+  /**
+   * Get counter statistics and analytics
+   * Only votes count towards increments: resets and opening balances are
+   * ledger rows whose client_info carries an `action`. A rollup row counts as
+   * the votes it replaced, and keeps their first and last vote times.
+   */
+  async getCounterStats({ start, end, timeRange = null }, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = await dbConfig.readQuery(`
         WITH stats AS (
           SELECT 
             color,
-            COUNT(*) as total_increments,
+            SUM(COALESCE(rollup_count, 1)) as total_increments,
             SUM(increment_amount) as total_increment_amount,
-            AVG(increment_amount) as avg_increment,
-            MIN(timestamp) as first_increment,
-            MAX(timestamp) as last_increment
+            SUM(increment_amount)::numeric / SUM(COALESCE(rollup_count, 1)) as avg_increment,
+            MIN(COALESCE((client_info->'rollup'->>'firstVoteAt')::timestamptz, timestamp)) as first_increment,
+            MAX(COALESCE((client_info->'rollup'->>'lastVoteAt')::timestamptz, timestamp)) as last_increment
           FROM counter_history 
-          WHERE timestamp >= ${timeQuery}
+          WHERE battle_id = $1 
+            AND client_info->>'action' IS NULL 
+            AND timestamp >= $2
+            AND timestamp <= $3
           GROUP BY color
         ),
         current_values AS (
-          SELECT color, count as current_count 
-          FROM counters
+          SELECT c.color, t.name, c.count as current_count 
+          FROM counters c
+          JOIN teams t ON t.id = c.color
+          WHERE c.battle_id = $1 AND t.is_active = TRUE
         )
         SELECT 
           cv.color,
+          cv.name,
           cv.current_count,
           COALESCE(s.total_increments, 0) as total_increments,
           COALESCE(s.total_increment_amount, 0) as total_increment_amount,
@@ -169,10 +712,13 @@ class CounterRepository {
         FROM current_values cv
         LEFT JOIN stats s ON cv.color = s.color
         ORDER BY cv.color
-      `)
+      `, [battleId, start, end])
       
       return {
+        battleId,
         timeRange,
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
         stats: result.rows,
         generatedAt: new Date().toISOString()
       }
@@ -183,70 +729,53 @@ class CounterRepository {
     }
   }
 
+  /**
+   * Build the WHERE clause shared by the history queries
+   */
+  buildHistoryFilter({ battleId = DEFAULT_BATTLE_ID, color = null, startDate = null, endDate = null }) {
+    const conditions = ['battle_id = $1']
+    const params = [battleId]
+    
+    if (color) {
+      params.push(color)
+      conditions.push(`color = $${params.length}`)
+    }
+    
+    if (startDate) {
+      params.push(startDate)
+      conditions.push(`timestamp >= $${params.length}`)
+    }
+    
+    if (endDate) {
+      params.push(endDate)
+      conditions.push(`timestamp <= $${params.length}`)
+    }
+    
+    return { where: conditions.join(' AND '), params }
+  }
+
   /**
    * Get counter history with pagination
    */
   async getCounterHistory(options = {}) {
     try {
-      const {
-        color = null,
-        limit = 100,
-        offset = 0,
-        startDate = null,
-        endDate = null
-      } = options
-      
-      let query = `
+      const { limit = 100, offset = 0 } = options
+      const { where, params } = this.buildHistoryFilter(options)
+      
+      const result = await dbConfig.readQuery(`
         SELECT 
-          id, color, previous_count, new_count, increment_amount, 
-          client_info, timestamp, session_id
+          id, battle_id, color, previous_count, new_count, increment_amount, 
+          client_info, timestamp, session_id, rollup_count
         FROM counter_history
-        WHERE 1=1
-      `
-      const params = []
-      let paramCount = 0
-      
-      if (color) {
-        query += ` AND color = $${++paramCount}`
-        params.push(color)
-      }
-      
-      if (startDate) {
-        query += ` AND timestamp >= $${++paramCount}`
-        params.push(startDate)
-      }
-      
-      if (endDate) {
-        query += ` AND timestamp <= $${++paramCount}`
-        params.push(endDate)
-      }
-      
-      query += ` ORDER BY timestamp DESC LIMIT $${++paramCount} OFFSET $${++paramCount}`
-      params.push(limit, offset)
-      
-      const result = await dbConfig.query(query, params)
+        WHERE ${where}
+        ORDER BY timestamp DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset])
       
       // Get total count for pagination
-      let countQuery = 'SELECT COUNT(*) FROM counter_history WHERE 1=1'
-      const countParams = []
-      let countParamCount = 0
-      
-      if (color) {
-        countQuery += ` AND color = $${++countParamCount}`
-        countParams.push(color)
-      }
-      
-      if (startDate) {
-        countQuery += ` AND timestamp >= $${++countParamCount}`
-        countParams.push(startDate)
-      }
-      
-      if (endDate) {
-        countQuery += ` AND timestamp <= $${++countParamCount}`
-        countParams.push(endDate)
-      }
-      
-      const countResult = await dbConfig.query(countQuery, countParams)
+      const countResult = await dbConfig.readQuery(
+        `SELECT COUNT(*) FROM counter_history WHERE ${where}`,
+        params
+      )
       const totalCount = parseInt(countResult.rows[0].count)
       
       return {
@@ -266,29 +795,140 @@ class CounterRepository {
   }
 
   /**
-   * Helper method to generate time range queries
+   * Stream counter history in ledger order through a server-side cursor
+   * Yields one batch of rows at a time, so memory use does not grow with the
+   * size of the export. The cursor's transaction is closed when iteration
+   * finishes or is abandoned.
    */
-  getTimeRangeQuery(timeRange) {
-    const ranges = {
-      '1 hour': "NOW() - INTERVAL '1 hour'",
-      '24 hours': "NOW() - INTERVAL '24 hours'",
-      '7 days': "NOW() - INTERVAL '7 days'",
-      '30 days': "NOW() - INTERVAL '30 days'",
-      '1 year': "NOW() - INTERVAL '1 year'"
-    }
+  async *streamCounterHistory(options = {}, batchSize = 1000) {
+    const { where, params } = this.buildHistoryFilter(options)
+    const client = await dbConfig.beginTransaction()
+    let failed = false
     
-    return ranges[timeRange] || ranges['24 hours']
+    try {
+      await client.query(`
+        DECLARE history_export NO SCROLL CURSOR FOR
+        SELECT 
+          id, battle_id, color, previous_count, new_count, increment_amount, 
+          client_info, timestamp, session_id, rollup_count
+        FROM counter_history
+        WHERE ${where}
+        ORDER BY timestamp, id
+      `, params)
+      
+      while (true) {
+        const result = await client.query(`FETCH ${batchSize} FROM history_export`)
+        if (result.rows.length === 0) break
+        yield result.rows
+      }
+      
+    } catch (error) {
+      failed = true
+      console.error('❌ Error streaming counter history:', error.message)
+      throw new Error('Failed to stream counter history')
+    } finally {
+      // The transaction is read-only, so ending it either way only closes the cursor
+      if (failed) {
+        await dbConfig.rollbackTransaction(client)
+      } else {
+        await dbConfig.commitTransaction(client)
+      }
+    }
+  }
+
+  /**
+   * Get per-bucket vote sums and running totals for each team
+   * `bucket` must be 'minute', 'hour' or 'day'. Every bucket between `from` and
+   * `to` is returned, with zero for buckets that had no votes. Votes compacted
+   * into an hourly rollup all fall in the first minute of their hour.
+   * Running totals start from the team's count at `from`, so each one is the
+   * count at the end of its bucket, resets included, as `getCountersAt` gives.
+   */
+  async getCounterSeries({ battleId = DEFAULT_BATTLE_ID, teams, bucket, from, to }) {
+    try {
+      const start = await this.getCountersAt(from, battleId, { includeRetired: true })
+
+      // The plain range on timestamp lets idx_counter_history_timestamp drive the
+      // scan; date_trunc is only applied to the rows already selected. Buckets
+      // are cut in UTC, whatever the session's time zone, and are naive UTC
+      // times until the final SELECT.
+      const result = await dbConfig.readQuery(`
+        WITH buckets AS (
+          SELECT generate_series(
+            date_trunc($2, $3::timestamptz AT TIME ZONE 'UTC'),
+            date_trunc($2, $4::timestamptz AT TIME ZONE 'UTC'),
+            ('1 ' || $2)::interval
+          ) AS bucket
+        ),
+        sums AS (
+          SELECT 
+            date_trunc($2, timestamp AT TIME ZONE 'UTC') AS bucket,
+            color,
+            SUM(increment_amount) FILTER (WHERE client_info->>'action' IS NULL) AS increments,
+            SUM(increment_amount) AS changes
+          FROM counter_history
+          WHERE battle_id = $1 
+            AND timestamp > $3 
+            AND timestamp <= $4
+            AND color = ANY($5)
+          GROUP BY 1, 2
+        )
+        SELECT 
+          t.color,
+          b.bucket AT TIME ZONE 'UTC' AS bucket,
+          COALESCE(s.increments, 0)::int AS increments,
+          SUM(COALESCE(s.changes, 0)) OVER (
+            PARTITION BY t.color ORDER BY b.bucket
+          )::int AS change
+        FROM buckets b
+        CROSS JOIN unnest($5::varchar[]) AS t(color)
+        LEFT JOIN sums s ON s.bucket = b.bucket AND s.color = t.color
+        ORDER BY t.color, b.bucket
+      `, [battleId, bucket, from, to, teams])
+      
+      const series = teams.map(color => ({ color, total: 0, points: [] }))
+      const seriesByColor = new Map(series.map(entry => [entry.color, entry]))
+      
+      result.rows.forEach(row => {
+        const entry = seriesByColor.get(row.color)
+        entry.points.push({
+          bucket: row.bucket,
+          increments: row.increments,
+          cumulative: (start.counters[row.color] || 0) + row.change
+        })
+        entry.total += row.increments
+      })
+      
+      return {
+        battleId,
+        bucket,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        series,
+        generatedAt: new Date().toISOString()
+      }
+      
+    } catch (error) {
+      console.error('❌ Error fetching counter series:', error.message)
+      throw new Error('Failed to fetch counter series')
+    }
   }
 
   /**
    * Health check for repository
+   * Includes reconnect and retry activity either way, so an outage shows up
    */
   async healthCheck() {
     try {
       await dbConfig.query('SELECT 1 FROM counters LIMIT 1')
-      return { status: 'healthy' }
+
+      const connection = dbConfig.connectionStatus()
+      const replicas = dbConfig.replicaStatus()
+      return replicas.length > 0
+        ? { status: 'healthy', connection, replicas }
+        : { status: 'healthy', connection }
     } catch (error) {
-      return { status: 'unhealthy', error: error.message }
+      return { status: 'unhealthy', error: error.message, connection: dbConfig.connectionStatus() }
     }
   }
 }
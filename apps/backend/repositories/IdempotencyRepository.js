@@ -0,0 +1,93 @@
+const dbConfig = require('../config/database')
+
+/**
+ * Idempotency Repository
+ * Handles database operations for idempotency keys and their stored responses
+ */
+class IdempotencyRepository {
+  /**
+   * Claim a key for a request
+   * Returns `{ claimed: true }` when the key is new (or had expired), otherwise
+   * `{ claimed: false, record }` with the existing record
+   */
+  async claimKey(key, requestHash, ttlSeconds) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        // An expired key is free to reuse
+        await client.query(
+          'DELETE FROM idempotency_keys WHERE key = $1 AND expires_at <= NOW()',
+          [key]
+        )
+
+        const insertResult = await client.query(`
+          INSERT INTO idempotency_keys (key, request_hash, expires_at)
+          VALUES ($1, $2, NOW() + make_interval(secs => $3))
+          ON CONFLICT (key) DO NOTHING
+          RETURNING key
+        `, [key, requestHash, ttlSeconds])
+
+        let record = null
+        if (insertResult.rows.length === 0) {
+          const existingResult = await client.query(`
+            SELECT key, request_hash, status, response_status, response_body, created_at, expires_at
+            FROM idempotency_keys
+            WHERE key = $1
+          `, [key])
+          record = existingResult.rows[0]
+        }
+
+        return record ? { claimed: false, record } : { claimed: true }
+      })
+
+    } catch (error) {
+      console.error('❌ Error claiming idempotency key:', error.message)
+      throw new Error('Failed to claim idempotency key')
+    }
+  }
+
+  /**
+   * Store the response produced for a claimed key
+   */
+  async completeKey(key, responseStatus, responseBody) {
+    try {
+      await dbConfig.query(`
+        UPDATE idempotency_keys
+        SET status = 'completed', response_status = $2, response_body = $3
+        WHERE key = $1
+      `, [key, responseStatus, JSON.stringify(responseBody)])
+    } catch (error) {
+      console.error('❌ Error storing idempotent response:', error.message)
+      throw new Error('Failed to store idempotent response')
+    }
+  }
+
+  /**
+   * Release a claimed key so the request can be retried
+   */
+  async releaseKey(key) {
+    try {
+      await dbConfig.query(
+        "DELETE FROM idempotency_keys WHERE key = $1 AND status = 'in_progress'",
+        [key]
+      )
+    } catch (error) {
+      console.error('❌ Error releasing idempotency key:', error.message)
+      throw new Error('Failed to release idempotency key')
+    }
+  }
+
+  /**
+   * Delete every expired key
+   */
+  async deleteExpiredKeys() {
+    try {
+      const result = await dbConfig.query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()')
+      return result.rowCount
+    } catch (error) {
+      console.error('❌ Error deleting expired idempotency keys:', error.message)
+      throw new Error('Failed to delete expired idempotency keys')
+    }
+  }
+}
+
+module.exports = IdempotencyRepository
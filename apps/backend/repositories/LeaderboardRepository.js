@@ -0,0 +1,115 @@
+const dbConfig = require('../config/database')
+const BattleRepository = require('./BattleRepository')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+/**
+ * Leaderboard Repository
+ * Handles database operations for per-session vote rankings and session nicknames
+ */
+class LeaderboardRepository {
+  /**
+   * Rank sessions by votes contributed to a battle within a time range
+   * Returns the top `limit` sessions overall and for each team. Only votes
+   * count: resets and opening balances carry an `action` and have no session.
+   * Compacted votes keep their session, so rollup rows rank the same way.
+   */
+  async getLeaderboard({ start, end, limit }, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = await dbConfig.readQuery(`
+        WITH contributions AS (
+          SELECT
+            session_id,
+            color,
+            SUM(increment_amount)::int AS votes,
+            SUM(COALESCE(rollup_count, 1))::int AS increments,
+            MAX(COALESCE((client_info->'rollup'->>'lastVoteAt')::timestamptz, timestamp)) AS last_vote_at
+          FROM counter_history
+          WHERE battle_id = $1
+            AND session_id IS NOT NULL
+            AND client_info->>'action' IS NULL
+            AND timestamp >= $2
+            AND timestamp <= $3
+          GROUP BY session_id, color
+        ),
+        overall AS (
+          SELECT
+            NULL::varchar AS color,
+            session_id,
+            SUM(votes)::int AS votes,
+            SUM(increments)::int AS increments,
+            MAX(last_vote_at) AS last_vote_at
+          FROM contributions
+          GROUP BY session_id
+          ORDER BY votes DESC, last_vote_at ASC, session_id
+          LIMIT $4
+        ),
+        by_team AS (
+          SELECT color, session_id, votes, increments, last_vote_at
+          FROM (
+            SELECT
+              *,
+              ROW_NUMBER() OVER (
+                PARTITION BY color
+                ORDER BY votes DESC, last_vote_at ASC, session_id
+              ) AS position
+            FROM contributions
+          ) ranked
+          WHERE position <= $4
+        )
+        SELECT entries.*, n.nickname
+        FROM (
+          SELECT * FROM overall
+          UNION ALL
+          SELECT * FROM by_team
+        ) entries
+        LEFT JOIN session_nicknames n ON n.session_id = entries.session_id
+        ORDER BY entries.color NULLS FIRST, entries.votes DESC, entries.last_vote_at ASC, entries.session_id
+      `, [battleId, start, end, limit])
+
+      return result.rows
+    } catch (error) {
+      console.error('❌ Error fetching leaderboard:', error.message)
+      throw new Error('Failed to fetch leaderboard')
+    }
+  }
+
+  /**
+   * Set or replace a session's nickname
+   */
+  async setNickname(sessionId, nickname) {
+    try {
+      const result = await dbConfig.query(`
+        INSERT INTO session_nicknames (session_id, nickname)
+        VALUES ($1, $2)
+        ON CONFLICT (session_id) DO UPDATE SET nickname = EXCLUDED.nickname
+        RETURNING session_id, nickname, created_at, updated_at
+      `, [sessionId, nickname])
+
+      return result.rows[0]
+    } catch (error) {
+      console.error('❌ Error setting session nickname:', error.message)
+      throw new Error('Failed to set session nickname')
+    }
+  }
+
+  /**
+   * Remove a session's nickname
+   * Returns true when the session had one
+   */
+  async deleteNickname(sessionId) {
+    try {
+      const result = await dbConfig.query(
+        'DELETE FROM session_nicknames WHERE session_id = $1',
+        [sessionId]
+      )
+
+      return result.rowCount > 0
+    } catch (error) {
+      console.error('❌ Error removing session nickname:', error.message)
+      throw new Error('Failed to remove session nickname')
+    }
+  }
+}
+
+module.exports = LeaderboardRepository
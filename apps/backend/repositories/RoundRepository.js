@@ -0,0 +1,276 @@
+const dbConfig = require('../config/database')
+const CounterRepository = require('./CounterRepository')
+
+const ROUND_COLUMNS = `
+  id, battle_id, name, starts_at, ends_at, status, opened_at, closed_at,
+  winner, is_tie, final_tallies, created_at, updated_at
+`
+
+/**
+ * Round Repository
+ * Handles all database operations related to timed voting rounds
+ */
+class RoundRepository {
+  constructor() {
+    this.counterRepository = new CounterRepository()
+  }
+
+  /**
+   * Schedule a new round
+   */
+  async createRound({ battleId, name, startsAt, endsAt }) {
+    try {
+      const result = await dbConfig.query(`
+        INSERT INTO rounds (battle_id, name, starts_at, ends_at)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${ROUND_COLUMNS}
+      `, [battleId, name, startsAt, endsAt])
+
+      return result.rows[0]
+    } catch (error) {
+      console.error(`❌ Error creating round for battle ${battleId}:`, error.message)
+      throw new Error('Failed to create round')
+    }
+  }
+
+  /**
+   * Get a battle's rounds, optionally filtered by status
+   */
+  async getRounds(battleId, { status = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const params = [battleId]
+      let query = `SELECT ${ROUND_COLUMNS} FROM rounds WHERE battle_id = $1`
+
+      if (status) {
+        params.push(status)
+        query += ` AND status = $${params.length}`
+      }
+
+      params.push(limit, offset)
+      query += ` ORDER BY starts_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`
+
+      const result = await dbConfig.readQuery(query, params)
+
+      const countParams = status ? [battleId, status] : [battleId]
+      const countResult = await dbConfig.readQuery(
+        `SELECT COUNT(*) FROM rounds WHERE battle_id = $1${status ? ' AND status = $2' : ''}`,
+        countParams
+      )
+      const totalCount = parseInt(countResult.rows[0].count)
+
+      return {
+        rounds: result.rows,
+        pagination: {
+          limit,
+          offset,
+          totalCount,
+          hasMore: offset + limit < totalCount
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Error fetching rounds for battle ${battleId}:`, error.message)
+      throw new Error('Failed to fetch rounds')
+    }
+  }
+
+  /**
+   * Get a single round within a battle
+   * Returns null when the round does not exist
+   */
+  async getRoundById(battleId, roundId) {
+    try {
+      const result = await dbConfig.query(`
+        SELECT ${ROUND_COLUMNS}
+        FROM rounds
+        WHERE battle_id = $1 AND id = $2
+      `, [battleId, roundId])
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error(`❌ Error fetching round ${roundId}:`, error.message)
+      throw new Error('Failed to fetch round')
+    }
+  }
+
+  /**
+   * Find a round whose window overlaps the given one
+   * Closed rounds only occupy the time until they actually closed
+   */
+  async findOverlappingRound(battleId, startsAt, endsAt) {
+    const result = await dbConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE battle_id = $1
+        AND starts_at < $3
+        AND COALESCE(closed_at, ends_at) > $2
+      ORDER BY starts_at
+      LIMIT 1
+    `, [battleId, startsAt, endsAt])
+
+    return result.rows[0] || null
+  }
+
+  /**
+   * Check whether a battle uses rounds at all
+   */
+  async hasRounds(battleId) {
+    const result = await dbConfig.query(
+      'SELECT EXISTS (SELECT 1 FROM rounds WHERE battle_id = $1) AS has_rounds',
+      [battleId]
+    )
+    return result.rows[0].has_rounds
+  }
+
+  /**
+   * Get the round whose window contains the current time, if any
+   */
+  async getCurrentRound(battleId) {
+    const result = await dbConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE battle_id = $1
+        AND status <> 'closed'
+        AND starts_at <= NOW()
+        AND ends_at > NOW()
+      ORDER BY starts_at
+      LIMIT 1
+    `, [battleId])
+
+    return result.rows[0] || null
+  }
+
+  /**
+   * Get the next scheduled round and the most recently closed one
+   * Used to explain why a vote was rejected
+   */
+  async getAdjacentRounds(battleId) {
+    const [next, previous] = await Promise.all([
+      dbConfig.query(`
+        SELECT ${ROUND_COLUMNS}
+        FROM rounds
+        WHERE battle_id = $1 AND status = 'scheduled' AND starts_at > NOW()
+        ORDER BY starts_at
+        LIMIT 1
+      `, [battleId]),
+      dbConfig.query(`
+        SELECT ${ROUND_COLUMNS}
+        FROM rounds
+        WHERE battle_id = $1 AND (status = 'closed' OR ends_at <= NOW())
+        ORDER BY ends_at DESC
+        LIMIT 1
+      `, [battleId])
+    ])
+
+    return {
+      next: next.rows[0] || null,
+      previous: previous.rows[0] || null
+    }
+  }
+
+  /**
+   * Get rounds that should be opened or closed by the scheduler
+   */
+  async getDueRounds() {
+    const result = await dbConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE (status = 'scheduled' AND starts_at <= NOW())
+         OR (status = 'open' AND ends_at <= NOW())
+      ORDER BY starts_at
+    `)
+
+    return result.rows
+  }
+
+  /**
+   * Open a scheduled round and zero the battle's counters in one transaction
+   * Returns null when another caller already opened it
+   */
+  async openRound(roundId) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        const result = await client.query(`
+          UPDATE rounds
+          SET status = 'open', opened_at = NOW()
+          WHERE id = $1 AND status = 'scheduled'
+          RETURNING ${ROUND_COLUMNS}
+        `, [roundId])
+
+        const round = result.rows[0] || null
+
+        if (round) {
+          await this.counterRepository.resetCountersWithClient(client, round.battle_id, {
+            action: 'round_start',
+            roundId: round.id
+          })
+          await client.query('UPDATE counters SET voting_closed = FALSE WHERE battle_id = $1', [round.battle_id])
+        }
+
+        return round
+      })
+    } catch (error) {
+      console.error(`❌ Error opening round ${roundId}:`, error.message)
+      throw new Error('Failed to open round')
+    }
+  }
+
+  /**
+   * Close an open round, freezing the battle's tallies
+   * `decide` turns the tallies into { winner, isTie }
+   * Returns null when the round is not open (e.g. already closed)
+   */
+  async closeRound(roundId, decide, { endNow = false } = {}) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        const roundResult = await client.query(`
+          SELECT ${ROUND_COLUMNS} FROM rounds WHERE id = $1 AND status = 'open' FOR UPDATE
+        `, [roundId])
+
+        const round = roundResult.rows[0]
+        if (!round) {
+          return null
+        }
+
+        // Lock the counters so no increment lands between the snapshot and the
+        // close, and mark them: a vote waiting on the lock re-checks the mark
+        // and is rejected, as it checked the round before it closed
+        const countersResult = await client.query(`
+          SELECT c.color, c.count
+          FROM counters c
+          JOIN teams t ON t.id = c.color
+          WHERE c.battle_id = $1 AND t.is_active = TRUE
+          ORDER BY c.color
+          FOR UPDATE OF c
+        `, [round.battle_id])
+
+        await client.query('UPDATE counters SET voting_closed = TRUE WHERE battle_id = $1', [round.battle_id])
+
+        const tallies = {}
+        countersResult.rows.forEach(row => {
+          tallies[row.color] = row.count
+        })
+
+        const { winner, isTie } = decide(tallies)
+
+        const result = await client.query(`
+          UPDATE rounds
+          SET status = 'closed',
+              closed_at = NOW(),
+              ends_at = CASE WHEN $2 THEN LEAST(ends_at, NOW()) ELSE ends_at END,
+              winner = $3,
+              is_tie = $4,
+              final_tallies = $5
+          WHERE id = $1
+          RETURNING ${ROUND_COLUMNS}
+        `, [roundId, endNow, winner, isTie, tallies])
+
+        return result.rows[0]
+      })
+    } catch (error) {
+      console.error(`❌ Error closing round ${roundId}:`, error.message)
+      throw new Error('Failed to close round')
+    }
+  }
+}
+
+module.exports = RoundRepository
@@ -0,0 +1,125 @@
+const dbConfig = require('../config/database')
+const BattleRepository = require('./BattleRepository')
+
+/**
+ * Team Repository
+ * Handles all database operations related to teams
+ */
+class TeamRepository {
+  /**
+   * Get all teams, optionally including retired ones
+   */
+  async getTeams({ includeRetired = false } = {}) {
+    try {
+      const result = await dbConfig.readQuery(`
+        SELECT id, name, color, is_active, retired_at, created_at, updated_at
+        FROM teams
+        ${includeRetired ? '' : 'WHERE is_active = TRUE'}
+        ORDER BY created_at, id
+      `)
+
+      return result.rows
+    } catch (error) {
+      console.error('❌ Error fetching teams:', error.message)
+      throw new Error('Failed to fetch teams')
+    }
+  }
+
+  /**
+   * Get a single team by id
+   * Returns null when the team does not exist
+   */
+  async getTeamById(teamId) {
+    try {
+      const result = await dbConfig.query(`
+        SELECT id, name, color, is_active, retired_at, created_at, updated_at
+        FROM teams
+        WHERE id = $1
+      `, [teamId])
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error(`❌ Error fetching team ${teamId}:`, error.message)
+      throw new Error('Failed to fetch team')
+    }
+  }
+
+  /**
+   * Count active teams
+   */
+  async countActiveTeams() {
+    const result = await dbConfig.query('SELECT COUNT(*) FROM teams WHERE is_active = TRUE')
+    return parseInt(result.rows[0].count)
+  }
+
+  /**
+   * Create a team together with its counter row in the default battle
+   */
+  async createTeam({ id, name, color }) {
+    try {
+      return await dbConfig.withTransaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO teams (id, name, color)
+          VALUES ($1, $2, $3)
+          RETURNING id, name, color, is_active, retired_at, created_at, updated_at
+        `, [id, name, color])
+
+        // New teams join the default battle; other battles pick teams on creation
+        await client.query(`
+          INSERT INTO counters (battle_id, color, count)
+          VALUES ($1, $2, 0)
+          ON CONFLICT (battle_id, color) DO NOTHING
+        `, [BattleRepository.DEFAULT_BATTLE_ID, id])
+
+        return result.rows[0]
+      })
+    } catch (error) {
+      console.error(`❌ Error creating team ${id}:`, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Update a team's display name and/or color
+   * Returns null when the team does not exist
+   */
+  async updateTeam(teamId, { name, color }) {
+    try {
+      const result = await dbConfig.query(`
+        UPDATE teams
+        SET name = COALESCE($2, name),
+            color = COALESCE($3, color)
+        WHERE id = $1
+        RETURNING id, name, color, is_active, retired_at, created_at, updated_at
+      `, [teamId, name ?? null, color ?? null])
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error(`❌ Error updating team ${teamId}:`, error.message)
+      throw new Error('Failed to update team')
+    }
+  }
+
+  /**
+   * Retire a team so it no longer accepts votes
+   * The counter and history rows are kept for reporting
+   */
+  async retireTeam(teamId) {
+    try {
+      const result = await dbConfig.query(`
+        UPDATE teams
+        SET is_active = FALSE,
+            retired_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND is_active = TRUE
+        RETURNING id, name, color, is_active, retired_at, created_at, updated_at
+      `, [teamId])
+
+      return result.rows[0] || null
+    } catch (error) {
+      console.error(`❌ Error retiring team ${teamId}:`, error.message)
+      throw new Error('Failed to retire team')
+    }
+  }
+}
+
+module.exports = TeamRepository
@@ -0,0 +1,37 @@
+const storage = require('../config/storage')
+
+/**
+ * Repositories for the storage backend selected by STORAGE
+ * Every backend exposes the same classes with the same methods and row
+ * shapes, so services do not need to know which one is in use
+ */
+const loaders = {
+  postgres: () => ({
+    BattleRepository: require('./BattleRepository'),
+    CounterRepository: require('./CounterRepository'),
+    IdempotencyRepository: require('./IdempotencyRepository'),
+    LeaderboardRepository: require('./LeaderboardRepository'),
+    RoundRepository: require('./RoundRepository'),
+    TeamRepository: require('./TeamRepository')
+  }),
+  sqlite: () => ({
+    BattleRepository: require('./sqlite/BattleRepository'),
+    CounterRepository: require('./sqlite/CounterRepository'),
+    IdempotencyRepository: require('./sqlite/IdempotencyRepository'),
+    LeaderboardRepository: require('./sqlite/LeaderboardRepository'),
+    RoundRepository: require('./sqlite/RoundRepository'),
+    TeamRepository: require('./sqlite/TeamRepository')
+  }),
+  memory: () => ({
+    BattleRepository: require('./memory/BattleRepository'),
+    CounterRepository: require('./memory/CounterRepository'),
+    IdempotencyRepository: require('./memory/IdempotencyRepository'),
+    LeaderboardRepository: require('./memory/LeaderboardRepository'),
+    RoundRepository: require('./memory/RoundRepository'),
+    TeamRepository: require('./memory/TeamRepository')
+  })
+}
+
+const repositories = loaders[storage.driver]()
+
+module.exports = repositories
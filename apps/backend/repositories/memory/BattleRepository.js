@@ -0,0 +1,75 @@
+const store = require('./MemoryStore')
+
+/**
+ * Battle Repository (in-memory)
+ * Same interface as repositories/BattleRepository
+ */
+class BattleRepository {
+  /**
+   * Battle used by the legacy, un-namespaced routes
+   */
+  static DEFAULT_BATTLE_ID = 'default'
+
+  /**
+   * Get all battles with the ids of the teams taking part
+   */
+  async getBattles({ includeArchived = false } = {}) {
+    return Array.from(store.battles.values())
+      .filter(battle => includeArchived || battle.status === 'active')
+      .sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id))
+      .map(battle => this.withTeams(battle))
+  }
+
+  /**
+   * Get a single battle with the ids of the teams taking part
+   * Returns null when the battle does not exist
+   */
+  async getBattleById(battleId) {
+    const battle = store.battles.get(battleId)
+    return battle ? this.withTeams(battle) : null
+  }
+
+  /**
+   * Create a battle with a zeroed counter for each team
+   */
+  async createBattle({ id, name, teams }) {
+    if (store.battles.has(id)) {
+      throw new Error(`Battle '${id}' already exists`)
+    }
+
+    const now = new Date()
+    const battle = { id, name, status: 'active', created_at: now, updated_at: now }
+
+    store.battles.set(id, battle)
+    teams.forEach(teamId => store.addCounter(id, teamId))
+
+    return { ...battle, teams: [...teams].sort() }
+  }
+
+  /**
+   * Archive a battle so it no longer accepts votes
+   * Returns null when the battle does not exist or is already archived
+   */
+  async archiveBattle(battleId) {
+    const battle = store.battles.get(battleId)
+    if (!battle || battle.status !== 'active') {
+      return null
+    }
+
+    battle.status = 'archived'
+    battle.updated_at = new Date()
+    return { ...battle }
+  }
+
+  /**
+   * Copy a battle row with its team ids, as the SQL join returns it
+   */
+  withTeams(battle) {
+    const teams = store.getBattleCounters(battle.id, { includeRetired: true })
+      .map(counter => counter.color)
+
+    return { ...battle, teams }
+  }
+}
+
+module.exports = BattleRepository
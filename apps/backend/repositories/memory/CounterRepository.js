@@ -0,0 +1,611 @@
+const store = require('./MemoryStore')
+const BattleRepository = require('./BattleRepository')
+const { truncateDate, nextBucket } = require('../../utils/timeRange')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+/**
+ * Votes have no `action`; resets and opening balances do
+ */
+const isVote = (row) => (row.client_info?.action ?? null) === null
+
+/**
+ * Number of votes a ledger row stands for: one, or a rollup's count
+ */
+const voteCount = (row) => row.rollup_count || 1
+
+/**
+ * First and last vote time of a row, using a rollup's recorded times
+ */
+const firstVoteAt = (row) => row.client_info?.rollup ? new Date(row.client_info.rollup.firstVoteAt) : row.timestamp
+const lastVoteAt = (row) => row.client_info?.rollup ? new Date(row.client_info.rollup.lastVoteAt) : row.timestamp
+
+const byLedgerOrder = (a, b) => a.timestamp - b.timestamp || a.id - b.id
+
+/**
+ * Counter Repository (in-memory)
+ * Same interface as repositories/CounterRepository. Every method finishes its
+ * changes without awaiting, so each one is atomic like a transaction.
+ */
+class CounterRepository {
+  /**
+   * Get current counter values for every active team in a battle
+   */
+  async getCounters(battleId = DEFAULT_BATTLE_ID) {
+    const rows = store.getBattleCounters(battleId)
+
+    const counters = {}
+    rows.forEach(row => {
+      counters[row.color] = row.count
+    })
+
+    return {
+      counters,
+      lastUpdated: rows.length > 0
+        ? Math.max(...rows.map(row => row.updated_at.getTime()))
+        : null
+    }
+  }
+
+  /**
+   * Get counter values for a battle as they were at a point in time
+   * Starts from the latest snapshot taken at or before `at` and replays the
+   * ledger rows recorded after it
+   */
+  async getCountersAt(at, battleId = DEFAULT_BATTLE_ID, { includeRetired = false } = {}) {
+    const counters = {}
+    const snapshotTimes = []
+
+    store.getBattleCounters(battleId, { includeRetired }).forEach(({ color }) => {
+      const snapshot = this.latestSnapshot(battleId, color, at)
+      const lastHistoryId = snapshot ? snapshot.last_history_id : 0
+
+      if (snapshot) {
+        snapshotTimes.push(snapshot.taken_at.getTime())
+      }
+
+      counters[color] = (snapshot ? snapshot.count : 0) + this.sumHistory(row =>
+        row.battle_id === battleId &&
+        row.color === color &&
+        row.id > lastHistoryId &&
+        row.timestamp <= at
+      )
+    })
+
+    return {
+      counters,
+      at: at.toISOString(),
+      snapshotTakenAt: snapshotTimes.length > 0
+        ? new Date(Math.min(...snapshotTimes)).toISOString()
+        : null
+    }
+  }
+
+  /**
+   * Snapshot every counter's ledger sum
+   * Each snapshot builds on the previous one, so only new ledger rows are
+   * summed. Returns null when nothing changed since the last snapshot.
+   */
+  async createSnapshots() {
+    const lastHistoryId = store.history.reduce((max, row) => Math.max(max, row.id), 0)
+    const previousHistoryId = store.snapshots.reduce((max, row) => Math.max(max, row.last_history_id), 0)
+
+    if (lastHistoryId === previousHistoryId) {
+      return null
+    }
+
+    const takenAt = new Date()
+    const counters = Array.from(store.counters.values())
+
+    counters.forEach(({ battle_id: battleId, color }) => {
+      const previous = this.latestSnapshot(battleId, color)
+      const previousId = previous ? previous.last_history_id : 0
+
+      store.snapshots.push({
+        battle_id: battleId,
+        color,
+        count: (previous ? previous.count : 0) + this.sumHistory(row =>
+          row.battle_id === battleId &&
+          row.color === color &&
+          row.id > previousId &&
+          row.id <= lastHistoryId
+        ),
+        last_history_id: lastHistoryId,
+        taken_at: takenAt
+      })
+    })
+
+    return {
+      takenAt: takenAt.toISOString(),
+      lastHistoryId,
+      counters: counters.length
+    }
+  }
+
+  /**
+   * Get counter value for a specific color
+   */
+  async getCounterByColor(color, battleId = DEFAULT_BATTLE_ID) {
+    const counter = store.getCounter(battleId, color)
+
+    if (!counter) {
+      console.error(`❌ Error fetching ${color} counter:`, `Counter for color '${color}' not found`)
+      throw new Error(`Counter for color '${color}' not found`)
+    }
+
+    return { color: counter.color, count: counter.count, updated_at: counter.updated_at }
+  }
+
+  /**
+   * Increment counter for a specific color if the vote is accepted
+   * Checks that the battle is active, the team is active and in the battle,
+   * and that voting is open, then applies the vote and its ledger entry.
+   * Returns null when a check failed and nothing was applied.
+   */
+  async incrementCounter(color, incrementBy = 1, clientInfo = null, battleId = DEFAULT_BATTLE_ID, sessionId = null) {
+    const battle = store.battles.get(battleId)
+    const team = store.teams.get(color)
+    const counter = store.getCounter(battleId, color)
+
+    if (battle?.status !== 'active' || !team?.is_active || !counter || !this.isVotingOpen(battleId)) {
+      return null
+    }
+
+    return {
+      ...this.formatIncrement(store.applyChange(counter, incrementBy, { clientInfo, sessionId })),
+      team: { id: team.id, name: team.name, color: team.color }
+    }
+  }
+
+  /**
+   * Apply several increments together: all of them or none
+   * Returns null, applying nothing, when the battle is not accepting votes
+   */
+  async incrementCountersAtomically(increments, battleId = DEFAULT_BATTLE_ID) {
+    const counters = increments.map(increment => store.getCounter(battleId, increment.color))
+
+    if (counters.includes(null)) {
+      console.error('❌ Error applying atomic batch increment:', 'Counter not found')
+      throw new Error('Failed to apply batch increment')
+    }
+
+    if (!this.isVotingOpen(battleId)) {
+      return null
+    }
+
+    return increments.map(({ incrementBy = 1, clientInfo = null, sessionId = null }, index) => {
+      return this.formatIncrement(store.applyChange(counters[index], incrementBy, { clientInfo, sessionId }))
+    })
+  }
+
+  /**
+   * Check whether a battle accepts votes: it has no rounds, or its current
+   * round is open
+   */
+  isVotingOpen(battleId) {
+    const now = new Date()
+    const rounds = store.rounds.filter(round => round.battle_id === battleId)
+
+    return rounds.length === 0 || rounds.some(round =>
+      round.status === 'open' &&
+      round.starts_at <= now &&
+      round.ends_at > now
+    )
+  }
+
+  /**
+   * Reset all counters in a battle to zero
+   */
+  async resetCounters(battleId = DEFAULT_BATTLE_ID) {
+    this.applyReset(battleId)
+
+    return { battleId, message: 'All counters reset to zero', timestamp: new Date().toISOString() }
+  }
+
+  /**
+   * Zero a battle's counters, recording each reset in the ledger
+   * Returns the counts from before the reset
+   */
+  applyReset(battleId, clientInfo = { action: 'reset' }) {
+    return store.getBattleCounters(battleId, { includeRetired: true }).map(counter => {
+      const previous = { color: counter.color, count: counter.count }
+      store.applyChange(counter, -counter.count, { clientInfo })
+      return previous
+    })
+  }
+
+  /**
+   * Rebuild counters by replaying the ledger
+   * Every change to a counter is a ledger row, so a counter's value is the sum
+   * of its increment amounts. Rebuilds one battle, or every battle when null.
+   */
+  async rebuildCountersFromLedger(battleId = null) {
+    const counters = this.applyRebuild(battleId)
+
+    return {
+      battleId,
+      counters,
+      corrected: counters.filter(counter => counter.corrected).length,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Set counters to their ledger sums
+   * Returns each counter's previous and rebuilt value
+   */
+  applyRebuild(battleId = null) {
+    const totals = new Map()
+    store.history.forEach(row => {
+      const key = store.counterKey(row.battle_id, row.color)
+      totals.set(key, (totals.get(key) || 0) + row.increment_amount)
+    })
+
+    return Array.from(store.counters.values())
+      .filter(counter => battleId === null || counter.battle_id === battleId)
+      .sort((a, b) => a.battle_id.localeCompare(b.battle_id) || a.color.localeCompare(b.color))
+      .map(counter => {
+        const previousCount = counter.count
+        const rebuiltCount = totals.get(store.counterKey(counter.battle_id, counter.color)) || 0
+
+        if (rebuiltCount !== previousCount) {
+          counter.count = rebuiltCount
+          counter.updated_at = new Date()
+        }
+
+        return {
+          battleId: counter.battle_id,
+          color: counter.color,
+          previousCount,
+          rebuiltCount,
+          corrected: rebuiltCount !== previousCount
+        }
+      })
+  }
+
+  /**
+   * Import ledger rows, keeping their ids, then rebuild the affected counters
+   * `batches` is an async iterable of arrays of validated records. Rows whose
+   * id already exists are skipped as duplicates, as are raw votes for an hour
+   * that has already been compacted into rollups. Nothing is applied until
+   * every batch has been read, so a failure leaves the store untouched.
+   */
+  async importHistory(batches) {
+    const records = []
+    for await (const batch of batches) {
+      records.push(...batch)
+    }
+
+    const ids = new Set(store.history.map(row => row.id))
+    const compactedHours = new Set(
+      store.history
+        .filter(row => row.rollup_count !== null)
+        .map(row => `${store.counterKey(row.battle_id, row.color)}:${row.timestamp.getTime()}`)
+    )
+
+    let inserted = 0
+    const battleIds = new Set()
+
+    records.forEach(record => {
+      const hourKey = `${store.counterKey(record.battleId, record.color)}:${truncateDate(record.timestamp, 'hour').getTime()}`
+      const compacted = record.rollupCount === null &&
+        (record.clientInfo?.action ?? null) === null &&
+        compactedHours.has(hourKey)
+
+      if (ids.has(record.id) || compacted) return
+
+      ids.add(record.id)
+      store.appendHistory({
+        id: record.id,
+        battle_id: record.battleId,
+        color: record.color,
+        previous_count: record.previousCount,
+        new_count: record.newCount,
+        increment_amount: record.incrementAmount,
+        client_info: record.clientInfo,
+        timestamp: record.timestamp,
+        session_id: record.sessionId,
+        rollup_count: record.rollupCount
+      })
+
+      inserted += 1
+      battleIds.add(record.battleId)
+    })
+
+    const counters = []
+    if (inserted > 0) {
+      // Snapshots assume no rows appear below their ledger position
+      store.snapshots = store.snapshots.filter(snapshot => !battleIds.has(snapshot.battle_id))
+
+      for (const battleId of [...battleIds].sort()) {
+        counters.push(...this.applyRebuild(battleId))
+      }
+    }
+
+    return {
+      inserted,
+      duplicates: records.length - inserted,
+      battles: [...battleIds].sort(),
+      counters
+    }
+  }
+
+  /**
+   * Compact the oldest hour of raw votes recorded before `before` into rollups
+   * Votes are grouped by battle, team and session; each group is replaced by
+   * one row that reuses the group's highest id and carries its summed amount.
+   * Returns null when nothing is left to compact.
+   */
+  async compactHistoryHour(before) {
+    const isRawVote = (row) => row.rollup_count === null && isVote(row)
+
+    const oldest = store.history
+      .filter(row => isRawVote(row) && row.timestamp < before)
+      .reduce((min, row) => (!min || row.timestamp < min ? row.timestamp : min), null)
+
+    if (!oldest) {
+      return null
+    }
+
+    const hour = truncateDate(oldest, 'hour')
+    const hourEnd = nextBucket(hour, 'hour')
+    const inHour = (row) => isRawVote(row) && row.timestamp >= hour && row.timestamp < hourEnd && row.timestamp < before
+
+    const groups = new Map()
+    store.history.filter(inHour).forEach(row => {
+      const key = `${store.counterKey(row.battle_id, row.color)}:${row.session_id}`
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(row)
+    })
+
+    const compactedRows = store.history.filter(inHour).length
+    store.history = store.history.filter(row => !inHour(row))
+
+    groups.forEach(rows => {
+      rows.sort((a, b) => a.id - b.id)
+      const first = rows[0]
+      const last = rows[rows.length - 1]
+      const amount = rows.reduce((sum, row) => sum + row.increment_amount, 0)
+
+      // A snapshot taken part way through a group would count the votes before
+      // it twice: once in the snapshot and again in the rollup row after it
+      store.snapshots = store.snapshots.filter(snapshot => !(
+        snapshot.battle_id === last.battle_id &&
+        snapshot.color === last.color &&
+        snapshot.last_history_id >= first.id &&
+        snapshot.last_history_id < last.id
+      ))
+
+      store.appendHistory({
+        id: last.id,
+        battle_id: last.battle_id,
+        color: last.color,
+        previous_count: last.new_count - amount,
+        new_count: last.new_count,
+        increment_amount: amount,
+        timestamp: hour,
+        session_id: last.session_id,
+        rollup_count: rows.length,
+        client_info: {
+          rollup: {
+            period: 'hour',
+            firstVoteAt: rows.reduce((min, row) => (row.timestamp < min ? row.timestamp : min), first.timestamp),
+            lastVoteAt: rows.reduce((max, row) => (row.timestamp > max ? row.timestamp : max), first.timestamp)
+          }
+        }
+      })
+    })
+
+    return {
+      hour,
+      compactedRows,
+      rollupRows: groups.size
+    }
+  }
+
+  /**
+   * Get ledger entries for a battle within a time range, in ledger order
+   * Keeps the most recent `limit` entries when there are more
+   */
+  async getLedgerEntries({ start, end, limit }, battleId = DEFAULT_BATTLE_ID) {
+    return store.history
+      .filter(row => row.battle_id === battleId && row.timestamp >= start && row.timestamp <= end)
+      .sort(byLedgerOrder)
+      .slice(-limit)
+      .map(row => ({
+        id: row.id,
+        color: row.color,
+        increment_amount: row.increment_amount,
+        timestamp: row.timestamp,
+        action: row.client_info?.action ?? null,
+        rollup_count: row.rollup_count
+      }))
+  }
+
+  /**
+   * Get counter statistics and analytics
+   * Only votes count towards increments. Totals are strings, as PostgreSQL
+   * returns them for bigint and numeric columns.
+   */
+  async getCounterStats({ start, end, timeRange = null }, battleId = DEFAULT_BATTLE_ID) {
+    const votes = store.history.filter(row =>
+      row.battle_id === battleId &&
+      isVote(row) &&
+      row.timestamp >= start &&
+      row.timestamp <= end
+    )
+
+    const stats = store.getBattleCounters(battleId).map(counter => {
+      const teamVotes = votes.filter(row => row.color === counter.color)
+      const increments = teamVotes.reduce((sum, row) => sum + voteCount(row), 0)
+      const amount = teamVotes.reduce((sum, row) => sum + row.increment_amount, 0)
+
+      return {
+        color: counter.color,
+        name: store.teams.get(counter.color).name,
+        current_count: counter.count,
+        total_increments: String(increments),
+        total_increment_amount: String(amount),
+        avg_increment: increments > 0 ? (amount / increments).toFixed(16) : '0',
+        first_increment: teamVotes.reduce((min, row) => (!min || firstVoteAt(row) < min ? firstVoteAt(row) : min), null),
+        last_increment: teamVotes.reduce((max, row) => (!max || lastVoteAt(row) > max ? lastVoteAt(row) : max), null)
+      }
+    })
+
+    return {
+      battleId,
+      timeRange,
+      startDate: start.toISOString(),
+      endDate: end.toISOString(),
+      stats,
+      generatedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Get the ledger rows matching the history filters
+   */
+  filterHistory({ battleId = DEFAULT_BATTLE_ID, color = null, startDate = null, endDate = null }) {
+    const start = startDate ? new Date(startDate) : null
+    const end = endDate ? new Date(endDate) : null
+
+    return store.history.filter(row =>
+      row.battle_id === battleId &&
+      (!color || row.color === color) &&
+      (!start || row.timestamp >= start) &&
+      (!end || row.timestamp <= end)
+    )
+  }
+
+  /**
+   * Get counter history with pagination
+   */
+  async getCounterHistory(options = {}) {
+    const { limit = 100, offset = 0 } = options
+    const rows = this.filterHistory(options)
+      .sort((a, b) => b.timestamp - a.timestamp || b.id - a.id)
+
+    return {
+      history: rows.slice(offset, offset + limit).map(row => ({ ...row })),
+      pagination: {
+        limit,
+        offset,
+        totalCount: rows.length,
+        hasMore: offset + limit < rows.length
+      }
+    }
+  }
+
+  /**
+   * Stream counter history in ledger order, one batch of rows at a time
+   * The matching rows are fixed when iteration starts, like a cursor
+   */
+  async *streamCounterHistory(options = {}, batchSize = 1000) {
+    const rows = this.filterHistory(options).sort(byLedgerOrder)
+
+    for (let index = 0; index < rows.length; index += batchSize) {
+      yield rows.slice(index, index + batchSize).map(row => ({ ...row }))
+    }
+  }
+
+  /**
+   * Get per-bucket vote sums and running totals for each team
+   * `bucket` must be 'minute', 'hour' or 'day'. Every bucket between `from` and
+   * `to` is returned, with zero for buckets that had no votes. Votes compacted
+   * into an hourly rollup all fall in the first minute of their hour.
+   * Running totals start from the team's count at `from`, so each one is the
+   * count at the end of its bucket, resets included, as `getCountersAt` gives.
+   */
+  async getCounterSeries({ battleId = DEFAULT_BATTLE_ID, teams, bucket, from, to }) {
+    const start = await this.getCountersAt(from, battleId, { includeRetired: true })
+
+    const sums = new Map()
+    const changes = new Map()
+    store.history
+      .filter(row =>
+        row.battle_id === battleId &&
+        teams.includes(row.color) &&
+        row.timestamp > from &&
+        row.timestamp <= to
+      )
+      .forEach(row => {
+        const key = `${row.color}:${truncateDate(row.timestamp, bucket).getTime()}`
+        changes.set(key, (changes.get(key) || 0) + row.increment_amount)
+        if (isVote(row)) {
+          sums.set(key, (sums.get(key) || 0) + row.increment_amount)
+        }
+      })
+
+    const buckets = []
+    const last = truncateDate(to, bucket)
+    for (let current = truncateDate(from, bucket); current <= last; current = nextBucket(current, bucket)) {
+      buckets.push(current)
+    }
+
+    const series = teams.map(color => {
+      let total = 0
+      let cumulative = start.counters[color] || 0
+      const points = buckets.map(bucketStart => {
+        const key = `${color}:${bucketStart.getTime()}`
+        const increments = sums.get(key) || 0
+        total += increments
+        cumulative += changes.get(key) || 0
+        return { bucket: bucketStart, increments, cumulative }
+      })
+
+      return { color, total, points }
+    })
+
+    return {
+      battleId,
+      bucket,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      series,
+      generatedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Health check for repository
+   */
+  async healthCheck() {
+    return { status: 'healthy', storage: 'memory' }
+  }
+
+  /**
+   * Latest snapshot of a counter, optionally taken at or before `at`
+   */
+  latestSnapshot(battleId, color, at = null) {
+    return store.snapshots
+      .filter(snapshot =>
+        snapshot.battle_id === battleId &&
+        snapshot.color === color &&
+        (!at || snapshot.taken_at <= at)
+      )
+      .reduce((latest, snapshot) => (!latest || snapshot.taken_at > latest.taken_at ? snapshot : latest), null)
+  }
+
+  /**
+   * Sum the increment amounts of the ledger rows matching `predicate`
+   */
+  sumHistory(predicate) {
+    return store.history.reduce((sum, row) => (predicate(row) ? sum + row.increment_amount : sum), 0)
+  }
+
+  /**
+   * Shape a ledger row as an increment result
+   */
+  formatIncrement(row) {
+    return {
+      battleId: row.battle_id,
+      color: row.color,
+      previousCount: row.previous_count,
+      newCount: row.new_count,
+      incrementBy: row.increment_amount,
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+module.exports = CounterRepository
@@ -0,0 +1,74 @@
+const store = require('./MemoryStore')
+
+/**
+ * Idempotency Repository (in-memory)
+ * Same interface as repositories/IdempotencyRepository
+ */
+class IdempotencyRepository {
+  /**
+   * Claim a key for a request
+   * Returns `{ claimed: true }` when the key is new (or had expired), otherwise
+   * `{ claimed: false, record }` with the existing record
+   */
+  async claimKey(key, requestHash, ttlSeconds) {
+    const now = new Date()
+    const existing = store.idempotencyKeys.get(key)
+
+    // An expired key is free to reuse
+    if (existing && existing.expires_at > now) {
+      return { claimed: false, record: { ...existing } }
+    }
+
+    store.idempotencyKeys.set(key, {
+      key,
+      request_hash: requestHash,
+      status: 'in_progress',
+      response_status: null,
+      response_body: null,
+      created_at: now,
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000)
+    })
+
+    return { claimed: true }
+  }
+
+  /**
+   * Store the response produced for a claimed key
+   */
+  async completeKey(key, responseStatus, responseBody) {
+    const record = store.idempotencyKeys.get(key)
+    if (!record) return
+
+    record.status = 'completed'
+    record.response_status = responseStatus
+    record.response_body = store.toJson(responseBody)
+  }
+
+  /**
+   * Release a claimed key so the request can be retried
+   */
+  async releaseKey(key) {
+    if (store.idempotencyKeys.get(key)?.status === 'in_progress') {
+      store.idempotencyKeys.delete(key)
+    }
+  }
+
+  /**
+   * Delete every expired key
+   */
+  async deleteExpiredKeys() {
+    const now = new Date()
+    let deleted = 0
+
+    store.idempotencyKeys.forEach((record, key) => {
+      if (record.expires_at <= now) {
+        store.idempotencyKeys.delete(key)
+        deleted += 1
+      }
+    })
+
+    return deleted
+  }
+}
+
+module.exports = IdempotencyRepository
@@ -0,0 +1,100 @@
+const store = require('./MemoryStore')
+const BattleRepository = require('./BattleRepository')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+/**
+ * Order contributors by votes, then by who got there first
+ */
+const byRank = (a, b) =>
+  b.votes - a.votes ||
+  a.last_vote_at - b.last_vote_at ||
+  a.session_id.localeCompare(b.session_id)
+
+/**
+ * Leaderboard Repository (in-memory)
+ * Same interface as repositories/LeaderboardRepository
+ */
+class LeaderboardRepository {
+  /**
+   * Rank sessions by votes contributed to a battle within a time range
+   * Returns the top `limit` sessions overall and for each team. Only votes
+   * count, and compacted votes keep their session.
+   */
+  async getLeaderboard({ start, end, limit }, battleId = DEFAULT_BATTLE_ID) {
+    const contributions = new Map()
+
+    store.history
+      .filter(row =>
+        row.battle_id === battleId &&
+        row.session_id !== null &&
+        (row.client_info?.action ?? null) === null &&
+        row.timestamp >= start &&
+        row.timestamp <= end
+      )
+      .forEach(row => {
+        const key = `${row.session_id}\u0000${row.color}`
+        const entry = contributions.get(key) ||
+          { color: row.color, session_id: row.session_id, votes: 0, increments: 0, last_vote_at: null }
+        const lastVoteAt = row.client_info?.rollup ? new Date(row.client_info.rollup.lastVoteAt) : row.timestamp
+
+        entry.votes += row.increment_amount
+        entry.increments += row.rollup_count || 1
+        entry.last_vote_at = !entry.last_vote_at || lastVoteAt > entry.last_vote_at ? lastVoteAt : entry.last_vote_at
+        contributions.set(key, entry)
+      })
+
+    const overall = new Map()
+    contributions.forEach(entry => {
+      const total = overall.get(entry.session_id) ||
+        { color: null, session_id: entry.session_id, votes: 0, increments: 0, last_vote_at: null }
+
+      total.votes += entry.votes
+      total.increments += entry.increments
+      total.last_vote_at = !total.last_vote_at || entry.last_vote_at > total.last_vote_at
+        ? entry.last_vote_at
+        : total.last_vote_at
+      overall.set(entry.session_id, total)
+    })
+
+    const byTeam = new Map()
+    contributions.forEach(entry => {
+      if (!byTeam.has(entry.color)) byTeam.set(entry.color, [])
+      byTeam.get(entry.color).push(entry)
+    })
+
+    const rows = [
+      ...Array.from(overall.values()).sort(byRank).slice(0, limit),
+      ...[...byTeam.keys()].sort().flatMap(color => byTeam.get(color).sort(byRank).slice(0, limit))
+    ]
+
+    return rows.map(row => ({ ...row, nickname: store.nicknames.get(row.session_id)?.nickname || null }))
+  }
+
+  /**
+   * Set or replace a session's nickname
+   */
+  async setNickname(sessionId, nickname) {
+    const now = new Date()
+    const existing = store.nicknames.get(sessionId)
+    const record = {
+      session_id: sessionId,
+      nickname,
+      created_at: existing ? existing.created_at : now,
+      updated_at: now
+    }
+
+    store.nicknames.set(sessionId, record)
+    return { ...record }
+  }
+
+  /**
+   * Remove a session's nickname
+   * Returns true when the session had one
+   */
+  async deleteNickname(sessionId) {
+    return store.nicknames.delete(sessionId)
+  }
+}
+
+module.exports = LeaderboardRepository
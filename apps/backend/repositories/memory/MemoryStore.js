@@ -0,0 +1,150 @@
+const DEFAULT_BATTLE_ID = 'default'
+
+/**
+ * Teams seeded by the migrations, so /api/red and /api/blue work out of the box
+ */
+const SEED_TEAMS = [
+  { id: 'red', name: 'Red', color: '#ff6b6b' },
+  { id: 'blue', name: 'Blue', color: '#4ecdc4' }
+]
+
+/**
+ * Memory Store
+ * Holds the tables of the in-memory storage backend. Rows have the same
+ * columns (and value types) as their PostgreSQL counterparts, so the memory
+ * repositories can return them as-is.
+ */
+class MemoryStore {
+  constructor() {
+    this.reset()
+  }
+
+  /**
+   * Empty every table and seed the default battle and teams
+   */
+  reset() {
+    const now = new Date()
+
+    this.teams = new Map()
+    this.battles = new Map()
+    this.counters = new Map()
+    this.history = []
+    this.snapshots = []
+    this.rounds = []
+    this.idempotencyKeys = new Map()
+    this.nicknames = new Map()
+    this.nextHistoryId = 1
+    this.nextRoundId = 1
+
+    SEED_TEAMS.forEach(team => {
+      this.teams.set(team.id, {
+        ...team,
+        is_active: true,
+        retired_at: null,
+        created_at: now,
+        updated_at: now
+      })
+    })
+
+    this.battles.set(DEFAULT_BATTLE_ID, {
+      id: DEFAULT_BATTLE_ID,
+      name: 'Default Battle',
+      status: 'active',
+      created_at: now,
+      updated_at: now
+    })
+
+    SEED_TEAMS.forEach(team => this.addCounter(DEFAULT_BATTLE_ID, team.id))
+  }
+
+  /**
+   * Copy a value the way a JSONB column stores it: undefined fields dropped,
+   * Dates turned into strings, and no references shared with the caller
+   */
+  toJson(value) {
+    return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value))
+  }
+
+  counterKey(battleId, color) {
+    return `${battleId}:${color}`
+  }
+
+  /**
+   * Add a zeroed counter, unless the battle already has one for the team
+   */
+  addCounter(battleId, color) {
+    const key = this.counterKey(battleId, color)
+    if (this.counters.has(key)) return
+
+    const now = new Date()
+    this.counters.set(key, {
+      battle_id: battleId,
+      color,
+      count: 0,
+      created_at: now,
+      updated_at: now
+    })
+  }
+
+  getCounter(battleId, color) {
+    return this.counters.get(this.counterKey(battleId, color)) || null
+  }
+
+  /**
+   * A battle's counters, sorted by team id
+   * Only counters of active teams are returned unless `includeRetired` is set
+   */
+  getBattleCounters(battleId, { includeRetired = false } = {}) {
+    return Array.from(this.counters.values())
+      .filter(counter => counter.battle_id === battleId)
+      .filter(counter => includeRetired || this.teams.get(counter.color)?.is_active)
+      .sort((a, b) => a.color.localeCompare(b.color))
+  }
+
+  /**
+   * Append a ledger row, assigning the next id unless one is given
+   */
+  appendHistory(row) {
+    const entry = {
+      id: row.id ?? this.nextHistoryId,
+      battle_id: row.battle_id,
+      color: row.color,
+      previous_count: row.previous_count,
+      new_count: row.new_count,
+      increment_amount: row.increment_amount,
+      client_info: this.toJson(row.client_info),
+      timestamp: row.timestamp ?? new Date(),
+      session_id: row.session_id ?? null,
+      rollup_count: row.rollup_count ?? null
+    }
+
+    this.nextHistoryId = Math.max(this.nextHistoryId, entry.id + 1)
+    this.history.push(entry)
+    return entry
+  }
+
+  /**
+   * Set a counter and record the change in the ledger
+   */
+  applyChange(counter, incrementBy, { clientInfo = null, sessionId = null } = {}) {
+    const previousCount = counter.count
+
+    counter.count = previousCount + incrementBy
+    counter.updated_at = new Date()
+
+    return this.appendHistory({
+      battle_id: counter.battle_id,
+      color: counter.color,
+      previous_count: previousCount,
+      new_count: counter.count,
+      increment_amount: incrementBy,
+      client_info: clientInfo,
+      session_id: sessionId
+    })
+  }
+}
+
+// Singleton instance, shared by every memory repository
+const memoryStore = new MemoryStore()
+
+module.exports = memoryStore
@@ -0,0 +1,202 @@
+const store = require('./MemoryStore')
+const CounterRepository = require('./CounterRepository')
+
+/**
+ * Round Repository (in-memory)
+ * Same interface as repositories/RoundRepository
+ */
+class RoundRepository {
+  constructor() {
+    this.counterRepository = new CounterRepository()
+  }
+
+  /**
+   * Schedule a new round
+   */
+  async createRound({ battleId, name, startsAt, endsAt }) {
+    const now = new Date()
+    const round = {
+      id: store.nextRoundId++,
+      battle_id: battleId,
+      name,
+      starts_at: new Date(startsAt),
+      ends_at: new Date(endsAt),
+      status: 'scheduled',
+      opened_at: null,
+      closed_at: null,
+      winner: null,
+      is_tie: null,
+      final_tallies: null,
+      created_at: now,
+      updated_at: now
+    }
+
+    store.rounds.push(round)
+    return { ...round }
+  }
+
+  /**
+   * Get a battle's rounds, optionally filtered by status
+   */
+  async getRounds(battleId, { status = null, limit = 50, offset = 0 } = {}) {
+    const rounds = store.rounds
+      .filter(round => round.battle_id === battleId && (!status || round.status === status))
+      .sort((a, b) => b.starts_at - a.starts_at)
+
+    return {
+      rounds: rounds.slice(offset, offset + limit).map(round => ({ ...round })),
+      pagination: {
+        limit,
+        offset,
+        totalCount: rounds.length,
+        hasMore: offset + limit < rounds.length
+      }
+    }
+  }
+
+  /**
+   * Get a single round within a battle
+   * Returns null when the round does not exist
+   */
+  async getRoundById(battleId, roundId) {
+    const round = store.rounds.find(round => round.battle_id === battleId && round.id === Number(roundId))
+    return round ? { ...round } : null
+  }
+
+  /**
+   * Find a round whose window overlaps the given one
+   * Closed rounds only occupy the time until they actually closed
+   */
+  async findOverlappingRound(battleId, startsAt, endsAt) {
+    const start = new Date(startsAt)
+    const end = new Date(endsAt)
+
+    return this.first(round =>
+      round.battle_id === battleId &&
+      round.starts_at < end &&
+      (round.closed_at || round.ends_at) > start
+    )
+  }
+
+  /**
+   * Check whether a battle uses rounds at all
+   */
+  async hasRounds(battleId) {
+    return store.rounds.some(round => round.battle_id === battleId)
+  }
+
+  /**
+   * Get the round whose window contains the current time, if any
+   */
+  async getCurrentRound(battleId) {
+    const now = new Date()
+
+    return this.first(round =>
+      round.battle_id === battleId &&
+      round.status !== 'closed' &&
+      round.starts_at <= now &&
+      round.ends_at > now
+    )
+  }
+
+  /**
+   * Get the next scheduled round and the most recently closed one
+   * Used to explain why a vote was rejected
+   */
+  async getAdjacentRounds(battleId) {
+    const now = new Date()
+
+    const next = this.first(round =>
+      round.battle_id === battleId && round.status === 'scheduled' && round.starts_at > now
+    )
+
+    const previous = store.rounds
+      .filter(round => round.battle_id === battleId && (round.status === 'closed' || round.ends_at <= now))
+      .sort((a, b) => b.ends_at - a.ends_at)[0]
+
+    return {
+      next,
+      previous: previous ? { ...previous } : null
+    }
+  }
+
+  /**
+   * Get rounds that should be opened or closed by the scheduler
+   */
+  async getDueRounds() {
+    const now = new Date()
+
+    return store.rounds
+      .filter(round =>
+        (round.status === 'scheduled' && round.starts_at <= now) ||
+        (round.status === 'open' && round.ends_at <= now)
+      )
+      .sort((a, b) => a.starts_at - b.starts_at)
+      .map(round => ({ ...round }))
+  }
+
+  /**
+   * Open a scheduled round and zero the battle's counters together
+   * Returns null when another caller already opened it
+   */
+  async openRound(roundId) {
+    const round = store.rounds.find(round => round.id === Number(roundId) && round.status === 'scheduled')
+    if (!round) {
+      return null
+    }
+
+    round.status = 'open'
+    round.opened_at = new Date()
+    round.updated_at = round.opened_at
+
+    this.counterRepository.applyReset(round.battle_id, {
+      action: 'round_start',
+      roundId: round.id
+    })
+
+    return { ...round }
+  }
+
+  /**
+   * Close an open round, freezing the battle's tallies
+   * `decide` turns the tallies into { winner, isTie }
+   * Returns null when the round is not open (e.g. already closed)
+   */
+  async closeRound(roundId, decide, { endNow = false } = {}) {
+    const round = store.rounds.find(round => round.id === Number(roundId) && round.status === 'open')
+    if (!round) {
+      return null
+    }
+
+    const tallies = {}
+    store.getBattleCounters(round.battle_id).forEach(counter => {
+      tallies[counter.color] = counter.count
+    })
+
+    const { winner, isTie } = decide(tallies)
+    const now = new Date()
+
+    round.status = 'closed'
+    round.closed_at = now
+    round.ends_at = endNow && now < round.ends_at ? now : round.ends_at
+    round.winner = winner
+    round.is_tie = isTie
+    round.final_tallies = store.toJson(tallies)
+    round.updated_at = now
+
+    return { ...round }
+  }
+
+  /**
+   * Earliest-starting round matching `predicate`, or null
+   */
+  first(predicate) {
+    const round = store.rounds
+      .filter(predicate)
+      .sort((a, b) => a.starts_at - b.starts_at)[0]
+
+    return round ? { ...round } : null
+  }
+}
+
+module.exports = RoundRepository
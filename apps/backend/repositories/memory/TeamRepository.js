@@ -0,0 +1,95 @@
+const store = require('./MemoryStore')
+const BattleRepository = require('./BattleRepository')
+
+/**
+ * Team Repository (in-memory)
+ * Same interface as repositories/TeamRepository
+ */
+class TeamRepository {
+  /**
+   * Get all teams, optionally including retired ones
+   */
+  async getTeams({ includeRetired = false } = {}) {
+    return Array.from(store.teams.values())
+      .filter(team => includeRetired || team.is_active)
+      .sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id))
+      .map(team => ({ ...team }))
+  }
+
+  /**
+   * Get a single team by id
+   * Returns null when the team does not exist
+   */
+  async getTeamById(teamId) {
+    const team = store.teams.get(teamId)
+    return team ? { ...team } : null
+  }
+
+  /**
+   * Count active teams
+   */
+  async countActiveTeams() {
+    return Array.from(store.teams.values()).filter(team => team.is_active).length
+  }
+
+  /**
+   * Create a team together with its counter row in the default battle
+   */
+  async createTeam({ id, name, color }) {
+    if (store.teams.has(id)) {
+      throw new Error(`Team '${id}' already exists`)
+    }
+
+    const now = new Date()
+    const team = {
+      id,
+      name,
+      color,
+      is_active: true,
+      retired_at: null,
+      created_at: now,
+      updated_at: now
+    }
+
+    store.teams.set(id, team)
+
+    // New teams join the default battle; other battles pick teams on creation
+    store.addCounter(BattleRepository.DEFAULT_BATTLE_ID, id)
+
+    return { ...team }
+  }
+
+  /**
+   * Update a team's display name and/or color
+   * Returns null when the team does not exist
+   */
+  async updateTeam(teamId, { name, color }) {
+    const team = store.teams.get(teamId)
+    if (!team) {
+      return null
+    }
+
+    team.name = name ?? team.name
+    team.color = color ?? team.color
+    team.updated_at = new Date()
+    return { ...team }
+  }
+
+  /**
+   * Retire a team so it no longer accepts votes
+   * The counter and history rows are kept for reporting
+   */
+  async retireTeam(teamId) {
+    const team = store.teams.get(teamId)
+    if (!team || !team.is_active) {
+      return null
+    }
+
+    team.is_active = false
+    team.retired_at = new Date()
+    team.updated_at = team.retired_at
+    return { ...team }
+  }
+}
+
+module.exports = TeamRepository
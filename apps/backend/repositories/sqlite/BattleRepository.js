@@ -0,0 +1,112 @@
+const sqliteConfig = require('../../config/sqlite')
+const { convertRow } = require('./rows')
+
+const BATTLE_QUERY = `
+  SELECT
+    b.id, b.name, b.status, b.created_at, b.updated_at,
+    (
+      SELECT json_group_array(c.color ORDER BY c.color)
+      FROM counters c
+      WHERE c.battle_id = b.id
+    ) AS teams
+  FROM battles b
+`
+
+const BATTLE_DATES = ['created_at', 'updated_at']
+
+const toBattle = (row) => convertRow(row, { dates: BATTLE_DATES, json: ['teams'] })
+
+/**
+ * Battle Repository (SQLite)
+ * Same interface as repositories/BattleRepository
+ */
+class BattleRepository {
+  /**
+   * Battle used by the legacy, un-namespaced routes
+   */
+  static DEFAULT_BATTLE_ID = 'default'
+
+  /**
+   * Get all battles with the ids of the teams taking part
+   */
+  async getBattles({ includeArchived = false } = {}) {
+    try {
+      const result = sqliteConfig.query(`
+        ${BATTLE_QUERY}
+        ${includeArchived ? '' : "WHERE b.status = 'active'"}
+        ORDER BY b.created_at, b.id
+      `)
+
+      return result.rows.map(toBattle)
+    } catch (error) {
+      console.error('❌ Error fetching battles:', error.message)
+      throw new Error('Failed to fetch battles')
+    }
+  }
+
+  /**
+   * Get a single battle with the ids of the teams taking part
+   * Returns null when the battle does not exist
+   */
+  async getBattleById(battleId) {
+    try {
+      const result = sqliteConfig.query(`${BATTLE_QUERY} WHERE b.id = ?`, [battleId])
+
+      return toBattle(result.rows[0])
+    } catch (error) {
+      console.error(`❌ Error fetching battle ${battleId}:`, error.message)
+      throw new Error('Failed to fetch battle')
+    }
+  }
+
+  /**
+   * Create a battle with a zeroed counter for each team
+   */
+  async createBattle({ id, name, teams }) {
+    try {
+      const battle = sqliteConfig.transaction(() => {
+        const result = sqliteConfig.query(`
+          INSERT INTO battles (id, name)
+          VALUES (?, ?)
+          RETURNING id, name, status, created_at, updated_at
+        `, [id, name])
+
+        teams.forEach(teamId => {
+          sqliteConfig.query(`
+            INSERT INTO counters (battle_id, color, count)
+            VALUES (?, ?, 0)
+          `, [id, teamId])
+        })
+
+        return result.rows[0]
+      })
+
+      return { ...convertRow(battle, { dates: BATTLE_DATES }), teams: [...teams].sort() }
+    } catch (error) {
+      console.error(`❌ Error creating battle ${id}:`, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Archive a battle so it no longer accepts votes
+   * Returns null when the battle does not exist or is already archived
+   */
+  async archiveBattle(battleId) {
+    try {
+      const result = sqliteConfig.query(`
+        UPDATE battles
+        SET status = 'archived', updated_at = ?
+        WHERE id = ? AND status = 'active'
+        RETURNING id, name, status, created_at, updated_at
+      `, [new Date(), battleId])
+
+      return convertRow(result.rows[0], { dates: BATTLE_DATES })
+    } catch (error) {
+      console.error(`❌ Error archiving battle ${battleId}:`, error.message)
+      throw new Error('Failed to archive battle')
+    }
+  }
+}
+
+module.exports = BattleRepository
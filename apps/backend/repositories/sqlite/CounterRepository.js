@@ -0,0 +1,855 @@
+const sqliteConfig = require('../../config/sqlite')
+const BattleRepository = require('./BattleRepository')
+const { truncateDate, nextBucket } = require('../../utils/timeRange')
+const { toDate, convertRow } = require('./rows')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+const HISTORY_COLUMNS = `
+  id, battle_id, color, previous_count, new_count, increment_amount,
+  client_info, timestamp, session_id, rollup_count
+`
+
+const toHistoryRow = (row) => convertRow(row, { dates: ['timestamp'], json: ['client_info'] })
+
+/**
+ * strftime formats that truncate a UTC time to the start of its bucket
+ */
+const BUCKET_FORMATS = {
+  minute: '%Y-%m-%d %H:%M:00',
+  hour: '%Y-%m-%d %H:00:00',
+  day: '%Y-%m-%d 00:00:00'
+}
+
+/**
+ * Counter Repository (SQLite)
+ * Same interface as repositories/CounterRepository. better-sqlite3 is
+ * synchronous, so each transaction runs to completion without yielding; the
+ * `apply*` helpers are the steps other repositories reuse inside their own.
+ */
+class CounterRepository {
+  /**
+   * Get current counter values for every active team in a battle
+   */
+  async getCounters(battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = sqliteConfig.query(`
+        SELECT c.color, c.count, c.updated_at
+        FROM counters c
+        JOIN teams t ON t.id = c.color
+        WHERE c.battle_id = ? AND t.is_active = TRUE
+        ORDER BY c.color
+      `, [battleId])
+
+      // Transform to object format for compatibility
+      const counters = {}
+      result.rows.forEach(row => {
+        counters[row.color] = row.count
+      })
+
+      return {
+        counters,
+        lastUpdated: result.rows.length > 0 ?
+          Math.max(...result.rows.map(r => new Date(r.updated_at).getTime())) :
+          null
+      }
+    } catch (error) {
+      console.error('❌ Error fetching counters:', error.message)
+      throw new Error('Failed to fetch counter values')
+    }
+  }
+
+  /**
+   * Get counter values for a battle as they were at a point in time
+   * Starts from the latest snapshot taken at or before `at` and replays the
+   * ledger rows recorded after it
+   */
+  async getCountersAt(at, battleId = DEFAULT_BATTLE_ID, { includeRetired = false } = {}) {
+    try {
+      const result = sqliteConfig.query(`
+        WITH snapshots AS (
+          SELECT color, count, last_history_id, taken_at
+          FROM (
+            SELECT
+              *,
+              ROW_NUMBER() OVER (PARTITION BY color ORDER BY taken_at DESC, id DESC) AS position
+            FROM counter_snapshots
+            WHERE battle_id = @battleId AND taken_at <= @at
+          ) ranked
+          WHERE position = 1
+        )
+        SELECT
+          c.color,
+          s.taken_at AS snapshot_taken_at,
+          COALESCE(s.count, 0) + COALESCE((
+            SELECT SUM(h.increment_amount)
+            FROM counter_history h
+            WHERE h.battle_id = @battleId
+              AND h.color = c.color
+              AND h.id > COALESCE(s.last_history_id, 0)
+              AND h.timestamp <= @at
+          ), 0) AS count
+        FROM counters c
+        JOIN teams t ON t.id = c.color
+        LEFT JOIN snapshots s ON s.color = c.color
+        WHERE c.battle_id = @battleId ${includeRetired ? '' : 'AND t.is_active = TRUE'}
+        ORDER BY c.color
+      `, { battleId, at })
+
+      const counters = {}
+      result.rows.forEach(row => {
+        counters[row.color] = row.count
+      })
+
+      const snapshotTimes = result.rows
+        .filter(row => row.snapshot_taken_at)
+        .map(row => new Date(row.snapshot_taken_at).getTime())
+
+      return {
+        counters,
+        at: at.toISOString(),
+        snapshotTakenAt: snapshotTimes.length > 0
+          ? new Date(Math.min(...snapshotTimes)).toISOString()
+          : null
+      }
+    } catch (error) {
+      console.error('❌ Error fetching counters at point in time:', error.message)
+      throw new Error('Failed to fetch counter values at point in time')
+    }
+  }
+
+  /**
+   * Snapshot every counter's ledger sum
+   * Each snapshot builds on the previous one, so only new ledger rows are
+   * summed. Returns null when nothing changed since the last snapshot.
+   */
+  async createSnapshots() {
+    try {
+      return sqliteConfig.transaction(() => {
+        const positionResult = sqliteConfig.query(`
+          SELECT
+            COALESCE((SELECT MAX(id) FROM counter_history), 0) AS last_history_id,
+            COALESCE((SELECT MAX(last_history_id) FROM counter_snapshots), 0) AS previous_history_id
+        `)
+        const { last_history_id: lastHistoryId, previous_history_id: previousHistoryId } = positionResult.rows[0]
+
+        if (lastHistoryId === previousHistoryId) {
+          return null
+        }
+
+        const takenAt = new Date()
+        const insertResult = sqliteConfig.query(`
+          INSERT INTO counter_snapshots (battle_id, color, count, last_history_id, taken_at)
+          SELECT
+            c.battle_id,
+            c.color,
+            COALESCE(s.count, 0) + COALESCE((
+              SELECT SUM(h.increment_amount)
+              FROM counter_history h
+              WHERE h.battle_id = c.battle_id
+                AND h.color = c.color
+                AND h.id > COALESCE(s.last_history_id, 0)
+                AND h.id <= @lastHistoryId
+            ), 0),
+            @lastHistoryId,
+            @takenAt
+          FROM counters c
+          LEFT JOIN counter_snapshots s ON s.id = (
+            SELECT cs.id
+            FROM counter_snapshots cs
+            WHERE cs.battle_id = c.battle_id AND cs.color = c.color
+            ORDER BY cs.taken_at DESC, cs.id DESC
+            LIMIT 1
+          )
+        `, { lastHistoryId, takenAt })
+
+        return {
+          takenAt: takenAt.toISOString(),
+          lastHistoryId,
+          counters: insertResult.rowCount
+        }
+      })
+
+    } catch (error) {
+      console.error('❌ Error creating counter snapshots:', error.message)
+      throw new Error('Failed to create counter snapshots')
+    }
+  }
+
+  /**
+   * Get counter value for a specific color
+   */
+  async getCounterByColor(color, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = sqliteConfig.query(`
+        SELECT color, count, updated_at
+        FROM counters
+        WHERE battle_id = ? AND color = ?
+      `, [battleId, color])
+
+      if (result.rows.length === 0) {
+        throw new Error(`Counter for color '${color}' not found`)
+      }
+
+      return convertRow(result.rows[0], { dates: ['updated_at'] })
+    } catch (error) {
+      console.error(`❌ Error fetching ${color} counter:`, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Increment counter for a specific color if the vote is accepted
+   * One transaction checks that the battle is active, the team is active and
+   * in the battle, and that voting is open, then applies the vote and its
+   * ledger entry. Returns null when a check failed and nothing was applied.
+   */
+  async incrementCounter(color, incrementBy = 1, clientInfo = null, battleId = DEFAULT_BATTLE_ID, sessionId = null) {
+    try {
+      return sqliteConfig.transaction(() => {
+        const result = sqliteConfig.query(`
+          SELECT t.name, t.color
+          FROM battles b
+          JOIN counters c ON c.battle_id = b.id AND c.color = @color
+          JOIN teams t ON t.id = c.color AND t.is_active = TRUE
+          WHERE b.id = @battleId AND b.status = 'active'
+        `, { battleId, color })
+
+        if (result.rows.length === 0 || !this.isVotingOpen(battleId)) {
+          return null
+        }
+
+        const { name, color: teamColor } = result.rows[0]
+
+        return {
+          ...this.applyIncrement({ color, incrementBy, clientInfo, sessionId }, battleId),
+          team: { id: color, name, color: teamColor }
+        }
+      })
+
+    } catch (error) {
+      console.error(`❌ Error incrementing ${color} counter:`, error.message)
+      throw new Error(`Failed to increment ${color} counter`)
+    }
+  }
+
+  /**
+   * Apply several increments in one transaction: all of them or none
+   * Returns null, applying nothing, when the battle is not accepting votes
+   */
+  async incrementCountersAtomically(increments, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      return sqliteConfig.transaction(() => {
+        if (!this.isVotingOpen(battleId)) {
+          return null
+        }
+
+        return increments.map(increment => this.applyIncrement(increment, battleId))
+      })
+
+    } catch (error) {
+      console.error('❌ Error applying atomic batch increment:', error.message)
+      throw new Error('Failed to apply batch increment')
+    }
+  }
+
+  /**
+   * Check whether a battle accepts votes: it has no rounds, or its current
+   * round is open. Must run inside the transaction that applies the votes.
+   */
+  isVotingOpen(battleId) {
+    const result = sqliteConfig.query(`
+      SELECT
+        NOT EXISTS (SELECT 1 FROM rounds WHERE battle_id = @battleId)
+        OR EXISTS (
+          SELECT 1 FROM rounds
+          WHERE battle_id = @battleId
+            AND status = 'open'
+            AND starts_at <= @now
+            AND ends_at > @now
+        ) AS open
+    `, { battleId, now: new Date() })
+
+    return result.rows[0].open === 1
+  }
+
+  /**
+   * Increment a counter and record it in the ledger
+   * Must run inside a transaction
+   */
+  applyIncrement({ color, incrementBy = 1, clientInfo = null, sessionId = null }, battleId) {
+    const result = sqliteConfig.query(`
+      UPDATE counters
+      SET count = count + @incrementBy, updated_at = @now
+      WHERE battle_id = @battleId AND color = @color
+      RETURNING count - @incrementBy AS previous_count, count AS new_count
+    `, { battleId, color, incrementBy, now: new Date() })
+
+    if (result.rows.length === 0) {
+      throw new Error(`Counter for color '${color}' not found`)
+    }
+
+    const { previous_count: previousCount, new_count: newCount } = result.rows[0]
+
+    sqliteConfig.query(`
+      INSERT INTO counter_history
+        (battle_id, color, previous_count, new_count, increment_amount, client_info, session_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [battleId, color, previousCount, newCount, incrementBy, clientInfo, sessionId])
+
+    return {
+      battleId,
+      color,
+      previousCount,
+      newCount,
+      incrementBy,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Reset all counters in a battle to zero
+   */
+  async resetCounters(battleId = DEFAULT_BATTLE_ID) {
+    try {
+      sqliteConfig.transaction(() => this.applyReset(battleId))
+
+      return { battleId, message: 'All counters reset to zero', timestamp: new Date().toISOString() }
+
+    } catch (error) {
+      console.error('❌ Error resetting counters:', error.message)
+      throw new Error('Failed to reset counters')
+    }
+  }
+
+  /**
+   * Zero a battle's counters, recording each reset in the ledger
+   * Must run inside a transaction. Returns the counts from before the reset.
+   */
+  applyReset(battleId, clientInfo = { action: 'reset' }) {
+    // Get current values for history
+    const currentResult = sqliteConfig.query(
+      'SELECT color, count FROM counters WHERE battle_id = ?',
+      [battleId]
+    )
+
+    // Reset counters
+    sqliteConfig.query('UPDATE counters SET count = 0 WHERE battle_id = ?', [battleId])
+
+    // Record reset in history
+    currentResult.rows.forEach(row => {
+      sqliteConfig.query(`
+        INSERT INTO counter_history
+        (battle_id, color, previous_count, new_count, increment_amount, client_info)
+        VALUES (?, ?, ?, 0, ?, ?)
+      `, [battleId, row.color, row.count, -row.count, clientInfo])
+    })
+
+    return currentResult.rows
+  }
+
+  /**
+   * Rebuild counters by replaying the counter_history ledger
+   * Every change to a counter is a ledger row, so a counter's value is the sum
+   * of its increment amounts. Rebuilds one battle, or every battle when null.
+   */
+  async rebuildCountersFromLedger(battleId = null) {
+    try {
+      const counters = sqliteConfig.transaction(() => this.applyRebuild(battleId))
+
+      return {
+        battleId,
+        counters,
+        corrected: counters.filter(counter => counter.corrected).length,
+        timestamp: new Date().toISOString()
+      }
+
+    } catch (error) {
+      console.error('❌ Error rebuilding counters from ledger:', error.message)
+      throw new Error('Failed to rebuild counters')
+    }
+  }
+
+  /**
+   * Set counters to their ledger sums
+   * Must run inside a transaction. Returns each counter's previous and rebuilt value.
+   */
+  applyRebuild(battleId = null) {
+    const currentResult = sqliteConfig.query(`
+      SELECT battle_id, color, count
+      FROM counters
+      WHERE @battleId IS NULL OR battle_id = @battleId
+      ORDER BY battle_id, color
+    `, { battleId })
+
+    const ledgerResult = sqliteConfig.query(`
+      SELECT battle_id, color, COALESCE(SUM(increment_amount), 0) AS total
+      FROM counter_history
+      WHERE @battleId IS NULL OR battle_id = @battleId
+      GROUP BY battle_id, color
+    `, { battleId })
+
+    const totals = new Map(
+      ledgerResult.rows.map(row => [`${row.battle_id}:${row.color}`, row.total])
+    )
+
+    return currentResult.rows.map(row => {
+      const rebuiltCount = totals.get(`${row.battle_id}:${row.color}`) || 0
+
+      if (rebuiltCount !== row.count) {
+        sqliteConfig.query(
+          'UPDATE counters SET count = ? WHERE battle_id = ? AND color = ?',
+          [rebuiltCount, row.battle_id, row.color]
+        )
+      }
+
+      return {
+        battleId: row.battle_id,
+        color: row.color,
+        previousCount: row.count,
+        rebuiltCount,
+        corrected: rebuiltCount !== row.count
+      }
+    })
+  }
+
+  /**
+   * Import ledger rows, keeping their ids, then rebuild the affected counters
+   * `batches` is an async iterable of arrays of validated records. Rows whose
+   * id already exists are skipped as duplicates, as are raw votes for an hour
+   * that has already been compacted into rollups. Every batch is read before
+   * the single transaction starts, since a transaction cannot wait on the
+   * upload; a failure leaves the database untouched.
+   */
+  async importHistory(batches) {
+    try {
+      const records = []
+      for await (const batch of batches) {
+        records.push(...batch)
+      }
+
+      return sqliteConfig.transaction(() => {
+        let inserted = 0
+        const battleIds = new Set()
+
+        records.forEach(record => {
+          const result = sqliteConfig.query(`
+            INSERT INTO counter_history
+              (id, battle_id, color, previous_count, new_count, increment_amount, timestamp,
+               session_id, client_info, rollup_count)
+            SELECT
+              @id, @battleId, @color, @previousCount, @newCount, @incrementAmount, @timestamp,
+              @sessionId, @clientInfo, @rollupCount
+            WHERE @rollupCount IS NOT NULL
+              OR @clientInfo->>'action' IS NOT NULL
+              OR NOT EXISTS (
+                SELECT 1 FROM counter_history r
+                WHERE r.battle_id = @battleId
+                  AND r.color = @color
+                  AND r.rollup_count IS NOT NULL
+                  AND r.timestamp = @hour
+              )
+            ON CONFLICT (id) DO NOTHING
+          `, { ...record, hour: truncateDate(record.timestamp, 'hour') })
+
+          if (result.rowCount > 0) {
+            inserted += 1
+            battleIds.add(record.battleId)
+          }
+        })
+
+        const counters = []
+        if (inserted > 0) {
+          // Snapshots assume no rows appear below their ledger position
+          const battles = [...battleIds].sort()
+          sqliteConfig.query(
+            `DELETE FROM counter_snapshots WHERE battle_id IN (${battles.map(() => '?').join(', ')})`,
+            battles
+          )
+
+          battles.forEach(battleId => {
+            counters.push(...this.applyRebuild(battleId))
+          })
+        }
+
+        return {
+          inserted,
+          duplicates: records.length - inserted,
+          battles: [...battleIds].sort(),
+          counters
+        }
+      })
+
+    } catch (error) {
+      console.error('❌ Error importing counter history:', error.message)
+      throw new Error('Failed to import counter history')
+    }
+  }
+
+  /**
+   * Compact the oldest hour of raw votes recorded before `before` into rollups
+   * Votes are grouped by battle, team and session; each group is replaced by
+   * one row that reuses the group's highest id and carries its summed amount,
+   * so ledger sums and snapshot positions are unchanged. Resets and other
+   * action rows are kept as they are. Returns null when nothing is left to
+   * compact.
+   */
+  async compactHistoryHour(before) {
+    try {
+      return sqliteConfig.transaction(() => {
+        const oldest = sqliteConfig.query(`
+          SELECT MIN(timestamp) AS oldest
+          FROM counter_history
+          WHERE rollup_count IS NULL
+            AND client_info->>'action' IS NULL
+            AND timestamp < ?
+        `, [before])
+
+        if (!oldest.rows[0].oldest) {
+          return null
+        }
+
+        const hour = truncateDate(new Date(oldest.rows[0].oldest), 'hour')
+        const range = { hour, hourEnd: nextBucket(hour, 'hour'), before }
+        const inHour = `
+          rollup_count IS NULL
+          AND client_info->>'action' IS NULL
+          AND timestamp >= @hour
+          AND timestamp < @hourEnd
+          AND timestamp < @before
+        `
+
+        const groups = sqliteConfig.query(`
+          SELECT
+            g.*,
+            h.new_count
+          FROM (
+            SELECT
+              battle_id,
+              color,
+              session_id,
+              MIN(id) AS first_id,
+              MAX(id) AS id,
+              COUNT(*) AS votes,
+              SUM(increment_amount) AS amount,
+              MIN(timestamp) AS first_vote_at,
+              MAX(timestamp) AS last_vote_at
+            FROM counter_history
+            WHERE ${inHour}
+            GROUP BY battle_id, color, session_id
+          ) g
+          JOIN counter_history h ON h.id = g.id
+        `, range).rows
+
+        const removed = sqliteConfig.query(`DELETE FROM counter_history WHERE ${inHour}`, range)
+
+        groups.forEach(group => {
+          sqliteConfig.query(`
+            INSERT INTO counter_history
+              (id, battle_id, color, previous_count, new_count, increment_amount, timestamp,
+               session_id, rollup_count, client_info)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            group.id, group.battle_id, group.color, group.new_count - group.amount, group.new_count,
+            group.amount, hour, group.session_id, group.votes,
+            { rollup: { period: 'hour', firstVoteAt: group.first_vote_at, lastVoteAt: group.last_vote_at } }
+          ])
+
+          // A snapshot taken part way through a group would count the votes before
+          // it twice: once in the snapshot and again in the rollup row after it
+          sqliteConfig.query(`
+            DELETE FROM counter_snapshots
+            WHERE battle_id = ?
+              AND color = ?
+              AND last_history_id >= ?
+              AND last_history_id < ?
+          `, [group.battle_id, group.color, group.first_id, group.id])
+        })
+
+        return {
+          hour,
+          compactedRows: removed.rowCount,
+          rollupRows: groups.length
+        }
+      })
+
+    } catch (error) {
+      console.error('❌ Error compacting counter history:', error.message)
+      throw new Error('Failed to compact counter history')
+    }
+  }
+
+  /**
+   * Get ledger entries for a battle within a time range, in ledger order
+   * Keeps the most recent `limit` entries when there are more
+   */
+  async getLedgerEntries({ start, end, limit }, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = sqliteConfig.query(`
+        SELECT id, color, increment_amount, timestamp, action, rollup_count
+        FROM (
+          SELECT id, color, increment_amount, timestamp, client_info->>'action' AS action, rollup_count
+          FROM counter_history
+          WHERE battle_id = @battleId
+            AND timestamp >= @start
+            AND timestamp <= @end
+          ORDER BY timestamp DESC, id DESC
+          LIMIT @limit
+        ) latest
+        ORDER BY timestamp, id
+      `, { battleId, start, end, limit })
+
+      return result.rows.map(row => convertRow(row, { dates: ['timestamp'] }))
+    } catch (error) {
+      console.error('❌ Error fetching ledger entries:', error.message)
+      throw new Error('Failed to fetch ledger entries')
+    }
+  }
+
+  /**
+   * Get counter statistics and analytics
+   * Only votes count towards increments: resets and opening balances are
+   * ledger rows whose client_info carries an `action`. Totals are strings, as
+   * PostgreSQL returns them for bigint and numeric columns.
+   */
+  async getCounterStats({ start, end, timeRange = null }, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = sqliteConfig.query(`
+        WITH stats AS (
+          SELECT
+            color,
+            SUM(COALESCE(rollup_count, 1)) as total_increments,
+            SUM(increment_amount) as total_increment_amount,
+            MIN(COALESCE(client_info->'rollup'->>'firstVoteAt', timestamp)) as first_increment,
+            MAX(COALESCE(client_info->'rollup'->>'lastVoteAt', timestamp)) as last_increment
+          FROM counter_history
+          WHERE battle_id = @battleId
+            AND client_info->>'action' IS NULL
+            AND timestamp >= @start
+            AND timestamp <= @end
+          GROUP BY color
+        )
+        SELECT
+          c.color,
+          t.name,
+          c.count as current_count,
+          COALESCE(s.total_increments, 0) as total_increments,
+          COALESCE(s.total_increment_amount, 0) as total_increment_amount,
+          s.first_increment,
+          s.last_increment
+        FROM counters c
+        JOIN teams t ON t.id = c.color
+        LEFT JOIN stats s ON s.color = c.color
+        WHERE c.battle_id = @battleId AND t.is_active = TRUE
+        ORDER BY c.color
+      `, { battleId, start, end })
+
+      const stats = result.rows.map(row => ({
+        color: row.color,
+        name: row.name,
+        current_count: row.current_count,
+        total_increments: String(row.total_increments),
+        total_increment_amount: String(row.total_increment_amount),
+        avg_increment: row.total_increments > 0
+          ? (row.total_increment_amount / row.total_increments).toFixed(16)
+          : '0',
+        first_increment: toDate(row.first_increment),
+        last_increment: toDate(row.last_increment)
+      }))
+
+      return {
+        battleId,
+        timeRange,
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        stats,
+        generatedAt: new Date().toISOString()
+      }
+
+    } catch (error) {
+      console.error('❌ Error fetching counter stats:', error.message)
+      throw new Error('Failed to fetch counter statistics')
+    }
+  }
+
+  /**
+   * Build the WHERE clause shared by the history queries
+   */
+  buildHistoryFilter({ battleId = DEFAULT_BATTLE_ID, color = null, startDate = null, endDate = null }) {
+    const conditions = ['battle_id = @battleId']
+    const params = { battleId }
+
+    if (color) {
+      params.color = color
+      conditions.push('color = @color')
+    }
+
+    if (startDate) {
+      params.startDate = new Date(startDate)
+      conditions.push('timestamp >= @startDate')
+    }
+
+    if (endDate) {
+      params.endDate = new Date(endDate)
+      conditions.push('timestamp <= @endDate')
+    }
+
+    return { where: conditions.join(' AND '), params }
+  }
+
+  /**
+   * Get counter history with pagination
+   */
+  async getCounterHistory(options = {}) {
+    try {
+      const { limit = 100, offset = 0 } = options
+      const { where, params } = this.buildHistoryFilter(options)
+
+      const result = sqliteConfig.query(`
+        SELECT ${HISTORY_COLUMNS}
+        FROM counter_history
+        WHERE ${where}
+        ORDER BY timestamp DESC LIMIT @limit OFFSET @offset
+      `, { ...params, limit, offset })
+
+      // Get total count for pagination
+      const countResult = sqliteConfig.query(
+        `SELECT COUNT(*) AS count FROM counter_history WHERE ${where}`,
+        params
+      )
+      const totalCount = countResult.rows[0].count
+
+      return {
+        history: result.rows.map(toHistoryRow),
+        pagination: {
+          limit,
+          offset,
+          totalCount,
+          hasMore: offset + limit < totalCount
+        }
+      }
+
+    } catch (error) {
+      console.error('❌ Error fetching counter history:', error.message)
+      throw new Error('Failed to fetch counter history')
+    }
+  }
+
+  /**
+   * Stream counter history in ledger order, one batch of rows at a time
+   * Each batch is a separate query that resumes after the previous one, so
+   * the connection stays free between batches. Rows appended after the
+   * export started are left out.
+   */
+  async *streamCounterHistory(options = {}, batchSize = 1000) {
+    const { where, params } = this.buildHistoryFilter(options)
+
+    let rows
+    try {
+      const position = sqliteConfig.query('SELECT COALESCE(MAX(id), 0) AS last_id FROM counter_history')
+      const cursor = { ...params, lastId: position.rows[0].last_id, afterTimestamp: null, afterId: null, batchSize }
+
+      do {
+        rows = sqliteConfig.query(`
+          SELECT ${HISTORY_COLUMNS}
+          FROM counter_history
+          WHERE ${where}
+            AND id <= @lastId
+            AND (@afterTimestamp IS NULL OR (timestamp, id) > (@afterTimestamp, @afterId))
+          ORDER BY timestamp, id
+          LIMIT @batchSize
+        `, cursor).rows
+
+        if (rows.length > 0) {
+          const last = rows[rows.length - 1]
+          cursor.afterTimestamp = last.timestamp
+          cursor.afterId = last.id
+          yield rows.map(toHistoryRow)
+        }
+      } while (rows.length === batchSize)
+
+    } catch (error) {
+      console.error('❌ Error streaming counter history:', error.message)
+      throw new Error('Failed to stream counter history')
+    }
+  }
+
+  /**
+   * Get per-bucket vote sums and running totals for each team
+   * `bucket` must be 'minute', 'hour' or 'day'. Every bucket between `from` and
+   * `to` is returned, with zero for buckets that had no votes. Votes compacted
+   * into an hourly rollup all fall in the first minute of their hour.
+   * Running totals start from the team's count at `from`, so each one is the
+   * count at the end of its bucket, resets included, as `getCountersAt` gives.
+   */
+  async getCounterSeries({ battleId = DEFAULT_BATTLE_ID, teams, bucket, from, to }) {
+    try {
+      const start = await this.getCountersAt(from, battleId, { includeRetired: true })
+
+      const result = sqliteConfig.query(`
+        SELECT
+          strftime('%Y-%m-%dT%H:%M:%fZ', strftime(@format, timestamp)) AS bucket,
+          color,
+          SUM(CASE WHEN client_info->>'action' IS NULL THEN increment_amount ELSE 0 END) AS increments,
+          SUM(increment_amount) AS changes
+        FROM counter_history
+        WHERE battle_id = @battleId
+          AND timestamp > @from
+          AND timestamp <= @to
+          AND color IN (SELECT value FROM json_each(@teams))
+        GROUP BY 1, 2
+      `, { battleId, format: BUCKET_FORMATS[bucket], from, to, teams })
+
+      const sums = new Map(
+        result.rows.map(row => [`${row.color}:${new Date(row.bucket).getTime()}`, row])
+      )
+
+      const buckets = []
+      const last = truncateDate(to, bucket)
+      for (let current = truncateDate(from, bucket); current <= last; current = nextBucket(current, bucket)) {
+        buckets.push(current)
+      }
+
+      const series = teams.map(color => {
+        let total = 0
+        let cumulative = start.counters[color] || 0
+        const points = buckets.map(bucketStart => {
+          const sum = sums.get(`${color}:${bucketStart.getTime()}`)
+          const increments = sum ? sum.increments : 0
+          total += increments
+          cumulative += sum ? sum.changes : 0
+          return { bucket: bucketStart, increments, cumulative }
+        })
+
+        return { color, total, points }
+      })
+
+      return {
+        battleId,
+        bucket,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        series,
+        generatedAt: new Date().toISOString()
+      }
+
+    } catch (error) {
+      console.error('❌ Error fetching counter series:', error.message)
+      throw new Error('Failed to fetch counter series')
+    }
+  }
+
+  /**
+   * Health check for repository
+   */
+  async healthCheck() {
+    try {
+      sqliteConfig.query('SELECT 1 FROM counters LIMIT 1')
+      return { status: 'healthy', storage: 'sqlite' }
+    } catch (error) {
+      return { status: 'unhealthy', error: error.message }
+    }
+  }
+}
+
+module.exports = CounterRepository
@@ -0,0 +1,100 @@
+const sqliteConfig = require('../../config/sqlite')
+const { convertRow } = require('./rows')
+
+/**
+ * Idempotency Repository (SQLite)
+ * Same interface as repositories/IdempotencyRepository
+ */
+class IdempotencyRepository {
+  /**
+   * Claim a key for a request
+   * Returns `{ claimed: true }` when the key is new (or had expired), otherwise
+   * `{ claimed: false, record }` with the existing record
+   */
+  async claimKey(key, requestHash, ttlSeconds) {
+    try {
+      const now = new Date()
+
+      const record = sqliteConfig.transaction(() => {
+        // An expired key is free to reuse
+        sqliteConfig.query(
+          'DELETE FROM idempotency_keys WHERE key = ? AND expires_at <= ?',
+          [key, now]
+        )
+
+        const insertResult = sqliteConfig.query(`
+          INSERT INTO idempotency_keys (key, request_hash, created_at, expires_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT (key) DO NOTHING
+          RETURNING key
+        `, [key, requestHash, now, new Date(now.getTime() + ttlSeconds * 1000)])
+
+        if (insertResult.rows.length > 0) return null
+
+        const existingResult = sqliteConfig.query(`
+          SELECT key, request_hash, status, response_status, response_body, created_at, expires_at
+          FROM idempotency_keys
+          WHERE key = ?
+        `, [key])
+        return existingResult.rows[0]
+      })
+
+      return record
+        ? {
+          claimed: false,
+          record: convertRow(record, { dates: ['created_at', 'expires_at'], json: ['response_body'] })
+        }
+        : { claimed: true }
+
+    } catch (error) {
+      console.error('❌ Error claiming idempotency key:', error.message)
+      throw new Error('Failed to claim idempotency key')
+    }
+  }
+
+  /**
+   * Store the response produced for a claimed key
+   */
+  async completeKey(key, responseStatus, responseBody) {
+    try {
+      sqliteConfig.query(`
+        UPDATE idempotency_keys
+        SET status = 'completed', response_status = ?, response_body = ?
+        WHERE key = ?
+      `, [responseStatus, JSON.stringify(responseBody), key])
+    } catch (error) {
+      console.error('❌ Error storing idempotent response:', error.message)
+      throw new Error('Failed to store idempotent response')
+    }
+  }
+
+  /**
+   * Release a claimed key so the request can be retried
+   */
+  async releaseKey(key) {
+    try {
+      sqliteConfig.query(
+        "DELETE FROM idempotency_keys WHERE key = ? AND status = 'in_progress'",
+        [key]
+      )
+    } catch (error) {
+      console.error('❌ Error releasing idempotency key:', error.message)
+      throw new Error('Failed to release idempotency key')
+    }
+  }
+
+  /**
+   * Delete every expired key
+   */
+  async deleteExpiredKeys() {
+    try {
+      const result = sqliteConfig.query('DELETE FROM idempotency_keys WHERE expires_at <= ?', [new Date()])
+      return result.rowCount
+    } catch (error) {
+      console.error('❌ Error deleting expired idempotency keys:', error.message)
+      throw new Error('Failed to delete expired idempotency keys')
+    }
+  }
+}
+
+module.exports = IdempotencyRepository
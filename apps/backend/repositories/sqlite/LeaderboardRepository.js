@@ -0,0 +1,115 @@
+const sqliteConfig = require('../../config/sqlite')
+const BattleRepository = require('./BattleRepository')
+const { convertRow } = require('./rows')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+/**
+ * Leaderboard Repository (SQLite)
+ * Same interface as repositories/LeaderboardRepository
+ */
+class LeaderboardRepository {
+  /**
+   * Rank sessions by votes contributed to a battle within a time range
+   * Returns the top `limit` sessions overall and for each team. Only votes
+   * count, and compacted votes keep their session.
+   */
+  async getLeaderboard({ start, end, limit }, battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = sqliteConfig.query(`
+        WITH contributions AS (
+          SELECT
+            session_id,
+            color,
+            SUM(increment_amount) AS votes,
+            SUM(COALESCE(rollup_count, 1)) AS increments,
+            MAX(COALESCE(client_info->'rollup'->>'lastVoteAt', timestamp)) AS last_vote_at
+          FROM counter_history
+          WHERE battle_id = @battleId
+            AND session_id IS NOT NULL
+            AND client_info->>'action' IS NULL
+            AND timestamp >= @start
+            AND timestamp <= @end
+          GROUP BY session_id, color
+        ),
+        overall AS (
+          SELECT
+            NULL AS color,
+            session_id,
+            SUM(votes) AS votes,
+            SUM(increments) AS increments,
+            MAX(last_vote_at) AS last_vote_at
+          FROM contributions
+          GROUP BY session_id
+          ORDER BY votes DESC, last_vote_at ASC, session_id
+          LIMIT @limit
+        ),
+        by_team AS (
+          SELECT color, session_id, votes, increments, last_vote_at
+          FROM (
+            SELECT
+              *,
+              ROW_NUMBER() OVER (
+                PARTITION BY color
+                ORDER BY votes DESC, last_vote_at ASC, session_id
+              ) AS position
+            FROM contributions
+          ) ranked
+          WHERE position <= @limit
+        )
+        SELECT entries.*, n.nickname
+        FROM (
+          SELECT * FROM overall
+          UNION ALL
+          SELECT * FROM by_team
+        ) entries
+        LEFT JOIN session_nicknames n ON n.session_id = entries.session_id
+        ORDER BY entries.color NULLS FIRST, entries.votes DESC, entries.last_vote_at ASC, entries.session_id
+      `, { battleId, start, end, limit })
+
+      return result.rows.map(row => convertRow(row, { dates: ['last_vote_at'] }))
+    } catch (error) {
+      console.error('❌ Error fetching leaderboard:', error.message)
+      throw new Error('Failed to fetch leaderboard')
+    }
+  }
+
+  /**
+   * Set or replace a session's nickname
+   */
+  async setNickname(sessionId, nickname) {
+    try {
+      const result = sqliteConfig.query(`
+        INSERT INTO session_nicknames (session_id, nickname)
+        VALUES (@sessionId, @nickname)
+        ON CONFLICT (session_id) DO UPDATE SET nickname = excluded.nickname, updated_at = @now
+        RETURNING session_id, nickname, created_at, updated_at
+      `, { sessionId, nickname, now: new Date() })
+
+      return convertRow(result.rows[0], { dates: ['created_at', 'updated_at'] })
+    } catch (error) {
+      console.error('❌ Error setting session nickname:', error.message)
+      throw new Error('Failed to set session nickname')
+    }
+  }
+
+  /**
+   * Remove a session's nickname
+   * Returns true when the session had one
+   */
+  async deleteNickname(sessionId) {
+    try {
+      const result = sqliteConfig.query(
+        'DELETE FROM session_nicknames WHERE session_id = ?',
+        [sessionId]
+      )
+
+      return result.rowCount > 0
+    } catch (error) {
+      console.error('❌ Error removing session nickname:', error.message)
+      throw new Error('Failed to remove session nickname')
+    }
+  }
+}
+
+module.exports = LeaderboardRepository
@@ -0,0 +1,279 @@
+const sqliteConfig = require('../../config/sqlite')
+const CounterRepository = require('./CounterRepository')
+const { convertRow } = require('./rows')
+
+const ROUND_COLUMNS = `
+  id, battle_id, name, starts_at, ends_at, status, opened_at, closed_at,
+  winner, is_tie, final_tallies, created_at, updated_at
+`
+
+const toRound = (row) => convertRow(row, {
+  dates: ['starts_at', 'ends_at', 'opened_at', 'closed_at', 'created_at', 'updated_at'],
+  booleans: ['is_tie'],
+  json: ['final_tallies']
+})
+
+/**
+ * Round Repository (SQLite)
+ * Same interface as repositories/RoundRepository
+ */
+class RoundRepository {
+  constructor() {
+    this.counterRepository = new CounterRepository()
+  }
+
+  /**
+   * Schedule a new round
+   */
+  async createRound({ battleId, name, startsAt, endsAt }) {
+    try {
+      const result = sqliteConfig.query(`
+        INSERT INTO rounds (battle_id, name, starts_at, ends_at)
+        VALUES (?, ?, ?, ?)
+        RETURNING ${ROUND_COLUMNS}
+      `, [battleId, name, startsAt, endsAt])
+
+      return toRound(result.rows[0])
+    } catch (error) {
+      console.error(`❌ Error creating round for battle ${battleId}:`, error.message)
+      throw new Error('Failed to create round')
+    }
+  }
+
+  /**
+   * Get a battle's rounds, optionally filtered by status
+   */
+  async getRounds(battleId, { status = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const where = `battle_id = @battleId${status ? ' AND status = @status' : ''}`
+
+      const result = sqliteConfig.query(`
+        SELECT ${ROUND_COLUMNS}
+        FROM rounds
+        WHERE ${where}
+        ORDER BY starts_at DESC LIMIT @limit OFFSET @offset
+      `, { battleId, status, limit, offset })
+
+      const countResult = sqliteConfig.query(
+        `SELECT COUNT(*) AS count FROM rounds WHERE ${where}`,
+        status ? { battleId, status } : { battleId }
+      )
+      const totalCount = countResult.rows[0].count
+
+      return {
+        rounds: result.rows.map(toRound),
+        pagination: {
+          limit,
+          offset,
+          totalCount,
+          hasMore: offset + limit < totalCount
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Error fetching rounds for battle ${battleId}:`, error.message)
+      throw new Error('Failed to fetch rounds')
+    }
+  }
+
+  /**
+   * Get a single round within a battle
+   * Returns null when the round does not exist
+   */
+  async getRoundById(battleId, roundId) {
+    try {
+      const result = sqliteConfig.query(`
+        SELECT ${ROUND_COLUMNS}
+        FROM rounds
+        WHERE battle_id = ? AND id = ?
+      `, [battleId, Number(roundId)])
+
+      return toRound(result.rows[0])
+    } catch (error) {
+      console.error(`❌ Error fetching round ${roundId}:`, error.message)
+      throw new Error('Failed to fetch round')
+    }
+  }
+
+  /**
+   * Find a round whose window overlaps the given one
+   * Closed rounds only occupy the time until they actually closed
+   */
+  async findOverlappingRound(battleId, startsAt, endsAt) {
+    const result = sqliteConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE battle_id = @battleId
+        AND starts_at < @endsAt
+        AND COALESCE(closed_at, ends_at) > @startsAt
+      ORDER BY starts_at
+      LIMIT 1
+    `, { battleId, startsAt, endsAt })
+
+    return toRound(result.rows[0])
+  }
+
+  /**
+   * Check whether a battle uses rounds at all
+   */
+  async hasRounds(battleId) {
+    const result = sqliteConfig.query(
+      'SELECT EXISTS (SELECT 1 FROM rounds WHERE battle_id = ?) AS has_rounds',
+      [battleId]
+    )
+    return result.rows[0].has_rounds === 1
+  }
+
+  /**
+   * Get the round whose window contains the current time, if any
+   */
+  async getCurrentRound(battleId) {
+    const result = sqliteConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE battle_id = @battleId
+        AND status <> 'closed'
+        AND starts_at <= @now
+        AND ends_at > @now
+      ORDER BY starts_at
+      LIMIT 1
+    `, { battleId, now: new Date() })
+
+    return toRound(result.rows[0])
+  }
+
+  /**
+   * Get the next scheduled round and the most recently closed one
+   * Used to explain why a vote was rejected
+   */
+  async getAdjacentRounds(battleId) {
+    const now = new Date()
+
+    const next = sqliteConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE battle_id = @battleId AND status = 'scheduled' AND starts_at > @now
+      ORDER BY starts_at
+      LIMIT 1
+    `, { battleId, now })
+
+    const previous = sqliteConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE battle_id = @battleId AND (status = 'closed' OR ends_at <= @now)
+      ORDER BY ends_at DESC
+      LIMIT 1
+    `, { battleId, now })
+
+    return {
+      next: toRound(next.rows[0]),
+      previous: toRound(previous.rows[0])
+    }
+  }
+
+  /**
+   * Get rounds that should be opened or closed by the scheduler
+   */
+  async getDueRounds() {
+    const result = sqliteConfig.query(`
+      SELECT ${ROUND_COLUMNS}
+      FROM rounds
+      WHERE (status = 'scheduled' AND starts_at <= @now)
+         OR (status = 'open' AND ends_at <= @now)
+      ORDER BY starts_at
+    `, { now: new Date() })
+
+    return result.rows.map(toRound)
+  }
+
+  /**
+   * Open a scheduled round and zero the battle's counters in one transaction
+   * Returns null when another caller already opened it
+   */
+  async openRound(roundId) {
+    try {
+      const round = sqliteConfig.transaction(() => {
+        const now = new Date()
+        const result = sqliteConfig.query(`
+          UPDATE rounds
+          SET status = 'open', opened_at = @now, updated_at = @now
+          WHERE id = @roundId AND status = 'scheduled'
+          RETURNING ${ROUND_COLUMNS}
+        `, { roundId: Number(roundId), now })
+
+        const opened = result.rows[0]
+        if (opened) {
+          this.counterRepository.applyReset(opened.battle_id, {
+            action: 'round_start',
+            roundId: opened.id
+          })
+        }
+
+        return opened
+      })
+
+      return toRound(round)
+    } catch (error) {
+      console.error(`❌ Error opening round ${roundId}:`, error.message)
+      throw new Error('Failed to open round')
+    }
+  }
+
+  /**
+   * Close an open round, freezing the battle's tallies
+   * `decide` turns the tallies into { winner, isTie }
+   * Returns null when the round is not open (e.g. already closed)
+   */
+  async closeRound(roundId, decide, { endNow = false } = {}) {
+    try {
+      // The transaction holds the write lock, so no increment lands between
+      // reading the tallies and closing the round
+      const round = sqliteConfig.transaction(() => {
+        const roundResult = sqliteConfig.query(
+          `SELECT ${ROUND_COLUMNS} FROM rounds WHERE id = ? AND status = 'open'`,
+          [Number(roundId)]
+        )
+
+        const open = roundResult.rows[0]
+        if (!open) return null
+
+        const countersResult = sqliteConfig.query(`
+          SELECT c.color, c.count
+          FROM counters c
+          JOIN teams t ON t.id = c.color
+          WHERE c.battle_id = ? AND t.is_active = TRUE
+          ORDER BY c.color
+        `, [open.battle_id])
+
+        const tallies = {}
+        countersResult.rows.forEach(row => {
+          tallies[row.color] = row.count
+        })
+
+        const { winner, isTie } = decide(tallies)
+        const now = new Date()
+
+        const result = sqliteConfig.query(`
+          UPDATE rounds
+          SET status = 'closed',
+              closed_at = @now,
+              ends_at = CASE WHEN @endNow THEN MIN(ends_at, @now) ELSE ends_at END,
+              winner = @winner,
+              is_tie = @isTie,
+              final_tallies = @tallies,
+              updated_at = @now
+          WHERE id = @roundId
+          RETURNING ${ROUND_COLUMNS}
+        `, { roundId: Number(roundId), endNow, winner, isTie, tallies, now })
+
+        return result.rows[0]
+      })
+
+      return toRound(round)
+    } catch (error) {
+      console.error(`❌ Error closing round ${roundId}:`, error.message)
+      throw new Error('Failed to close round')
+    }
+  }
+}
+
+module.exports = RoundRepository
@@ -0,0 +1,133 @@
+const sqliteConfig = require('../../config/sqlite')
+const BattleRepository = require('./BattleRepository')
+const { convertRow } = require('./rows')
+
+const TEAM_COLUMNS = 'id, name, color, is_active, retired_at, created_at, updated_at'
+
+const toTeam = (row) => convertRow(row, {
+  dates: ['retired_at', 'created_at', 'updated_at'],
+  booleans: ['is_active']
+})
+
+/**
+ * Team Repository (SQLite)
+ * Same interface as repositories/TeamRepository
+ */
+class TeamRepository {
+  /**
+   * Get all teams, optionally including retired ones
+   */
+  async getTeams({ includeRetired = false } = {}) {
+    try {
+      const result = sqliteConfig.query(`
+        SELECT ${TEAM_COLUMNS}
+        FROM teams
+        ${includeRetired ? '' : 'WHERE is_active = TRUE'}
+        ORDER BY created_at, id
+      `)
+
+      return result.rows.map(toTeam)
+    } catch (error) {
+      console.error('❌ Error fetching teams:', error.message)
+      throw new Error('Failed to fetch teams')
+    }
+  }
+
+  /**
+   * Get a single team by id
+   * Returns null when the team does not exist
+   */
+  async getTeamById(teamId) {
+    try {
+      const result = sqliteConfig.query(`SELECT ${TEAM_COLUMNS} FROM teams WHERE id = ?`, [teamId])
+
+      return toTeam(result.rows[0])
+    } catch (error) {
+      console.error(`❌ Error fetching team ${teamId}:`, error.message)
+      throw new Error('Failed to fetch team')
+    }
+  }
+
+  /**
+   * Count active teams
+   */
+  async countActiveTeams() {
+    const result = sqliteConfig.query('SELECT COUNT(*) AS count FROM teams WHERE is_active = TRUE')
+    return result.rows[0].count
+  }
+
+  /**
+   * Create a team together with its counter row in the default battle
+   */
+  async createTeam({ id, name, color }) {
+    try {
+      const team = sqliteConfig.transaction(() => {
+        const result = sqliteConfig.query(`
+          INSERT INTO teams (id, name, color)
+          VALUES (?, ?, ?)
+          RETURNING ${TEAM_COLUMNS}
+        `, [id, name, color])
+
+        // New teams join the default battle; other battles pick teams on creation
+        sqliteConfig.query(`
+          INSERT INTO counters (battle_id, color, count)
+          VALUES (?, ?, 0)
+          ON CONFLICT (battle_id, color) DO NOTHING
+        `, [BattleRepository.DEFAULT_BATTLE_ID, id])
+
+        return result.rows[0]
+      })
+
+      return toTeam(team)
+    } catch (error) {
+      console.error(`❌ Error creating team ${id}:`, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Update a team's display name and/or color
+   * Returns null when the team does not exist
+   */
+  async updateTeam(teamId, { name, color }) {
+    try {
+      const result = sqliteConfig.query(`
+        UPDATE teams
+        SET name = COALESCE(@name, name),
+            color = COALESCE(@color, color),
+            updated_at = @now
+        WHERE id = @teamId
+        RETURNING ${TEAM_COLUMNS}
+      `, { teamId, name, color, now: new Date() })
+
+      return toTeam(result.rows[0])
+    } catch (error) {
+      console.error(`❌ Error updating team ${teamId}:`, error.message)
+      throw new Error('Failed to update team')
+    }
+  }
+
+  /**
+   * Retire a team so it no longer accepts votes
+   * The counter and history rows are kept for reporting
+   */
+  async retireTeam(teamId) {
+    try {
+      const result = sqliteConfig.query(`
+        UPDATE teams
+        SET is_active = FALSE,
+            retired_at = @now,
+            updated_at = @now
+        WHERE id = @teamId AND is_active = TRUE
+        RETURNING ${TEAM_COLUMNS}
+      `, { teamId, now: new Date() })
+
+      return toTeam(result.rows[0])
+    } catch (error) {
+      console.error(`❌ Error retiring team ${teamId}:`, error.message)
+      throw new Error('Failed to retire team')
+    }
+  }
+}
+
+module.exports = TeamRepository
@@ -0,0 +1,33 @@
+/**
+ * Column conversions for the SQLite repositories
+ * SQLite keeps timestamps as ISO 8601 text, booleans as 0/1 and JSON as text.
+ * These turn them into the Dates, booleans and objects node-postgres returns,
+ * so rows have the same shape on either backend.
+ */
+
+const toDate = (value) => (value === null || value === undefined ? null : new Date(value))
+
+const toBoolean = (value) => (value === null || value === undefined ? null : Boolean(value))
+
+const fromJson = (value) => (value === null || value === undefined ? null : JSON.parse(value))
+
+/**
+ * Convert the named columns of a row, leaving the others as they are
+ * Returns null for a missing row, like `result.rows[0] || null`
+ */
+const convertRow = (row, { dates = [], booleans = [], json = [] }) => {
+  if (!row) return null
+
+  const converted = { ...row }
+  dates.forEach(column => { converted[column] = toDate(row[column]) })
+  booleans.forEach(column => { converted[column] = toBoolean(row[column]) })
+  json.forEach(column => { converted[column] = fromJson(row[column]) })
+
+  return converted
+}
+
+module.exports = {
+  toDate,
+  fromJson,
+  convertRow
+}
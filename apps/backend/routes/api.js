@@ -1,14 +1,29 @@
 const express = require('express')
 const CounterController = require('../controllers/CounterController')
+const TeamController = require('../controllers/TeamController')
+const LeaderboardController = require('../controllers/LeaderboardController')
+const MetricsController = require('../controllers/MetricsController')
+const HealthController = require('../controllers/HealthController')
+const battleRoutes = require('./battles')
+const roundRoutes = require('./rounds')
 const { createRateLimit } = require('../middleware/errorHandler')
+const { idempotent } = require('../middleware/idempotency')
 
 const router = express.Router()
 const counterController = new CounterController()
+const teamController = new TeamController()
+const leaderboardController = new LeaderboardController()
+const metricsController = new MetricsController()
+const healthController = new HealthController()
 
 // Rate limiting for different endpoints
 const generalRateLimit = createRateLimit(1000, 1000) // 1000 requests per second
 const incrementRateLimit = createRateLimit(1000, 1000) // 1000 increments per second
 const adminRateLimit = createRateLimit(60 * 60 * 1000, 5) // 5 admin actions per hour
+const teamAdminRateLimit = createRateLimit(60 * 60 * 1000, 60) // 60 team changes per hour
+const nicknameRateLimit = createRateLimit(60 * 1000, 10) // 10 nickname changes per minute
+const exportRateLimit = createRateLimit(60 * 1000, 10) // 10 exports per minute
+const metricsRateLimit = createRateLimit(60 * 1000, 60) // 60 metric reads per minute
 
 /**
  * @swagger
@@ -38,6 +53,78 @@ const adminRateLimit = createRateLimit(60 * 60 * 1000, 5) // 5 admin actions per
  */
 router.get('/health', counterController.healthCheck)
 
+/**
+ * @swagger
+ * /api/health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers as long as the process is responsive. Dependencies are not checked, so a database outage does not get the process restarted.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "alive"
+ *               uptime: 3605.2
+ *               timestamp: "2025-08-06T01:37:30.993Z"
+ */
+router.get('/health/live', healthController.getLiveness)
+
+/**
+ * @swagger
+ * /api/health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: |
+ *       Whether this instance should receive traffic: migrations have finished, the
+ *       database answers queries, the WebSocket server is up and no graceful shutdown
+ *       has started. Responds 503 with the failing checks otherwise.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready for traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Not ready; see `checks`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get('/health/ready', healthController.getReadiness)
+
+/**
+ * @swagger
+ * /api/health/dependencies:
+ *   get:
+ *     summary: Dependency health report
+ *     description: |
+ *       Detailed state of each dependency: database status, connection pool usage
+ *       (total, idle and waiting clients), reconnects and replicas; the latest applied
+ *       migration and pending ones; and WebSocket client counts. Responds 503 when
+ *       any dependency is unhealthy.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: All dependencies healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DependencyHealth'
+ *       503:
+ *         description: At least one dependency is unhealthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DependencyHealth'
+ */
+router.get('/health/dependencies', healthController.getDependencies)
+
 /**
  * @swagger
  * /api/status:
@@ -69,8 +156,19 @@ router.get('/status', generalRateLimit, counterController.getStatus)
  * /api/counters:
  *   get:
  *     summary: Get current counter values
- *     description: Returns the current values for red and blue counters
+ *     description: |
+ *       Returns the current values for red and blue counters. With `at`, returns the values
+ *       as they were at that moment, rebuilt from `counter_history` starting from the latest
+ *       snapshot taken before it.
  *     tags: [Counters]
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Point in time to rebuild the scoreboard for
+ *         example: "2025-08-06T20:03:00Z"
  *     responses:
  *       200:
  *         description: Counter values retrieved successfully
@@ -96,6 +194,17 @@ router.get('/status', generalRateLimit, counterController.getStatus)
  *                         lastUpdated:
  *                           type: integer
  *                           example: 1754444250993
+ *                         at:
+ *                           type: string
+ *                           format: date-time
+ *                           description: Only present for point-in-time queries
+ *                         snapshotTakenAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                           description: Snapshot the point-in-time values were rebuilt from
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
@@ -106,8 +215,10 @@ router.get('/counters', generalRateLimit, counterController.getCounters)
  * /api/red:
  *   post:
  *     summary: Increment red counter
- *     description: Increments the red counter by the specified amount (default 1)
+ *     description: Increments the red counter by the specified amount (default 1). Alias for `POST /api/teams/red/increment`.
  *     tags: [Counters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       content:
  *         application/json:
@@ -132,18 +243,22 @@ router.get('/counters', generalRateLimit, counterController.getCounters)
  *                       $ref: '#/components/schemas/CounterUpdate'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or still in progress
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/red', incrementRateLimit, counterController.incrementRed)
+router.post('/red', incrementRateLimit, idempotent, counterController.incrementRed)
 
 /**
  * @swagger
  * /api/blue:
  *   post:
  *     summary: Increment blue counter
- *     description: Increments the blue counter by the specified amount (default 1)
+ *     description: Increments the blue counter by the specified amount (default 1). Alias for `POST /api/teams/blue/increment`.
  *     tags: [Counters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       content:
  *         application/json:
@@ -168,18 +283,233 @@ router.post('/red', incrementRateLimit, counterController.incrementRed)
  *                       $ref: '#/components/schemas/CounterUpdate'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or still in progress
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/blue', incrementRateLimit, idempotent, counterController.incrementBlue)
+
+/**
+ * @swagger
+ * /api/teams:
+ *   get:
+ *     summary: List teams
+ *     description: Returns the active teams, or every team including retired ones
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: query
+ *         name: includeRetired
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include retired teams
+ *     responses:
+ *       200:
+ *         description: Teams retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         teams:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Team'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   post:
+ *     summary: Create a team (Admin only)
+ *     description: Creates a team with its own counter. At most MAX_ACTIVE_TEAMS (default 8) teams can be active at once.
+ *     tags: [Teams, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateTeamRequest'
+ *           example:
+ *             id: "green"
+ *             name: "Green Giants"
+ *             color: "#2ecc71"
+ *     responses:
+ *       201:
+ *         description: Team created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Team'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/blue', incrementRateLimit, counterController.incrementBlue)
+router.get('/teams', generalRateLimit, teamController.getTeams)
+router.post('/teams', teamAdminRateLimit, teamController.createTeam)
+
+/**
+ * @swagger
+ * /api/teams/{teamId}:
+ *   get:
+ *     summary: Get a team
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "red"
+ *     responses:
+ *       200:
+ *         description: Team retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Team'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   patch:
+ *     summary: Rename a team (Admin only)
+ *     description: Updates a team's display name and/or color. The team id cannot change.
+ *     tags: [Teams, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "red"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTeamRequest'
+ *           example:
+ *             name: "Crimson Tide"
+ *     responses:
+ *       200:
+ *         description: Team updated successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/teams/:teamId', generalRateLimit, teamController.getTeam)
+router.patch('/teams/:teamId', teamAdminRateLimit, teamController.updateTeam)
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/retire:
+ *   post:
+ *     summary: Retire a team (Admin only)
+ *     description: Stops a team from accepting votes. Its counter and history are kept for reporting.
+ *     tags: [Teams, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "green"
+ *     responses:
+ *       200:
+ *         description: Team retired successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/teams/:teamId/retire', teamAdminRateLimit, teamController.retireTeam)
+
+/**
+ * @swagger
+ * /api/teams/{teamId}/increment:
+ *   post:
+ *     summary: Increment a team's counter
+ *     description: Increments the given team's counter by the specified amount (default 1)
+ *     tags: [Teams, Counters]
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "green"
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IncrementRequest'
+ *           example:
+ *             incrementBy: 1
+ *             sessionId: "user789"
+ *     responses:
+ *       200:
+ *         description: Counter incremented successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     message:
+ *                       example: "Green Giants activated 12 times"
+ *                     data:
+ *                       $ref: '#/components/schemas/CounterUpdate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/teams/:teamId/increment', incrementRateLimit, idempotent, counterController.incrementTeam)
 
 /**
  * @swagger
  * /api/counters/batch:
  *   post:
  *     summary: Batch increment multiple counters
- *     description: Increment multiple counters in a single request
+ *     description: |
+ *       Increment multiple counters in a single request. By default each item is applied
+ *       on its own and partial failures return 207. With `atomic: true` all items are
+ *       applied in one transaction or none are, and a single update is broadcast after commit.
  *     tags: [Counters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -192,6 +522,7 @@ router.post('/blue', incrementRateLimit, counterController.incrementBlue)
  *                 incrementBy: 2
  *               - color: "blue"
  *                 incrementBy: 1
+ *             atomic: true
  *     responses:
  *       200:
  *         description: All increments processed successfully
@@ -200,34 +531,51 @@ router.post('/blue', incrementRateLimit, counterController.incrementBlue)
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
  *       207:
- *         description: Some increments failed (partial success)
+ *         description: Some increments failed (partial success, non-atomic batches only)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
  *       400:
- *         $ref: '#/components/responses/BadRequest'
+ *         description: Invalid request, or an atomic batch rejected because an item is invalid
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or still in progress
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/counters/batch', incrementRateLimit, counterController.batchIncrement)
+router.post('/counters/batch', incrementRateLimit, idempotent, counterController.batchIncrement)
 
 /**
  * @swagger
  * /api/counters/stats:
  *   get:
  *     summary: Get counter statistics
- *     description: Returns detailed statistics and analytics for counters within a specified time range
+ *     description: |
+ *       Returns detailed statistics and analytics for counters within a time range.
+ *       Invalid ranges are rejected with 400 rather than replaced by the default.
  *     tags: [Analytics]
  *     parameters:
  *       - in: query
  *         name: timeRange
  *         schema:
  *           type: string
- *           enum: ["1 hour", "24 hours", "7 days", "30 days"]
  *           default: "24 hours"
- *         description: Time range for statistics
- *         example: "24 hours"
+ *         description: |
+ *           ISO-8601 duration (e.g. `PT90M`, `P7D`) or one of "1 hour", "24 hours", "7 days",
+ *           "30 days", "1 year". Measured back from `endDate` (default now), or forward from `startDate`.
+ *         example: "PT90M"
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (ISO-8601)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (ISO-8601)
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
@@ -240,25 +588,81 @@ router.post('/counters/batch', incrementRateLimit, counterController.batchIncrem
  *                   properties:
  *                     data:
  *                       $ref: '#/components/schemas/Statistics'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
 router.get('/counters/stats', generalRateLimit, counterController.getStatistics)
 
+/**
+ * @swagger
+ * /api/counters/series:
+ *   get:
+ *     summary: Get a time series of votes per team
+ *     description: |
+ *       Returns per-bucket vote sums and running totals (from `from`) for each team.
+ *       Buckets without votes are included with zero increments. Resets are not counted.
+ *       Buckets start on UTC minute, hour and day boundaries.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [minute, hour, day]
+ *           default: hour
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range. Defaults to 1 hour, 24 hours or 30 days before `to`, by bucket.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range. Defaults to now.
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Only return this team's series
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/CounterSeries'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/counters/series', generalRateLimit, counterController.getSeries)
+
 /**
  * @swagger
  * /api/counters/history:
  *   get:
  *     summary: Get counter history
- *     description: Returns paginated counter history with optional filtering
+ *     description: Returns paginated counter history with optional filtering. Votes compacted by history retention appear as hourly rollup rows; use each entry's `type` and `count` to tell them from single votes.
  *     tags: [Analytics]
  *     parameters:
  *       - in: query
  *         name: color
  *         schema:
  *           type: string
- *           enum: ["red", "blue"]
- *         description: Filter by counter color
+ *         description: Filter by team id
  *         example: "red"
  *       - in: query
  *         name: limit
@@ -297,18 +701,131 @@ router.get('/counters/stats', generalRateLimit, counterController.getStatistics)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/CounterHistory'
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
 router.get('/counters/history', generalRateLimit, counterController.getHistory)
 
+/**
+ * @swagger
+ * /api/counters/history/export:
+ *   get:
+ *     summary: Export counter history
+ *     description: |
+ *       Streams the whole counter history matching the filters, oldest first, as CSV or
+ *       newline-delimited JSON. Rows are read from a database cursor as the response is
+ *       written, so large exports use constant memory. Takes the same filters as
+ *       `GET /api/counters/history`, without pagination.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: ndjson
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Filter by team id
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: |
+ *           History rows. CSV has a header row with the columns id, battle_id, color,
+ *           previous_count, new_count, increment_amount, timestamp, session_id,
+ *           client_info (as JSON) and rollup_count; NDJSON has one object per line with
+ *           the same fields. rollup_count is only set on rows compacted from an hour of votes.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/counters/history/export', exportRateLimit, counterController.exportHistory)
+
+/**
+ * @swagger
+ * /api/counters/history/import:
+ *   post:
+ *     summary: Import counter history (Admin only)
+ *     description: |
+ *       Loads a file produced by `GET /api/counters/history/export` into this database,
+ *       e.g. to move a battle between environments. Send the file as the request body.
+ *
+ *       Each record is validated: its battle must exist and include its team, the counts
+ *       must be integers with `new_count = previous_count + increment_amount`, and the
+ *       timestamp must be ISO-8601. Invalid records are rejected and listed (the first
+ *       100) in the report. Records keep their ids; ids already in the ledger, or repeated
+ *       in the file, are skipped as duplicates, as are raw votes for an hour that has
+ *       already been compacted into rollups. The counters of every battle that received
+ *       rows are then rebuilt from the ledger. A malformed file or a database error
+ *       aborts the whole import.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: Defaults to `csv` for a `text/csv` body and `ndjson` otherwise
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Import report with received, accepted, duplicates, rejected, rejections and rebuilt counters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/counters/history/import', adminRateLimit, counterController.importHistory)
+
 /**
  * @swagger
  * /api/counters/reset:
  *   post:
  *     summary: Reset all counters (Admin only)
- *     description: Resets both red and blue counters to zero. This is an administrative action with strict rate limiting.
+ *     description: Resets every team's counter to zero. This is an administrative action with strict rate limiting.
  *     tags: [Admin]
  *     security:
  *       - AdminAuth: []
@@ -326,4 +843,186 @@ router.get('/counters/history', generalRateLimit, counterController.getHistory)
  */
 router.post('/counters/reset', adminRateLimit, counterController.resetCounters)
 
+/**
+ * @swagger
+ * /api/counters/rebuild:
+ *   post:
+ *     summary: Rebuild counters from the ledger (Admin only)
+ *     description: |
+ *       Every increment and reset is recorded in `counter_history`. This replays that
+ *       ledger and overwrites any counter whose value differs from the ledger sum.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     responses:
+ *       200:
+ *         description: Counters rebuilt; lists each counter's previous and rebuilt value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/counters/rebuild', adminRateLimit, counterController.rebuildCounters)
+
+/**
+ * @swagger
+ * /api/admin/queries:
+ *   get:
+ *     summary: Get the slowest database statements (Admin only)
+ *     description: |
+ *       Query counts and latencies since startup, grouped by statement with literal
+ *       values replaced by `?`. Queries slower than `DB_SLOW_QUERY_MS` are also logged,
+ *       sampled at `DB_SLOW_QUERY_SAMPLE_RATE`, with parameter values redacted.
+ *       Only PostgreSQL storage is measured.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [mean, max, p95, total, count]
+ *           default: mean
+ *         description: Order statements by mean, maximum or 95th percentile latency, total time or executions
+ *     responses:
+ *       200:
+ *         description: Statement metrics, slowest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/SlowQueries'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/admin/queries', metricsRateLimit, metricsController.getSlowQueries)
+
+/**
+ * @swagger
+ * /api/leaderboard:
+ *   get:
+ *     summary: Get the top contributors
+ *     description: |
+ *       Ranks voter sessions by the votes they contributed within a time range, overall
+ *       and for each team. Sessions are identified by the `sessionId` or `X-Session-Id`
+ *       sent with their votes; votes without one are not ranked. Entries show the
+ *       session's nickname and a short tag, never the session id.
+ *
+ *       Clients watching the battle over WebSocket also receive `leaderboard_update`,
+ *       at most once per `LEADERBOARD_UPDATE_INTERVAL_MS`.
+ *     tags: [Leaderboard]
+ *     parameters:
+ *       - in: query
+ *         name: timeRange
+ *         schema:
+ *           type: string
+ *           default: "24 hours"
+ *         description: ISO-8601 duration or named range, as for `/api/counters/stats`
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Entries per ranking
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Leaderboard'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/leaderboard', generalRateLimit, leaderboardController.getLeaderboard)
+
+/**
+ * @swagger
+ * /api/session/nickname:
+ *   put:
+ *     summary: Set the session's nickname
+ *     description: Sets the name shown for the session on leaderboards. The session comes from `sessionId` or the `X-Session-Id` header.
+ *     tags: [Leaderboard]
+ *     parameters:
+ *       - in: header
+ *         name: X-Session-Id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NicknameRequest'
+ *     responses:
+ *       200:
+ *         description: Nickname set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   delete:
+ *     summary: Remove the session's nickname
+ *     tags: [Leaderboard]
+ *     parameters:
+ *       - in: header
+ *         name: X-Session-Id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nickname removed
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.put('/session/nickname', nicknameRateLimit, leaderboardController.setNickname)
+router.delete('/session/nickname', nicknameRateLimit, leaderboardController.clearNickname)
+
+// Battle-scoped routes (/api/battles/:battleId/...)
+router.use('/battles', battleRoutes)
+
+// Timed rounds for the default battle (/api/rounds/...)
+router.use('/rounds', roundRoutes)
+
 module.exports = router
@@ -0,0 +1,465 @@
+const express = require('express')
+const BattleController = require('../controllers/BattleController')
+const CounterController = require('../controllers/CounterController')
+const LeaderboardController = require('../controllers/LeaderboardController')
+const roundRoutes = require('./rounds')
+const { createRateLimit } = require('../middleware/errorHandler')
+const { idempotent } = require('../middleware/idempotency')
+
+const router = express.Router({ mergeParams: true })
+const battleController = new BattleController()
+const counterController = new CounterController()
+const leaderboardController = new LeaderboardController()
+
+// Rate limiting for different endpoints
+const generalRateLimit = createRateLimit(1000, 1000) // 1000 requests per second
+const incrementRateLimit = createRateLimit(1000, 1000) // 1000 increments per second
+const battleAdminRateLimit = createRateLimit(60 * 60 * 1000, 60) // 60 battle changes per hour
+const adminRateLimit = createRateLimit(60 * 60 * 1000, 5) // 5 resets per hour
+const exportRateLimit = createRateLimit(60 * 1000, 10) // 10 exports per minute
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     BattleId:
+ *       in: path
+ *       name: battleId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Battle id. The legacy routes use the `default` battle.
+ *       example: "stream-42"
+ */
+
+/**
+ * @swagger
+ * /api/battles:
+ *   get:
+ *     summary: List battles
+ *     description: Returns active battles, or every battle including archived ones
+ *     tags: [Battles]
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Battles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         battles:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Battle'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   post:
+ *     summary: Create a battle (Admin only)
+ *     description: Creates a battle with its own zeroed counters. Defaults to every active team.
+ *     tags: [Battles, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateBattleRequest'
+ *           example:
+ *             id: "stream-42"
+ *             name: "Friday night stream"
+ *             teams: ["red", "blue"]
+ *     responses:
+ *       201:
+ *         description: Battle created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/', generalRateLimit, battleController.getBattles)
+router.post('/', battleAdminRateLimit, battleController.createBattle)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}:
+ *   get:
+ *     summary: Get a battle
+ *     tags: [Battles]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *     responses:
+ *       200:
+ *         description: Battle retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Battle'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:battleId', generalRateLimit, battleController.getBattle)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/archive:
+ *   post:
+ *     summary: Archive a battle (Admin only)
+ *     description: Stops a battle from accepting votes. Its counters and history are kept.
+ *     tags: [Battles, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *     responses:
+ *       200:
+ *         description: Battle archived successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ */
+router.post('/:battleId/archive', battleAdminRateLimit, battleController.archiveBattle)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters:
+ *   get:
+ *     summary: Get a battle's counter values
+ *     description: Same as `GET /api/counters`, scoped to one battle
+ *     tags: [Battles, Counters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Point in time to rebuild the scoreboard for
+ *     responses:
+ *       200:
+ *         description: Counter values retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:battleId/counters', generalRateLimit, counterController.getCounters)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/teams/{teamId}/increment:
+ *   post:
+ *     summary: Increment a team's counter in a battle
+ *     description: Same as `POST /api/teams/{teamId}/increment`, scoped to one battle
+ *     tags: [Battles, Counters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "red"
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IncrementRequest'
+ *     responses:
+ *       200:
+ *         description: Counter incremented successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/CounterUpdate'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/:battleId/teams/:teamId/increment', incrementRateLimit, idempotent, counterController.incrementTeam)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters/batch:
+ *   post:
+ *     summary: Batch increment counters in a battle
+ *     description: Same as `POST /api/counters/batch`, scoped to one battle
+ *     tags: [Battles, Counters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchIncrementRequest'
+ *     responses:
+ *       200:
+ *         description: All increments processed successfully
+ *       207:
+ *         description: Some increments failed (partial success)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or still in progress
+ */
+router.post('/:battleId/counters/batch', incrementRateLimit, idempotent, counterController.batchIncrement)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters/stats:
+ *   get:
+ *     summary: Get a battle's counter statistics
+ *     description: Same as `GET /api/counters/stats`, scoped to one battle
+ *     tags: [Battles, Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: timeRange
+ *         schema:
+ *           type: string
+ *           default: "24 hours"
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:battleId/counters/stats', generalRateLimit, counterController.getStatistics)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters/series:
+ *   get:
+ *     summary: Get a time series of votes per team in a battle
+ *     description: Same as `GET /api/counters/series`, scoped to one battle
+ *     tags: [Battles, Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [minute, hour, day]
+ *           default: hour
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:battleId/counters/series', generalRateLimit, counterController.getSeries)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters/history:
+ *   get:
+ *     summary: Get a battle's counter history
+ *     description: Same as `GET /api/counters/history`, scoped to one battle
+ *     tags: [Battles, Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Filter by team id
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: History retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:battleId/counters/history', generalRateLimit, counterController.getHistory)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters/history/export:
+ *   get:
+ *     summary: Export a battle's counter history
+ *     description: Same as `GET /api/counters/history/export`, scoped to one battle
+ *     tags: [Battles, Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: ndjson
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: History rows as CSV or NDJSON
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:battleId/counters/history/export', exportRateLimit, counterController.exportHistory)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters/reset:
+ *   post:
+ *     summary: Reset a battle's counters (Admin only)
+ *     description: Same as `POST /api/counters/reset`, scoped to one battle
+ *     tags: [Battles, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *     responses:
+ *       200:
+ *         description: Counters reset successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/:battleId/counters/reset', adminRateLimit, counterController.resetCounters)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/counters/rebuild:
+ *   post:
+ *     summary: Rebuild a battle's counters from the ledger (Admin only)
+ *     description: Same as `POST /api/counters/rebuild`, scoped to one battle
+ *     tags: [Battles, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *     responses:
+ *       200:
+ *         description: Counters rebuilt successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/:battleId/counters/rebuild', adminRateLimit, counterController.rebuildCounters)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/leaderboard:
+ *   get:
+ *     summary: Get a battle's top contributors
+ *     description: Same as `GET /api/leaderboard`, scoped to one battle
+ *     tags: [Battles, Leaderboard]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: timeRange
+ *         schema:
+ *           type: string
+ *           default: "24 hours"
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:battleId/leaderboard', generalRateLimit, leaderboardController.getLeaderboard)
+
+// Timed rounds (/api/battles/:battleId/rounds/...)
+router.use('/:battleId/rounds', roundRoutes)
+
+module.exports = router
@@ -0,0 +1,33 @@
+const express = require('express')
+const MetricsController = require('../controllers/MetricsController')
+
+// Mounted at /metrics, outside /api, where Prometheus expects it
+const router = express.Router()
+const metricsController = new MetricsController()
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text exposition format: HTTP request counts and
+ *       latency histograms by route and status, votes per battle and team,
+ *       rate-limit rejections, WebSocket connections, messages sent and broadcast
+ *       fan-out latency, PostgreSQL pool gauges and the migration version.
+ *       Counters are per instance and start at zero on every restart.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Current metrics
+ *         content:
+ *           text/plain:
+ *             example: |
+ *               # HELP votes_total Votes accepted by this instance, by battle and team
+ *               # TYPE votes_total counter
+ *               votes_total{battle="default",team="red"} 42
+ *               votes_total{battle="default",team="blue"} 38
+ */
+router.get('/', metricsController.getPrometheusMetrics)
+
+module.exports = router
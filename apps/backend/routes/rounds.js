@@ -0,0 +1,190 @@
+const express = require('express')
+const RoundController = require('../controllers/RoundController')
+const { createRateLimit } = require('../middleware/errorHandler')
+
+// Mounted at /api/rounds (default battle) and /api/battles/:battleId/rounds
+const router = express.Router({ mergeParams: true })
+const roundController = new RoundController()
+
+// Rate limiting for different endpoints
+const generalRateLimit = createRateLimit(1000, 1000) // 1000 requests per second
+const roundAdminRateLimit = createRateLimit(60 * 60 * 1000, 60) // 60 round changes per hour
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/rounds:
+ *   get:
+ *     summary: List a battle's rounds
+ *     description: |
+ *       Returns scheduled, open and closed rounds, most recent first.
+ *       `GET /api/rounds` does the same for the default battle.
+ *     tags: [Rounds]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, open, closed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Rounds retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         rounds:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Round'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   post:
+ *     summary: Schedule a round (Admin only)
+ *     description: |
+ *       Schedules a voting window. Once a battle has rounds, votes are only accepted
+ *       while a round is running. Opening a round resets the battle's counters; closing
+ *       it freezes the tallies, declares a winner and broadcasts `round_ended`.
+ *     tags: [Rounds, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScheduleRoundRequest'
+ *           example:
+ *             name: "Round 1"
+ *             startsAt: "2025-08-06T20:00:00Z"
+ *             endsAt: "2025-08-06T20:05:00Z"
+ *     responses:
+ *       201:
+ *         description: Round scheduled successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ */
+router.get('/', generalRateLimit, roundController.getRounds)
+router.post('/', roundAdminRateLimit, roundController.scheduleRound)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/rounds/results:
+ *   get:
+ *     summary: Get results of past rounds
+ *     description: |
+ *       Returns closed rounds with their frozen tallies and winner, most recent first.
+ *       `GET /api/rounds/results` does the same for the default battle.
+ *     tags: [Rounds, Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         results:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/RoundResult'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/results', generalRateLimit, roundController.getResults)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/rounds/{roundId}:
+ *   get:
+ *     summary: Get a round
+ *     tags: [Rounds]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Round retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:roundId', generalRateLimit, roundController.getRound)
+
+/**
+ * @swagger
+ * /api/battles/{battleId}/rounds/{roundId}/close:
+ *   post:
+ *     summary: Close a running round early (Admin only)
+ *     tags: [Rounds, Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BattleId'
+ *       - in: path
+ *         name: roundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Round closed; returns the result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/RoundResult'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ */
+router.post('/:roundId/close', roundAdminRateLimit, roundController.closeRound)
+
+module.exports = router
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Counter history import script
+ * Loads a CSV or NDJSON history export into the ledger and rebuilds the
+ * counters of the battles it touches
+ *
+ * Usage: node scripts/import-history.js <file> [--format csv|ndjson]
+ * The format defaults to the file extension
+ */
+
+const fs = require('fs')
+const path = require('path')
+const storage = require('../config/storage')
+const CounterService = require('../services/CounterService')
+
+async function importHistory(file, format) {
+  console.log(`📥 Importing counter history from ${file} (${format})...`)
+
+  try {
+    await storage.connect()
+
+    const counterService = new CounterService()
+    const result = await counterService.importCounterHistory(fs.createReadStream(file), {
+      format,
+      adminInfo: { source: 'cli', file }
+    })
+
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+
+    const { received, accepted, duplicates, rejected, rejections, counters } = result.data
+    console.log(`   ${received} record(s) read: ${accepted} accepted, ${duplicates} duplicate(s), ${rejected} rejected`)
+
+    rejections.forEach(rejection => {
+      console.log(`   ⚠️  line ${rejection.line}${rejection.id !== null ? ` (id ${rejection.id})` : ''}: ${rejection.error}`)
+    })
+    if (rejected > rejections.length) {
+      console.log(`   ... and ${rejected - rejections.length} more rejection(s)`)
+    }
+
+    counters.forEach(counter => {
+      console.log(`   ${counter.battleId}/${counter.color}: ${counter.previousCount} -> ${counter.rebuiltCount}`)
+    })
+
+    console.log(`🎉 ${result.message}`)
+
+  } catch (error) {
+    console.error('❌ Counter history import failed:', error.message)
+    process.exitCode = 1
+  } finally {
+    await storage.close()
+  }
+}
+
+/**
+ * Read the file and optional --format flag from the command line
+ */
+function parseArgs(args) {
+  const formatIndex = args.indexOf('--format')
+  const format = formatIndex !== -1 ? args[formatIndex + 1] : null
+  const file = args.find((arg, index) => !arg.startsWith('--') && (formatIndex === -1 || index !== formatIndex + 1))
+
+  return {
+    file,
+    format: format || (path.extname(file || '').toLowerCase() === '.csv' ? 'csv' : 'ndjson')
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const { file, format } = parseArgs(process.argv.slice(2))
+
+  if (!file) {
+    console.error('Usage: node scripts/import-history.js <file> [--format csv|ndjson]')
+    process.exit(1)
+  }
+
+  importHistory(file, format)
+}
+
+module.exports = { importHistory }
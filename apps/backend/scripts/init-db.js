@@ -36,10 +36,11 @@ async function verifySetup() {
   console.log('🔍 Verifying database setup...')
   
   try {
-    // Check if counters table exists and has data
+    // Check if counters table exists and has a row per team
     const result = await dbConfig.query('SELECT * FROM counters ORDER BY color')
+    const teamResult = await dbConfig.query('SELECT COUNT(*) FROM teams')
     
-    if (result.rows.length === 2) {
+    if (result.rows.length >= 2 && result.rows.length === parseInt(teamResult.rows[0].count)) {
       console.log('✅ Counters table setup correctly:')
       result.rows.forEach(row => {
         console.log(`   ${row.color}: ${row.count}`)
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Database migration tool
+ * Shows, applies, reverts and scaffolds the migrations in database/migrations
+ * (PostgreSQL; SQLite databases are migrated on startup)
+ */
+
+const path = require('path')
+const dbConfig = require('../config/database')
+const MigrationManager = require('../database/migrations')
+
+const COMMANDS = ['status', 'up', 'down', 'create']
+
+const STATE_LABELS = {
+  applied: '✅ applied',
+  pending: '⏳ pending',
+  changed: '⚠️  changed since it was applied',
+  missing: '❓ applied, but its file is missing'
+}
+
+function showUsage() {
+  console.log(`
+🗄️  Database Migration Tool
+
+Usage:
+  node scripts/migrate.js <command> [options]
+
+Commands:
+  status                  - List applied and pending migrations
+  up [--to <version>]     - Apply pending migrations, up to <version> if given
+  down --to <version>     - Revert applied migrations above <version>
+  create <name>           - Scaffold a new migration's .up.sql and .down.sql files
+
+Options:
+  --dry-run               - Print the SQL (or files) instead of running it
+
+Examples:
+  node scripts/migrate.js status
+  node scripts/migrate.js up --dry-run
+  node scripts/migrate.js up --to 008
+  node scripts/migrate.js down --to 009
+  node scripts/migrate.js create add_team_icons
+`)
+}
+
+/**
+ * Split the command line into a command, positional arguments and options
+ */
+function parseArgs(args) {
+  const options = { to: null, dryRun: false }
+  const positional = []
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (arg === '--dry-run') {
+      options.dryRun = true
+    } else if (arg === '--to') {
+      options.to = args[++i]
+      if (!/^\d+$/.test(options.to || '')) {
+        throw new Error('--to needs a migration version, e.g. --to 008')
+      }
+    } else if (arg.startsWith('--to=')) {
+      options.to = arg.slice('--to='.length)
+      if (!/^\d+$/.test(options.to)) {
+        throw new Error('--to needs a migration version, e.g. --to=008')
+      }
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`)
+    } else {
+      positional.push(arg)
+    }
+  }
+
+  const [command, ...rest] = positional
+
+  if (command && !COMMANDS.includes(command)) {
+    throw new Error(`Unknown command '${command}'`)
+  }
+  if (command === 'down' && options.to === null) {
+    throw new Error('down needs a target version, e.g. down --to 009 (use --to 0 to revert everything)')
+  }
+
+  return { command, args: rest, options }
+}
+
+/**
+ * Print the SQL a dry run would execute, one migration after another
+ */
+function printPlan(migrations, direction) {
+  if (migrations.length === 0) {
+    console.log(`✅ Nothing to ${direction === 'up' ? 'apply' : 'revert'}`)
+    return
+  }
+
+  migrations.forEach(migration => {
+    console.log(`-- ==> ${migration.version}_${migration.name}.${direction}.sql`)
+    console.log(migration[direction].trimEnd())
+    console.log('')
+  })
+  console.log(`🔍 Dry run: ${migrations.length} migration(s) would be ${direction === 'up' ? 'applied' : 'reverted'}`)
+}
+
+async function showStatus(manager) {
+  const migrations = await manager.getStatus()
+
+  console.log('📋 Migration status:')
+  migrations.forEach(migration => {
+    const appliedAt = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : ''
+    console.log(`   ${migration.version} ${migration.name.padEnd(36)} ${STATE_LABELS[migration.state]}${appliedAt}`)
+  })
+
+  const pending = migrations.filter(migration => migration.state === 'pending').length
+  console.log(`   ${migrations.length - pending} applied, ${pending} pending`)
+}
+
+async function migrateUp(manager, { to, dryRun }) {
+  const migrations = await manager.migrate({ to, dryRun })
+
+  if (dryRun) {
+    printPlan(migrations, 'up')
+  } else if (migrations.length === 0) {
+    console.log('✅ Database is up to date')
+  }
+}
+
+async function migrateDown(manager, { to, dryRun }) {
+  const migrations = await manager.rollback(to, { dryRun })
+
+  if (dryRun) {
+    printPlan(migrations, 'down')
+  } else if (migrations.length === 0) {
+    console.log(`✅ No applied migrations above ${to}`)
+  }
+}
+
+function createMigration(manager, name, { dryRun }) {
+  if (!name) {
+    throw new Error('create needs a migration name, e.g. create add_team_icons')
+  }
+
+  const migration = manager.createMigration(name, { dryRun })
+
+  migration.files.forEach(file => {
+    const relative = path.relative(process.cwd(), file.path)
+    console.log(dryRun ? `🔍 Would create ${relative}` : `📝 Created ${relative}`)
+  })
+}
+
+async function main(argv) {
+  let parsed
+  try {
+    parsed = parseArgs(argv)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    showUsage()
+    process.exitCode = 1
+    return
+  }
+
+  const { command, args, options } = parsed
+  if (!command) {
+    showUsage()
+    return
+  }
+
+  try {
+    const manager = new MigrationManager()
+
+    // Scaffolding only touches files
+    if (command === 'create') {
+      createMigration(manager, args.join(' '), options)
+      return
+    }
+
+    await dbConfig.connect()
+
+    switch (command) {
+      case 'status':
+        await showStatus(manager)
+        break
+      case 'up':
+        await migrateUp(manager, options)
+        break
+      case 'down':
+        await migrateDown(manager, options)
+        break
+    }
+
+  } catch (error) {
+    console.error('❌ Migration command failed:', error.message)
+    process.exitCode = 1
+  } finally {
+    await dbConfig.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+}
+
+module.exports = { main, parseArgs }
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Counter rebuild script
+ * Replays the counter_history ledger and overwrites counters that drifted from it
+ *
+ * Usage: node scripts/rebuild-counters.js [battleId]
+ * Rebuilds every battle when no battle id is given
+ */
+
+const storage = require('../config/storage')
+const CounterService = require('../services/CounterService')
+
+async function rebuildCounters(battleId = null) {
+  console.log(`🔁 Rebuilding counters for ${battleId ? `battle '${battleId}'` : 'all battles'}...`)
+
+  try {
+    await storage.connect()
+
+    const counterService = new CounterService()
+    const result = await counterService.rebuildCounters({ source: 'cli' }, battleId)
+
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+
+    result.data.counters.forEach(counter => {
+      const change = counter.corrected
+        ? `${counter.previousCount} -> ${counter.rebuiltCount}`
+        : `${counter.rebuiltCount} (unchanged)`
+      console.log(`   ${counter.battleId}/${counter.color}: ${change}`)
+    })
+
+    console.log(`🎉 ${result.message}`)
+
+  } catch (error) {
+    console.error('❌ Counter rebuild failed:', error.message)
+    process.exitCode = 1
+  } finally {
+    await storage.close()
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  rebuildCounters(process.argv[2] || null)
+}
+
+module.exports = { rebuildCounters }
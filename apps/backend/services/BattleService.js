@@ -0,0 +1,202 @@
+const { BattleRepository, TeamRepository } = require('../repositories')
+
+const BATTLE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/
+const MAX_BATTLE_NAME_LENGTH = 100
+
+/**
+ * Battle Service
+ * Implements business logic for independent battles, each with its own counters
+ */
+class BattleService {
+  constructor() {
+    this.battleRepository = new BattleRepository()
+    this.teamRepository = new TeamRepository()
+    this.maxTeamsPerBattle = parseInt(process.env.MAX_ACTIVE_TEAMS) || 8
+  }
+
+  /**
+   * List battles
+   */
+  async listBattles({ includeArchived = false } = {}) {
+    try {
+      const battles = await this.battleRepository.getBattles({ includeArchived })
+      return {
+        success: true,
+        data: { battles }
+      }
+    } catch (error) {
+      console.error('❌ BattleService.listBattles error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve battles',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Get a single battle
+   */
+  async getBattle(battleId) {
+    try {
+      const battle = await this.battleRepository.getBattleById(this.normalizeBattleId(battleId))
+
+      if (!battle) {
+        return this.notFound(battleId)
+      }
+
+      return {
+        success: true,
+        data: battle
+      }
+    } catch (error) {
+      console.error(`❌ BattleService.getBattle(${battleId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve battle',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Create a battle
+   * Defaults to every active team when no team list is given
+   */
+  async createBattle({ id, name, teams } = {}) {
+    const battleId = this.normalizeBattleId(id)
+
+    if (!BATTLE_ID_PATTERN.test(battleId)) {
+      return this.validationError(
+        'Battle id must be 1-50 characters of lowercase letters, digits, "-" or "_"'
+      )
+    }
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return this.validationError('Battle name is required')
+    }
+
+    if (name.trim().length > MAX_BATTLE_NAME_LENGTH) {
+      return this.validationError(`Battle name must be at most ${MAX_BATTLE_NAME_LENGTH} characters`)
+    }
+
+    if (teams !== undefined && !Array.isArray(teams)) {
+      return this.validationError('teams must be an array of team ids')
+    }
+
+    try {
+      const existing = await this.battleRepository.getBattleById(battleId)
+      if (existing) {
+        return {
+          success: false,
+          code: 'BATTLE_EXISTS',
+          error: `Battle '${battleId}' already exists`
+        }
+      }
+
+      const activeTeams = await this.teamRepository.getTeams()
+      const activeTeamIds = activeTeams.map(team => team.id)
+      const teamIds = teams === undefined
+        ? activeTeamIds
+        : [...new Set(teams.map(teamId => String(teamId).trim().toLowerCase()))]
+
+      const unknownTeams = teamIds.filter(teamId => !activeTeamIds.includes(teamId))
+      if (unknownTeams.length > 0) {
+        return this.validationError(`Unknown or retired teams: ${unknownTeams.join(', ')}`)
+      }
+
+      if (teamIds.length < 2 || teamIds.length > this.maxTeamsPerBattle) {
+        return this.validationError(
+          `A battle needs between 2 and ${this.maxTeamsPerBattle} teams`
+        )
+      }
+
+      const battle = await this.battleRepository.createBattle({
+        id: battleId,
+        name: name.trim(),
+        teams: teamIds
+      })
+
+      return {
+        success: true,
+        data: battle,
+        message: `Battle '${battle.name}' created successfully`
+      }
+
+    } catch (error) {
+      console.error(`❌ BattleService.createBattle(${battleId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to create battle',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Archive a battle
+   * Archived battles keep their counters and history but stop accepting votes
+   */
+  async archiveBattle(battleId) {
+    const normalizedId = this.normalizeBattleId(battleId)
+
+    if (normalizedId === BattleRepository.DEFAULT_BATTLE_ID) {
+      return this.validationError('The default battle cannot be archived')
+    }
+
+    try {
+      const existing = await this.battleRepository.getBattleById(normalizedId)
+
+      if (!existing) {
+        return this.notFound(battleId)
+      }
+
+      if (existing.status === 'archived') {
+        return {
+          success: false,
+          code: 'BATTLE_CLOSED',
+          error: `Battle '${normalizedId}' is already archived`
+        }
+      }
+
+      const battle = await this.battleRepository.archiveBattle(normalizedId)
+
+      return {
+        success: true,
+        data: { ...battle, teams: existing.teams },
+        message: `Battle '${battle.name}' archived successfully`
+      }
+
+    } catch (error) {
+      console.error(`❌ BattleService.archiveBattle(${battleId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to archive battle',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Normalize battle ids to their stored lowercase form
+   */
+  normalizeBattleId(battleId) {
+    return typeof battleId === 'string' ? battleId.trim().toLowerCase() : ''
+  }
+
+  /**
+   * Build a validation failure result
+   */
+  validationError(error) {
+    return { success: false, code: 'VALIDATION_ERROR', error }
+  }
+
+  /**
+   * Build a not-found failure result
+   */
+  notFound(battleId) {
+    return { success: false, code: 'BATTLE_NOT_FOUND', error: `Battle '${battleId}' not found` }
+  }
+}
+
+module.exports = BattleService
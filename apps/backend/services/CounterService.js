@@ -1,4 +1,50 @@
-const CounterRepository = require('../repositories/CounterRepository')
+const { CounterRepository, TeamRepository, BattleRepository } = require('../repositories')
+const RoundService = require('./RoundService')
+const { resolveTimeRange, parseTimestamp } = require('../utils/timeRange')
+const { EXPORT_FORMATS, formatHistoryBatches, parseHistory } = require('../utils/historyFormat')
+const { analyzeMomentum } = require('../utils/momentum')
+const { votes } = require('../utils/metrics')
+const { getRequestContext } = require('../utils/requestContext')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+/**
+ * Series bucket sizes, with the default window used when `from` is omitted
+ */
+const SERIES_BUCKETS = {
+  minute: { ms: 60 * 1000, defaultWindowMs: 60 * 60 * 1000 },
+  hour: { ms: 60 * 60 * 1000, defaultWindowMs: 24 * 60 * 60 * 1000 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultWindowMs: 30 * 24 * 60 * 60 * 1000 }
+}
+
+const MAX_SERIES_BUCKETS = 10000
+
+// Ledger entries replayed for momentum analytics; older entries in the range are skipped
+const MAX_MOMENTUM_ENTRIES = 50000
+
+// History import: rows inserted per statement, and rejected rows listed in the report
+const IMPORT_BATCH_SIZE = 1000
+const MAX_REPORTED_REJECTIONS = 100
+
+const MAX_INT = 2147483647
+const INTEGER_PATTERN = /^-?\d+$/
+
+/**
+ * Label a ledger row for the history listing
+ * `type` is 'vote', 'rollup' for votes compacted by retention, or 'action' for
+ * resets and round starts; `count` is the number of votes the row stands for.
+ */
+const describeHistoryEntry = (row) => {
+  if (row.rollup_count !== null && row.rollup_count !== undefined) {
+    return { ...row, type: 'rollup', count: row.rollup_count }
+  }
+
+  if (row.client_info?.action) {
+    return { ...row, type: 'action', count: 0 }
+  }
+
+  return { ...row, type: 'vote', count: 1 }
+}
 
 /**
  * Counter Service
@@ -8,15 +54,23 @@ const CounterRepository = require('../repositories/CounterRepository')
 class CounterService {
   constructor() {
     this.counterRepository = new CounterRepository()
-    this.validColors = ['red', 'blue']
+    this.teamRepository = new TeamRepository()
+    this.battleRepository = new BattleRepository()
+    this.roundService = new RoundService()
   }
 
   /**
-   * Get current counter values
+   * Get current counter values for a battle
+   * `primary` skips the read replicas (see CounterRepository.getCounters)
    */
-  async getCurrentCounters() {
+  async getCurrentCounters(battleId = DEFAULT_BATTLE_ID, { primary = false } = {}) {
     try {
-      const result = await this.counterRepository.getCounters()
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return { ...failure, timestamp: new Date().toISOString() }
+      }
+
+      const result = await this.counterRepository.getCounters(battle.id, { primary })
       return {
         success: true,
         data: result,
@@ -33,53 +87,139 @@ class CounterService {
   }
 
   /**
-   * Increment a specific counter
+   * Get counter values for a battle as they were at a point in time
    */
-  async incrementCounter(color, options = {}) {
+  async getCountersAt(at, battleId = DEFAULT_BATTLE_ID) {
+    const atDate = new Date(at)
+
+    if (typeof at !== 'string' || at.trim().length === 0 || Number.isNaN(atDate.getTime())) {
+      return {
+        success: false,
+        code: 'VALIDATION_ERROR',
+        error: 'at must be an ISO 8601 timestamp'
+      }
+    }
+
+    if (atDate > new Date()) {
+      return {
+        success: false,
+        code: 'VALIDATION_ERROR',
+        error: 'at must not be in the future'
+      }
+    }
+
     try {
-      // Validate color
-      if (!this.isValidColor(color)) {
-        return {
-          success: false,
-          error: `Invalid color '${color}'. Valid colors are: ${this.validColors.join(', ')}`
-        }
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return { ...failure, timestamp: new Date().toISOString() }
+      }
+
+      const result = await this.counterRepository.getCountersAt(atDate, battle.id)
+      return {
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString()
+      }
+    } catch (error) {
+      console.error('❌ CounterService.getCountersAt error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve counter values',
+        timestamp: new Date().toISOString()
       }
+    }
+  }
+
+  /**
+   * Snapshot every counter so point-in-time queries replay less of the ledger
+   * Called periodically by the SnapshotScheduler
+   */
+  async takeSnapshots() {
+    const snapshot = await this.counterRepository.createSnapshots()
+
+    if (snapshot) {
+      console.log(`📸 Snapshot of ${snapshot.counters} counters taken at ledger entry ${snapshot.lastHistoryId}`)
+    }
+
+    return snapshot
+  }
+
+  /**
+   * Compact raw votes older than `retentionDays` into hourly rollup rows
+   * Called periodically by the RetentionScheduler. Only whole hours are
+   * compacted, one transaction per hour, oldest first.
+   */
+  async compactHistory(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+    cutoff.setMinutes(0, 0, 0)
+
+    let hours = 0
+    let compactedRows = 0
+    let rollupRows = 0
 
+    let result
+    while ((result = await this.counterRepository.compactHistoryHour(cutoff))) {
+      hours += 1
+      compactedRows += result.compactedRows
+      rollupRows += result.rollupRows
+    }
+
+    if (hours > 0) {
+      console.log(`🗜️ Compacted ${compactedRows} votes from ${hours} hours into ${rollupRows} rollup rows`)
+    }
+
+    return { cutoff: cutoff.toISOString(), hours, compactedRows, rollupRows }
+  }
+
+  /**
+   * Increment a specific counter
+   * `color` is the team id; red and blue are the seeded teams. The repository
+   * checks the battle, team and voting window in the same statement that
+   * applies the vote, so a vote is either counted in a round's final tallies
+   * or rejected. Only a rejected vote runs the checks again here, to explain
+   * the rejection.
+   */
+  async incrementCounter(color, options = {}) {
+    try {
       const {
+        battleId = DEFAULT_BATTLE_ID,
         incrementBy = 1,
         clientInfo = null,
         sessionId = null
       } = options
 
-      // Validate increment amount
-      if (!Number.isInteger(incrementBy) || incrementBy < 1) {
-        return {
-          success: false,
-          error: 'Increment amount must be a positive integer'
-        }
-      }
+      // A second attempt is needed when the checks opened a round that was due
+      for (let attempt = 0; attempt < 2; attempt++) {
+        if (Number.isInteger(incrementBy) && incrementBy >= 1) {
+          const incremented = await this.counterRepository.incrementCounter(
+            this.normalizeTeamId(color),
+            incrementBy,
+            this.enrichClientInfo(clientInfo, sessionId),
+            this.normalizeBattleId(battleId),
+            sessionId
+          )
 
-      // Prepare client info
-      const enrichedClientInfo = {
-        ...clientInfo,
-        sessionId,
-        timestamp: new Date().toISOString(),
-        userAgent: clientInfo?.userAgent || null,
-        ipAddress: clientInfo?.ipAddress || null
-      }
+          if (incremented) {
+            const { team, ...result } = incremented
+            votes.inc({ battle: result.battleId, team: team.id }, incrementBy)
 
-      const result = await this.counterRepository.incrementCounter(
-        color, 
-        incrementBy, 
-        enrichedClientInfo
-      )
+            return {
+              success: true,
+              data: result,
+              team,
+              message: `${team.name} counter incremented successfully`
+            }
+          }
+        }
 
-      return {
-        success: true,
-        data: result,
-        message: `${color} counter incremented successfully`
+        const failure = await this.findVoteFailure(color, incrementBy, battleId)
+        if (failure) {
+          return failure
+        }
       }
 
+      throw new Error('Vote was rejected but every check passed')
+
     } catch (error) {
       console.error(`❌ CounterService.incrementCounter(${color}) error:`, error.message)
       return {
@@ -91,15 +231,26 @@ class CounterService {
   }
 
   /**
-   * Batch increment multiple counters
+   * Batch increment multiple counters in one battle
+   * By default each item is applied on its own and failures are reported per item.
+   * With `atomic` every item is applied in one transaction, or none is.
    */
-  async batchIncrementCounters(increments) {
+  async batchIncrementCounters(increments, { battleId = DEFAULT_BATTLE_ID, atomic = false } = {}) {
+    if (atomic) {
+      return this.atomicBatchIncrementCounters(increments, battleId)
+    }
+
     const results = []
     const errors = []
 
-    for (const { color, incrementBy = 1, clientInfo = null } of increments) {
+    const { failure } = await this.findBattle(battleId)
+    if (failure) {
+      return failure
+    }
+
+    for (const { color, incrementBy = 1, clientInfo = null, sessionId = null } of increments) {
       try {
-        const result = await this.incrementCounter(color, { incrementBy, clientInfo })
+        const result = await this.incrementCounter(color, { battleId, incrementBy, clientInfo, sessionId })
         if (result.success) {
           results.push(result.data)
         } else {
@@ -125,16 +276,99 @@ class CounterService {
   }
 
   /**
-   * Reset all counters
+   * Apply a batch in a single transaction
+   * Every item is validated before anything is written; one invalid item
+   * rejects the whole batch
+   */
+  async atomicBatchIncrementCounters(increments, battleId) {
+    try {
+      const { battle, failure: battleFailure } = await this.findVotingBattle(battleId)
+      if (battleFailure) {
+        return battleFailure
+      }
+
+      const items = []
+      const errors = []
+
+      for (const [index, { color, incrementBy = 1, clientInfo = null, sessionId = null }] of increments.entries()) {
+        const { team, failure } = await this.validateIncrement(color, incrementBy, battle)
+        if (failure) {
+          errors.push({ index, color, error: failure.error })
+        } else {
+          items.push({
+            color: team.id,
+            incrementBy,
+            clientInfo: this.enrichClientInfo(clientInfo, sessionId),
+            sessionId
+          })
+        }
+      }
+
+      if (errors.length > 0) {
+        return {
+          success: false,
+          code: 'VALIDATION_ERROR',
+          error: `Batch rejected: ${errors.length} of ${increments.length} increments are invalid, nothing was applied`,
+          data: {
+            successful: [],
+            failed: errors,
+            summary: {
+              total: increments.length,
+              successful: 0,
+              failed: errors.length
+            }
+          }
+        }
+      }
+
+      const results = await this.counterRepository.incrementCountersAtomically(items, battle.id)
+      if (!results) {
+        return this.closedWindowFailure(battle.id)
+      }
+
+      items.forEach(item => votes.inc({ battle: battle.id, team: item.color }, item.incrementBy))
+
+      return {
+        success: true,
+        data: {
+          atomic: true,
+          successful: results,
+          failed: [],
+          summary: {
+            total: increments.length,
+            successful: results.length,
+            failed: 0
+          }
+        }
+      }
+
+    } catch (error) {
+      console.error('❌ CounterService.atomicBatchIncrementCounters error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to apply batch, nothing was applied',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Reset all counters in a battle
    */
-  async resetAllCounters(adminInfo = null) {
+  async resetAllCounters(adminInfo = null, battleId = DEFAULT_BATTLE_ID) {
     try {
-      const result = await this.counterRepository.resetCounters()
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      const result = await this.counterRepository.resetCounters(battle.id)
       
       // Log admin action
       if (adminInfo) {
         console.log('🔄 Admin reset action:', {
           admin: adminInfo,
+          battleId: battle.id,
           timestamp: new Date().toISOString()
         })
       }
@@ -156,17 +390,91 @@ class CounterService {
   }
 
   /**
-   * Get counter statistics
+   * Rebuild counters from the counter_history ledger
+   * Rebuilds one battle, or every battle when battleId is null
    */
-  async getCounterStatistics(timeRange = '24 hours') {
+  async rebuildCounters(adminInfo = null, battleId = null) {
     try {
-      const stats = await this.counterRepository.getCounterStats(timeRange)
+      let targetId = null
+
+      if (battleId !== null) {
+        const { battle, failure } = await this.findBattle(battleId)
+        if (failure) {
+          return failure
+        }
+        targetId = battle.id
+      }
+
+      const result = await this.counterRepository.rebuildCountersFromLedger(targetId)
+
+      // Log admin action
+      if (adminInfo) {
+        console.log('🔁 Admin rebuild action:', {
+          admin: adminInfo,
+          battleId: targetId || 'all',
+          corrected: result.corrected,
+          timestamp: new Date().toISOString()
+        })
+      }
+
+      return {
+        success: true,
+        data: result,
+        message: result.corrected === 0
+          ? 'Counters already match the ledger'
+          : `Rebuilt ${result.corrected} counter(s) from the ledger`
+      }
+
+    } catch (error) {
+      console.error('❌ CounterService.rebuildCounters error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to rebuild counters',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Replay the ledger entries in a range to measure momentum
+   */
+  async getMomentum(range, battleId) {
+    const [entries, { counters }] = await Promise.all([
+      this.counterRepository.getLedgerEntries({ ...range, limit: MAX_MOMENTUM_ENTRIES }, battleId),
+      this.counterRepository.getCountersAt(range.end, battleId)
+    ])
+
+    return analyzeMomentum(entries, counters, range, {
+      truncated: entries.length === MAX_MOMENTUM_ENTRIES
+    })
+  }
+
+  /**
+   * Get counter statistics for a battle
+   * `rangeOptions` takes timeRange (ISO-8601 duration or named range),
+   * startDate and endDate; see utils/timeRange
+   */
+  async getCounterStatistics(rangeOptions = {}, battleId = DEFAULT_BATTLE_ID) {
+    const { range, error } = resolveTimeRange(rangeOptions)
+    if (error) {
+      return this.validationError(error)
+    }
+
+    try {
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      const stats = await this.counterRepository.getCounterStats(range, battle.id)
+      const momentum = await this.getMomentum(range, battle.id)
       
       // Calculate additional metrics
       const enrichedStats = {
         ...stats,
         summary: this.calculateSummaryMetrics(stats.stats),
-        insights: this.generateInsights(stats.stats)
+        momentum,
+        insights: this.generateInsights(stats.stats, momentum)
       }
 
       return {
@@ -186,10 +494,12 @@ class CounterService {
 
   /**
    * Get counter history with filtering
+   * Each entry is labelled with its `type` and `count` (see describeHistoryEntry)
    */
   async getCounterHistory(filters = {}) {
     try {
       const {
+        battleId = DEFAULT_BATTLE_ID,
         color,
         limit = 50,
         offset = 0,
@@ -197,16 +507,22 @@ class CounterService {
         endDate
       } = filters
 
-      // Validate color if provided
-      if (color && !this.isValidColor(color)) {
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      // Validate team if provided (retired teams still have history)
+      if (color && !battle.teams.includes(this.normalizeTeamId(color))) {
         return {
           success: false,
-          error: `Invalid color '${color}'. Valid colors are: ${this.validColors.join(', ')}`
+          error: this.invalidTeamMessage(color, battle)
         }
       }
 
       const history = await this.counterRepository.getCounterHistory({
-        color,
+        battleId: battle.id,
+        color: color ? this.normalizeTeamId(color) : color,
         limit: Math.min(limit, 1000), // Cap limit to prevent abuse
         offset: Math.max(offset, 0),
         startDate,
@@ -215,7 +531,10 @@ class CounterService {
 
       return {
         success: true,
-        data: history
+        data: {
+          ...history,
+          history: history.history.map(describeHistoryEntry)
+        }
       }
 
     } catch (error) {
@@ -228,16 +547,375 @@ class CounterService {
     }
   }
 
+  /**
+   * Export counter history as a stream of CSV or NDJSON text
+   * Takes the same filters as getCounterHistory, without pagination. On
+   * success `data.chunks` is an async iterable of text, read from a database
+   * cursor as it is consumed.
+   */
+  async exportCounterHistory(filters = {}) {
+    const {
+      battleId = DEFAULT_BATTLE_ID,
+      format = 'ndjson',
+      color,
+      startDate,
+      endDate
+    } = filters
+
+    const exportFormat = EXPORT_FORMATS[format]
+    if (!exportFormat) {
+      return this.validationError(`Invalid format '${format}': use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+    }
+
+    if (startDate && !parseTimestamp(startDate)) {
+      return this.validationError(`Invalid startDate '${startDate}': use an ISO-8601 timestamp`)
+    }
+
+    if (endDate && !parseTimestamp(endDate)) {
+      return this.validationError(`Invalid endDate '${endDate}': use an ISO-8601 timestamp`)
+    }
+
+    try {
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      // Retired teams still have history
+      if (color && !battle.teams.includes(this.normalizeTeamId(color))) {
+        return {
+          success: false,
+          code: 'TEAM_NOT_IN_BATTLE',
+          error: this.invalidTeamMessage(color, battle)
+        }
+      }
+
+      const batches = this.counterRepository.streamCounterHistory({
+        battleId: battle.id,
+        color: color ? this.normalizeTeamId(color) : null,
+        startDate: startDate ? parseTimestamp(startDate) : null,
+        endDate: endDate ? parseTimestamp(endDate) : null
+      })
+
+      return {
+        success: true,
+        data: {
+          format,
+          contentType: exportFormat.contentType,
+          filename: `counter-history-${battle.id}-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`,
+          chunks: formatHistoryBatches(batches, format)
+        }
+      }
+
+    } catch (error) {
+      console.error('❌ CounterService.exportCounterHistory error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to export counter history',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Import counter history from a CSV or NDJSON export
+   * `chunks` is an async iterable of Buffers or strings. Each record is
+   * validated and rows whose id is already in the ledger are skipped; the
+   * counters of every battle that received rows are then rebuilt.
+   */
+  async importCounterHistory(chunks, { format, adminInfo = null } = {}) {
+    if (!EXPORT_FORMATS[format]) {
+      return this.validationError(`Invalid format '${format}': use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+    }
+
+    const report = {
+      received: 0,
+      duplicatesInFile: 0,
+      rejected: 0,
+      rejections: [],
+      formatError: null
+    }
+
+    try {
+      const battles = await this.battleRepository.getBattles({ includeArchived: true })
+      const battlesById = new Map(battles.map(battle => [battle.id, battle]))
+
+      const entries = parseHistory(chunks, format)
+      const result = await this.counterRepository.importHistory(
+        this.validateImportBatches(entries, battlesById, report)
+      )
+
+      const accepted = result.inserted
+      const duplicates = report.duplicatesInFile + result.duplicates
+
+      if (adminInfo) {
+        console.log('📥 Admin history import:', {
+          admin: adminInfo,
+          accepted,
+          duplicates,
+          rejected: report.rejected,
+          battles: result.battles,
+          timestamp: new Date().toISOString()
+        })
+      }
+
+      return {
+        success: true,
+        data: {
+          format,
+          received: report.received,
+          accepted,
+          duplicates,
+          rejected: report.rejected,
+          rejections: report.rejections,
+          battles: result.battles,
+          counters: result.counters
+        },
+        message: `Imported ${accepted} row(s); skipped ${duplicates} duplicate(s) and rejected ${report.rejected}`
+      }
+
+    } catch (error) {
+      // A malformed file aborts the import; nothing was written
+      if (report.formatError) {
+        return this.validationError(report.formatError)
+      }
+
+      console.error('❌ CounterService.importCounterHistory error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to import counter history',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Validate parsed import entries and group the valid ones into batches
+   * Rejections and in-file duplicates are tallied in `report`
+   */
+  async *validateImportBatches(entries, battlesById, report) {
+    const seenIds = new Set()
+    let batch = []
+
+    const reject = (line, id, error) => {
+      report.rejected += 1
+      if (report.rejections.length < MAX_REPORTED_REJECTIONS) {
+        report.rejections.push({ line, id: id ?? null, error })
+      }
+    }
+
+    try {
+      for await (const entry of entries) {
+        report.received += 1
+
+        if (entry.error) {
+          reject(entry.line, null, entry.error)
+          continue
+        }
+
+        const { record, error } = this.validateImportRecord(entry.record, battlesById)
+        if (error) {
+          reject(entry.line, entry.record.id, error)
+          continue
+        }
+
+        if (seenIds.has(record.id)) {
+          report.duplicatesInFile += 1
+          continue
+        }
+        seenIds.add(record.id)
+
+        batch.push(record)
+        if (batch.length === IMPORT_BATCH_SIZE) {
+          yield batch
+          batch = []
+        }
+      }
+    } catch (error) {
+      report.formatError = error.message
+      throw error
+    }
+
+    if (batch.length > 0) {
+      yield batch
+    }
+  }
+
+  /**
+   * Check one imported ledger record
+   * Returns `{ record }` in repository form, or `{ error }`
+   */
+  validateImportRecord(raw, battlesById) {
+    const integer = (value) => {
+      const text = typeof value === 'number' ? String(value) : value
+      if (typeof text !== 'string' || !INTEGER_PATTERN.test(text)) return null
+
+      const number = Number(text)
+      return Math.abs(number) <= MAX_INT ? number : null
+    }
+
+    const id = integer(raw.id)
+    if (id === null || id < 1) {
+      return { error: 'id must be a positive integer' }
+    }
+
+    if (typeof raw.battle_id !== 'string' || typeof raw.color !== 'string') {
+      return { error: 'battle_id and color are required' }
+    }
+
+    const battle = battlesById.get(raw.battle_id)
+    if (!battle) {
+      return { error: `Battle '${raw.battle_id}' does not exist; create it before importing` }
+    }
+
+    if (!battle.teams.includes(raw.color)) {
+      return { error: this.invalidTeamMessage(raw.color, battle) }
+    }
+
+    const previousCount = integer(raw.previous_count)
+    const newCount = integer(raw.new_count)
+    const incrementAmount = integer(raw.increment_amount)
+    if (previousCount === null || newCount === null || incrementAmount === null) {
+      return { error: 'previous_count, new_count and increment_amount must be integers' }
+    }
+
+    if (previousCount + incrementAmount !== newCount) {
+      return { error: 'new_count must equal previous_count + increment_amount' }
+    }
+
+    const timestamp = typeof raw.timestamp === 'string' ? parseTimestamp(raw.timestamp) : null
+    if (!timestamp) {
+      return { error: 'timestamp must be an ISO-8601 timestamp' }
+    }
+
+    const sessionId = raw.session_id ?? null
+    if (sessionId !== null && (typeof sessionId !== 'string' || sessionId.length > 255)) {
+      return { error: 'session_id must be a string of at most 255 characters' }
+    }
+
+    const clientInfo = raw.client_info ?? null
+    if (clientInfo !== null && (typeof clientInfo !== 'object' || Array.isArray(clientInfo))) {
+      return { error: 'client_info must be a JSON object' }
+    }
+
+    // Only rows from a compacted hour carry a rollup count
+    const rawRollupCount = raw.rollup_count ?? null
+    const rollupCount = rawRollupCount === null ? null : integer(rawRollupCount)
+    if (rawRollupCount !== null && (rollupCount === null || rollupCount < 1)) {
+      return { error: 'rollup_count must be a positive integer' }
+    }
+
+    return {
+      record: {
+        id,
+        battleId: battle.id,
+        color: raw.color,
+        previousCount,
+        newCount,
+        incrementAmount,
+        timestamp,
+        sessionId,
+        clientInfo,
+        rollupCount
+      }
+    }
+  }
+
+  /**
+   * Get a time series of votes per team for charting
+   */
+  async getCounterSeries(filters = {}) {
+    const {
+      battleId = DEFAULT_BATTLE_ID,
+      bucket = 'hour',
+      from,
+      to,
+      color
+    } = filters
+
+    const bucketSize = SERIES_BUCKETS[bucket]
+    if (!bucketSize) {
+      return this.validationError(`bucket must be one of: ${Object.keys(SERIES_BUCKETS).join(', ')}`)
+    }
+
+    const toDate = to === undefined ? new Date() : new Date(to)
+    if (Number.isNaN(toDate.getTime())) {
+      return this.validationError('to must be an ISO 8601 timestamp')
+    }
+
+    const fromDate = from === undefined
+      ? new Date(toDate.getTime() - bucketSize.defaultWindowMs)
+      : new Date(from)
+    if (Number.isNaN(fromDate.getTime())) {
+      return this.validationError('from must be an ISO 8601 timestamp')
+    }
+
+    if (fromDate > toDate) {
+      return this.validationError('from must be before to')
+    }
+
+    if ((toDate - fromDate) / bucketSize.ms > MAX_SERIES_BUCKETS) {
+      return this.validationError(
+        `Range spans more than ${MAX_SERIES_BUCKETS} ${bucket} buckets; narrow it or use a larger bucket`
+      )
+    }
+
+    try {
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      // Validate team if provided (retired teams still have history)
+      if (color && !battle.teams.includes(this.normalizeTeamId(color))) {
+        return {
+          success: false,
+          code: 'TEAM_NOT_IN_BATTLE',
+          error: this.invalidTeamMessage(color, battle)
+        }
+      }
+
+      const series = await this.counterRepository.getCounterSeries({
+        battleId: battle.id,
+        teams: color ? [this.normalizeTeamId(color)] : battle.teams,
+        bucket,
+        from: fromDate,
+        to: toDate
+      })
+
+      return {
+        success: true,
+        data: series
+      }
+
+    } catch (error) {
+      console.error('❌ CounterService.getCounterSeries error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve counter series',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
   /**
    * Get service health status
    */
   async getHealthStatus() {
     try {
       const dbHealth = await this.counterRepository.healthCheck()
+      if (dbHealth.status !== 'healthy') {
+        return {
+          status: 'unhealthy',
+          database: dbHealth,
+          timestamp: new Date().toISOString()
+        }
+      }
+
       const counters = await this.counterRepository.getCounters()
       
       return {
-        status: dbHealth.status === 'healthy' ? 'healthy' : 'unhealthy',
+        status: 'healthy',
         database: dbHealth,
         counters: counters.counters,
         lastUpdated: counters.lastUpdated,
@@ -254,53 +932,258 @@ class CounterService {
   }
 
   /**
-   * Validate if color is supported
+   * Look up a battle, returning either the battle or a failure result
    */
-  isValidColor(color) {
-    return this.validColors.includes(color?.toLowerCase())
+  async findBattle(battleId) {
+    const battle = await this.battleRepository.getBattleById(this.normalizeBattleId(battleId))
+
+    if (!battle) {
+      return {
+        failure: {
+          success: false,
+          code: 'BATTLE_NOT_FOUND',
+          error: `Battle '${battleId}' not found`
+        }
+      }
+    }
+
+    return { battle }
+  }
+
+  /**
+   * Look up a battle that is accepting votes right now
+   * Returns either the battle or a failure result
+   */
+  async findVotingBattle(battleId) {
+    const { battle, failure } = await this.findBattle(battleId)
+    if (failure) {
+      return { failure }
+    }
+
+    if (battle.status !== 'active') {
+      return {
+        failure: {
+          success: false,
+          code: 'BATTLE_CLOSED',
+          error: `Battle '${battle.id}' is archived and no longer accepts votes`
+        }
+      }
+    }
+
+    // Battles that use rounds only accept votes while a round is running
+    const windowFailure = await this.roundService.checkVotingWindow(battle.id)
+    if (windowFailure) {
+      return { failure: windowFailure }
+    }
+
+    return { battle }
+  }
+
+  /**
+   * Build the failure for a batch rejected because the round closed after the
+   * battle was checked
+   */
+  async closedWindowFailure(battleId) {
+    const { failure } = await this.findVotingBattle(battleId)
+    if (failure) {
+      return failure
+    }
+
+    throw new Error('Batch was rejected but voting is open')
+  }
+
+  /**
+   * Work out why a vote was not applied
+   * Returns the first failing check as a failure result, or null when every
+   * check passes, e.g. because checking the voting window opened a due round
+   */
+  async findVoteFailure(color, incrementBy, battleId) {
+    const { battle, failure } = await this.findVotingBattle(battleId)
+    if (failure) {
+      return failure
+    }
+
+    const { failure: incrementFailure } = await this.validateIncrement(color, incrementBy, battle)
+    return incrementFailure || null
+  }
+
+  /**
+   * Validate one increment against a battle
+   * Returns either the team or a failure result
+   */
+  async validateIncrement(color, incrementBy, battle) {
+    const teamId = this.normalizeTeamId(color)
+    const team = await this.teamRepository.getTeamById(teamId)
+
+    if (!team) {
+      return {
+        failure: {
+          success: false,
+          code: 'TEAM_NOT_FOUND',
+          error: this.invalidTeamMessage(color, battle)
+        }
+      }
+    }
+
+    if (!team.is_active) {
+      return {
+        failure: {
+          success: false,
+          code: 'TEAM_RETIRED',
+          error: `Team '${teamId}' has been retired and no longer accepts votes`
+        }
+      }
+    }
+
+    if (!battle.teams.includes(teamId)) {
+      return {
+        failure: {
+          success: false,
+          code: 'TEAM_NOT_IN_BATTLE',
+          error: this.invalidTeamMessage(color, battle)
+        }
+      }
+    }
+
+    if (!Number.isInteger(incrementBy) || incrementBy < 1) {
+      return {
+        failure: {
+          success: false,
+          error: 'Increment amount must be a positive integer'
+        }
+      }
+    }
+
+    return { team }
+  }
+
+  /**
+   * Build the client info stored with a ledger entry
+   * Includes the request and trace ids, so a vote can be traced back to the
+   * request that cast it
+   */
+  enrichClientInfo(clientInfo, sessionId) {
+    const context = getRequestContext()
+
+    return {
+      ...clientInfo,
+      sessionId,
+      requestId: context ? context.requestId : null,
+      traceId: context ? context.traceId : null,
+      timestamp: new Date().toISOString(),
+      userAgent: clientInfo?.userAgent || null,
+      ipAddress: clientInfo?.ipAddress || null
+    }
+  }
+
+  /**
+   * Build a validation failure result
+   */
+  validationError(error) {
+    return { success: false, code: 'VALIDATION_ERROR', error }
+  }
+
+  /**
+   * Normalize battle ids to their stored lowercase form
+   */
+  normalizeBattleId(battleId) {
+    return typeof battleId === 'string' ? battleId.trim().toLowerCase() : ''
+  }
+
+  /**
+   * Normalize team ids to their stored lowercase form
+   */
+  normalizeTeamId(teamId) {
+    return typeof teamId === 'string' ? teamId.trim().toLowerCase() : ''
+  }
+
+  /**
+   * Build the error message for an unknown team, listing the battle's teams
+   */
+  invalidTeamMessage(teamId, battle) {
+    return `Invalid team '${teamId}'. Valid teams are: ${battle.teams.join(', ')}`
   }
 
   /**
    * Calculate summary metrics from stats
    */
   calculateSummaryMetrics(stats) {
-    const total = stats.reduce((sum, stat) => sum + stat.current_count, 0)
-    const totalIncrements = stats.reduce((sum, stat) => sum + stat.total_increments, 0)
+    // PostgreSQL returns SUM and COUNT results as strings
+    const counts = stats.map(stat => ({
+      color: stat.color,
+      current: Number(stat.current_count),
+      increments: Number(stat.total_increments)
+    }))
+    const total = counts.reduce((sum, count) => sum + count.current, 0)
+    const totalIncrements = counts.reduce((sum, count) => sum + count.increments, 0)
     
-    const leader = stats.reduce((prev, current) => 
-      current.current_count > prev.current_count ? current : prev
-    )
+    // Rank teams by current count; the difference is the lead over the runner-up
+    const ranked = [...counts].sort((a, b) => b.current - a.current)
+    const [leader, runnerUp] = ranked
+    const isTie = runnerUp !== undefined && leader.current === runnerUp.current
 
     return {
       totalCount: total,
       totalIncrements,
-      leader: leader.color,
-      leaderCount: leader.current_count,
-      difference: Math.abs(stats[0]?.current_count - stats[1]?.current_count) || 0
+      leader: isTie ? 'tie' : leader?.color,
+      leaderCount: leader?.current || 0,
+      difference: leader && runnerUp ? leader.current - runnerUp.current : 0
     }
   }
 
   /**
    * Generate insights from statistics
    */
-  generateInsights(stats) {
+  generateInsights(stats, momentum = null) {
     const insights = []
     
     if (stats.length >= 2) {
-      const [stat1, stat2] = stats
-      const diff = Math.abs(stat1.current_count - stat2.current_count)
+      const [leader, runnerUp] = [...stats].sort((a, b) => b.current_count - a.current_count)
+      const diff = leader.current_count - runnerUp.current_count
       
       if (diff === 0) {
         insights.push("It's a perfect tie!")
       } else if (diff > 100) {
-        insights.push(`${stat1.current_count > stat2.current_count ? stat1.color : stat2.color} is dominating with a lead of ${diff}`)
+        insights.push(`${leader.color} is dominating with a lead of ${diff}`)
       } else if (diff > 10) {
-        insights.push(`Close competition with ${stat1.current_count > stat2.current_count ? stat1.color : stat2.color} slightly ahead`)
+        insights.push(`Close competition with ${leader.color} slightly ahead`)
       }
     }
+
+    if (momentum) {
+      insights.push(...this.generateMomentumInsights(momentum))
+    }
     
     return insights
   }
+
+  /**
+   * Generate insights from momentum analytics
+   */
+  generateMomentumInsights(momentum) {
+    const insights = []
+    const [shortestWindow] = momentum.windows
+
+    if (shortestWindow?.leader && momentum.currentLeader && shortestWindow.leader !== momentum.currentLeader) {
+      const rate = shortestWindow.votesPerMinute[shortestWindow.leader]
+      insights.push(`${shortestWindow.leader} has the momentum with ${rate} votes per minute`)
+    }
+
+    if (momentum.currentStreak?.length >= 5) {
+      insights.push(`${momentum.currentStreak.team} is on a streak of ${momentum.currentStreak.length} votes`)
+    }
+
+    const lastComeback = momentum.comebacks[momentum.comebacks.length - 1]
+    if (lastComeback) {
+      insights.push(`${lastComeback.team} came back from ${lastComeback.deficit} behind to take the lead`)
+    }
+
+    if (momentum.leadChanges.count >= 3) {
+      insights.push(`The lead has changed ${momentum.leadChanges.count} times`)
+    }
+
+    return insights
+  }
 }
 
 module.exports = CounterService
@@ -0,0 +1,106 @@
+const storage = require('../config/storage')
+
+/**
+ * Health Service
+ * Liveness, readiness and dependency checks for orchestrators and operators
+ */
+class HealthService {
+  /**
+   * Liveness: the process is up and its event loop answers
+   * Dependencies are not checked, so a database outage does not get a
+   * healthy process restarted
+   */
+  getLiveness() {
+    return {
+      status: 'alive',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Readiness: whether this instance should receive traffic
+   * `wsManager` is the WebSocket manager once started, and `shuttingDown` is
+   * set when a graceful shutdown begins
+   */
+  async getReadiness({ wsManager = null, shuttingDown = false } = {}) {
+    const database = await storage.healthCheck()
+
+    const checks = {
+      migrations: { ready: storage.ready },
+      database: database.status === 'healthy'
+        ? { ready: true }
+        : { ready: false, error: database.error },
+      websocket: { ready: this.isWebSocketUp(wsManager) },
+      shutdown: { ready: !shuttingDown }
+    }
+
+    const ready = Object.values(checks).every(check => check.ready)
+
+    return {
+      status: ready ? 'ready' : 'not_ready',
+      checks,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Detailed report on every dependency: the database and its pool, the
+   * schema's migration version and the WebSocket server's clients
+   */
+  async getDependencies({ wsManager = null, shuttingDown = false } = {}) {
+    const [database, migrations] = await Promise.all([
+      storage.healthCheck(),
+      this.getMigrationStatus()
+    ])
+
+    const websocket = this.isWebSocketUp(wsManager)
+      ? { status: 'up', clients: wsManager.getClientCounts() }
+      : { status: wsManager ? 'closing' : 'down' }
+
+    const healthy = database.status === 'healthy' &&
+      !migrations.error &&
+      (migrations.pending || 0) === 0 &&
+      websocket.status === 'up' &&
+      !shuttingDown
+
+    return {
+      status: healthy ? 'healthy' : 'unhealthy',
+      database: {
+        storage: storage.driver,
+        ...database,
+        pool: storage.poolStatus()
+      },
+      migrations,
+      websocket,
+      process: {
+        uptime: process.uptime(),
+        memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+        shuttingDown
+      },
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Migration status, or the error that prevented reading it
+   */
+  async getMigrationStatus() {
+    try {
+      const status = await storage.migrationStatus()
+      return status || { status: 'not_applicable' }
+    } catch (error) {
+      console.error('❌ HealthService.getMigrationStatus error:', error.message)
+      return { error: error.message }
+    }
+  }
+
+  /**
+   * Whether the WebSocket server is accepting clients
+   */
+  isWebSocketUp(wsManager) {
+    return Boolean(wsManager) && !wsManager.closing
+  }
+}
+
+module.exports = HealthService
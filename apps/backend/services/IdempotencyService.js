@@ -0,0 +1,104 @@
+const crypto = require('crypto')
+const { IdempotencyRepository } = require('../repositories')
+
+const MAX_KEY_LENGTH = 255
+const PURGE_INTERVAL_MS = 60 * 1000
+
+/**
+ * Idempotency Service
+ * Lets clients retry a request with the same Idempotency-Key without
+ * repeating its side effects: the first response is stored and replayed
+ */
+class IdempotencyService {
+  constructor(ttlSeconds = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || 24 * 60 * 60) {
+    this.idempotencyRepository = new IdempotencyRepository()
+    this.ttlSeconds = ttlSeconds
+    this.lastPurgeAt = 0
+  }
+
+  /**
+   * Start handling a request carrying an idempotency key
+   * Succeeds with `replay` set when a stored response should be returned instead
+   */
+  async beginRequest(key, request) {
+    if (typeof key !== 'string' || key.trim().length === 0 || key.length > MAX_KEY_LENGTH) {
+      return {
+        success: false,
+        code: 'VALIDATION_ERROR',
+        error: `Idempotency-Key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`
+      }
+    }
+
+    await this.purgeExpiredKeys()
+
+    const requestHash = this.hashRequest(request)
+    const { claimed, record } = await this.idempotencyRepository.claimKey(key, requestHash, this.ttlSeconds)
+
+    if (claimed) {
+      return { success: true, replay: null }
+    }
+
+    if (record.request_hash !== requestHash) {
+      return {
+        success: false,
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        error: 'Idempotency-Key was already used with a different request'
+      }
+    }
+
+    if (record.status !== 'completed') {
+      return {
+        success: false,
+        code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        error: 'A request with this Idempotency-Key is still being processed'
+      }
+    }
+
+    return {
+      success: true,
+      replay: { status: record.response_status, body: record.response_body }
+    }
+  }
+
+  /**
+   * Store a successful (2xx) JSON response for a key. Anything else releases
+   * the key so a retry runs again: a failure such as a closed round or a rate
+   * limit may clear, and a response that was not sent as JSON has nothing to
+   * replay.
+   */
+  async completeRequest(key, status, body) {
+    if (status >= 200 && status < 300 && body !== undefined) {
+      await this.idempotencyRepository.completeKey(key, status, body)
+    } else {
+      await this.idempotencyRepository.releaseKey(key)
+    }
+  }
+
+  /**
+   * Fingerprint the parts of a request a retry must repeat exactly
+   */
+  hashRequest({ method, path, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([method, path, body || {}]))
+      .digest('hex')
+  }
+
+  /**
+   * Delete expired keys, at most once per purge interval
+   */
+  async purgeExpiredKeys() {
+    const now = Date.now()
+    if (now - this.lastPurgeAt < PURGE_INTERVAL_MS) return
+
+    this.lastPurgeAt = now
+    try {
+      await this.idempotencyRepository.deleteExpiredKeys()
+    } catch (error) {
+      // Expired keys are also ignored on lookup, so a failed purge is harmless
+      console.error('❌ IdempotencyService.purgeExpiredKeys error:', error.message)
+    }
+  }
+}
+
+module.exports = IdempotencyService
@@ -0,0 +1,71 @@
+/**
+ * Interval Scheduler
+ * Runs a task every `intervalMs`, skipping a run while the previous one is
+ * still going. Schedulers extend it and implement run().
+ */
+class IntervalScheduler {
+  /**
+   * `name` and `icon` label the logs and `description` is shown on start.
+   * With `runOnStart` the task also runs straight away, rather than an
+   * interval after start().
+   */
+  constructor({ name, icon, intervalMs, description = `every ${intervalMs}ms`, runOnStart = false }) {
+    this.name = name
+    this.icon = icon
+    this.intervalMs = intervalMs
+    this.description = description
+    this.runOnStart = runOnStart
+    this.timer = null
+    this.isRunning = false
+  }
+
+  /**
+   * The scheduled task
+   */
+  async run() {
+    throw new Error(`${this.constructor.name} must implement run()`)
+  }
+
+  /**
+   * Start running the task
+   */
+  start() {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs)
+    console.log(`${this.icon} ${this.name} started (${this.description})`)
+
+    if (this.runOnStart) {
+      this.tick()
+    }
+  }
+
+  /**
+   * Run the task once, skipping it if the previous run is still going
+   */
+  async tick() {
+    if (this.isRunning) return
+
+    this.isRunning = true
+    try {
+      await this.run()
+    } catch (error) {
+      console.error(`❌ ${this.name} error:`, error.message)
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  /**
+   * Stop running the task
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+      console.log(`${this.icon} ${this.name} stopped`)
+    }
+  }
+}
+
+module.exports = IntervalScheduler
@@ -0,0 +1,181 @@
+const { LeaderboardRepository, BattleRepository } = require('../repositories')
+const { resolveTimeRange } = require('../utils/timeRange')
+const { sessionTag } = require('../utils/session')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
+
+const DEFAULT_LEADERBOARD_LIMIT = 10
+const MAX_LEADERBOARD_LIMIT = 100
+const MAX_NICKNAME_LENGTH = 32
+
+/**
+ * Leaderboard Service
+ * Ranks voter sessions by the votes they contributed and manages the
+ * nicknames shown for them
+ */
+class LeaderboardService {
+  constructor() {
+    this.leaderboardRepository = new LeaderboardRepository()
+    this.battleRepository = new BattleRepository()
+  }
+
+  /**
+   * Get the top contributors to a battle, overall and per team
+   * `rangeOptions` takes timeRange, startDate and endDate; see utils/timeRange
+   */
+  async getLeaderboard(rangeOptions = {}, { battleId = DEFAULT_BATTLE_ID, limit = DEFAULT_LEADERBOARD_LIMIT } = {}) {
+    const { range, error } = resolveTimeRange(rangeOptions)
+    if (error) {
+      return this.validationError(error)
+    }
+
+    const parsedLimit = Number(limit)
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LEADERBOARD_LIMIT) {
+      return this.validationError(`limit must be an integer between 1 and ${MAX_LEADERBOARD_LIMIT}`)
+    }
+
+    try {
+      const normalizedId = typeof battleId === 'string' ? battleId.trim().toLowerCase() : ''
+      const battle = await this.battleRepository.getBattleById(normalizedId)
+
+      if (!battle) {
+        return {
+          success: false,
+          code: 'BATTLE_NOT_FOUND',
+          error: `Battle '${battleId}' not found`
+        }
+      }
+
+      const rows = await this.leaderboardRepository.getLeaderboard({ ...range, limit: parsedLimit }, battle.id)
+
+      const overall = []
+      const byTeam = Object.fromEntries(battle.teams.map(team => [team, []]))
+
+      rows.forEach(row => {
+        const entries = row.color === null ? overall : (byTeam[row.color] = byTeam[row.color] || [])
+        entries.push({
+          rank: entries.length + 1,
+          ...this.formatEntry(row)
+        })
+      })
+
+      return {
+        success: true,
+        data: {
+          battleId: battle.id,
+          timeRange: range.timeRange,
+          startDate: range.start.toISOString(),
+          endDate: range.end.toISOString(),
+          overall,
+          byTeam,
+          generatedAt: new Date().toISOString()
+        }
+      }
+
+    } catch (error) {
+      console.error('❌ LeaderboardService.getLeaderboard error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve leaderboard',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Set the nickname shown for a session on the leaderboard
+   */
+  async setNickname(sessionId, nickname) {
+    if (!sessionId) {
+      return this.validationError('A session id is required: send it in the X-Session-Id header or as sessionId')
+    }
+
+    if (typeof nickname !== 'string' || nickname.trim().length === 0) {
+      return this.validationError('Nickname must be a non-empty string')
+    }
+
+    const trimmed = nickname.trim()
+    if (trimmed.length > MAX_NICKNAME_LENGTH) {
+      return this.validationError(`Nickname must be at most ${MAX_NICKNAME_LENGTH} characters`)
+    }
+
+    if (/[\u0000-\u001f\u007f]/.test(trimmed)) {
+      return this.validationError('Nickname must not contain control characters')
+    }
+
+    try {
+      const record = await this.leaderboardRepository.setNickname(sessionId, trimmed)
+
+      return {
+        success: true,
+        data: {
+          sessionTag: sessionTag(sessionId),
+          nickname: record.nickname,
+          updatedAt: record.updated_at
+        },
+        message: `Nickname set to '${record.nickname}'`
+      }
+
+    } catch (error) {
+      console.error('❌ LeaderboardService.setNickname error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to set nickname',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Remove a session's nickname, so it shows up by its tag again
+   */
+  async clearNickname(sessionId) {
+    if (!sessionId) {
+      return this.validationError('A session id is required: send it in the X-Session-Id header or as sessionId')
+    }
+
+    try {
+      const removed = await this.leaderboardRepository.deleteNickname(sessionId)
+
+      return {
+        success: true,
+        data: {
+          sessionTag: sessionTag(sessionId),
+          nickname: null
+        },
+        message: removed ? 'Nickname removed' : 'Session had no nickname'
+      }
+
+    } catch (error) {
+      console.error('❌ LeaderboardService.clearNickname error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to remove nickname',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Shape a leaderboard row for clients
+   * The raw session id is never exposed; see utils/session
+   */
+  formatEntry(row) {
+    return {
+      sessionTag: sessionTag(row.session_id),
+      nickname: row.nickname || null,
+      votes: row.votes,
+      increments: row.increments,
+      lastVoteAt: row.last_vote_at
+    }
+  }
+
+  /**
+   * Build a validation failure result
+   */
+  validationError(error) {
+    return { success: false, code: 'VALIDATION_ERROR', error }
+  }
+}
+
+module.exports = LeaderboardService
@@ -0,0 +1,105 @@
+const dbConfig = require('../config/database')
+const storage = require('../config/storage')
+const { SORT_FIELDS } = require('../utils/queryMetrics')
+const {
+  registry,
+  websocketConnections,
+  dbPoolClients,
+  dbPoolMaxClients,
+  migrationVersion,
+  pendingMigrations,
+  processMemory
+} = require('../utils/metrics')
+
+const DEFAULT_QUERY_LIMIT = 20
+const MAX_QUERY_LIMIT = 100
+
+/**
+ * Metrics Service
+ * Reports the database query metrics collected by config/database and the
+ * Prometheus metrics in utils/metrics
+ */
+class MetricsService {
+  /**
+   * Render every metric in Prometheus text format
+   * Gauges describing current state are refreshed first; `wsManager` is the
+   * WebSocket manager, once started
+   */
+  async getPrometheusMetrics({ wsManager = null } = {}) {
+    websocketConnections.reset()
+    if (wsManager) {
+      Object.entries(wsManager.getClientCounts().byBattle).forEach(([battle, count]) => {
+        websocketConnections.set({ battle }, count)
+      })
+    }
+
+    dbPoolClients.reset()
+    dbPoolMaxClients.reset()
+    const pool = storage.poolStatus()
+    if (pool) {
+      dbPoolClients.set({ state: 'total' }, pool.total)
+      dbPoolClients.set({ state: 'idle' }, pool.idle)
+      dbPoolClients.set({ state: 'waiting' }, pool.waiting)
+      dbPoolMaxClients.set({}, pool.max)
+    }
+
+    // Left out when the database cannot be read, rather than failing the scrape
+    migrationVersion.reset()
+    pendingMigrations.reset()
+    try {
+      const migrations = await storage.migrationStatus()
+      if (migrations) {
+        migrationVersion.set({}, migrations.version === null ? 0 : Number(migrations.version))
+        pendingMigrations.set({}, migrations.pending)
+      }
+    } catch (error) {
+      console.error('❌ MetricsService.getPrometheusMetrics error:', error.message)
+    }
+
+    processMemory.set({}, process.memoryUsage().rss)
+
+    return registry.render()
+  }
+
+  /**
+   * Get the slowest statements, by mean latency unless `sort` says otherwise
+   * Only PostgreSQL queries are measured; other backends report none
+   */
+  getSlowQueries({ limit = DEFAULT_QUERY_LIMIT, sort = 'mean' } = {}) {
+    const parsedLimit = Number(limit)
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_QUERY_LIMIT) {
+      return this.validationError(`limit must be an integer between 1 and ${MAX_QUERY_LIMIT}`)
+    }
+
+    if (!Object.keys(SORT_FIELDS).includes(sort)) {
+      return this.validationError(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`)
+    }
+
+    if (storage.driver !== 'postgres') {
+      return {
+        success: true,
+        data: { storage: storage.driver, enabled: false, statements: [] },
+        message: `Query metrics are only collected for PostgreSQL storage, not ${storage.description}`
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        storage: storage.driver,
+        enabled: true,
+        sort,
+        ...dbConfig.metrics.slowest({ limit: parsedLimit, sortBy: sort })
+      }
+    }
+  }
+
+  /**
+   * Build a validation failure result
+   */
+  validationError(error) {
+    return { success: false, code: 'VALIDATION_ERROR', error }
+  }
+}
+
+module.exports = MetricsService
@@ -0,0 +1,47 @@
+const CounterService = require('./CounterService')
+const IntervalScheduler = require('./IntervalScheduler')
+
+/**
+ * Retention Scheduler
+ * Periodically compacts old votes into hourly rollups so counter_history
+ * stops growing with every vote ever cast
+ */
+class RetentionScheduler extends IntervalScheduler {
+  constructor(
+    retentionDays = parseFloat(process.env.HISTORY_RETENTION_DAYS) || 0,
+    intervalMs = parseInt(process.env.HISTORY_RETENTION_INTERVAL_MS) || 60 * 60 * 1000
+  ) {
+    super({
+      name: 'Retention scheduler',
+      icon: '🗜️',
+      intervalMs,
+      description: `votes older than ${retentionDays} days, every ${intervalMs}ms`,
+      // Catch up straight away rather than an interval after startup
+      runOnStart: true
+    })
+    this.counterService = new CounterService()
+    this.retentionDays = retentionDays
+  }
+
+  /**
+   * Start compacting, unless retention is disabled
+   * Raw votes are kept forever when no retention period is configured
+   */
+  start() {
+    if (this.retentionDays <= 0) {
+      console.log('🗜️ History retention disabled; raw votes are kept')
+      return
+    }
+
+    super.start()
+  }
+
+  /**
+   * Run one compaction
+   */
+  async run() {
+    await this.counterService.compactHistory(this.retentionDays)
+  }
+}
+
+module.exports = RetentionScheduler
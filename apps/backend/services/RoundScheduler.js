@@ -0,0 +1,28 @@
+const RoundService = require('./RoundService')
+const IntervalScheduler = require('./IntervalScheduler')
+
+/**
+ * Round Scheduler
+ * Periodically opens and closes rounds whose start or end time has passed
+ */
+class RoundScheduler extends IntervalScheduler {
+  constructor(intervalMs = parseInt(process.env.ROUND_SCHEDULER_INTERVAL_MS) || 1000) {
+    super({
+      name: 'Round scheduler',
+      icon: '⏱️',
+      intervalMs,
+      // Catch up on rounds that became due while the server was down
+      runOnStart: true
+    })
+    this.roundService = new RoundService()
+  }
+
+  /**
+   * Open and close every round that is due
+   */
+  async run() {
+    await this.roundService.processDueRounds()
+  }
+}
+
+module.exports = RoundScheduler
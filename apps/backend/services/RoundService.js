@@ -0,0 +1,396 @@
+const { EventEmitter } = require('events')
+const { RoundRepository, BattleRepository } = require('../repositories')
+
+const MAX_ROUND_NAME_LENGTH = 100
+
+/**
+ * Round Service
+ * Implements business logic for timed rounds: scheduling, the voting window,
+ * and freezing tallies with a winner when a round closes
+ */
+class RoundService {
+  /**
+   * Shared emitter for round lifecycle events ('round_started', 'round_ended')
+   * The WebSocket manager listens here so rounds opened or closed from any
+   * code path reach the battle's clients
+   */
+  static events = new EventEmitter()
+
+  constructor() {
+    this.roundRepository = new RoundRepository()
+    this.battleRepository = new BattleRepository()
+  }
+
+  /**
+   * Schedule a round in a battle
+   */
+  async scheduleRound(battleId, { name, startsAt, endsAt } = {}) {
+    const start = new Date(startsAt)
+    const end = new Date(endsAt)
+
+    if (!startsAt || Number.isNaN(start.getTime()) || !endsAt || Number.isNaN(end.getTime())) {
+      return this.validationError('startsAt and endsAt must be ISO 8601 timestamps')
+    }
+
+    if (end <= start) {
+      return this.validationError('endsAt must be after startsAt')
+    }
+
+    if (end <= new Date()) {
+      return this.validationError('endsAt must be in the future')
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+      return this.validationError('Round name must be a non-empty string')
+    }
+
+    if (name && name.trim().length > MAX_ROUND_NAME_LENGTH) {
+      return this.validationError(`Round name must be at most ${MAX_ROUND_NAME_LENGTH} characters`)
+    }
+
+    try {
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      if (battle.status !== 'active') {
+        return {
+          success: false,
+          code: 'BATTLE_CLOSED',
+          error: `Battle '${battle.id}' is archived and cannot schedule rounds`
+        }
+      }
+
+      const overlapping = await this.roundRepository.findOverlappingRound(battle.id, start, end)
+      if (overlapping) {
+        return {
+          success: false,
+          code: 'ROUND_OVERLAP',
+          error: `Round overlaps '${overlapping.name}' (${overlapping.starts_at.toISOString()} - ${overlapping.ends_at.toISOString()})`
+        }
+      }
+
+      const { pagination } = await this.roundRepository.getRounds(battle.id, { limit: 1 })
+      const round = await this.roundRepository.createRound({
+        battleId: battle.id,
+        name: name ? name.trim() : `Round ${pagination.totalCount + 1}`,
+        startsAt: start,
+        endsAt: end
+      })
+
+      return {
+        success: true,
+        data: round,
+        message: `Round '${round.name}' scheduled successfully`
+      }
+
+    } catch (error) {
+      console.error(`❌ RoundService.scheduleRound(${battleId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to schedule round',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * List a battle's rounds
+   */
+  async listRounds(battleId, { status = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      const rounds = await this.roundRepository.getRounds(battle.id, {
+        status,
+        limit: Math.min(Math.max(limit, 1), 1000), // Cap limit to prevent abuse
+        offset: Math.max(offset, 0)
+      })
+
+      return {
+        success: true,
+        data: { battleId: battle.id, ...rounds }
+      }
+
+    } catch (error) {
+      console.error(`❌ RoundService.listRounds(${battleId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve rounds',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Get results of a battle's closed rounds, most recent first
+   */
+  async getResults(battleId, { limit = 50, offset = 0 } = {}) {
+    const result = await this.listRounds(battleId, { status: 'closed', limit, offset })
+
+    if (!result.success) {
+      return result
+    }
+
+    return {
+      success: true,
+      data: {
+        battleId: result.data.battleId,
+        results: result.data.rounds.map(round => this.toResult(round)),
+        pagination: result.data.pagination
+      }
+    }
+  }
+
+  /**
+   * Get a single round
+   */
+  async getRound(battleId, roundId) {
+    try {
+      const { battle, failure } = await this.findBattle(battleId)
+      if (failure) {
+        return failure
+      }
+
+      const id = Number(roundId)
+      const round = Number.isInteger(id)
+        ? await this.roundRepository.getRoundById(battle.id, id)
+        : null
+
+      if (!round) {
+        return this.roundNotFound(roundId)
+      }
+
+      return {
+        success: true,
+        data: round
+      }
+
+    } catch (error) {
+      console.error(`❌ RoundService.getRound(${roundId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve round',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Close an open round before its scheduled end
+   */
+  async closeRoundEarly(battleId, roundId) {
+    const existing = await this.getRound(battleId, roundId)
+    if (!existing.success) {
+      return existing
+    }
+
+    if (existing.data.status !== 'open') {
+      return {
+        success: false,
+        code: 'ROUND_NOT_OPEN',
+        error: `Round '${existing.data.name}' is ${existing.data.status} and cannot be closed`
+      }
+    }
+
+    try {
+      const round = await this.closeRound(existing.data, { endNow: true })
+
+      if (!round) {
+        return {
+          success: false,
+          code: 'ROUND_NOT_OPEN',
+          error: `Round '${existing.data.name}' has already closed`
+        }
+      }
+
+      return {
+        success: true,
+        data: this.toResult(round),
+        message: `Round '${round.name}' closed`
+      }
+
+    } catch (error) {
+      console.error(`❌ RoundService.closeRoundEarly(${roundId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to close round',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Check whether a battle is accepting votes right now
+   * Battles without rounds always accept votes; otherwise a round must be running.
+   * A round that is due but not yet opened by the scheduler is opened here, so
+   * early votes are not wiped by the round's counter reset.
+   * Returns null when voting is allowed, or a failure result
+   */
+  async checkVotingWindow(battleId) {
+    if (!(await this.roundRepository.hasRounds(battleId))) {
+      return null
+    }
+
+    const current = await this.roundRepository.getCurrentRound(battleId)
+
+    if (current) {
+      if (current.status === 'scheduled') {
+        await this.openRound(current)
+      }
+      return null
+    }
+
+    const { next, previous } = await this.roundRepository.getAdjacentRounds(battleId)
+    let error = 'Voting is closed: no round is currently running'
+
+    if (next) {
+      error = `Voting is closed: round '${next.name}' opens at ${next.starts_at.toISOString()}`
+    } else if (previous) {
+      error = `Voting is closed: round '${previous.name}' ended at ${(previous.closed_at || previous.ends_at).toISOString()}`
+    }
+
+    return {
+      success: false,
+      code: 'ROUND_NOT_OPEN',
+      error,
+      nextRound: next ? { id: next.id, name: next.name, startsAt: next.starts_at } : null
+    }
+  }
+
+  /**
+   * Open or close every round whose start or end time has passed
+   * Called periodically by the RoundScheduler
+   */
+  async processDueRounds() {
+    const dueRounds = await this.roundRepository.getDueRounds()
+    const now = new Date()
+
+    for (const round of dueRounds) {
+      let current = round
+
+      if (current.status === 'scheduled') {
+        current = (await this.openRound(current)) || { ...current, status: 'open' }
+      }
+
+      if (current.ends_at <= now) {
+        await this.closeRound(current)
+      }
+    }
+  }
+
+  /**
+   * Open a round and announce it
+   */
+  async openRound(round) {
+    const opened = await this.roundRepository.openRound(round.id)
+
+    if (opened) {
+      console.log(`🟢 Round ${opened.id} ('${opened.name}') opened in battle ${opened.battle_id}`)
+      RoundService.events.emit('round_started', opened)
+    }
+
+    return opened
+  }
+
+  /**
+   * Close a round, freeze its tallies and announce the result
+   */
+  async closeRound(round, { endNow = false } = {}) {
+    const closed = await this.roundRepository.closeRound(
+      round.id,
+      tallies => this.decideWinner(tallies),
+      { endNow }
+    )
+
+    if (closed) {
+      const result = this.toResult(closed)
+      console.log(`🏁 Round ${closed.id} ('${closed.name}') closed in battle ${closed.battle_id}:`,
+        result.isTie ? `tie between ${result.tiedTeams.join(', ')}` : `winner ${result.winner}`)
+      RoundService.events.emit('round_ended', result)
+    }
+
+    return closed
+  }
+
+  /**
+   * Decide the winner from final tallies; ties have no winner
+   */
+  decideWinner(tallies) {
+    const entries = Object.entries(tallies)
+
+    if (entries.length === 0) {
+      return { winner: null, isTie: false }
+    }
+
+    const topCount = Math.max(...entries.map(([, count]) => count))
+    const leaders = entries.filter(([, count]) => count === topCount)
+
+    return leaders.length === 1
+      ? { winner: leaders[0][0], isTie: false }
+      : { winner: null, isTie: true }
+  }
+
+  /**
+   * Shape a closed round for the results endpoint and round_ended messages
+   */
+  toResult(round) {
+    const tallies = round.final_tallies || {}
+    const topCount = Math.max(0, ...Object.values(tallies))
+
+    return {
+      roundId: round.id,
+      battleId: round.battle_id,
+      name: round.name,
+      startsAt: round.starts_at,
+      endsAt: round.ends_at,
+      closedAt: round.closed_at,
+      tallies,
+      winner: round.winner,
+      isTie: round.is_tie === true,
+      tiedTeams: round.is_tie
+        ? Object.keys(tallies).filter(teamId => tallies[teamId] === topCount)
+        : []
+    }
+  }
+
+  /**
+   * Look up a battle, returning either the battle or a failure result
+   */
+  async findBattle(battleId) {
+    const normalizedId = typeof battleId === 'string' ? battleId.trim().toLowerCase() : ''
+    const battle = await this.battleRepository.getBattleById(normalizedId)
+
+    if (!battle) {
+      return {
+        failure: {
+          success: false,
+          code: 'BATTLE_NOT_FOUND',
+          error: `Battle '${battleId}' not found`
+        }
+      }
+    }
+
+    return { battle }
+  }
+
+  /**
+   * Build a validation failure result
+   */
+  validationError(error) {
+    return { success: false, code: 'VALIDATION_ERROR', error }
+  }
+
+  /**
+   * Build a not-found failure result
+   */
+  roundNotFound(roundId) {
+    return { success: false, code: 'ROUND_NOT_FOUND', error: `Round '${roundId}' not found` }
+  }
+}
+
+module.exports = RoundService
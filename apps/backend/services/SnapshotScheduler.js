@@ -0,0 +1,22 @@
+const CounterService = require('./CounterService')
+const IntervalScheduler = require('./IntervalScheduler')
+
+/**
+ * Snapshot Scheduler
+ * Periodically snapshots the counters so point-in-time queries stay fast
+ */
+class SnapshotScheduler extends IntervalScheduler {
+  constructor(intervalMs = parseInt(process.env.COUNTER_SNAPSHOT_INTERVAL_MS) || 5 * 60 * 1000) {
+    super({ name: 'Snapshot scheduler', icon: '📸', intervalMs })
+    this.counterService = new CounterService()
+  }
+
+  /**
+   * Take one snapshot
+   */
+  async run() {
+    await this.counterService.takeSnapshots()
+  }
+}
+
+module.exports = SnapshotScheduler
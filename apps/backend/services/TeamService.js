@@ -0,0 +1,243 @@
+const { TeamRepository } = require('../repositories')
+
+const TEAM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/
+const TEAM_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/
+const MAX_TEAM_NAME_LENGTH = 100
+
+/**
+ * Team Service
+ * Implements business logic for creating, renaming and retiring teams
+ */
+class TeamService {
+  constructor() {
+    this.teamRepository = new TeamRepository()
+    this.maxActiveTeams = parseInt(process.env.MAX_ACTIVE_TEAMS) || 8
+  }
+
+  /**
+   * List teams
+   */
+  async listTeams({ includeRetired = false } = {}) {
+    try {
+      const teams = await this.teamRepository.getTeams({ includeRetired })
+      return {
+        success: true,
+        data: { teams }
+      }
+    } catch (error) {
+      console.error('❌ TeamService.listTeams error:', error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve teams',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Get a single team
+   */
+  async getTeam(teamId) {
+    try {
+      const team = await this.teamRepository.getTeamById(this.normalizeTeamId(teamId))
+
+      if (!team) {
+        return this.notFound(teamId)
+      }
+
+      return {
+        success: true,
+        data: team
+      }
+    } catch (error) {
+      console.error(`❌ TeamService.getTeam(${teamId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to retrieve team',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Create a new team
+   */
+  async createTeam({ id, name, color } = {}) {
+    const teamId = this.normalizeTeamId(id)
+
+    if (!TEAM_ID_PATTERN.test(teamId)) {
+      return this.validationError(
+        'Team id must be 1-50 characters of lowercase letters, digits, "-" or "_"'
+      )
+    }
+
+    const nameError = this.validateName(name)
+    if (nameError) {
+      return this.validationError(nameError)
+    }
+
+    if (!TEAM_COLOR_PATTERN.test(color || '')) {
+      return this.validationError('Team color must be a hex color such as "#ff6b6b"')
+    }
+
+    try {
+      const existing = await this.teamRepository.getTeamById(teamId)
+      if (existing) {
+        return {
+          success: false,
+          code: 'TEAM_EXISTS',
+          error: `Team '${teamId}' already exists`
+        }
+      }
+
+      const activeTeams = await this.teamRepository.countActiveTeams()
+      if (activeTeams >= this.maxActiveTeams) {
+        return {
+          success: false,
+          code: 'TEAM_LIMIT_REACHED',
+          error: `A contest supports at most ${this.maxActiveTeams} active teams`
+        }
+      }
+
+      const team = await this.teamRepository.createTeam({
+        id: teamId,
+        name: name.trim(),
+        color
+      })
+
+      return {
+        success: true,
+        data: team,
+        message: `Team '${team.name}' created successfully`
+      }
+
+    } catch (error) {
+      console.error(`❌ TeamService.createTeam(${teamId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to create team',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Rename a team and/or change its display color
+   */
+  async updateTeam(teamId, { name, color } = {}) {
+    if (name === undefined && color === undefined) {
+      return this.validationError('Provide a name or color to update')
+    }
+
+    if (name !== undefined) {
+      const nameError = this.validateName(name)
+      if (nameError) {
+        return this.validationError(nameError)
+      }
+    }
+
+    if (color !== undefined && !TEAM_COLOR_PATTERN.test(color || '')) {
+      return this.validationError('Team color must be a hex color such as "#ff6b6b"')
+    }
+
+    try {
+      const team = await this.teamRepository.updateTeam(this.normalizeTeamId(teamId), {
+        name: name?.trim(),
+        color
+      })
+
+      if (!team) {
+        return this.notFound(teamId)
+      }
+
+      return {
+        success: true,
+        data: team,
+        message: `Team '${team.id}' updated successfully`
+      }
+
+    } catch (error) {
+      console.error(`❌ TeamService.updateTeam(${teamId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to update team',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Retire a team
+   * Retired teams stop accepting votes but keep their history
+   */
+  async retireTeam(teamId) {
+    try {
+      const normalizedId = this.normalizeTeamId(teamId)
+      const existing = await this.teamRepository.getTeamById(normalizedId)
+
+      if (!existing) {
+        return this.notFound(teamId)
+      }
+
+      if (!existing.is_active) {
+        return {
+          success: false,
+          code: 'TEAM_RETIRED',
+          error: `Team '${normalizedId}' is already retired`
+        }
+      }
+
+      const team = await this.teamRepository.retireTeam(normalizedId)
+
+      return {
+        success: true,
+        data: team,
+        message: `Team '${team.name}' retired successfully`
+      }
+
+    } catch (error) {
+      console.error(`❌ TeamService.retireTeam(${teamId}) error:`, error.message)
+      return {
+        success: false,
+        error: 'Failed to retire team',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    }
+  }
+
+  /**
+   * Normalize team ids to their stored lowercase form
+   */
+  normalizeTeamId(teamId) {
+    return typeof teamId === 'string' ? teamId.trim().toLowerCase() : ''
+  }
+
+  /**
+   * Validate a display name, returning an error message or null
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return 'Team name is required'
+    }
+    if (name.trim().length > MAX_TEAM_NAME_LENGTH) {
+      return `Team name must be at most ${MAX_TEAM_NAME_LENGTH} characters`
+    }
+    return null
+  }
+
+  /**
+   * Build a validation failure result
+   */
+  validationError(error) {
+    return { success: false, code: 'VALIDATION_ERROR', error }
+  }
+
+  /**
+   * Build a not-found failure result
+   */
+  notFound(teamId) {
+    return { success: false, code: 'TEAM_NOT_FOUND', error: `Team '${teamId}' not found` }
+  }
+}
+
+module.exports = TeamService
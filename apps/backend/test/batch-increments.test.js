@@ -0,0 +1,109 @@
+const { describe, it, before, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const apiRoutes = require('../routes/api')
+const { errorHandler } = require('../middleware/errorHandler')
+const CounterService = require('../services/CounterService')
+
+const counterService = new CounterService()
+
+// Stands in for the WebSocket manager, counting the broadcasts a request makes
+let broadcasts = []
+const wsManager = {
+  broadcastCounterUpdate: async (battleId) => { broadcasts.push(battleId) },
+  scheduleLeaderboardUpdate: () => {}
+}
+
+const app = express()
+app.use(express.json())
+app.use((req, res, next) => {
+  req.wsManager = wsManager
+  next()
+})
+app.use('/api', apiRoutes)
+app.use(errorHandler)
+
+let server
+let baseUrl
+
+const postBatch = async (body) => {
+  const response = await fetch(`${baseUrl}/api/counters/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+const getCounters = async () => (await counterService.getCurrentCounters()).data.counters
+
+describe('batch increments', () => {
+  before(async () => {
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://localhost:${server.address().port}`
+  })
+
+  beforeEach(async () => {
+    await resetStorage()
+    broadcasts = []
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+    await closeStorage()
+  })
+
+  it('applies an atomic batch in full and broadcasts once', async () => {
+    const { status, body } = await postBatch({
+      atomic: true,
+      increments: [{ color: 'red', incrementBy: 2 }, { color: 'blue' }, { color: 'red' }]
+    })
+
+    assert.equal(status, 200)
+    assert.equal(body.data.atomic, true)
+    assert.equal(body.data.summary.successful, 3)
+    assert.deepEqual(body.data.successful.map(result => result.newCount), [2, 1, 3])
+    assert.deepEqual(await getCounters(), { blue: 1, red: 3 })
+    assert.deepEqual(broadcasts, ['default'])
+
+    const history = await counterService.getCounterHistory()
+    assert.equal(history.data.pagination.totalCount, 3)
+  })
+
+  it('rejects the whole atomic batch when one item is invalid', async () => {
+    const { status, body } = await postBatch({
+      atomic: true,
+      increments: [{ color: 'red' }, { color: 'purple' }, { color: 'blue', incrementBy: 0 }]
+    })
+
+    assert.equal(status, 400)
+    assert.equal(body.code, 'VALIDATION_ERROR')
+    assert.deepEqual(body.data.failed.map(failure => failure.index), [1, 2])
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+    assert.deepEqual(broadcasts, [])
+
+    const history = await counterService.getCounterHistory()
+    assert.equal(history.data.pagination.totalCount, 0)
+  })
+
+  it('applies the valid items of a non-atomic batch', async () => {
+    const { status, body } = await postBatch({
+      increments: [{ color: 'red' }, { color: 'purple' }]
+    })
+
+    assert.equal(status, 207)
+    assert.equal(body.data.summary.successful, 1)
+    assert.equal(body.data.summary.failed, 1)
+    assert.deepEqual(await getCounters(), { blue: 0, red: 1 })
+    assert.deepEqual(broadcasts, ['default'])
+  })
+
+  it('refuses an atomic flag that is not a boolean', async () => {
+    const { status } = await postBatch({ atomic: 'yes', increments: [{ color: 'red' }] })
+
+    assert.equal(status, 400)
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+  })
+})
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const WebSocket = require('ws')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const BattleService = require('../services/BattleService')
+const CounterService = require('../services/CounterService')
+const TeamService = require('../services/TeamService')
+const WebSocketManager = require('../websocket/WebSocketManager')
+
+const battleService = new BattleService()
+const counterService = new CounterService()
+const teamService = new TeamService()
+
+const createBattle = async (id, teams = undefined) => {
+  const result = await battleService.createBattle({ id, name: `Battle ${id}`, teams })
+  assert.equal(result.success, true, result.error)
+  return result.data
+}
+
+const getCounters = async (battleId) => (await counterService.getCurrentCounters(battleId)).data.counters
+
+describe('battles', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  it('keeps the counters and history of each battle apart', async () => {
+    await createBattle('stream-1')
+
+    await counterService.incrementCounter('red', { battleId: 'stream-1', incrementBy: 3 })
+    await counterService.incrementCounter('blue')
+
+    assert.deepEqual(await getCounters('stream-1'), { blue: 0, red: 3 })
+    assert.deepEqual(await getCounters('default'), { blue: 1, red: 0 })
+
+    const history = await counterService.getCounterHistory({ battleId: 'stream-1' })
+    assert.deepEqual(history.data.history.map(entry => entry.color), ['red'])
+
+    await counterService.resetAllCounters(null, 'stream-1')
+    assert.deepEqual(await getCounters('default'), { blue: 1, red: 0 })
+  })
+
+  it('only counts votes for the teams in the battle', async () => {
+    await teamService.createTeam({ id: 'green', name: 'Green', color: '#00ff00' })
+    const battle = await createBattle('duel', ['Red', 'green'])
+
+    assert.deepEqual(battle.teams.sort(), ['green', 'red'])
+    assert.deepEqual(await getCounters('duel'), { green: 0, red: 0 })
+
+    const result = await counterService.incrementCounter('blue', { battleId: 'duel' })
+    assert.equal(result.success, false)
+    assert.deepEqual(await getCounters('duel'), { green: 0, red: 0 })
+  })
+
+  it('validates new battles', async () => {
+    const badId = await battleService.createBattle({ id: 'Not valid!', name: 'X' })
+    assert.equal(badId.code, 'VALIDATION_ERROR')
+
+    const oneTeam = await battleService.createBattle({ id: 'solo', name: 'Solo', teams: ['red'] })
+    assert.equal(oneTeam.code, 'VALIDATION_ERROR')
+
+    const unknownTeam = await battleService.createBattle({ id: 'odd', name: 'Odd', teams: ['red', 'purple'] })
+    assert.equal(unknownTeam.code, 'VALIDATION_ERROR')
+    assert.match(unknownTeam.error, /purple/)
+
+    const duplicate = await battleService.createBattle({ id: 'default', name: 'Again' })
+    assert.equal(duplicate.code, 'BATTLE_EXISTS')
+  })
+
+  it('stops an archived battle from voting but keeps its counters', async () => {
+    await createBattle('finished')
+    await counterService.incrementCounter('red', { battleId: 'finished' })
+
+    const archived = await battleService.archiveBattle('finished')
+    assert.equal(archived.success, true, archived.error)
+    assert.equal(archived.data.status, 'archived')
+
+    const vote = await counterService.incrementCounter('red', { battleId: 'finished' })
+    assert.equal(vote.code, 'BATTLE_CLOSED')
+    assert.deepEqual(await getCounters('finished'), { blue: 0, red: 1 })
+
+    const defaultBattle = await battleService.archiveBattle('default')
+    assert.equal(defaultBattle.code, 'VALIDATION_ERROR')
+  })
+
+  it('rejects unknown battles', async () => {
+    const vote = await counterService.incrementCounter('red', { battleId: 'missing' })
+    assert.equal(vote.code, 'BATTLE_NOT_FOUND')
+
+    const counters = await counterService.getCurrentCounters('missing')
+    assert.equal(counters.code, 'BATTLE_NOT_FOUND')
+  })
+
+  it('broadcasts only to the clients watching the battle', () => {
+    const sent = []
+    const client = (id, battleId) => [id, { battleId, ws: { id, readyState: WebSocket.OPEN } }]
+    const manager = {
+      clients: new Map([client('a', 'default'), client('b', 'stream-1'), client('c', 'default')]),
+      sendMessage: (ws) => sent.push(ws.id)
+    }
+
+    WebSocketManager.prototype.broadcastToBattle.call(manager, 'default', { type: 'counter_update' })
+
+    assert.deepEqual(sent, ['a', 'c'])
+  })
+})
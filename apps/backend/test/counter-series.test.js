@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const CounterService = require('../services/CounterService')
+
+const counterService = new CounterService()
+
+const vote = (id, color, previousCount, incrementBy, timestamp) => ({
+  id,
+  battle_id: 'default',
+  color,
+  previous_count: previousCount,
+  new_count: previousCount + incrementBy,
+  increment_amount: incrementBy,
+  timestamp
+})
+
+// Red has 5 votes by 10:40 and 6 by noon; blue has 1
+const importVotes = async () => {
+  const text = [
+    vote(1, 'red', 0, 2, '2025-01-01T10:00:00.000Z'),
+    vote(2, 'red', 2, 3, '2025-01-01T10:30:00.000Z'),
+    vote(3, 'blue', 0, 1, '2025-01-01T10:45:00.000Z'),
+    vote(4, 'red', 5, 1, '2025-01-01T11:15:00.000Z')
+  ].map(record => JSON.stringify(record)).join('\n')
+
+  const result = await counterService.importCounterHistory([text], { format: 'ndjson' })
+  assert.equal(result.success, true, result.error)
+}
+
+const getSeries = async (filters) => {
+  const result = await counterService.getCounterSeries(filters)
+  assert.equal(result.success, true, result.error)
+  return Object.fromEntries(result.data.series.map(entry => [entry.color, entry]))
+}
+
+const getCountersAt = async (at) => {
+  const result = await counterService.getCountersAt(at)
+  assert.equal(result.success, true, result.error)
+  return result.data.counters
+}
+
+describe('counter series', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  it('starts the running totals from the counts at the start of the range', async () => {
+    await importVotes()
+
+    const series = await getSeries({
+      bucket: 'hour',
+      from: '2025-01-01T10:40:00.000Z',
+      to: '2025-01-01T11:59:00.000Z'
+    })
+
+    assert.deepEqual(series.red.points.map(point => point.increments), [0, 1])
+    assert.deepEqual(series.red.points.map(point => point.cumulative), [5, 6])
+    assert.equal(series.red.total, 1)
+    assert.deepEqual(series.blue.points.map(point => point.cumulative), [1, 1])
+    assert.equal(series.blue.total, 1)
+
+    const atEnd = await getCountersAt('2025-01-01T11:59:00.000Z')
+    assert.equal(series.red.points[1].cumulative, atEnd.red)
+    assert.equal(series.blue.points[1].cumulative, atEnd.blue)
+  })
+
+  it('follows resets in the running totals but not in the vote counts', async () => {
+    const from = new Date(Date.now() - 60 * 1000).toISOString()
+    await counterService.incrementCounter('red', { incrementBy: 3 })
+    await counterService.resetAllCounters()
+    await counterService.incrementCounter('red')
+    const to = new Date().toISOString()
+
+    const series = await getSeries({ bucket: 'hour', from, to })
+    const points = series.red.points
+
+    assert.equal(series.red.total, 4)
+    assert.equal(points[points.length - 1].cumulative, 1)
+    assert.deepEqual(await getCountersAt(to), { blue: 0, red: 1 })
+  })
+})
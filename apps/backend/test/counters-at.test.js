@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const CounterService = require('../services/CounterService')
+
+const counterService = new CounterService()
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const vote = (color, incrementBy = 1) => counterService.incrementCounter(color, { incrementBy })
+
+const getCountersAt = async (at) => {
+  const result = await counterService.getCountersAt(at instanceof Date ? at.toISOString() : at)
+  assert.equal(result.success, true, result.error)
+  return result.data
+}
+
+// A moment strictly between the ledger rows written before and after it
+const pause = async () => {
+  await sleep(5)
+  const moment = new Date()
+  await sleep(5)
+  return moment
+}
+
+describe('counters at a point in time', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  it('replays the ledger up to the requested moment', async () => {
+    const beforeVotes = await pause()
+    await vote('red', 2)
+    await vote('blue')
+    const afterFirstVotes = await pause()
+    await vote('red')
+
+    assert.deepEqual((await getCountersAt(beforeVotes)).counters, { blue: 0, red: 0 })
+    assert.deepEqual((await getCountersAt(afterFirstVotes)).counters, { blue: 1, red: 2 })
+    assert.deepEqual((await getCountersAt(new Date())).counters, { blue: 1, red: 3 })
+  })
+
+  it('includes resets', async () => {
+    await vote('red', 4)
+    const beforeReset = await pause()
+    await counterService.resetAllCounters()
+
+    assert.deepEqual((await getCountersAt(beforeReset)).counters, { blue: 0, red: 4 })
+    assert.deepEqual((await getCountersAt(new Date())).counters, { blue: 0, red: 0 })
+  })
+
+  it('starts from the latest snapshot taken before the moment', async () => {
+    await vote('red', 2)
+    const beforeSnapshot = await pause()
+
+    const snapshot = await counterService.takeSnapshots()
+    assert.ok(snapshot)
+    await pause()
+    await vote('blue', 3)
+
+    const now = await getCountersAt(new Date())
+    assert.deepEqual(now.counters, { blue: 3, red: 2 })
+    assert.ok(now.snapshotTakenAt)
+
+    const earlier = await getCountersAt(beforeSnapshot)
+    assert.deepEqual(earlier.counters, { blue: 0, red: 2 })
+    assert.equal(earlier.snapshotTakenAt, null)
+  })
+
+  it('skips a snapshot when the ledger has not changed', async () => {
+    await vote('red')
+
+    assert.ok(await counterService.takeSnapshots())
+    assert.equal(await counterService.takeSnapshots(), null)
+  })
+
+  it('rejects invalid and future moments', async () => {
+    const invalid = await counterService.getCountersAt('yesterday')
+    assert.equal(invalid.code, 'VALIDATION_ERROR')
+
+    const future = await counterService.getCountersAt(new Date(Date.now() + 60 * 1000).toISOString())
+    assert.equal(future.code, 'VALIDATION_ERROR')
+
+    const missing = await counterService.getCountersAt(new Date().toISOString(), 'missing')
+    assert.equal(missing.code, 'BATTLE_NOT_FOUND')
+  })
+})
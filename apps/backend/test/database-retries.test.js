@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+// Loaded for its quiet console; these tests use fake pools, not the storage
+require('./helpers/storage')
+const { FakePool, pgError, useFakePools } = require('./helpers/fakePg')
+const dbConfig = require('../config/database')
+
+const deadlock = () => pgError('deadlock detected', '40P01')
+const connectionLost = () => pgError('Connection terminated unexpectedly')
+
+// Transaction control and the reconnect probe, which always succeed
+const CONTROL_STATEMENT = /^(BEGIN|COMMIT|ROLLBACK|SELECT 1)$/
+
+/**
+ * A pool whose statements fail with the given errors, in order, and then
+ * succeed
+ */
+const failingPool = (...errors) => new FakePool('primary', (text) => {
+  if (CONTROL_STATEMENT.test(text)) {
+    return []
+  }
+  const error = errors.shift()
+  if (error) {
+    throw error
+  }
+  return [{ ok: true }]
+})
+
+describe('database retries', () => {
+  let db
+
+  beforeEach(() => {
+    db = new dbConfig.constructor()
+    db.maxRetries = 2
+  })
+
+  afterEach(() => db.close())
+
+  it('classifies errors that are safe to retry', () => {
+    assert.equal(db.isRetryable(pgError('could not serialize access', '40001')), true)
+    assert.equal(db.isRetryable(deadlock()), true)
+    assert.equal(db.isRetryable(pgError('duplicate key value', '23505')), false)
+    assert.equal(db.isRetryable(connectionLost()), false)
+    assert.equal(db.isRetryable(connectionLost(), { readOnly: true }), true)
+    assert.equal(db.isRetryable(Object.assign(connectionLost(), { notSent: true })), true)
+    assert.equal(db.isRetryable(pgError('terminating connection due to administrator command', '57P01'), { readOnly: true }), true)
+  })
+
+  it('reruns a statement after a deadlock', async () => {
+    const primary = failingPool(deadlock())
+    useFakePools(db, { primary })
+
+    const result = await db.query('UPDATE counters SET count = count + 1')
+
+    assert.deepEqual(result.rows, [{ ok: true }])
+    assert.equal(primary.statements.length, 2)
+    assert.equal(db.connectionEvents.retries.query, 1)
+    assert.equal(db.connectionEvents.lastRetry.error, '40P01')
+  })
+
+  it('gives up after DB_QUERY_RETRIES attempts', async () => {
+    const primary = failingPool(deadlock(), deadlock(), deadlock(), deadlock())
+    useFakePools(db, { primary })
+
+    await assert.rejects(db.query('UPDATE counters SET count = count + 1'), { code: '40P01' })
+    assert.equal(primary.statements.length, 3)
+  })
+
+  it('does not rerun a write whose connection dropped, but reruns a read', async () => {
+    const primary = failingPool(connectionLost(), connectionLost())
+    useFakePools(db, { primary })
+
+    const sent = () => primary.statements.filter(text => !CONTROL_STATEMENT.test(text))
+
+    await assert.rejects(db.query('UPDATE counters SET count = count + 1'), /Connection terminated/)
+    assert.equal(sent().length, 1)
+
+    const result = await db.query('SELECT count FROM counters', [], { readOnly: true })
+    assert.deepEqual(result.rows, [{ ok: true }])
+    assert.equal(sent().length, 3)
+  })
+
+  it('retries a write that could not get a connection', async () => {
+    const primary = failingPool()
+    const connect = primary.connect.bind(primary)
+    let refusals = 1
+    primary.connect = async () => {
+      if (refusals-- > 0) {
+        throw pgError('connect ECONNREFUSED', 'ECONNREFUSED')
+      }
+      return connect()
+    }
+    useFakePools(db, { primary })
+
+    const result = await db.query('UPDATE counters SET count = count + 1')
+
+    assert.deepEqual(result.rows, [{ ok: true }])
+    assert.equal(primary.statements.length, 1)
+  })
+
+  it('reruns a whole transaction after a deadlock', async () => {
+    const primary = failingPool(null, deadlock())
+    useFakePools(db, { primary })
+    let attempts = 0
+
+    const result = await db.withTransaction(async (client) => {
+      attempts += 1
+      await client.query('SELECT count FROM counters FOR UPDATE')
+      await client.query('UPDATE counters SET count = count + 1')
+      return 'done'
+    })
+
+    assert.equal(result, 'done')
+    assert.equal(attempts, 2)
+    assert.deepEqual(primary.statements.filter(text => CONTROL_STATEMENT.test(text)), ['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT'])
+    assert.equal(db.connectionEvents.retries.transaction, 1)
+  })
+
+  it('does not rerun a transaction whose COMMIT lost the connection', async () => {
+    let commits = 0
+    const primary = new FakePool('primary', (text) => {
+      if (text === 'COMMIT' && commits++ === 0) {
+        throw connectionLost()
+      }
+      return []
+    })
+    useFakePools(db, { primary })
+    let attempts = 0
+
+    await assert.rejects(
+      db.withTransaction(async (client) => {
+        attempts += 1
+        await client.query('UPDATE counters SET count = count + 1')
+      }),
+      (error) => error.commitOutcomeUnknown === true
+    )
+    assert.equal(attempts, 1)
+  })
+})
@@ -0,0 +1,129 @@
+const { describe, it, before, beforeEach, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const storage = require('../config/storage')
+const apiRoutes = require('../routes/api')
+const { errorHandler } = require('../middleware/errorHandler')
+
+// Stands in for the WebSocket manager index.js starts; null until it is up
+let wsManager = null
+const runningWsManager = () => ({ closing: false, getClientCounts: () => ({ default: 2 }) })
+
+const app = express()
+app.use(express.json())
+app.use((req, res, next) => {
+  req.wsManager = wsManager
+  next()
+})
+app.use('/api', apiRoutes)
+app.use(errorHandler)
+
+let server
+let baseUrl
+
+const get = async (pathname) => {
+  const response = await fetch(`${baseUrl}${pathname}`)
+  return { status: response.status, body: await response.json() }
+}
+
+describe('health checks', () => {
+  before(async () => {
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://localhost:${server.address().port}`
+  })
+
+  beforeEach(async () => {
+    await resetStorage()
+    wsManager = runningWsManager()
+    app.set('shuttingDown', false)
+  })
+
+  afterEach(() => {
+    // Drop any stubbed check, uncovering StorageConfig's own
+    delete storage.healthCheck
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+    await closeStorage()
+  })
+
+  it('is ready when every dependency is', async () => {
+    const { status, body } = await get('/api/health/ready')
+
+    assert.equal(status, 200)
+    assert.equal(body.status, 'ready')
+    assert.deepEqual(body.checks, {
+      migrations: { ready: true },
+      database: { ready: true },
+      websocket: { ready: true },
+      shutdown: { ready: true }
+    })
+  })
+
+  it('stops being ready, but stays alive, once shutdown starts', async () => {
+    app.set('shuttingDown', true)
+
+    const ready = await get('/api/health/ready')
+    assert.equal(ready.status, 503)
+    assert.equal(ready.body.status, 'not_ready')
+    assert.deepEqual(ready.body.checks.shutdown, { ready: false })
+
+    const live = await get('/api/health/live')
+    assert.equal(live.status, 200)
+    assert.equal(live.body.status, 'alive')
+  })
+
+  it('is not ready before migrations finish or while the WebSocket server is down', async () => {
+    storage.ready = false
+    const migrating = await get('/api/health/ready')
+    storage.ready = true
+
+    assert.equal(migrating.status, 503)
+    assert.deepEqual(migrating.body.checks.migrations, { ready: false })
+
+    wsManager = { ...runningWsManager(), closing: true }
+    const closing = await get('/api/health/ready')
+    assert.equal(closing.status, 503)
+    assert.deepEqual(closing.body.checks.websocket, { ready: false })
+
+    wsManager = null
+    const down = await get('/api/health/ready')
+    assert.equal(down.status, 503)
+  })
+
+  it('is not ready while the database fails, but stays alive', async () => {
+    storage.healthCheck = async () => ({ status: 'unhealthy', error: 'Database not connected' })
+
+    const ready = await get('/api/health/ready')
+    assert.equal(ready.status, 503)
+    assert.deepEqual(ready.body.checks.database, { ready: false, error: 'Database not connected' })
+
+    const live = await get('/api/health/live')
+    assert.equal(live.status, 200)
+  })
+
+  it('reports every dependency in detail', async () => {
+    const { status, body } = await get('/api/health/dependencies')
+
+    assert.equal(status, 200)
+    assert.equal(body.status, 'healthy')
+    assert.equal(body.database.storage, storage.driver)
+    assert.deepEqual(body.websocket, { status: 'up', clients: { default: 2 } })
+    assert.equal(body.process.shuttingDown, false)
+
+    if (storage.driver === 'memory') {
+      assert.deepEqual(body.migrations, { status: 'not_applicable' })
+      assert.equal(body.database.pool, null)
+    } else {
+      assert.equal(body.migrations.pending, 0)
+      assert.ok(body.migrations.version)
+    }
+
+    if (storage.driver === 'postgres') {
+      assert.deepEqual(Object.keys(body.database.pool), ['total', 'idle', 'waiting', 'max'])
+    }
+  })
+})
@@ -0,0 +1,59 @@
+/**
+ * Fake pg pools
+ * Stand in for a primary or a read replica in DatabaseConfig tests. Every
+ * statement is answered by `respond(text, params)`, which returns the rows or
+ * throws, and is recorded in `statements`.
+ */
+class FakePool {
+  constructor(name, respond = () => []) {
+    this.name = name
+    this.respond = respond
+    this.statements = []
+    this.options = { host: name, port: 5432 }
+  }
+
+  async query(text, params = []) {
+    this.statements.push(text)
+    const rows = await this.respond(text, params)
+    return { rows, rowCount: rows.length }
+  }
+
+  async connect() {
+    return {
+      query: (text, params) => this.query(text, params),
+      release: () => {}
+    }
+  }
+
+  on() {}
+
+  async end() {}
+}
+
+/**
+ * An error as pg raises it, with `code` set to a SQLSTATE, or left unset for
+ * a broken connection
+ */
+const pgError = (message, code) => Object.assign(new Error(message), code ? { code } : {})
+
+/**
+ * Point `db` (a DatabaseConfig) at fake pools, as if connect() had succeeded
+ * with every replica healthy
+ */
+const useFakePools = (db, { primary, replicas = [] }) => {
+  db.pool = primary
+  db.isConnected = true
+  db.replicas = replicas.map(pool => ({
+    name: pool.name,
+    pool,
+    healthy: true,
+    lastError: null,
+    lastCheckedAt: null
+  }))
+}
+
+module.exports = {
+  FakePool,
+  pgError,
+  useFakePools
+}
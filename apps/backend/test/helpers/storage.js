@@ -0,0 +1,104 @@
+/**
+ * Test storage
+ * Runs the tests against the backend selected by STORAGE: `memory` (the
+ * default), `sqlite`, which gets a new database file for every reset, or
+ * `postgres`, which gets a new schema in the DB_* database for every reset.
+ * Must be required before anything that reads the storage configuration.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Client } = require('pg')
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test'
+process.env.STORAGE = process.env.STORAGE || 'memory'
+
+// Test files run in parallel processes; each migrates its own schema
+const SCHEMA = `test_${process.pid}`
+if (process.env.STORAGE === 'postgres') {
+  process.env.PGOPTIONS = `-c search_path=${SCHEMA}`
+}
+
+// Services log every vote, round and migration; keep the test report readable
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error']
+CONSOLE_METHODS.forEach(method => {
+  console[method] = () => {}
+})
+
+const storage = require('../../config/storage')
+const dbConfig = require('../../config/database')
+const sqliteConfig = require('../../config/sqlite')
+const memoryStore = require('../../repositories/memory/MemoryStore')
+
+// Holds the SQLite database files; created on first use
+let directory = null
+let databases = 0
+
+/**
+ * Run `sql` on a connection of its own, outside the pool under test
+ */
+const runAdmin = async (sql) => {
+  const client = new Client(dbConfig.poolSettings())
+  await client.connect()
+  try {
+    await client.query(sql)
+  } finally {
+    await client.end()
+  }
+}
+
+/**
+ * Connect to an empty store with the seeded teams and default battle
+ */
+const resetStorage = async () => {
+  if (storage.ready) {
+    await storage.close()
+  }
+
+  if (storage.driver === 'sqlite') {
+    directory = directory || fs.mkdtempSync(path.join(os.tmpdir(), 'red-vs-blue-test-'))
+    databases += 1
+    process.env.SQLITE_PATH = path.join(directory, `test-${databases}.sqlite`)
+  }
+
+  if (storage.driver === 'postgres') {
+    await runAdmin(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE; CREATE SCHEMA ${SCHEMA}`)
+  }
+
+  await storage.connect()
+}
+
+/**
+ * Overwrite a counter without a ledger entry, as if it had drifted
+ */
+const setCounter = async (battleId, color, count) => {
+  if (storage.driver === 'postgres') {
+    await dbConfig.query('UPDATE counters SET count = $1 WHERE battle_id = $2 AND color = $3', [count, battleId, color])
+  } else if (storage.driver === 'sqlite') {
+    sqliteConfig.query('UPDATE counters SET count = ? WHERE battle_id = ? AND color = ?', [count, battleId, color])
+  } else {
+    memoryStore.getCounter(battleId, color).count = count
+  }
+}
+
+/**
+ * Close the store and delete its files or schema
+ */
+const closeStorage = async () => {
+  await storage.close()
+
+  if (storage.driver === 'postgres') {
+    await runAdmin(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`)
+  }
+
+  if (directory) {
+    fs.rmSync(directory, { recursive: true, force: true })
+  }
+}
+
+module.exports = {
+  resetStorage,
+  setCounter,
+  closeStorage
+}
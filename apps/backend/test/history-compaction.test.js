@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const CounterService = require('../services/CounterService')
+
+const counterService = new CounterService()
+
+const RETENTION_DAYS = 7
+const HOUR_MS = 60 * 60 * 1000
+
+// Start of a UTC hour ten days ago, well past the retention period
+const oldHour = new Date(Math.floor((Date.now() - 10 * 24 * HOUR_MS) / HOUR_MS) * HOUR_MS)
+const minutesAfter = (minutes) => new Date(oldHour.getTime() + minutes * 60 * 1000)
+
+const OLD_VOTES = [
+  { id: 1, color: 'red', previous_count: 0, new_count: 1, increment_amount: 1, session_id: 's1', timestamp: minutesAfter(5) },
+  { id: 2, color: 'red', previous_count: 1, new_count: 3, increment_amount: 2, session_id: 's1', timestamp: minutesAfter(20) },
+  { id: 3, color: 'blue', previous_count: 0, new_count: 1, increment_amount: 1, session_id: 's1', timestamp: minutesAfter(30) },
+  { id: 4, color: 'red', previous_count: 3, new_count: 4, increment_amount: 1, session_id: 's2', timestamp: minutesAfter(70) }
+]
+
+const oldVotesFile = () => OLD_VOTES
+  .map(vote => JSON.stringify({ ...vote, battle_id: 'default', timestamp: vote.timestamp.toISOString() }))
+  .join('\n')
+
+const getCounters = async () => (await counterService.getCurrentCounters()).data.counters
+
+describe('history compaction', () => {
+  beforeEach(async () => {
+    await resetStorage()
+
+    const imported = await counterService.importCounterHistory([oldVotesFile()], { format: 'ndjson' })
+    assert.equal(imported.data.accepted, OLD_VOTES.length)
+
+    await counterService.incrementCounter('red')
+  })
+
+  after(closeStorage)
+
+  it('rolls old votes up by hour, team and session', async () => {
+    const result = await counterService.compactHistory(RETENTION_DAYS)
+
+    assert.equal(result.hours, 2)
+    assert.equal(result.compactedRows, 4)
+    assert.equal(result.rollupRows, 3)
+  })
+
+  it('keeps the counters and the ledger totals', async () => {
+    const before = await getCounters()
+
+    await counterService.compactHistory(RETENTION_DAYS)
+
+    assert.deepEqual(before, { blue: 1, red: 5 })
+    assert.deepEqual(await getCounters(), before)
+
+    const rebuilt = await counterService.rebuildCounters(null, 'default')
+    assert.equal(rebuilt.data.corrected, 0)
+
+    const now = await counterService.getCountersAt(new Date().toISOString())
+    assert.deepEqual(now.data.counters, before)
+
+    const afterFirstHour = await counterService.getCountersAt(minutesAfter(59).toISOString())
+    assert.deepEqual(afterFirstHour.data.counters, { blue: 1, red: 3 })
+  })
+
+  it('keeps the vote counts in the statistics', async () => {
+    const before = (await counterService.getCounterStatistics({ timeRange: 'P30D' })).data
+
+    await counterService.compactHistory(RETENTION_DAYS)
+    const after = (await counterService.getCounterStatistics({ timeRange: 'P30D' })).data
+
+    assert.equal(before.summary.totalIncrements, OLD_VOTES.length + 1)
+    assert.deepEqual(after.summary, before.summary)
+  })
+
+  it('labels rollups in the history with the votes they stand for', async () => {
+    await counterService.compactHistory(RETENTION_DAYS)
+    await counterService.resetAllCounters()
+
+    const { history } = (await counterService.getCounterHistory({ limit: 100 })).data
+    const types = history.map(entry => entry.type)
+
+    assert.equal(types.filter(type => type === 'rollup').length, 3)
+    assert.equal(types.filter(type => type === 'vote').length, 1)
+    assert.equal(types.filter(type => type === 'action').length, 2)
+    assert.equal(history.reduce((sum, entry) => sum + entry.count, 0), OLD_VOTES.length + 1)
+
+    const firstHourRed = history.find(entry => entry.type === 'rollup' && entry.color === 'red' && entry.session_id === 's1')
+    assert.equal(firstHourRed.count, 2)
+    assert.equal(firstHourRed.increment_amount, 3)
+  })
+
+  it('does nothing once the old hours are compacted', async () => {
+    await counterService.compactHistory(RETENTION_DAYS)
+    const again = await counterService.compactHistory(RETENTION_DAYS)
+
+    assert.equal(again.hours, 0)
+    assert.equal(again.compactedRows, 0)
+  })
+
+  it('does not import raw votes into an hour that was compacted', async () => {
+    await counterService.compactHistory(RETENTION_DAYS)
+
+    const reimported = await counterService.importCounterHistory([oldVotesFile()], { format: 'ndjson' })
+
+    assert.equal(reimported.data.accepted, 0)
+    assert.equal(reimported.data.duplicates, OLD_VOTES.length)
+    assert.deepEqual(await getCounters(), { blue: 1, red: 5 })
+  })
+})
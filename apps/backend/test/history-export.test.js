@@ -0,0 +1,125 @@
+const { describe, it, before, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const apiRoutes = require('../routes/api')
+const { errorHandler } = require('../middleware/errorHandler')
+const { CounterRepository } = require('../repositories')
+const CounterService = require('../services/CounterService')
+
+const counterRepository = new CounterRepository()
+const counterService = new CounterService()
+
+const app = express()
+app.use(express.json())
+app.use('/api', apiRoutes)
+app.use(errorHandler)
+
+let server
+let baseUrl
+
+const exportHistory = async (query = '') => {
+  const response = await fetch(`${baseUrl}/api/counters/history/export${query}`)
+  return { response, text: await response.text() }
+}
+
+const castVotes = async () => {
+  await counterService.incrementCounter('red', { incrementBy: 2, sessionId: 'alice' })
+  await counterService.incrementCounter('blue', { clientInfo: { note: 'says "hi", twice' } })
+  await counterService.incrementCounter('red')
+}
+
+describe('history export', () => {
+  before(async () => {
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://localhost:${server.address().port}`
+  })
+
+  beforeEach(resetStorage)
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+    await closeStorage()
+  })
+
+  it('streams NDJSON in ledger order', async () => {
+    await castVotes()
+
+    const { response, text } = await exportHistory('?format=ndjson')
+
+    assert.equal(response.status, 200)
+    assert.match(response.headers.get('content-type'), /application\/x-ndjson/)
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="counter-history-default-.*\.ndjson"/)
+
+    const records = text.trim().split('\n').map(line => JSON.parse(line))
+    assert.deepEqual(records.map(record => [record.color, record.new_count]), [['red', 2], ['blue', 1], ['red', 3]])
+    assert.equal(records[0].session_id, 'alice')
+  })
+
+  it('streams CSV with a header and quoted JSON', async () => {
+    await castVotes()
+
+    const { response, text } = await exportHistory('?format=csv')
+
+    assert.equal(response.status, 200)
+    assert.match(response.headers.get('content-type'), /text\/csv/)
+
+    const [header, ...lines] = text.trim().split('\n')
+    assert.equal(header, 'id,battle_id,color,previous_count,new_count,increment_amount,timestamp,session_id,client_info,rollup_count')
+    assert.equal(lines.length, 3)
+    assert.match(lines[1], /,"\{.*""note"":""says \\""hi\\"", twice"".*\}",/)
+  })
+
+  it('applies the history filters', async () => {
+    await castVotes()
+
+    const red = await exportHistory('?color=RED')
+    assert.equal(red.text.trim().split('\n').length, 2)
+
+    const future = new Date(Date.now() + 60 * 1000).toISOString()
+    const none = await exportHistory(`?startDate=${future}`)
+    assert.equal(none.response.status, 200)
+    assert.equal(none.text, '')
+  })
+
+  it('rejects an unknown format or team', async () => {
+    const format = await exportHistory('?format=xml')
+    assert.equal(format.response.status, 400)
+    assert.equal(JSON.parse(format.text).code, 'VALIDATION_ERROR')
+
+    const team = await exportHistory('?color=purple')
+    assert.equal(team.response.status, 404)
+    assert.equal(JSON.parse(team.text).code, 'TEAM_NOT_IN_BATTLE')
+  })
+
+  it('reads the ledger in batches', async () => {
+    for (let i = 0; i < 5; i++) {
+      await counterService.incrementCounter('red')
+    }
+
+    const sizes = []
+    for await (const rows of counterRepository.streamCounterHistory({ battleId: 'default' }, 2)) {
+      sizes.push(rows.length)
+    }
+
+    assert.deepEqual(sizes, [2, 2, 1])
+  })
+
+  it('releases the connection when an export is abandoned', async () => {
+    for (let i = 0; i < 3; i++) {
+      await counterService.incrementCounter('red')
+    }
+
+    // More abandoned exports than the PostgreSQL pool has connections
+    for (let i = 0; i < 25; i++) {
+      for await (const rows of counterRepository.streamCounterHistory({ battleId: 'default' }, 1)) {
+        assert.equal(rows.length, 1)
+        break
+      }
+    }
+
+    const counters = await counterService.getCurrentCounters()
+    assert.deepEqual(counters.data.counters, { blue: 0, red: 3 })
+  })
+})
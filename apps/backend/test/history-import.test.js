@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, setCounter, closeStorage } = require('./helpers/storage')
+const CounterService = require('../services/CounterService')
+
+const counterService = new CounterService()
+
+const getCounters = async () => (await counterService.getCurrentCounters()).data.counters
+
+const exportHistory = async (format) => {
+  const result = await counterService.exportCounterHistory({ format })
+  assert.equal(result.success, true, result.error)
+
+  let text = ''
+  for await (const chunk of result.data.chunks) {
+    text += chunk
+  }
+  return text
+}
+
+const importHistory = async (text, format = 'ndjson') => {
+  const result = await counterService.importCounterHistory([text], { format })
+  assert.equal(result.success, true, result.error)
+  return result.data
+}
+
+const castVotes = async () => {
+  await counterService.incrementCounter('red', { incrementBy: 3 })
+  await counterService.incrementCounter('blue')
+  await counterService.incrementCounter('red')
+}
+
+describe('counter history import', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  for (const format of ['ndjson', 'csv']) {
+    it(`restores a battle from its ${format} export and rebuilds the counters`, async () => {
+      await castVotes()
+      const exported = await exportHistory(format)
+      const counters = await getCounters()
+
+      await resetStorage()
+      const report = await importHistory(exported, format)
+
+      assert.equal(report.accepted, 3)
+      assert.equal(report.duplicates, 0)
+      assert.equal(report.rejected, 0)
+      assert.deepEqual(await getCounters(), counters)
+    })
+  }
+
+  it('skips rows that are already in the ledger', async () => {
+    await castVotes()
+    const exported = await exportHistory('ndjson')
+
+    const report = await importHistory(exported)
+
+    assert.equal(report.received, 3)
+    assert.equal(report.accepted, 0)
+    assert.equal(report.duplicates, 3)
+    assert.deepEqual(await getCounters(), { blue: 1, red: 4 })
+  })
+
+  it('skips rows repeated within the file and rejects invalid ones', async () => {
+    const row = {
+      id: 1,
+      battle_id: 'default',
+      color: 'red',
+      previous_count: 0,
+      new_count: 2,
+      increment_amount: 2,
+      timestamp: '2025-01-01T10:00:00.000Z'
+    }
+    const text = [
+      row,
+      row,
+      { ...row, id: 2, battle_id: 'missing' },
+      { ...row, id: 3, new_count: 5 }
+    ].map(record => JSON.stringify(record)).join('\n')
+
+    const report = await importHistory(text)
+
+    assert.equal(report.accepted, 1)
+    assert.equal(report.duplicates, 1)
+    assert.equal(report.rejected, 2)
+    assert.deepEqual(report.rejections.map(rejection => rejection.line), [3, 4])
+    assert.deepEqual(await getCounters(), { blue: 0, red: 2 })
+  })
+
+  it('rebuilds drifted counters from the ledger', async () => {
+    await castVotes()
+    await setCounter('default', 'red', 99)
+    await setCounter('default', 'blue', 0)
+
+    const result = await counterService.rebuildCounters(null, 'default')
+
+    assert.equal(result.success, true)
+    assert.equal(result.data.corrected, 2)
+    assert.deepEqual(await getCounters(), { blue: 1, red: 4 })
+
+    const again = await counterService.rebuildCounters(null, 'default')
+    assert.equal(again.data.corrected, 0)
+  })
+})
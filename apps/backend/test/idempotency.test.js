@@ -0,0 +1,174 @@
+const { describe, it, before, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const express = require('express')
+const apiRoutes = require('../routes/api')
+const { idempotent } = require('../middleware/idempotency')
+const { asyncHandler, errorHandler } = require('../middleware/errorHandler')
+const CounterService = require('../services/CounterService')
+const RoundService = require('../services/RoundService')
+
+const counterService = new CounterService()
+const roundService = new RoundService()
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Requests to /slow wait until the test lets them finish
+let releaseSlow = () => {}
+
+const app = express()
+app.use(express.json())
+app.post('/slow', idempotent, async (req, res) => {
+  await new Promise(resolve => { releaseSlow = resolve })
+  res.json({ success: true, data: { finishedAt: Date.now() } })
+})
+app.post('/slow-vote', idempotent, async (req, res) => {
+  const result = await counterService.incrementCounter('red')
+  await new Promise(resolve => { releaseSlow = resolve })
+  res.json(result)
+})
+// Fails the first time it is called, as if the database had gone away
+let flakyCalls = 0
+app.post('/flaky', idempotent, asyncHandler(async (req, res) => {
+  flakyCalls += 1
+  if (flakyCalls === 1) {
+    throw new Error('Database not connected')
+  }
+  res.json({ success: true, data: { calls: flakyCalls } })
+}))
+app.use('/api', apiRoutes)
+app.use(errorHandler)
+
+let server
+let baseUrl
+
+const post = async (path, { key, body = {}, signal } = {}) => {
+  const headers = { 'Content-Type': 'application/json' }
+  if (key !== undefined) {
+    headers['Idempotency-Key'] = key
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body), signal })
+
+  return {
+    status: response.status,
+    replayed: response.headers.get('idempotent-replayed') === 'true',
+    body: await response.json()
+  }
+}
+
+const redCount = async () => (await counterService.getCurrentCounters()).data.counters.red
+
+describe('idempotency keys', () => {
+  before(async () => {
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  beforeEach(resetStorage)
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+    await closeStorage()
+  })
+
+  it('replays a successful vote without voting again', async () => {
+    const first = await post('/api/red', { key: 'vote-1' })
+    const second = await post('/api/red', { key: 'vote-1' })
+
+    assert.equal(first.status, 200)
+    assert.equal(first.replayed, false)
+    assert.equal(second.status, 200)
+    assert.equal(second.replayed, true)
+    assert.deepEqual(second.body, first.body)
+    assert.equal(await redCount(), 1)
+  })
+
+  it('votes every time without a key', async () => {
+    await post('/api/red')
+    await post('/api/red')
+
+    assert.equal(await redCount(), 2)
+  })
+
+  it('rejects a key reused for a different request with 409', async () => {
+    await post('/api/red', { key: 'vote-2' })
+    const reused = await post('/api/blue', { key: 'vote-2' })
+
+    assert.equal(reused.status, 409)
+    assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED')
+  })
+
+  it('rejects a repeat while the first request is running with 409', async () => {
+    const first = post('/slow', { key: 'slow-1' })
+    await sleep(50)
+
+    const repeat = await post('/slow', { key: 'slow-1' })
+    assert.equal(repeat.status, 409)
+    assert.equal(repeat.body.code, 'IDEMPOTENCY_KEY_IN_PROGRESS')
+
+    releaseSlow()
+    const original = await first
+    const replay = await post('/slow', { key: 'slow-1' })
+
+    assert.equal(original.status, 200)
+    assert.equal(replay.replayed, true)
+    assert.deepEqual(replay.body, original.body)
+  })
+
+  it('replays a vote whose client disconnected before the response', async () => {
+    const controller = new AbortController()
+    const first = post('/slow-vote', { key: 'vote-4', signal: controller.signal })
+    await sleep(50)
+
+    controller.abort()
+    await assert.rejects(first, { name: 'AbortError' })
+    await sleep(50)
+
+    // Bounded: if the key had been released, this would vote and wait too
+    const early = await post('/slow-vote', { key: 'vote-4', signal: AbortSignal.timeout(1000) })
+    assert.equal(early.status, 409)
+    assert.equal(early.body.code, 'IDEMPOTENCY_KEY_IN_PROGRESS')
+
+    releaseSlow()
+    await sleep(50)
+    const retry = await post('/slow-vote', { key: 'vote-4' })
+
+    assert.equal(retry.status, 200)
+    assert.equal(retry.replayed, true)
+    assert.equal(retry.body.data.newCount, 1)
+    assert.equal(await redCount(), 1)
+  })
+
+  it('releases the key when the handler throws', async () => {
+    const failed = await post('/flaky', { key: 'flaky-1' })
+    const retry = await post('/flaky', { key: 'flaky-1' })
+
+    assert.equal(failed.status, 500)
+    assert.equal(retry.status, 200)
+    assert.equal(retry.replayed, false)
+    assert.equal(retry.body.data.calls, 2)
+  })
+
+  it('does not store a failed request, so a retry runs again', async () => {
+    const startsAt = new Date(Date.now() + 200)
+    await roundService.scheduleRound('default', {
+      startsAt: startsAt.toISOString(),
+      endsAt: new Date(startsAt.getTime() + 60 * 1000).toISOString()
+    })
+
+    const early = await post('/api/red', { key: 'vote-3' })
+    assert.equal(early.status, 409)
+    assert.equal(early.body.code, 'ROUND_NOT_OPEN')
+
+    await sleep(250)
+    const retry = await post('/api/red', { key: 'vote-3' })
+    const replay = await post('/api/red', { key: 'vote-3' })
+
+    assert.equal(retry.status, 200)
+    assert.equal(retry.replayed, false)
+    assert.equal(replay.replayed, true)
+    assert.equal(await redCount(), 1)
+  })
+})
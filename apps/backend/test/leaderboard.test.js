@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const CounterService = require('../services/CounterService')
+const LeaderboardService = require('../services/LeaderboardService')
+const WebSocketManager = require('../websocket/WebSocketManager')
+const { sessionTag } = require('../utils/session')
+
+const counterService = new CounterService()
+const leaderboardService = new LeaderboardService()
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const vote = (color, sessionId, incrementBy = 1) => counterService.incrementCounter(color, { sessionId, incrementBy })
+
+const getLeaderboard = async (rangeOptions = {}, options = {}) => {
+  const result = await leaderboardService.getLeaderboard(rangeOptions, options)
+  assert.equal(result.success, true, result.error)
+  return result.data
+}
+
+describe('leaderboard', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  it('ranks sessions by votes, overall and per team', async () => {
+    await vote('red', 'alice', 3)
+    await vote('blue', 'alice')
+    await vote('blue', 'bob', 2)
+    await vote('blue', 'bob')
+    await vote('red')
+
+    const leaderboard = await getLeaderboard()
+
+    assert.deepEqual(
+      leaderboard.overall.map(entry => [entry.rank, entry.sessionTag, entry.votes, entry.increments]),
+      [[1, sessionTag('alice'), 4, 2], [2, sessionTag('bob'), 3, 2]]
+    )
+    assert.deepEqual(leaderboard.byTeam.red.map(entry => entry.sessionTag), [sessionTag('alice')])
+    assert.deepEqual(leaderboard.byTeam.blue.map(entry => entry.sessionTag), [sessionTag('bob'), sessionTag('alice')])
+    assert.ok(!JSON.stringify(leaderboard).includes('alice'))
+  })
+
+  it('limits each list', async () => {
+    await vote('red', 'alice', 2)
+    await vote('red', 'bob')
+
+    const leaderboard = await getLeaderboard({}, { limit: 1 })
+    assert.deepEqual(leaderboard.overall.map(entry => entry.sessionTag), [sessionTag('alice')])
+
+    const invalid = await leaderboardService.getLeaderboard({}, { limit: 0 })
+    assert.equal(invalid.code, 'VALIDATION_ERROR')
+  })
+
+  it('only counts votes in the time range', async () => {
+    const old = {
+      id: 1,
+      battle_id: 'default',
+      color: 'red',
+      previous_count: 0,
+      new_count: 5,
+      increment_amount: 5,
+      session_id: 'alice',
+      timestamp: '2025-01-01T10:00:00.000Z'
+    }
+    await counterService.importCounterHistory([JSON.stringify(old)], { format: 'ndjson' })
+    await vote('red', 'bob')
+
+    const recent = await getLeaderboard({ timeRange: 'PT1H' })
+    assert.deepEqual(recent.overall.map(entry => entry.sessionTag), [sessionTag('bob')])
+
+    const january = await getLeaderboard({ startDate: '2025-01-01T00:00:00Z', endDate: '2025-01-02T00:00:00Z' })
+    assert.deepEqual(january.overall.map(entry => [entry.sessionTag, entry.votes]), [[sessionTag('alice'), 5]])
+  })
+
+  it('shows and removes nicknames', async () => {
+    await vote('red', 'alice')
+
+    const set = await leaderboardService.setNickname('alice', '  RedRocket ')
+    assert.equal(set.success, true, set.error)
+    assert.equal(set.data.nickname, 'RedRocket')
+    assert.equal((await getLeaderboard()).overall[0].nickname, 'RedRocket')
+
+    const renamed = await leaderboardService.setNickname('alice', 'Rocket')
+    assert.equal(renamed.data.nickname, 'Rocket')
+
+    const cleared = await leaderboardService.clearNickname('alice')
+    assert.equal(cleared.success, true, cleared.error)
+    assert.equal((await getLeaderboard()).overall[0].nickname, null)
+  })
+
+  it('validates nicknames', async () => {
+    assert.equal((await leaderboardService.setNickname(null, 'Rocket')).code, 'VALIDATION_ERROR')
+    assert.equal((await leaderboardService.setNickname('alice', ' ')).code, 'VALIDATION_ERROR')
+    assert.equal((await leaderboardService.setNickname('alice', 'x'.repeat(33))).code, 'VALIDATION_ERROR')
+    assert.equal((await leaderboardService.setNickname('alice', 'bad\nname')).code, 'VALIDATION_ERROR')
+  })
+})
+
+describe('leaderboard updates', () => {
+  /**
+   * A WebSocketManager without a server, counting the leaderboard broadcasts
+   */
+  const createManager = (connectedClients) => {
+    const manager = Object.create(WebSocketManager.prototype)
+    manager.leaderboardTimers = new Map()
+    manager.leaderboardUpdateIntervalMs = 30
+    manager.broadcasts = []
+    manager.getConnectedClientsCount = () => connectedClients
+    manager.broadcastLeaderboardUpdate = async (battleId) => { manager.broadcasts.push(battleId) }
+    return manager
+  }
+
+  it('sends one update per interval however many votes arrive', async () => {
+    const manager = createManager(2)
+
+    for (let i = 0; i < 5; i++) {
+      manager.scheduleLeaderboardUpdate('default')
+    }
+    manager.scheduleLeaderboardUpdate('other')
+    await sleep(60)
+
+    assert.deepEqual(manager.broadcasts.sort(), ['default', 'other'])
+
+    manager.scheduleLeaderboardUpdate('default')
+    await sleep(60)
+    assert.equal(manager.broadcasts.length, 3)
+  })
+
+  it('skips battles nobody is watching', async () => {
+    const manager = createManager(0)
+
+    manager.scheduleLeaderboardUpdate('default')
+    await sleep(60)
+
+    assert.deepEqual(manager.broadcasts, [])
+    assert.equal(manager.leaderboardTimers.size, 0)
+  })
+})
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+require('./helpers/storage')
+const dbConfig = require('../config/database')
+const MigrationManager = require('../database/migrations')
+
+/**
+ * Stands in for PostgreSQL: keeps the migrations table in memory and records
+ * every migration script that runs
+ */
+class FakeDatabase {
+  constructor() {
+    this.rows = []
+    this.executed = []
+  }
+
+  async query(text, values = []) {
+    const sql = text.trim()
+
+    if (/pg_try_advisory_lock/.test(sql)) return { rows: [{ locked: true }] }
+    if (/pg_advisory_unlock|^(BEGIN|COMMIT|ROLLBACK)$|CREATE TABLE IF NOT EXISTS migrations/.test(sql)) return { rows: [] }
+    if (/to_regclass\('migrations'\)/.test(sql)) return { rows: [{ present: true }] }
+    if (/^SELECT \* FROM migrations/.test(sql)) return { rows: this.rows.map(row => ({ ...row })) }
+
+    if (/^INSERT INTO migrations/.test(sql)) {
+      const [version, name, checksum] = values
+      this.rows.push({ version, name, checksum, applied_at: new Date() })
+      return { rows: [] }
+    }
+
+    if (/^UPDATE migrations SET checksum/.test(sql)) {
+      const [checksum, version] = values
+      this.rows.find(row => row.version === version).checksum = checksum
+      return { rows: [] }
+    }
+
+    this.executed.push(sql)
+    return { rows: [] }
+  }
+
+  release() {}
+}
+
+const writeMigration = (directory, version, name, up) => {
+  fs.writeFileSync(path.join(directory, `${version}_${name}.up.sql`), up)
+  fs.writeFileSync(path.join(directory, `${version}_${name}.down.sql`), `-- Rollback migration ${version}\n`)
+}
+
+describe('migration checksums', () => {
+  const original = { getPool: dbConfig.getPool, query: dbConfig.query }
+  let directory
+  let database
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'red-vs-blue-migrations-'))
+    writeMigration(directory, '001', 'create_widgets', 'CREATE TABLE widgets (id INTEGER);\n')
+    writeMigration(directory, '002', 'add_widget_name', 'ALTER TABLE widgets ADD COLUMN name TEXT;\n')
+
+    database = new FakeDatabase()
+    dbConfig.getPool = () => ({ connect: async () => database })
+    dbConfig.query = (text, values) => database.query(text, values)
+  })
+
+  afterEach(() => {
+    Object.assign(dbConfig, original)
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('records a checksum for every migration it applies', async () => {
+    const applied = await new MigrationManager(directory).migrate()
+
+    assert.deepEqual(applied.map(migration => migration.version), ['001', '002'])
+    assert.equal(database.executed.length, 2)
+    database.rows.forEach(row => assert.match(row.checksum, /^[0-9a-f]{64}$/))
+  })
+
+  it('refuses to migrate when an applied migration was edited', async () => {
+    await new MigrationManager(directory).migrate()
+    writeMigration(directory, '002', 'add_widget_name', 'ALTER TABLE widgets ADD COLUMN label TEXT;\n')
+    writeMigration(directory, '003', 'add_widget_color', 'ALTER TABLE widgets ADD COLUMN color TEXT;\n')
+    database.executed = []
+
+    await assert.rejects(
+      new MigrationManager(directory).migrate(),
+      /Migration 002_add_widget_name was changed after it was applied/
+    )
+    assert.deepEqual(database.executed, [])
+  })
+
+  it('reports an edited migration as changed', async () => {
+    await new MigrationManager(directory).migrate()
+    writeMigration(directory, '001', 'create_widgets', 'CREATE TABLE widgets (id BIGINT);\n')
+
+    const status = await new MigrationManager(directory).getStatus()
+
+    assert.deepEqual(status.map(migration => migration.state), ['changed', 'applied'])
+  })
+
+  it('treats CRLF line endings as the same file', async () => {
+    await new MigrationManager(directory).migrate()
+    writeMigration(directory, '001', 'create_widgets', 'CREATE TABLE widgets (id INTEGER);\r\n')
+
+    const pending = await new MigrationManager(directory).migrate()
+
+    assert.deepEqual(pending, [])
+  })
+
+  it('fills in checksums recorded before they existed', async () => {
+    await new MigrationManager(directory).migrate()
+    const checksums = database.rows.map(row => row.checksum)
+    database.rows.forEach(row => { row.checksum = null })
+
+    await new MigrationManager(directory).migrate()
+
+    assert.deepEqual(database.rows.map(row => row.checksum), checksums)
+  })
+})
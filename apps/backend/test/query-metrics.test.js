@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+// Quiets the console; the metrics are exercised on fake pools
+require('./helpers/storage')
+const { FakePool, pgError, useFakePools } = require('./helpers/fakePg')
+const dbConfig = require('../config/database')
+const storage = require('../config/storage')
+const MetricsService = require('../services/MetricsService')
+const { QueryMetrics, normalizeStatement, redactParams } = require('../utils/queryMetrics')
+
+/**
+ * Collect what `console[method]` is called with while `fn` runs
+ */
+const capture = async (method, fn) => {
+  const calls = []
+  const original = console[method]
+  console[method] = (...args) => calls.push(args)
+  try {
+    await fn()
+  } finally {
+    console[method] = original
+  }
+  return calls
+}
+
+describe('query metrics', () => {
+  it('groups statements that differ only in literal values', () => {
+    assert.equal(
+      normalizeStatement(`
+        SELECT * FROM counters -- current values
+        WHERE color IN ('red', 'blue') AND count > 10 AND battle_id = $1
+      `),
+      'SELECT * FROM counters WHERE color IN (?) AND count > ? AND battle_id = $1'
+    )
+    assert.equal(normalizeStatement("SELECT 'it''s' /* quoted */"), 'SELECT ?')
+  })
+
+  it('replaces parameter values with their types', () => {
+    assert.deepEqual(
+      redactParams(['secret@example.com', 42, new Date(), ['red', 'blue'], null, { a: 1 }]),
+      ['<string>', '<number>', '<date>', '<array(2)>', null, '<object>']
+    )
+  })
+
+  it('counts queries, errors and latencies per statement', () => {
+    const metrics = new QueryMetrics({ slowQueryMs: 1000 })
+
+    metrics.record('SELECT * FROM counters WHERE id = 1', [], 4)
+    metrics.record('SELECT * FROM counters WHERE id = 2', [], 20)
+    metrics.record('UPDATE counters SET count = $1', [1], 2, { error: new Error('boom') })
+
+    const report = metrics.slowest({ sortBy: 'count' })
+
+    assert.deepEqual(report.totals, { statements: 2, queries: 3, errors: 1, slow: 0 })
+    const [select, update] = report.statements
+    assert.equal(select.statement, 'SELECT * FROM counters WHERE id = ?')
+    assert.equal(select.count, 2)
+    assert.equal(select.meanMs, 12)
+    assert.equal(select.maxMs, 20)
+    assert.equal(select.p50Ms, 5)
+    assert.equal(select.p95Ms, 20)
+    assert.equal(update.errors, 1)
+
+    assert.equal(metrics.slowest({ sortBy: 'max', limit: 1 }).statements[0].statement, select.statement)
+  })
+
+  it('caps the number of statements tracked', () => {
+    const metrics = new QueryMetrics({ maxStatements: 2 })
+
+    ;['a', 'b', 'c', 'd'].forEach(table => metrics.record(`SELECT * FROM ${table}`, [], 1))
+
+    const statements = metrics.slowest({ sortBy: 'count' }).statements.map(stats => [stats.statement, stats.count])
+    assert.deepEqual(statements, [['(other statements)', 2], ['SELECT * FROM a', 1], ['SELECT * FROM b', 1]])
+  })
+
+  it('logs slow queries with their parameters redacted', async () => {
+    const metrics = new QueryMetrics({ slowQueryMs: 100 })
+
+    const logged = await capture('warn', () => {
+      metrics.record('SELECT * FROM sessions WHERE id = $1', ['alice-session'], 50)
+      metrics.record('SELECT * FROM sessions WHERE id = $1', ['alice-session'], 150, { target: 'replica db-2:5432' })
+    })
+
+    assert.equal(logged.length, 1)
+    const [, entry] = logged[0]
+    assert.equal(entry.target, 'replica db-2:5432')
+    assert.deepEqual(entry.params, ['<string>'])
+    assert.ok(!JSON.stringify(logged).includes('alice-session'))
+    assert.equal(metrics.slowest().totals.slow, 1)
+  })
+
+  it('logs parameter values only when asked to, and samples slow queries', async () => {
+    const verbose = new QueryMetrics({ slowQueryMs: 0, logParams: true })
+    const unsampled = new QueryMetrics({ slowQueryMs: 0, sampleRate: 0 })
+
+    const logged = await capture('warn', () => {
+      verbose.record('SELECT $1', ['alice-session'], 1)
+      unsampled.record('SELECT $1', ['alice-session'], 1)
+    })
+
+    assert.equal(logged.length, 1)
+    assert.deepEqual(logged[0][1].params, ['alice-session'])
+    assert.equal(unsampled.slowest().totals.slow, 1)
+  })
+})
+
+describe('query metrics in dbConfig', () => {
+  let db
+
+  beforeEach(() => {
+    db = new dbConfig.constructor()
+  })
+
+  afterEach(() => db.close())
+
+  it('records every statement and redacts the parameters of failed ones', async () => {
+    useFakePools(db, {
+      primary: new FakePool('primary', (text) => {
+        if (/INSERT/.test(text)) {
+          throw pgError('duplicate key value', '23505')
+        }
+        return []
+      })
+    })
+
+    await db.query('SELECT * FROM teams WHERE id = $1', ['red'])
+    const logged = await capture('error', () => assert.rejects(
+      db.query('INSERT INTO sessions (id) VALUES ($1)', ['alice-session'])
+    ))
+
+    assert.ok(!JSON.stringify(logged).includes('alice-session'))
+    assert.ok(logged.some(([label, params]) => label === 'Params:' && params[0] === '<string>'))
+
+    const report = db.metrics.slowest({ sortBy: 'count' })
+    assert.deepEqual(report.totals, { statements: 2, queries: 2, errors: 1, slow: 0 })
+  })
+
+  it('validates the admin report options', () => {
+    const metricsService = new MetricsService()
+
+    assert.equal(metricsService.getSlowQueries({ limit: 0 }).code, 'VALIDATION_ERROR')
+    assert.equal(metricsService.getSlowQueries({ sort: 'name' }).code, 'VALIDATION_ERROR')
+
+    const report = metricsService.getSlowQueries({ sort: 'p95' })
+    assert.equal(report.success, true)
+    assert.equal(report.data.enabled, storage.driver === 'postgres')
+  })
+})
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const { FakePool, pgError, useFakePools } = require('./helpers/fakePg')
+const storage = require('../config/storage')
+const dbConfig = require('../config/database')
+const CounterService = require('../services/CounterService')
+const WebSocketManager = require('../websocket/WebSocketManager')
+
+const counterService = new CounterService()
+
+// A replica that has not replayed any votes yet
+const laggingReplica = () => new FakePool('lagging-replica', (text) => {
+  if (!/FROM counters c/.test(text)) {
+    throw new Error(`Unexpected replica read: ${text}`)
+  }
+  return ['blue', 'red'].map(color => ({ color, count: 0, updated_at: new Date(0) }))
+})
+
+/**
+ * Run WebSocketManager.sendCounterUpdate without a server, collecting what
+ * it would send
+ */
+const sendCounterUpdate = async (ws) => {
+  const sent = []
+  const manager = {
+    counterService,
+    sendMessage: (client, message) => sent.push(message),
+    broadcastToBattle: (battleId, message) => sent.push(message)
+  }
+
+  await WebSocketManager.prototype.sendCounterUpdate.call(manager, ws, 'default')
+  return sent
+}
+
+describe('read replicas', { skip: storage.driver !== 'postgres' && 'read replicas are PostgreSQL only' }, () => {
+  beforeEach(async () => {
+    await resetStorage()
+    await counterService.incrementCounter('red')
+
+    dbConfig.replicas = [{ name: 'lagging-replica', pool: laggingReplica(), healthy: true }]
+  })
+
+  afterEach(() => {
+    dbConfig.replicas = []
+  })
+
+  after(closeStorage)
+
+  it('broadcasts counter updates read from the primary', async () => {
+    const [message] = await sendCounterUpdate(null)
+
+    assert.equal(message.type, 'counter_update')
+    assert.deepEqual(message.data, { blue: 0, red: 1 })
+  })
+
+  it('serves a client asking for the counters from a replica', async () => {
+    const [message] = await sendCounterUpdate({})
+
+    assert.deepEqual(message.data, { blue: 0, red: 0 })
+  })
+})
+
+describe('read replica routing', () => {
+  const rows = (name) => () => [{ answeredBy: name }]
+
+  const createDatabase = (replicas) => {
+    const db = new dbConfig.constructor()
+    const primary = new FakePool('primary', rows('primary'))
+    useFakePools(db, { primary, replicas })
+    return { db, primary }
+  }
+
+  const answeredBy = async (db) => (await db.readQuery('SELECT 1')).rows[0].answeredBy
+
+  it('takes turns between the healthy replicas', async () => {
+    const { db } = createDatabase([new FakePool('replica-1', rows('replica-1')), new FakePool('replica-2', rows('replica-2'))])
+
+    const answers = []
+    for (let i = 0; i < 4; i++) {
+      answers.push(await answeredBy(db))
+    }
+
+    assert.deepEqual(answers, ['replica-1', 'replica-2', 'replica-1', 'replica-2'])
+  })
+
+  it('reads from the primary when no replica is healthy', async () => {
+    const { db } = createDatabase([new FakePool('replica-1', rows('replica-1'))])
+    db.replicas[0].healthy = false
+
+    assert.equal(await answeredBy(db), 'primary')
+  })
+
+  it('sends writes to the primary only', async () => {
+    const replica = new FakePool('replica-1', rows('replica-1'))
+    const { db } = createDatabase([replica])
+
+    const result = await db.query('UPDATE counters SET count = count + 1')
+
+    assert.equal(result.rows[0].answeredBy, 'primary')
+    assert.deepEqual(replica.statements, [])
+  })
+
+  it('falls back to the primary and drops an unreachable replica until it recovers', async () => {
+    let reachable = false
+    const flaky = new FakePool('replica-1', () => {
+      if (!reachable) {
+        throw pgError('Connection terminated unexpectedly')
+      }
+      return [{ answeredBy: 'replica-1' }]
+    })
+    const { db } = createDatabase([flaky])
+
+    assert.equal(await answeredBy(db), 'primary')
+    assert.equal(db.replicas[0].healthy, false)
+    assert.equal(db.replicas[0].lastError, 'Connection terminated unexpectedly')
+    assert.equal(await answeredBy(db), 'primary')
+
+    reachable = true
+    await db.checkReplicas()
+
+    assert.equal(db.replicas[0].healthy, true)
+    assert.equal(await answeredBy(db), 'replica-1')
+  })
+
+  it('retries a query the replica cancelled on the primary but keeps the replica', async () => {
+    const conflicted = new FakePool('replica-1', () => {
+      throw pgError('canceling statement due to conflict with recovery', '40001')
+    })
+    const { db } = createDatabase([conflicted])
+
+    assert.equal(await answeredBy(db), 'primary')
+    assert.equal(db.replicas[0].healthy, true)
+  })
+
+  it('does not rerun a statement the replica rejected as invalid', async () => {
+    const replica = new FakePool('replica-1', () => {
+      throw pgError('relation "missing" does not exist', '42P01')
+    })
+    const { db, primary } = createDatabase([replica])
+
+    await assert.rejects(db.readQuery('SELECT * FROM missing'), { code: '42P01' })
+    assert.deepEqual(primary.statements, [])
+  })
+})
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const CounterService = require('../services/CounterService')
+const RoundService = require('../services/RoundService')
+
+const counterService = new CounterService()
+const roundService = new RoundService()
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+const inMs = (ms) => new Date(Date.now() + ms).toISOString()
+
+const vote = (color, incrementBy = 1) => counterService.incrementCounter(color, { incrementBy })
+
+const scheduleRound = async (startsAt, endsAt, name = undefined) => {
+  const result = await roundService.scheduleRound('default', { name, startsAt, endsAt })
+  assert.equal(result.success, true, result.error)
+  return result.data
+}
+
+const getCounters = async () => (await counterService.getCurrentCounters()).data.counters
+
+describe('rounds', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  describe('decideWinner', () => {
+    it('picks the team with the most votes', () => {
+      assert.deepEqual(roundService.decideWinner({ red: 3, blue: 5 }), { winner: 'blue', isTie: false })
+    })
+
+    it('declares a tie when the top teams are level', () => {
+      assert.deepEqual(roundService.decideWinner({ red: 4, blue: 4, green: 1 }), { winner: null, isTie: true })
+    })
+
+    it('has no winner without tallies', () => {
+      assert.deepEqual(roundService.decideWinner({}), { winner: null, isTie: false })
+    })
+  })
+
+  it('accepts votes at any time in a battle without rounds', async () => {
+    const result = await vote('red')
+
+    assert.equal(result.success, true)
+    assert.equal(result.data.newCount, 1)
+  })
+
+  it('rejects votes before the first round opens', async () => {
+    const round = await scheduleRound(inMs(60 * 60 * 1000), inMs(2 * 60 * 60 * 1000), 'Final')
+
+    const single = await vote('red')
+    assert.equal(single.success, false)
+    assert.equal(single.code, 'ROUND_NOT_OPEN')
+    assert.match(single.error, /round 'Final' opens at/)
+    assert.equal(single.nextRound.id, round.id)
+
+    const batch = await counterService.batchIncrementCounters([{ color: 'red' }], { atomic: true })
+    assert.equal(batch.code, 'ROUND_NOT_OPEN')
+
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+  })
+
+  it('opens a due round, resetting the counters, and closes it with a winner', async () => {
+    await vote('blue', 10)
+    const round = await scheduleRound(inMs(0), inMs(300))
+
+    await roundService.processDueRounds()
+    const opened = (await roundService.getRound('default', round.id)).data
+    assert.equal(opened.status, 'open')
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+
+    assert.equal((await vote('red', 2)).success, true)
+    assert.equal((await vote('blue')).success, true)
+
+    await sleep(350)
+    await roundService.processDueRounds()
+
+    const [result] = (await roundService.getResults('default')).data.results
+    assert.equal(result.roundId, round.id)
+    assert.deepEqual(result.tallies, { blue: 1, red: 2 })
+    assert.equal(result.winner, 'red')
+    assert.equal(result.isTie, false)
+
+    const late = await vote('blue')
+    assert.equal(late.code, 'ROUND_NOT_OPEN')
+    assert.match(late.error, /ended at/)
+  })
+
+  it('opens a due round itself when a vote arrives before the scheduler', async () => {
+    await vote('red', 5)
+    await scheduleRound(inMs(0), inMs(60 * 1000))
+
+    const result = await vote('red')
+
+    assert.equal(result.success, true)
+    assert.equal(result.data.previousCount, 0)
+    assert.equal(result.data.newCount, 1)
+  })
+
+  it('records a tie when closing a round early', async () => {
+    const round = await scheduleRound(inMs(0), inMs(60 * 1000))
+    await vote('red', 3)
+    await vote('blue', 3)
+
+    const closed = await roundService.closeRoundEarly('default', round.id)
+
+    assert.equal(closed.success, true)
+    assert.deepEqual(closed.data.tallies, { blue: 3, red: 3 })
+    assert.equal(closed.data.winner, null)
+    assert.equal(closed.data.isTie, true)
+    assert.deepEqual(closed.data.tiedTeams.sort(), ['blue', 'red'])
+
+    const again = await roundService.closeRoundEarly('default', round.id)
+    assert.equal(again.code, 'ROUND_NOT_OPEN')
+  })
+
+  it('counts every accepted vote in the final tallies', async () => {
+    const round = await scheduleRound(inMs(0), inMs(60 * 1000))
+    await vote('red')
+
+    const votes = Array.from({ length: 20 }, (_, index) => vote(index % 2 ? 'red' : 'blue'))
+    const closing = roundService.closeRoundEarly('default', round.id)
+    const results = await Promise.all(votes)
+    const closed = await closing
+
+    const accepted = results.filter(result => result.success).length + 1
+    const frozen = Object.values(closed.data.tallies).reduce((sum, count) => sum + count, 0)
+    assert.equal(frozen, accepted)
+  })
+})
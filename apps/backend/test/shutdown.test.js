@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { spawn } = require('node:child_process')
+const { once } = require('node:events')
+const net = require('node:net')
+const path = require('node:path')
+
+const DRAIN_MS = 1500
+
+const freePort = async () => {
+  const probe = net.createServer().listen(0)
+  await once(probe, 'listening')
+  const { port } = probe.address()
+  await new Promise(resolve => probe.close(resolve))
+  return port
+}
+
+/**
+ * Start the server on its own, with in-memory storage whatever the suite
+ * runs on: shutdown does not depend on the driver
+ */
+const startServer = async (port) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, STORAGE: 'memory', PORT: String(port), SHUTDOWN_DRAIN_MS: String(DRAIN_MS) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+
+  let output = ''
+  child.stdout.on('data', chunk => { output += chunk })
+  child.stderr.on('data', chunk => { output += chunk })
+
+  const deadline = Date.now() + 10000
+  while (!output.includes('Server initialization completed')) {
+    if (Date.now() > deadline || child.exitCode !== null) {
+      child.kill()
+      throw new Error(`Server did not start:\n${output}`)
+    }
+    await new Promise(resolve => setTimeout(resolve, 50))
+  }
+
+  return child
+}
+
+const probe = async (port, pathname) => {
+  const response = await fetch(`http://localhost:${port}${pathname}`)
+  await response.arrayBuffer()
+  return response.status
+}
+
+describe('graceful shutdown', () => {
+  it('fails readiness and keeps serving for the drain period before exiting', async () => {
+    const port = await freePort()
+    const child = await startServer(port)
+    const exited = once(child, 'exit')
+
+    try {
+      assert.equal(await probe(port, '/api/health/ready'), 200)
+
+      const signalledAt = Date.now()
+      child.kill('SIGTERM')
+      await new Promise(resolve => setTimeout(resolve, 200))
+
+      assert.equal(await probe(port, '/api/health/ready'), 503)
+      assert.equal(await probe(port, '/api/health/live'), 200)
+      assert.equal(await probe(port, '/api/counters'), 200)
+
+      const [code] = await exited
+      assert.equal(code, 0)
+      assert.ok(Date.now() - signalledAt >= DRAIN_MS)
+    } finally {
+      if (child.exitCode === null) {
+        child.kill('SIGKILL')
+      }
+    }
+  })
+})
@@ -0,0 +1,44 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const storage = require('../config/storage')
+const CounterService = require('../services/CounterService')
+const TeamService = require('../services/TeamService')
+const BattleService = require('../services/BattleService')
+
+const counterService = new CounterService()
+const teamService = new TeamService()
+const battleService = new BattleService()
+
+const teamIds = async () => (await teamService.listTeams()).data.teams.map(team => team.id).sort()
+const getCounters = async () => (await counterService.getCurrentCounters()).data.counters
+
+describe('storage backend', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  it('starts with the default battle and the red and blue teams', async () => {
+    const battle = await battleService.getBattle('default')
+
+    assert.equal(battle.success, true)
+    assert.equal(battle.data.status, 'active')
+    assert.deepEqual(await teamIds(), ['blue', 'red'])
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+  })
+
+  it('starts empty again after a reset', async () => {
+    await counterService.incrementCounter('red', { incrementBy: 2 })
+    await teamService.createTeam({ id: 'green', name: 'Green', color: '#00ff00' })
+
+    await resetStorage()
+
+    assert.deepEqual(await teamIds(), ['blue', 'red'])
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+  })
+
+  it('answers health checks', async () => {
+    const health = await storage.healthCheck()
+
+    assert.equal(health.status, 'healthy')
+  })
+})
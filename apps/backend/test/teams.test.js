@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const CounterService = require('../services/CounterService')
+const TeamService = require('../services/TeamService')
+
+const counterService = new CounterService()
+const teamService = new TeamService()
+
+const createTeam = async (id, name = id, color = '#00ff00') => {
+  const result = await teamService.createTeam({ id, name, color })
+  assert.equal(result.success, true, result.error)
+  return result.data
+}
+
+const getCounters = async () => (await counterService.getCurrentCounters()).data.counters
+
+describe('teams', () => {
+  beforeEach(resetStorage)
+  after(closeStorage)
+
+  it('gives a new team its own counter that accepts votes', async () => {
+    const team = await createTeam('Green', ' Green Team ')
+
+    assert.equal(team.id, 'green')
+    assert.equal(team.name, 'Green Team')
+    assert.deepEqual(await getCounters(), { blue: 0, green: 0, red: 0 })
+
+    const result = await counterService.incrementCounter('GREEN', { incrementBy: 2 })
+    assert.equal(result.success, true, result.error)
+    assert.equal(result.data.newCount, 2)
+    assert.deepEqual(await getCounters(), { blue: 0, green: 2, red: 0 })
+  })
+
+  it('validates new teams', async () => {
+    const badId = await teamService.createTeam({ id: 'no spaces', name: 'Green', color: '#00ff00' })
+    assert.equal(badId.code, 'VALIDATION_ERROR')
+
+    const badColor = await teamService.createTeam({ id: 'green', name: 'Green', color: 'green' })
+    assert.equal(badColor.code, 'VALIDATION_ERROR')
+
+    const noName = await teamService.createTeam({ id: 'green', name: ' ', color: '#00ff00' })
+    assert.equal(noName.code, 'VALIDATION_ERROR')
+
+    const duplicate = await teamService.createTeam({ id: 'red', name: 'Red', color: '#ff0000' })
+    assert.equal(duplicate.code, 'TEAM_EXISTS')
+  })
+
+  it('caps the number of active teams', async () => {
+    const limited = new TeamService()
+    limited.maxActiveTeams = 3
+
+    const green = await limited.createTeam({ id: 'green', name: 'Green', color: '#00ff00' })
+    assert.equal(green.success, true, green.error)
+
+    const yellow = await limited.createTeam({ id: 'yellow', name: 'Yellow', color: '#ffff00' })
+    assert.equal(yellow.code, 'TEAM_LIMIT_REACHED')
+  })
+
+  it('renames a team and changes its color', async () => {
+    const result = await teamService.updateTeam('red', { name: 'Crimson', color: '#dc143c' })
+
+    assert.equal(result.success, true, result.error)
+    assert.equal(result.data.name, 'Crimson')
+    assert.equal(result.data.color, '#dc143c')
+
+    const missing = await teamService.updateTeam('purple', { name: 'Purple' })
+    assert.equal(missing.code, 'TEAM_NOT_FOUND')
+  })
+
+  it('stops a retired team from voting but keeps its history', async () => {
+    await createTeam('green')
+    await counterService.incrementCounter('green')
+
+    const retired = await teamService.retireTeam('green')
+    assert.equal(retired.success, true, retired.error)
+    assert.equal(retired.data.is_active, false)
+
+    const vote = await counterService.incrementCounter('green')
+    assert.equal(vote.code, 'TEAM_RETIRED')
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+
+    const history = await counterService.getCounterHistory({ color: 'green' })
+    assert.equal(history.data.history.length, 1)
+
+    const again = await teamService.retireTeam('green')
+    assert.equal(again.code, 'TEAM_RETIRED')
+  })
+
+  it('rejects votes for unknown teams', async () => {
+    const result = await counterService.incrementCounter('purple')
+
+    assert.equal(result.success, false)
+    assert.equal(result.code, 'TEAM_NOT_FOUND')
+    assert.deepEqual(await getCounters(), { blue: 0, red: 0 })
+  })
+})
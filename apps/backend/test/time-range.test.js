@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { resetStorage, closeStorage } = require('./helpers/storage')
+const { parseDuration, resolveTimeRange } = require('../utils/timeRange')
+const CounterService = require('../services/CounterService')
+const WebSocketManager = require('../websocket/WebSocketManager')
+
+const counterService = new CounterService()
+
+const NOW = new Date('2025-03-10T12:00:00.000Z')
+
+const resolve = (options) => resolveTimeRange(options, NOW)
+
+const vote = (id, color, previousCount, timestamp) => ({
+  id,
+  battle_id: 'default',
+  color,
+  previous_count: previousCount,
+  new_count: previousCount + 1,
+  increment_amount: 1,
+  timestamp
+})
+
+describe('time ranges', () => {
+  it('parses ISO-8601 durations', () => {
+    assert.deepEqual(parseDuration('PT90M'), { years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 90, seconds: 0 })
+    assert.equal(parseDuration('p1dt12h').hours, 12)
+    assert.equal(parseDuration('P1DT'), null)
+    assert.equal(parseDuration('P0D'), null)
+    assert.equal(parseDuration('90 minutes'), null)
+  })
+
+  it('measures a duration back from the end or forward from the start', () => {
+    const back = resolve({ timeRange: 'PT90M' }).range
+    assert.equal(back.start.toISOString(), '2025-03-10T10:30:00.000Z')
+    assert.equal(back.end.toISOString(), NOW.toISOString())
+
+    const forward = resolve({ timeRange: 'P1D', startDate: '2025-03-01T00:00:00Z' }).range
+    assert.equal(forward.end.toISOString(), '2025-03-02T00:00:00.000Z')
+
+    const calendar = resolve({ timeRange: 'P1M', endDate: '2025-03-31T00:00:00Z' }).range
+    assert.equal(calendar.start.toISOString(), '2025-03-03T00:00:00.000Z')
+  })
+
+  it('keeps the named ranges and defaults to the last 24 hours', () => {
+    assert.equal(resolve({ timeRange: '7 days' }).range.start.toISOString(), '2025-03-03T12:00:00.000Z')
+
+    const fallback = resolve({}).range
+    assert.equal(fallback.start.toISOString(), '2025-03-09T12:00:00.000Z')
+    assert.equal(fallback.timeRange, '24 hours')
+  })
+
+  it('rejects invalid ranges instead of replacing them', () => {
+    assert.match(resolve({ timeRange: '3 days' }).error, /Invalid timeRange '3 days'/)
+    assert.match(resolve({ startDate: 'yesterday' }).error, /Invalid startDate/)
+    assert.match(resolve({ endDate: '2025-13-45' }).error, /Invalid endDate/)
+    assert.match(resolve({ startDate: '2025-03-02', endDate: '2025-03-01' }).error, /before endDate/)
+    assert.match(
+      resolve({ timeRange: 'P1D', startDate: '2025-03-01', endDate: '2025-03-02' }).error,
+      /cannot be combined/
+    )
+  })
+})
+
+describe('statistics time ranges', () => {
+  beforeEach(async () => {
+    await resetStorage()
+
+    const text = [
+      vote(1, 'red', 0, '2025-03-01T10:00:00.000Z'),
+      vote(2, 'red', 1, '2025-03-01T11:00:00.000Z'),
+      vote(3, 'blue', 0, '2025-03-01T12:00:00.000Z'),
+      vote(4, 'red', 2, '2025-03-02T10:00:00.000Z')
+    ].map(record => JSON.stringify(record)).join('\n')
+    const imported = await counterService.importCounterHistory([text], { format: 'ndjson' })
+    assert.equal(imported.data.accepted, 4)
+  })
+
+  after(closeStorage)
+
+  it('counts only the votes between startDate and endDate', async () => {
+    const result = await counterService.getCounterStatistics({
+      startDate: '2025-03-01T10:30:00Z',
+      endDate: '2025-03-01T23:59:59Z'
+    })
+
+    assert.equal(result.success, true, result.error)
+    assert.equal(result.data.summary.totalIncrements, 2)
+  })
+
+  it('measures a duration from startDate', async () => {
+    const result = await counterService.getCounterStatistics({
+      startDate: '2025-03-01T09:00:00Z',
+      timeRange: 'PT150M'
+    })
+
+    assert.equal(result.success, true, result.error)
+    assert.equal(result.data.summary.totalIncrements, 2)
+  })
+
+  it('rejects an invalid range', async () => {
+    const result = await counterService.getCounterStatistics({ timeRange: 'forever' })
+
+    assert.equal(result.success, false)
+    assert.equal(result.code, 'VALIDATION_ERROR')
+  })
+
+  it('answers get_stats with an invalid range with an error message', async () => {
+    const sent = []
+    const manager = {
+      counterService,
+      sendMessage: (ws, message) => sent.push(message),
+      sendError: WebSocketManager.prototype.sendError
+    }
+
+    await WebSocketManager.prototype.sendStatistics.call(manager, {}, { timeRange: 'forever' }, 'default')
+
+    assert.equal(sent.length, 1)
+    assert.equal(sent[0].type, 'error')
+    assert.match(sent[0].error, /Invalid timeRange 'forever'/)
+  })
+})
@@ -0,0 +1,254 @@
+/**
+ * Counter history export formats
+ * Serializes counter_history rows as CSV or NDJSON, and parses them back for import
+ */
+
+const { StringDecoder } = require('string_decoder')
+
+const HISTORY_COLUMNS = [
+  'id',
+  'battle_id',
+  'color',
+  'previous_count',
+  'new_count',
+  'increment_amount',
+  'timestamp',
+  'session_id',
+  'client_info',
+  'rollup_count'
+]
+
+// Guards against a runaway line (e.g. an unterminated CSV quote) filling memory
+const MAX_RECORD_LENGTH = 1024 * 1024
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+}
+
+/**
+ * Shape a counter_history row for export
+ */
+const toExportRecord = (row) => ({
+  id: row.id,
+  battle_id: row.battle_id,
+  color: row.color,
+  previous_count: row.previous_count,
+  new_count: row.new_count,
+  increment_amount: row.increment_amount,
+  timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp,
+  session_id: row.session_id,
+  client_info: row.client_info,
+  rollup_count: row.rollup_count
+})
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return ''
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvHeader = () => `${HISTORY_COLUMNS.join(',')}\n`
+
+const toCsvLine = (row) => {
+  const record = toExportRecord(row)
+  return `${HISTORY_COLUMNS.map(column => escapeCsvField(record[column])).join(',')}\n`
+}
+
+const toNdjsonLine = (row) => `${JSON.stringify(toExportRecord(row))}\n`
+
+/**
+ * Turn batches of rows into chunks of text in the given format
+ */
+async function* formatHistoryBatches(batches, format) {
+  if (format === 'csv') {
+    yield csvHeader()
+  }
+
+  const toLine = format === 'csv' ? toCsvLine : toNdjsonLine
+  for await (const rows of batches) {
+    yield rows.map(toLine).join('')
+  }
+}
+
+/**
+ * Decode a stream of Buffers or strings as UTF-8 text
+ * Multi-byte characters split across chunks are kept intact
+ */
+async function* decodeChunks(chunks) {
+  const decoder = new StringDecoder('utf8')
+
+  for await (const chunk of chunks) {
+    yield typeof chunk === 'string' ? chunk : decoder.write(chunk)
+  }
+
+  const rest = decoder.end()
+  if (rest) yield rest
+}
+
+/**
+ * Split NDJSON text into `{ line, record }` or `{ line, error }` entries
+ * Blank lines are skipped
+ */
+async function* parseNdjson(chunks) {
+  let buffer = ''
+  let line = 0
+
+  const parseLine = (text) => {
+    line += 1
+    if (text.trim() === '') return null
+
+    try {
+      const record = JSON.parse(text)
+      if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        return { line, error: 'Line is not a JSON object' }
+      }
+      return { line, record }
+    } catch (error) {
+      return { line, error: `Invalid JSON: ${error.message}` }
+    }
+  }
+
+  for await (const text of decodeChunks(chunks)) {
+    buffer += text
+
+    let newline
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const entry = parseLine(buffer.slice(0, newline))
+      buffer = buffer.slice(newline + 1)
+      if (entry) yield entry
+    }
+
+    if (buffer.length > MAX_RECORD_LENGTH) {
+      throw new Error(`Line ${line + 1} is longer than ${MAX_RECORD_LENGTH} characters`)
+    }
+  }
+
+  const entry = parseLine(buffer)
+  if (entry) yield entry
+}
+
+/**
+ * Split CSV text into rows of fields, following RFC 4180 quoting
+ * Yields `{ line, fields }`, where `line` is the line the row starts on
+ */
+async function* parseCsvRows(chunks) {
+  let fields = []
+  let field = ''
+  let quoted = false
+  let quoteSeen = false
+  let line = 1
+  let rowLine = 1
+  let rowLength = 0
+
+  for await (const text of decodeChunks(chunks)) {
+    for (const char of text) {
+      rowLength += 1
+      if (rowLength > MAX_RECORD_LENGTH) {
+        throw new Error(`Row starting on line ${rowLine} is longer than ${MAX_RECORD_LENGTH} characters`)
+      }
+
+      if (quoted) {
+        if (quoteSeen) {
+          quoteSeen = false
+          if (char === '"') {
+            field += '"'
+            continue
+          }
+          // The previous quote closed the field; handle this character below
+          quoted = false
+        } else if (char === '"') {
+          quoteSeen = true
+          continue
+        } else {
+          if (char === '\n') line += 1
+          field += char
+          continue
+        }
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true
+      } else if (char === ',') {
+        fields.push(field)
+        field = ''
+      } else if (char === '\n') {
+        fields.push(field)
+        if (fields.length > 1 || fields[0] !== '') {
+          yield { line: rowLine, fields }
+        }
+        fields = []
+        field = ''
+        line += 1
+        rowLine = line
+        rowLength = 0
+      } else if (char !== '\r') {
+        field += char
+      }
+    }
+  }
+
+  if (quoted && !quoteSeen) {
+    throw new Error(`Unterminated quoted field in row starting on line ${rowLine}`)
+  }
+
+  fields.push(field)
+  if (fields.length > 1 || fields[0] !== '') {
+    yield { line: rowLine, fields }
+  }
+}
+
+/**
+ * Parse CSV with a header row into `{ line, record }` or `{ line, error }` entries
+ * Columns are matched by header name; empty fields become null
+ */
+async function* parseCsv(chunks) {
+  let header = null
+
+  for await (const { line, fields } of parseCsvRows(chunks)) {
+    if (!header) {
+      header = fields.map(name => name.trim())
+      continue
+    }
+
+    if (fields.length !== header.length) {
+      yield { line, error: `Expected ${header.length} fields, found ${fields.length}` }
+      continue
+    }
+
+    const record = {}
+    header.forEach((name, index) => {
+      record[name] = fields[index] === '' ? null : fields[index]
+    })
+
+    if (typeof record.client_info === 'string') {
+      try {
+        record.client_info = JSON.parse(record.client_info)
+      } catch (error) {
+        yield { line, error: 'client_info is not valid JSON' }
+        continue
+      }
+    }
+
+    yield { line, record }
+  }
+}
+
+/**
+ * Parse an export file back into records
+ * `chunks` is any iterable of Buffers or strings, such as a file or request stream
+ */
+const parseHistory = (chunks, format) => {
+  return format === 'csv' ? parseCsv(chunks) : parseNdjson(chunks)
+}
+
+module.exports = {
+  HISTORY_COLUMNS,
+  EXPORT_FORMATS,
+  formatHistoryBatches,
+  parseHistory
+}
@@ -0,0 +1,120 @@
+/**
+ * Application metrics
+ * The metrics served by GET /metrics. Request, vote, rate-limit and
+ * WebSocket metrics are updated as things happen; database and migration
+ * gauges are filled in by MetricsService when scraped.
+ */
+
+const { Counter, Gauge, Histogram, Registry } = require('./prometheus')
+
+const registry = new Registry()
+
+const httpRequests = registry.register(new Counter(
+  'http_requests_total',
+  'HTTP requests by method, route and status code',
+  ['method', 'route', 'status']
+))
+
+const httpRequestDuration = registry.register(new Histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by method, route and status code',
+  ['method', 'route', 'status']
+))
+
+const votes = registry.register(new Counter(
+  'votes_total',
+  'Votes accepted by this instance, by battle and team',
+  ['battle', 'team']
+))
+
+const rateLimitRejections = registry.register(new Counter(
+  'rate_limit_rejections_total',
+  'Requests rejected with 429 by a rate limit, by route',
+  ['route']
+))
+
+const websocketConnections = registry.register(new Gauge(
+  'websocket_connections',
+  'Open WebSocket connections by battle',
+  ['battle']
+))
+
+const websocketConnectionsOpened = registry.register(new Counter(
+  'websocket_connections_opened_total',
+  'WebSocket connections accepted'
+))
+
+const websocketMessagesSent = registry.register(new Counter(
+  'websocket_messages_sent_total',
+  'WebSocket messages sent to clients, by message type',
+  ['type']
+))
+
+const broadcastDuration = registry.register(new Histogram(
+  'websocket_broadcast_duration_seconds',
+  'Time to fan a broadcast out to every recipient, by message type',
+  ['type'],
+  [0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+))
+
+const dbPoolClients = registry.register(new Gauge(
+  'db_pool_clients',
+  'PostgreSQL pool clients by state: total, idle and waiting (callers queued for a client)',
+  ['state']
+))
+
+const dbPoolMaxClients = registry.register(new Gauge(
+  'db_pool_max_clients',
+  'Maximum size of the PostgreSQL pool'
+))
+
+const migrationVersion = registry.register(new Gauge(
+  'db_migration_version',
+  'Latest applied database migration'
+))
+
+const pendingMigrations = registry.register(new Gauge(
+  'db_migrations_pending',
+  'Database migrations not yet applied'
+))
+
+const processStartTime = registry.register(new Gauge(
+  'process_start_time_seconds',
+  'Start time of the process since the Unix epoch'
+))
+processStartTime.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+
+const processMemory = registry.register(new Gauge(
+  'process_resident_memory_bytes',
+  'Resident memory size'
+))
+
+/**
+ * Route label for a request: the matched route pattern (e.g.
+ * /api/battles/:battleId/counters), so ids do not create a series each.
+ * Requests that matched no route share one label.
+ */
+const routeLabel = (req) => {
+  if (!req.route) return 'unmatched'
+
+  // A router's own root, e.g. GET / mounted at /api/battles
+  return req.baseUrl && req.route.path === '/' ? req.baseUrl : `${req.baseUrl}${req.route.path}`
+}
+
+module.exports = {
+  registry,
+  httpRequests,
+  httpRequestDuration,
+  votes,
+  rateLimitRejections,
+  websocketConnections,
+  websocketConnectionsOpened,
+  websocketMessagesSent,
+  broadcastDuration,
+  dbPoolClients,
+  dbPoolMaxClients,
+  migrationVersion,
+  pendingMigrations,
+  processMemory,
+  routeLabel
+}
@@ -0,0 +1,184 @@
+/**
+ * Momentum analytics
+ * Replays counter_history ledger entries in order to work out vote velocity,
+ * lead changes, streaks and comebacks
+ */
+
+// Sliding windows for votes per minute, each ending at the end of the range
+const MOMENTUM_WINDOWS_MINUTES = [1, 5, 15]
+
+// How far behind a team must have been before taking the lead to count as a comeback
+const MIN_COMEBACK_DEFICIT = 5
+
+const RECENT_LEAD_CHANGES = 10
+
+// Ledger actions that put every counter back to zero and start a fresh contest
+const RESET_ACTIONS = ['reset', 'round_start']
+
+const roundRate = (value) => Math.round(value * 100) / 100
+
+const toIso = (timestamp) => new Date(timestamp).toISOString()
+
+/**
+ * The team with the highest total, or null when the top is tied
+ */
+const findLeader = (totals) => {
+  let leader = null
+  let best = -Infinity
+  let tied = false
+
+  Object.entries(totals).forEach(([team, total]) => {
+    if (total > best) {
+      leader = team
+      best = total
+      tied = false
+    } else if (total === best) {
+      tied = true
+    }
+  })
+
+  return tied ? null : leader
+}
+
+/**
+ * Votes per minute for each team over the sliding windows
+ * Velocity counts increment amounts, so a vote of 5 weighs five times a vote of 1
+ */
+const calculateVelocity = (votes, teams, { start, end }) => {
+  return MOMENTUM_WINDOWS_MINUTES.map(minutes => {
+    const windowStart = Math.max(end.getTime() - minutes * 60 * 1000, start.getTime())
+    const windowMinutes = (end.getTime() - windowStart) / (60 * 1000)
+
+    const amounts = Object.fromEntries(teams.map(team => [team, 0]))
+    votes
+      .filter(vote => new Date(vote.timestamp).getTime() >= windowStart)
+      .forEach(vote => {
+        amounts[vote.color] += vote.increment_amount
+      })
+
+    const votesPerMinute = Object.fromEntries(
+      teams.map(team => [team, roundRate(amounts[team] / windowMinutes)])
+    )
+
+    return {
+      minutes,
+      from: new Date(windowStart).toISOString(),
+      votesPerMinute,
+      leader: findLeader(votesPerMinute)
+    }
+  })
+}
+
+/**
+ * Analyze ledger entries for a battle
+ * `entries` are counter_history rows in ledger order, `counters` the counts at
+ * the end of the range. Entries for teams outside `counters` are ignored.
+ */
+const analyzeMomentum = (entries, counters, range, { truncated = false } = {}) => {
+  const teams = Object.keys(counters)
+  const relevant = entries.filter(entry => teams.includes(entry.color))
+
+  // Work back from the final counts to the counts before the first entry
+  const totals = { ...counters }
+  relevant.forEach(entry => {
+    totals[entry.color] -= entry.increment_amount
+  })
+
+  const votes = relevant.filter(entry => !entry.action)
+
+  const leadChanges = []
+  const comebacks = []
+  let lastLeader = findLeader(totals)
+
+  // Largest deficit to the leader for each team since it last led
+  const deficits = {}
+  const resetDeficits = () => {
+    teams.forEach(team => {
+      deficits[team] = { deficit: 0, at: null }
+    })
+  }
+  resetDeficits()
+
+  let longestStreak = null
+  let currentStreak = null
+
+  relevant.forEach(entry => {
+    totals[entry.color] += entry.increment_amount
+
+    if (entry.action) {
+      if (RESET_ACTIONS.includes(entry.action)) {
+        lastLeader = null
+        currentStreak = null
+        resetDeficits()
+      }
+      return
+    }
+
+    if (entry.rollup_count) {
+      // A compacted hour no longer records the order of its votes
+      currentStreak = null
+    } else if (currentStreak && currentStreak.team === entry.color) {
+      currentStreak.length += 1
+      currentStreak.endedAt = toIso(entry.timestamp)
+    } else {
+      currentStreak = {
+        team: entry.color,
+        length: 1,
+        startedAt: toIso(entry.timestamp),
+        endedAt: toIso(entry.timestamp)
+      }
+    }
+
+    if (currentStreak && (!longestStreak || currentStreak.length > longestStreak.length)) {
+      longestStreak = { ...currentStreak }
+    }
+
+    const leader = findLeader(totals)
+    const leaderTotal = Math.max(...Object.values(totals))
+
+    teams.forEach(team => {
+      const deficit = leaderTotal - totals[team]
+      if (deficit > deficits[team].deficit) {
+        deficits[team] = { deficit, at: toIso(entry.timestamp) }
+      }
+    })
+
+    if (!leader) return
+
+    if (lastLeader && leader !== lastLeader) {
+      leadChanges.push({ timestamp: toIso(entry.timestamp), from: lastLeader, to: leader })
+    }
+
+    if (leader !== lastLeader && deficits[leader].deficit >= MIN_COMEBACK_DEFICIT) {
+      comebacks.push({
+        team: leader,
+        deficit: deficits[leader].deficit,
+        trailedAt: deficits[leader].at,
+        tookLeadAt: toIso(entry.timestamp)
+      })
+    }
+
+    deficits[leader] = { deficit: 0, at: null }
+    lastLeader = leader
+  })
+
+  return {
+    windows: calculateVelocity(votes, teams, range),
+    currentLeader: findLeader(totals),
+    leadChanges: {
+      count: leadChanges.length,
+      recent: leadChanges.slice(-RECENT_LEAD_CHANGES)
+    },
+    longestStreak,
+    currentStreak,
+    comebacks,
+    votesAnalyzed: votes.reduce((sum, entry) => sum + (entry.rollup_count || 1), 0),
+    truncated
+  }
+}
+
+module.exports = {
+  MOMENTUM_WINDOWS_MINUTES,
+  MIN_COMEBACK_DEFICIT,
+  analyzeMomentum
+}
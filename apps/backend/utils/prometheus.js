@@ -0,0 +1,178 @@
+/**
+ * Prometheus metric types
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (version 0.0.4)
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+// Request and query latencies, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"')
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+
+/**
+ * Render a label set as `{name="value",...}`, or nothing when empty
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+}
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+/**
+ * A named metric holding one series per combination of label values
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    this.series = new Map()
+  }
+
+  /**
+   * Find or create the series for a label set
+   * Labels outside `labelNames` are ignored and missing ones are empty
+   */
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]))
+    const key = values.join('\u0000')
+
+    let series = this.series.get(key)
+    if (!series) {
+      series = { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() }
+      this.series.set(key, series)
+    }
+    return series
+  }
+
+  /**
+   * Drop every series, e.g. before a gauge is refilled at scrape time
+   */
+  reset() {
+    this.series.clear()
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`
+    ]
+    this.series.forEach(series => lines.push(...this.renderSeries(series)))
+    return lines.join('\n')
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`]
+  }
+}
+
+/**
+ * A value that only goes up, e.g. requests served
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames)
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount
+  }
+}
+
+/**
+ * A value that goes up and down, e.g. open connections
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames)
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value
+  }
+}
+
+/**
+ * Observations counted into cumulative buckets, e.g. latencies
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames)
+    this.buckets = [...buckets].sort((a, b) => a - b)
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }))
+
+    const bucket = this.buckets.findIndex(bound => value <= bound)
+    if (bucket !== -1) {
+      series.counts[bucket] += 1
+    }
+    series.sum += value
+    series.count += 1
+  }
+
+  renderSeries(series) {
+    const lines = []
+    let cumulative = 0
+
+    this.buckets.forEach((bound, i) => {
+      cumulative += series.counts[i]
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`)
+    })
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`)
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`)
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`)
+
+    return lines
+  }
+}
+
+/**
+ * A set of metrics rendered together
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map()
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`)
+    }
+    this.metrics.set(metric.name, metric)
+    return metric
+  }
+
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n'
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+}
@@ -0,0 +1,217 @@
+/**
+ * Query metrics
+ * Counts queries and their latencies per normalized statement, and logs a
+ * sample of the slow ones with their parameters redacted
+ */
+
+/**
+ * Upper bounds (ms) of the latency histogram buckets; slower queries land in
+ * a final overflow bucket
+ */
+const LATENCY_BUCKETS_MS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+// Statements past the limit share one entry so the map cannot grow unbounded
+const OTHER_STATEMENTS = '(other statements)'
+
+const SORT_FIELDS = {
+  mean: 'meanMs',
+  max: 'maxMs',
+  p95: 'p95Ms',
+  total: 'totalMs',
+  count: 'count'
+}
+
+/**
+ * Reduce a statement to its shape so calls differing only in literal values
+ * share metrics: comments are dropped, string and number literals become `?`,
+ * literal lists collapse and whitespace is squeezed. Placeholders ($1) stay.
+ */
+const normalizeStatement = (text) => String(text)
+  .replace(/--[^\n]*/g, ' ')
+  .replace(/\/\*[\s\S]*?\*\//g, ' ')
+  .replace(/'(?:[^']|'')*'/g, '?')
+  .replace(/(?<![\w$])\d+(?:\.\d+)?\b/g, '?')
+  .replace(/\(\s*\?(?:\s*,\s*\?)+\s*\)/g, '(?)')
+  .replace(/\s+/g, ' ')
+  .trim()
+
+/**
+ * Replace parameter values with their types, e.g. `<string>`
+ * null and undefined are kept since they carry no data
+ */
+const redactParams = (params = []) => params.map(value => {
+  if (value === null || value === undefined) return value
+  if (value instanceof Date) return '<date>'
+  if (Array.isArray(value)) return `<array(${value.length})>`
+  return `<${typeof value}>`
+})
+
+/**
+ * Estimate a percentile from histogram buckets
+ * Returns the upper bound of the bucket holding it, or the maximum seen when
+ * it falls in the overflow bucket
+ */
+const percentile = (stats, fraction) => {
+  const rank = Math.ceil(stats.count * fraction)
+  let seen = 0
+
+  for (let i = 0; i < LATENCY_BUCKETS_MS.length; i++) {
+    seen += stats.buckets[i]
+    if (seen >= rank) {
+      return Math.min(LATENCY_BUCKETS_MS[i], stats.maxMs)
+    }
+  }
+  return stats.maxMs
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+class QueryMetrics {
+  /**
+   * `slowQueryMs` is the slow-query threshold, `sampleRate` the share (0-1) of
+   * slow queries that are logged, `logParams` logs parameter values instead of
+   * their types, and `maxStatements` caps the distinct statements tracked
+   */
+  constructor({ slowQueryMs = 500, sampleRate = 1, logParams = false, maxStatements = 500 } = {}) {
+    this.slowQueryMs = slowQueryMs
+    this.sampleRate = sampleRate
+    this.logParams = logParams
+    this.maxStatements = maxStatements
+    this.reset()
+  }
+
+  /**
+   * Forget everything recorded so far
+   */
+  reset() {
+    this.statements = new Map()
+    this.since = new Date()
+  }
+
+  /**
+   * Record one executed query
+   * `error` is the error it failed with, if any; `target` names where it ran
+   * (the primary or a replica) for the slow-query log
+   */
+  record(text, params, durationMs, { error = null, target = 'primary' } = {}) {
+    const statement = normalizeStatement(text)
+    const stats = this.statsFor(statement)
+
+    stats.count += 1
+    stats.totalMs += durationMs
+    stats.maxMs = Math.max(stats.maxMs, durationMs)
+    stats.lastSeenAt = new Date()
+
+    const bucket = LATENCY_BUCKETS_MS.findIndex(bound => durationMs <= bound)
+    stats.buckets[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket] += 1
+
+    if (error) {
+      stats.errors += 1
+    }
+
+    if (durationMs >= this.slowQueryMs) {
+      stats.slow += 1
+      if (Math.random() < this.sampleRate) {
+        this.logSlowQuery(statement, params, durationMs, { error, target })
+      }
+    }
+  }
+
+  /**
+   * Find or create the entry for a normalized statement
+   */
+  statsFor(statement) {
+    let key = statement
+    if (!this.statements.has(key) && this.statements.size >= this.maxStatements) {
+      key = OTHER_STATEMENTS
+    }
+
+    let stats = this.statements.get(key)
+    if (!stats) {
+      stats = {
+        statement: key,
+        count: 0,
+        errors: 0,
+        slow: 0,
+        totalMs: 0,
+        maxMs: 0,
+        buckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0),
+        lastSeenAt: null
+      }
+      this.statements.set(key, stats)
+    }
+    return stats
+  }
+
+  /**
+   * Log a slow query, with its parameters redacted unless `logParams` is set
+   */
+  logSlowQuery(statement, params, durationMs, { error, target }) {
+    console.warn('🐢 Slow query:', {
+      durationMs: round(durationMs),
+      thresholdMs: this.slowQueryMs,
+      target,
+      statement,
+      params: this.redact(params),
+      ...(error && { error: error.message })
+    })
+  }
+
+  /**
+   * Parameters as they may be logged
+   */
+  redact(params) {
+    return this.logParams ? params : redactParams(params)
+  }
+
+  /**
+   * Summarize one statement's metrics
+   */
+  describe(stats) {
+    return {
+      statement: stats.statement,
+      count: stats.count,
+      errors: stats.errors,
+      slow: stats.slow,
+      totalMs: round(stats.totalMs),
+      meanMs: round(stats.totalMs / stats.count),
+      maxMs: round(stats.maxMs),
+      p50Ms: round(percentile(stats, 0.5)),
+      p95Ms: round(percentile(stats, 0.95)),
+      p99Ms: round(percentile(stats, 0.99)),
+      lastSeenAt: stats.lastSeenAt.toISOString()
+    }
+  }
+
+  /**
+   * The top `limit` statements by `sortBy` (see SORT_FIELDS), with totals
+   */
+  slowest({ limit = 20, sortBy = 'mean' } = {}) {
+    const field = SORT_FIELDS[sortBy]
+    const statements = [...this.statements.values()].map(stats => this.describe(stats))
+
+    const totals = statements.reduce((sum, stats) => ({
+      queries: sum.queries + stats.count,
+      errors: sum.errors + stats.errors,
+      slow: sum.slow + stats.slow
+    }), { queries: 0, errors: 0, slow: 0 })
+
+    return {
+      since: this.since.toISOString(),
+      slowQueryMs: this.slowQueryMs,
+      sampleRate: this.sampleRate,
+      totals: { statements: statements.length, ...totals },
+      statements: statements
+        .sort((a, b) => b[field] - a[field])
+        .slice(0, limit)
+    }
+  }
+}
+
+module.exports = {
+  QueryMetrics,
+  LATENCY_BUCKETS_MS,
+  SORT_FIELDS,
+  normalizeStatement,
+  redactParams
+}
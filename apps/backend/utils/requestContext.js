@@ -0,0 +1,97 @@
+/**
+ * Request context
+ * Holds the current request's id and trace across async calls, so services,
+ * repositories and logs can reach it without passing it down
+ */
+
+const { AsyncLocalStorage } = require('async_hooks')
+const crypto = require('crypto')
+
+const storage = new AsyncLocalStorage()
+
+// Accepted X-Request-Id values; anything else is replaced by a generated id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/
+
+// W3C trace context: version-traceId-parentId-flags
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug']
+
+/**
+ * Parse a `traceparent` header
+ * Returns null when it is missing or invalid, including the all-zero ids and
+ * the reserved version ff
+ */
+const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase())
+  if (!match) return null
+
+  const [, version, traceId, parentId, flags] = match
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentId)) {
+    return null
+  }
+
+  return { traceId, parentId, flags }
+}
+
+/**
+ * Build the context for an incoming request from its X-Request-Id and
+ * traceparent headers. A valid trace is continued with a new span id for this
+ * service; otherwise a new trace is started.
+ */
+const createRequestContext = ({ requestId, traceparent } = {}) => {
+  const parent = parseTraceparent(traceparent)
+
+  return {
+    requestId: REQUEST_ID_PATTERN.test(requestId || '') ? requestId : crypto.randomUUID(),
+    traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+    spanId: crypto.randomBytes(8).toString('hex'),
+    parentSpanId: parent ? parent.parentId : null,
+    traceFlags: parent ? parent.flags : '00'
+  }
+}
+
+/**
+ * The `traceparent` header value identifying this service's span
+ */
+const formatTraceparent = (context) => `00-${context.traceId}-${context.spanId}-${context.traceFlags}`
+
+/**
+ * Run `fn` with `context` as the current request context
+ */
+const runWithContext = (context, fn) => storage.run(context, fn)
+
+/**
+ * The current request context, or null outside a request
+ */
+const getRequestContext = () => storage.getStore() || null
+
+/**
+ * Prefix console output with the current request id, so every line logged
+ * while handling a request can be linked to it. Output outside a request is
+ * left as it is.
+ */
+const installConsoleContext = () => {
+  CONSOLE_METHODS.forEach(method => {
+    const original = console[method].bind(console)
+
+    console[method] = (...args) => {
+      const context = storage.getStore()
+      if (!context) return original(...args)
+
+      const prefix = `[${context.requestId}]`
+      return typeof args[0] === 'string'
+        ? original(`${prefix} ${args[0]}`, ...args.slice(1))
+        : original(prefix, ...args)
+    }
+  })
+}
+
+module.exports = {
+  parseTraceparent,
+  createRequestContext,
+  formatTraceparent,
+  runWithContext,
+  getRequestContext,
+  installConsoleContext
+}
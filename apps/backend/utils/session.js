@@ -0,0 +1,37 @@
+/**
+ * Voter session helpers
+ * A session id is an opaque token the client sends with its votes
+ */
+
+const crypto = require('crypto')
+
+// Matches counter_history.session_id
+const MAX_SESSION_ID_LENGTH = 255
+
+/**
+ * Resolve the voter's session id from the body or the X-Session-Id header
+ * Trimmed to fit counter_history.session_id
+ */
+const getSessionId = (req, bodySessionId) => {
+  const sessionId = bodySessionId || req.get('X-Session-Id')
+
+  if (typeof sessionId !== 'string' || sessionId.trim().length === 0) {
+    return null
+  }
+
+  return sessionId.trim().slice(0, MAX_SESSION_ID_LENGTH)
+}
+
+/**
+ * Short public tag for a session
+ * Leaderboards show this instead of the session id, which would let anyone
+ * vote or rename themselves as that session
+ */
+const sessionTag = (sessionId) => {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 12)
+}
+
+module.exports = {
+  getSessionId,
+  sessionTag
+}
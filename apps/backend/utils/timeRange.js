@@ -0,0 +1,168 @@
+/**
+ * Time range helpers
+ * Turns the timeRange / startDate / endDate query options into concrete dates
+ */
+
+const DEFAULT_TIME_RANGE = '24 hours'
+
+/**
+ * The original fixed ranges, kept as aliases for ISO-8601 durations
+ */
+const NAMED_RANGES = {
+  '1 hour': 'PT1H',
+  '24 hours': 'PT24H',
+  '7 days': 'P7D',
+  '30 days': 'P30D',
+  '1 year': 'P1Y'
+}
+
+const DURATION_PATTERN = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/
+
+/**
+ * Parse an ISO-8601 duration such as `PT90M` or `P1DT12H`
+ * Returns null for anything else, including zero-length durations
+ */
+const parseDuration = (value) => {
+  if (typeof value !== 'string') return null
+
+  const normalized = value.trim().toUpperCase()
+  const match = DURATION_PATTERN.exec(normalized)
+
+  // A trailing T has no time parts (e.g. `P1DT`), which ISO-8601 disallows
+  if (!match || normalized.endsWith('T')) {
+    return null
+  }
+
+  const [years, months, weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0)
+  const duration = { years, months, weeks, days, hours, minutes, seconds }
+
+  return Object.values(duration).some(part => part > 0) ? duration : null
+}
+
+/**
+ * Move a date by a duration; `direction` is 1 to add or -1 to subtract
+ * Years and months follow the calendar, the rest are fixed lengths
+ */
+const shiftDate = (date, duration, direction) => {
+  const result = new Date(date.getTime())
+
+  result.setUTCFullYear(result.getUTCFullYear() + direction * duration.years)
+  result.setUTCMonth(result.getUTCMonth() + direction * duration.months)
+
+  const fixedMs = (
+    ((duration.weeks * 7 + duration.days) * 24 + duration.hours) * 60 * 60 +
+    duration.minutes * 60 +
+    duration.seconds
+  ) * 1000
+
+  return new Date(result.getTime() + direction * fixedMs)
+}
+
+/**
+ * Start of the minute, hour or day containing `date`, in UTC so buckets do
+ * not depend on the host's time zone
+ */
+const truncateDate = (date, unit) => {
+  const truncated = new Date(date)
+
+  if (unit === 'minute') truncated.setUTCSeconds(0, 0)
+  if (unit === 'hour') truncated.setUTCMinutes(0, 0, 0)
+  if (unit === 'day') truncated.setUTCHours(0, 0, 0, 0)
+
+  return truncated
+}
+
+/**
+ * Start of the next minute, hour or day after `bucket`
+ */
+const nextBucket = (bucket, unit) => {
+  const next = new Date(bucket)
+
+  if (unit === 'minute') next.setUTCMinutes(next.getUTCMinutes() + 1)
+  if (unit === 'hour') next.setUTCHours(next.getUTCHours() + 1)
+  if (unit === 'day') next.setUTCDate(next.getUTCDate() + 1)
+
+  return next
+}
+
+/**
+ * Parse an ISO-8601 timestamp, returning null when invalid
+ */
+const parseTimestamp = (value) => {
+  if (typeof value !== 'string' || !ISO_TIMESTAMP_PATTERN.test(value.trim())) {
+    return null
+  }
+
+  const date = new Date(value.trim())
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Resolve a time range from request options
+ * - `timeRange`: an ISO-8601 duration or one of the named ranges ('24 hours', ...)
+ * - `startDate` / `endDate`: ISO-8601 timestamps
+ * A duration is measured back from `endDate` (default now), or forward from
+ * `startDate`. Returns `{ range: { start, end, timeRange } }` or `{ error }`.
+ */
+const resolveTimeRange = ({ timeRange, startDate, endDate } = {}, now = new Date()) => {
+  const hasTimeRange = timeRange !== undefined && timeRange !== null && timeRange !== ''
+  const hasStart = startDate !== undefined && startDate !== null && startDate !== ''
+  const hasEnd = endDate !== undefined && endDate !== null && endDate !== ''
+
+  let duration = null
+  if (hasTimeRange) {
+    duration = parseDuration(NAMED_RANGES[timeRange] || timeRange)
+    if (!duration) {
+      return {
+        error: `Invalid timeRange '${timeRange}': use an ISO-8601 duration such as PT90M or P7D, or one of: ${Object.keys(NAMED_RANGES).join(', ')}`
+      }
+    }
+  }
+
+  const start = hasStart ? parseTimestamp(startDate) : null
+  if (hasStart && !start) {
+    return { error: `Invalid startDate '${startDate}': use an ISO-8601 timestamp` }
+  }
+
+  const end = hasEnd ? parseTimestamp(endDate) : null
+  if (hasEnd && !end) {
+    return { error: `Invalid endDate '${endDate}': use an ISO-8601 timestamp` }
+  }
+
+  if (duration && start && end) {
+    return { error: 'timeRange cannot be combined with both startDate and endDate' }
+  }
+
+  let range
+  if (start && end) {
+    range = { start, end }
+  } else if (start) {
+    range = { start, end: duration ? shiftDate(start, duration, 1) : now }
+  } else {
+    const rangeEnd = end || now
+    const rangeDuration = duration || parseDuration(NAMED_RANGES[DEFAULT_TIME_RANGE])
+    range = { start: shiftDate(rangeEnd, rangeDuration, -1), end: rangeEnd }
+  }
+
+  if (range.start >= range.end) {
+    return { error: 'startDate must be before endDate' }
+  }
+
+  return {
+    range: {
+      ...range,
+      timeRange: hasTimeRange ? timeRange : (hasStart || hasEnd ? null : DEFAULT_TIME_RANGE)
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_TIME_RANGE,
+  NAMED_RANGES,
+  parseDuration,
+  parseTimestamp,
+  resolveTimeRange,
+  truncateDate,
+  nextBucket
+}
@@ -1,17 +1,62 @@
 const WebSocket = require('ws')
 const CounterService = require('../services/CounterService')
+const BattleService = require('../services/BattleService')
+const RoundService = require('../services/RoundService')
+const LeaderboardService = require('../services/LeaderboardService')
+const { BattleRepository } = require('../repositories')
+const { websocketConnectionsOpened, websocketMessagesSent, broadcastDuration } = require('../utils/metrics')
+
+const { DEFAULT_BATTLE_ID } = BattleRepository
 
 /**
  * WebSocket Manager
  * Handles real-time communication with clients
+ * Each client watches one battle, picked with `?battle=<id>` or a `join_battle` message
  */
 class WebSocketManager {
   constructor(server) {
     this.wss = new WebSocket.Server({ server })
     this.clients = new Map()
     this.counterService = new CounterService()
+    this.battleService = new BattleService()
+    this.leaderboardService = new LeaderboardService()
+
+    // leaderboard_update is sent at most once per interval for each battle
+    this.leaderboardUpdateIntervalMs = parseInt(process.env.LEADERBOARD_UPDATE_INTERVAL_MS) || 2000
+    this.leaderboardTimers = new Map()
+
+    // Set when shutdown() starts; readiness checks report the server as down
+    this.closing = false
     
     this.setupWebSocketServer()
+    this.setupRoundEvents()
+  }
+
+  /**
+   * Relay round lifecycle events to the clients watching the round's battle
+   */
+  setupRoundEvents() {
+    this.onRoundStarted = (round) => {
+      this.broadcastToBattle(round.battle_id, {
+        type: 'round_started',
+        battleId: round.battle_id,
+        data: round,
+        timestamp: new Date().toISOString()
+      })
+      this.broadcastCounterUpdate(round.battle_id)
+    }
+
+    this.onRoundEnded = (result) => {
+      this.broadcastToBattle(result.battleId, {
+        type: 'round_ended',
+        battleId: result.battleId,
+        data: result,
+        timestamp: new Date().toISOString()
+      })
+    }
+
+    RoundService.events.on('round_started', this.onRoundStarted)
+    RoundService.events.on('round_ended', this.onRoundEnded)
   }
 
   /**
@@ -46,31 +91,58 @@ class WebSocketManager {
     }
 
     // Store client
-    this.clients.set(clientId, {
+    const client = {
       ws,
       info: clientInfo,
-      isAlive: true
-    })
+      isAlive: true,
+      battleId: DEFAULT_BATTLE_ID
+    }
+    this.clients.set(clientId, client)
+    websocketConnectionsOpened.inc()
 
     console.log(`✅ New WebSocket client connected: ${clientId}`)
     console.log(`📊 Total connected clients: ${this.clients.size}`)
 
-    // Send initial data to new client
-    await this.sendInitialData(ws)
-
-    // Setup client event handlers
+    // Setup client event handlers before any await so early messages are not lost
     this.setupClientHandlers(ws, clientId)
 
+    // Join the battle requested in the connection URL, if any
+    const requestedBattle = this.getRequestedBattleId(req)
+    if (requestedBattle) {
+      const battle = await this.battleService.getBattle(requestedBattle)
+      if (battle.success) {
+        client.battleId = battle.data.id
+      } else {
+        this.sendError(ws, `${battle.error}; watching '${DEFAULT_BATTLE_ID}' instead`)
+      }
+    }
+
+    // Send initial data to new client
+    await this.sendInitialData(ws, client.battleId)
+
     // Send connection confirmation
     this.sendMessage(ws, {
       type: 'connection_confirmed',
       data: {
         clientId,
+        battleId: client.battleId,
         connectedAt: clientInfo.connectedAt
       }
     })
   }
 
+  /**
+   * Read the battle id from the `battle` query parameter of the upgrade request
+   */
+  getRequestedBattleId(req) {
+    try {
+      const url = new URL(req.url || '/', 'http://localhost')
+      return url.searchParams.get('battle')
+    } catch (error) {
+      return null
+    }
+  }
+
   /**
    * Setup event handlers for a specific client
    */
@@ -122,11 +194,27 @@ class WebSocketManager {
         break
 
       case 'get_counters':
-        await this.sendCounterUpdate(ws)
+        await this.sendCounterUpdate(ws, client.battleId)
         break
 
       case 'get_stats':
-        await this.sendStatistics(ws, message.timeRange)
+        await this.sendStatistics(ws, {
+          timeRange: message.timeRange,
+          startDate: message.startDate,
+          endDate: message.endDate
+        }, client.battleId)
+        break
+
+      case 'get_leaderboard':
+        await this.sendLeaderboard(ws, {
+          timeRange: message.timeRange,
+          startDate: message.startDate,
+          endDate: message.endDate
+        }, client.battleId, message.limit)
+        break
+
+      case 'join_battle':
+        await this.joinBattle(ws, client, message.battleId)
         break
 
       case 'subscribe_updates':
@@ -150,6 +238,26 @@ class WebSocketManager {
     }
   }
 
+  /**
+   * Move a client to another battle and send it that battle's data
+   */
+  async joinBattle(ws, client, battleId) {
+    const result = await this.battleService.getBattle(battleId)
+
+    if (!result.success) {
+      this.sendError(ws, result.error)
+      return
+    }
+
+    client.battleId = result.data.id
+    this.sendMessage(ws, {
+      type: 'battle_joined',
+      data: { battleId: client.battleId }
+    })
+
+    await this.sendInitialData(ws, client.battleId)
+  }
+
   /**
    * Handle client disconnection
    */
@@ -165,13 +273,13 @@ class WebSocketManager {
   /**
    * Send initial data to newly connected client
    */
-  async sendInitialData(ws) {
+  async sendInitialData(ws, battleId = DEFAULT_BATTLE_ID) {
     try {
       // Send current counter values
-      await this.sendCounterUpdate(ws)
+      await this.sendCounterUpdate(ws, battleId)
       
       // Send basic statistics
-      await this.sendStatistics(ws, '24 hours')
+      await this.sendStatistics(ws, {}, battleId)
       
     } catch (error) {
       console.error('❌ Error sending initial data:', error.message)
@@ -180,19 +288,22 @@ class WebSocketManager {
   }
 
   /**
-   * Send counter update to specific client or all clients
+   * Send counter update to specific client or to all clients in the battle
+   * Broadcasts follow a write, so they read the counters from the primary; a
+   * lagging replica would show every client scores without that write
    */
-  async sendCounterUpdate(ws = null) {
+  async sendCounterUpdate(ws = null, battleId = DEFAULT_BATTLE_ID) {
     try {
-      const result = await this.counterService.getCurrentCounters()
+      const result = await this.counterService.getCurrentCounters(battleId, { primary: ws === null })
       
       if (!result.success) {
-        console.error('❌ Failed to get counter data for WebSocket update')
+        console.error(`❌ Failed to get counter data for WebSocket update (battle ${battleId})`)
         return
       }
 
       const message = {
         type: 'counter_update',
+        battleId,
         data: result.data.counters,
         timestamp: result.timestamp
       }
@@ -201,8 +312,8 @@ class WebSocketManager {
         // Send to specific client
         this.sendMessage(ws, message)
       } else {
-        // Broadcast to all subscribed clients
-        this.broadcastToSubscribed(message)
+        // Broadcast to subscribed clients watching this battle
+        this.broadcastToBattle(battleId, message)
       }
 
     } catch (error) {
@@ -213,16 +324,19 @@ class WebSocketManager {
   /**
    * Send statistics to client
    */
-  async sendStatistics(ws, timeRange = '24 hours') {
+  async sendStatistics(ws, rangeOptions = {}, battleId = DEFAULT_BATTLE_ID) {
     try {
-      const result = await this.counterService.getCounterStatistics(timeRange)
+      const result = await this.counterService.getCounterStatistics(rangeOptions, battleId)
       
       if (result.success) {
         this.sendMessage(ws, {
           type: 'statistics_update',
+          battleId,
           data: result.data,
-          timeRange
+          timeRange: result.data.timeRange
         })
+      } else if (result.code === 'VALIDATION_ERROR') {
+        this.sendError(ws, result.error)
       } else {
         this.sendError(ws, 'Failed to fetch statistics')
       }
@@ -234,16 +348,119 @@ class WebSocketManager {
   }
 
   /**
-   * Broadcast counter update to all connected clients
+   * Send the contributor leaderboard to a client
+   */
+  async sendLeaderboard(ws, rangeOptions = {}, battleId = DEFAULT_BATTLE_ID, limit = undefined) {
+    try {
+      const result = await this.leaderboardService.getLeaderboard(rangeOptions, { battleId, limit })
+
+      if (result.success) {
+        this.sendMessage(ws, {
+          type: 'leaderboard_update',
+          battleId,
+          data: result.data,
+          timestamp: new Date().toISOString()
+        })
+      } else if (result.code === 'VALIDATION_ERROR') {
+        this.sendError(ws, result.error)
+      } else {
+        this.sendError(ws, 'Failed to fetch leaderboard')
+      }
+
+    } catch (error) {
+      console.error('❌ Error sending leaderboard:', error.message)
+      this.sendError(ws, 'Error fetching leaderboard')
+    }
+  }
+
+  /**
+   * Queue a leaderboard_update for a battle's clients
+   * Votes arriving before the update goes out share it, so clients get at
+   * most one update per interval however fast votes come in
+   */
+  scheduleLeaderboardUpdate(battleId = DEFAULT_BATTLE_ID) {
+    if (this.leaderboardTimers.has(battleId) || this.getConnectedClientsCount(battleId) === 0) {
+      return
+    }
+
+    const timer = setTimeout(() => {
+      this.leaderboardTimers.delete(battleId)
+      this.broadcastLeaderboardUpdate(battleId)
+    }, this.leaderboardUpdateIntervalMs)
+
+    this.leaderboardTimers.set(battleId, timer)
+  }
+
+  /**
+   * Queue a leaderboard_update for every battle that has clients watching
+   */
+  scheduleLeaderboardUpdatesToAllBattles() {
+    const battleIds = new Set(Array.from(this.clients.values()).map(client => client.battleId))
+    battleIds.forEach(battleId => this.scheduleLeaderboardUpdate(battleId))
+  }
+
+  /**
+   * Broadcast the default leaderboard to the clients watching a battle
+   */
+  async broadcastLeaderboardUpdate(battleId = DEFAULT_BATTLE_ID) {
+    try {
+      const result = await this.leaderboardService.getLeaderboard({}, { battleId })
+
+      if (!result.success) {
+        console.error(`❌ Failed to get leaderboard for WebSocket update (battle ${battleId})`)
+        return
+      }
+
+      this.broadcastToBattle(battleId, {
+        type: 'leaderboard_update',
+        battleId,
+        data: result.data,
+        timestamp: new Date().toISOString()
+      })
+
+    } catch (error) {
+      console.error('❌ Error broadcasting leaderboard update:', error.message)
+    }
+  }
+
+  /**
+   * Broadcast counter update to all clients watching a battle
+   * Skipped when nobody is watching, so votes do not pay for an unused read
+   */
+  async broadcastCounterUpdate(battleId = DEFAULT_BATTLE_ID) {
+    if (this.getConnectedClientsCount(battleId) === 0) return
+
+    await this.sendCounterUpdate(null, battleId)
+  }
+
+  /**
+   * Broadcast counter updates to every battle that has clients watching
+   * Used when a change such as a team rename affects all battles
+   */
+  async broadcastCounterUpdatesToAllBattles() {
+    const battleIds = new Set(Array.from(this.clients.values()).map(client => client.battleId))
+
+    for (const battleId of battleIds) {
+      await this.sendCounterUpdate(null, battleId)
+    }
+  }
+
+  /**
+   * Broadcast a team lineup change (created, updated or retired)
    */
-  async broadcastCounterUpdate() {
-    await this.sendCounterUpdate()
+  broadcastTeamUpdate(action, team) {
+    this.broadcastToSubscribed({
+      type: 'team_update',
+      data: { action, team },
+      timestamp: new Date().toISOString()
+    })
   }
 
   /**
    * Broadcast message to all subscribed clients
    */
   broadcastToSubscribed(message) {
+    const start = process.hrtime.bigint()
     const subscribedClients = Array.from(this.clients.values())
       .filter(client => client.subscribed !== false)
 
@@ -252,12 +469,33 @@ class WebSocketManager {
         this.sendMessage(client.ws, message)
       }
     })
+    broadcastDuration.observe({ type: message.type }, Number(process.hrtime.bigint() - start) / 1e9)
 
     if (process.env.NODE_ENV === 'development') {
       console.log(`📡 Broadcasted to ${subscribedClients.length} clients:`, message.type)
     }
   }
 
+  /**
+   * Broadcast message to subscribed clients watching a battle
+   */
+  broadcastToBattle(battleId, message) {
+    const start = process.hrtime.bigint()
+    const battleClients = Array.from(this.clients.values())
+      .filter(client => client.subscribed !== false && client.battleId === battleId)
+
+    battleClients.forEach(client => {
+      if (client.ws.readyState === WebSocket.OPEN) {
+        this.sendMessage(client.ws, message)
+      }
+    })
+    broadcastDuration.observe({ type: message.type }, Number(process.hrtime.bigint() - start) / 1e9)
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📡 Broadcasted to ${battleClients.length} clients in battle ${battleId}:`, message.type)
+    }
+  }
+
   /**
    * Send message to specific WebSocket client
    */
@@ -265,6 +503,7 @@ class WebSocketManager {
     if (ws.readyState === WebSocket.OPEN) {
       try {
         ws.send(JSON.stringify(message))
+        websocketMessagesSent.inc({ type: message.type })
       } catch (error) {
         console.error('❌ Error sending WebSocket message:', error.message)
       }
@@ -283,10 +522,14 @@ class WebSocketManager {
   }
 
   /**
-   * Get connected clients count
+   * Get connected clients count, optionally for a single battle
    */
-  getConnectedClientsCount() {
-    return this.clients.size
+  getConnectedClientsCount(battleId = null) {
+    if (!battleId) {
+      return this.clients.size
+    }
+    return Array.from(this.clients.values())
+      .filter(client => client.battleId === battleId).length
   }
 
   /**
@@ -297,10 +540,28 @@ class WebSocketManager {
       id: client.info.id,
       connectedAt: client.info.connectedAt,
       lastSeen: client.info.lastSeen,
+      battleId: client.battleId,
       subscribed: client.subscribed !== false
     }))
   }
 
+  /**
+   * Count connected clients: in total, subscribed to updates and per battle
+   */
+  getClientCounts() {
+    const byBattle = {}
+    let subscribed = 0
+
+    this.clients.forEach(client => {
+      byBattle[client.battleId] = (byBattle[client.battleId] || 0) + 1
+      if (client.subscribed !== false) {
+        subscribed += 1
+      }
+    })
+
+    return { total: this.clients.size, subscribed, byBattle }
+  }
+
   /**
    * Cleanup disconnected clients
    */
@@ -347,6 +608,13 @@ class WebSocketManager {
    */
   async shutdown() {
     console.log('🔄 Shutting down WebSocket server...')
+    this.closing = true
+
+    RoundService.events.off('round_started', this.onRoundStarted)
+    RoundService.events.off('round_ended', this.onRoundEnded)
+
+    this.leaderboardTimers.forEach(timer => clearTimeout(timer))
+    this.leaderboardTimers.clear()
     
     // Notify all clients about shutdown
     this.clients.forEach(client => {
@@ -1,13 +1,20 @@
+const fs = require('fs');
 const http = require('http');
 
-// Configuration
-const BACKEND_URL = 'http://localhost:3000';
-const INITIAL_CONCURRENT_REQUESTS = 1000;
-const MAX_CONCURRENT_REQUESTS = 10000;
-const STEP_SIZE = 1000;
-const REQUESTS_PER_STEP = 10000;
+// Configuration (override with environment variables to compare runs)
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const INITIAL_CONCURRENT_REQUESTS = parseInt(process.env.STRESS_INITIAL_CONCURRENCY) || 1000;
+const MAX_CONCURRENT_REQUESTS = parseInt(process.env.STRESS_MAX_CONCURRENCY) || 10000;
+const STEP_SIZE = parseInt(process.env.STRESS_STEP_SIZE) || 1000;
+const REQUESTS_PER_STEP = parseInt(process.env.STRESS_REQUESTS_PER_STEP) || 10000;
 const DELAY_BETWEEN_STEPS = 2000; // 2 seconds
 
+// Save this run's results to a JSON file, and compare them with a saved run
+const SAVE_RESULTS_PATH = process.env.STRESS_SAVE_RESULTS;
+const BASELINE_PATH = process.env.STRESS_BASELINE;
+
+const backendUrl = new URL(BACKEND_URL);
+
 // Global counters
 let totalRequests = 0;
 let successfulRequests = 0;
@@ -23,8 +30,8 @@ function makeRequest(endpoint, data) {
         const postData = JSON.stringify(data);
         
         const options = {
-            hostname: 'localhost',
-            port: 3000,
+            hostname: backendUrl.hostname,
+            port: backendUrl.port || 80,
             path: endpoint,
             method: 'POST',
             headers: {
@@ -99,6 +106,7 @@ async function runConcurrentRequests(concurrency, requestCount) {
     
     const promises = [];
     const stepStartTime = Date.now();
+    const successfulBeforeStep = successfulRequests;
     
     for (let i = 0; i < requestCount; i++) {
         const color = colors[i % colors.length];
@@ -127,8 +135,10 @@ async function runConcurrentRequests(concurrency, requestCount) {
     
     const stepEndTime = Date.now();
     const stepDuration = stepEndTime - stepStartTime;
+    const throughput = (successfulRequests - successfulBeforeStep) / (stepDuration / 1000);
     
     console.log(`✅ Step ${currentStep} completed in ${stepDuration}ms`);
+    console.log(`   Throughput: ${throughput.toFixed(2)} successful votes/second`);
     console.log(`   Success: ${successfulRequests}/${totalRequests} (${((successfulRequests/totalRequests)*100).toFixed(2)}%)`);
     console.log(`   Failed: ${failedRequests}/${totalRequests} (${((failedRequests/totalRequests)*100).toFixed(2)}%)`);
     
@@ -136,6 +146,7 @@ async function runConcurrentRequests(concurrency, requestCount) {
         concurrency,
         requestCount,
         duration: stepDuration,
+        throughput,
         successRate: (successfulRequests / totalRequests) * 100,
         failureRate: (failedRequests / totalRequests) * 100
     };
@@ -192,6 +203,35 @@ async function verifyCounters() {
     return true;
 }
 
+// Function to format the change from a baseline value as a percentage
+function formatChange(current, baseline) {
+    const change = (current / baseline - 1) * 100;
+    return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+// Function to print how this run compares with a saved baseline run
+function compareWithBaseline(summary) {
+    let baseline;
+    try {
+        baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+    } catch (error) {
+        console.log(`⚠️  Could not read baseline results from ${BASELINE_PATH}: ${error.message}`);
+        return;
+    }
+
+    console.log(`\n📈 COMPARED WITH BASELINE (${BASELINE_PATH})`);
+    console.log('=======================');
+    console.log(`Average requests/second: ${baseline.averageThroughput.toFixed(2)} -> ${summary.averageThroughput.toFixed(2)} (${formatChange(summary.averageThroughput, baseline.averageThroughput)})`);
+    console.log(`Peak step throughput: ${baseline.peakThroughput.toFixed(2)} -> ${summary.peakThroughput.toFixed(2)} (${formatChange(summary.peakThroughput, baseline.peakThroughput)})`);
+
+    summary.steps.forEach(step => {
+        const baselineStep = baseline.steps.find(candidate => candidate.concurrency === step.concurrency);
+        if (baselineStep) {
+            console.log(`   ${step.concurrency} concurrent: ${baselineStep.throughput.toFixed(2)} -> ${step.throughput.toFixed(2)} votes/second (${formatChange(step.throughput, baselineStep.throughput)})`);
+        }
+    });
+}
+
 // Main stress test function
 async function runStressTest() {
     console.log('🎯 RED vs BLUE Backend Stress Test');
@@ -209,6 +249,8 @@ async function runStressTest() {
     
     const startTime = Date.now();
     let breakingPoint = null;
+    let peakThroughput = 0;
+    const steps = [];
     
     try {
         // Initial verification
@@ -221,6 +263,8 @@ async function runStressTest() {
         // Run stress test steps
         for (let concurrency = INITIAL_CONCURRENT_REQUESTS; concurrency <= MAX_CONCURRENT_REQUESTS; concurrency += STEP_SIZE) {
             const stepResult = await runConcurrentRequests(concurrency, REQUESTS_PER_STEP);
+            steps.push(stepResult);
+            peakThroughput = Math.max(peakThroughput, stepResult.throughput);
             
             // Check if we're starting to see failures
             if (stepResult.failureRate > 5) { // More than 5% failure rate
@@ -265,6 +309,7 @@ async function runStressTest() {
     console.log(`Successful requests: ${successfulRequests} (${((successfulRequests/totalRequests)*100).toFixed(2)}%)`);
     console.log(`Failed requests: ${failedRequests} (${((failedRequests/totalRequests)*100).toFixed(2)}%)`);
     console.log(`Average requests/second: ${(totalRequests / (totalDuration / 1000)).toFixed(2)}`);
+    console.log(`Peak step throughput: ${peakThroughput.toFixed(2)} successful votes/second`);
     
     if (breakingPoint) {
         console.log(`💥 Breaking point: ${breakingPoint} concurrent requests`);
@@ -272,6 +317,22 @@ async function runStressTest() {
         console.log(`✅ Backend survived all ${MAX_CONCURRENT_REQUESTS} concurrent requests!`);
     }
     
+    const summary = {
+        target: BACKEND_URL,
+        averageThroughput: totalRequests / (totalDuration / 1000),
+        peakThroughput,
+        steps
+    };
+
+    if (BASELINE_PATH) {
+        compareWithBaseline(summary);
+    }
+
+    if (SAVE_RESULTS_PATH) {
+        fs.writeFileSync(SAVE_RESULTS_PATH, JSON.stringify(summary, null, 2));
+        console.log(`\n💾 Results saved to ${SAVE_RESULTS_PATH}`);
+    }
+
     // Final verification
     console.log('\n🔍 Final counter verification...');
     await verifyCounters();